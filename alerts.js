@@ -0,0 +1,184 @@
+/**
+ * alerts.js — Care alerts pushed to caregivers when a patient crosses a threshold
+ *
+ * evaluateAlerts() runs after every care-log write (server.js publishCareChange)
+ * and on the scheduler's minute tick, so time-based rules such as "no urine for
+ * N hours" still fire when nobody is logging. Every firing is claimed in
+ * alert_events under a rule-specific dedupe key before it is sent; a rule only
+ * fires again once its key changes (a new day, a higher level, a new dry spell).
+ *
+ * Rules and their settings (0 or blank turns a rule off):
+ *   intake     — warn_threshold_yellow / warn_threshold_red, % of daily_limit_ml
+ *   no_urine   — alert_no_urine_hours since the last urine output
+ *   gag_count  — alert_gag_count gag episodes in the fluid day
+ *   cyanosis   — alert_cyanosis_score on any wellness check in the fluid day
+ */
+
+'use strict';
+
+const db = require('./db');
+const mailer = require('./mailer');
+const realtime = require('./realtime');
+const { wellnessSlotsFromSettings, wellnessSlotLabel } = require('./wellness-slots');
+
+function getBot() {
+  return require('./bot');
+}
+
+function positiveSetting(settings, key) {
+  const value = parseFloat(settings[key]);
+  return value > 0 ? value : null;
+}
+
+function formatClock(timestamp, tz) {
+  return new Date(timestamp).toLocaleTimeString('en-US', {
+    timeZone: tz,
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+  });
+}
+
+function intakeRule({ summary, settings, dayKey, name }) {
+  const limit = parseInt(settings.daily_limit_ml, 10) || 1200;
+  const percent = Math.round((summary.totalIntake / limit) * 100);
+  const red = positiveSetting(settings, 'warn_threshold_red');
+  const yellow = positiveSetting(settings, 'warn_threshold_yellow');
+  const amounts = `${summary.totalIntake}/${limit}ml`;
+  if (red && percent >= red) {
+    return [{ level: 'red', dedupeKey: `${dayKey}:red`, message: `🚨 ${name} is at ${percent}% of today's fluid limit (${amounts}).` }];
+  }
+  if (yellow && percent >= yellow) {
+    return [{ level: 'yellow', dedupeKey: `${dayKey}:yellow`, message: `⚠️ ${name} has reached ${percent}% of today's fluid limit (${amounts}).` }];
+  }
+  return [];
+}
+
+function noUrineRule({ lastUrine, settings, now, tz, name }) {
+  const hours = positiveSetting(settings, 'alert_no_urine_hours');
+  // Without any urine on record there is no dry spell to measure.
+  if (!hours || !lastUrine) return [];
+  const since = now.getTime() - lastUrine.timestamp;
+  if (since < hours * 3600000) return [];
+  return [{
+    level: 'red',
+    dedupeKey: `since:${lastUrine.id}`,
+    message: `🚽 No urine logged for ${name} in ${Math.floor(since / 3600000)} hours (last at ${formatClock(lastUrine.timestamp, tz)}).`,
+  }];
+}
+
+function gagCountRule({ summary, settings, dayKey, name }) {
+  const limit = positiveSetting(settings, 'alert_gag_count');
+  if (!limit || summary.gagCount < limit) return [];
+  return [{
+    level: 'yellow',
+    dedupeKey: dayKey,
+    message: `🤢 ${name} has had ${summary.gagCount} gag episodes today.`,
+  }];
+}
+
+function cyanosisRule({ summary, settings, dayKey, name }) {
+  const limit = positiveSetting(settings, 'alert_cyanosis_score');
+  if (!limit) return [];
+  const slots = wellnessSlotsFromSettings(settings);
+  return summary.wellness
+    .filter((check) => check.cyanosis !== null && check.cyanosis >= limit)
+    .map((check) => ({
+      level: 'red',
+      dedupeKey: `${dayKey}:${check.check_time}`,
+      message: `🫁 ${name}'s cyanosis was scored ${check.cyanosis}/10 at the ${wellnessSlotLabel(slots, check.check_time)} wellness check.`,
+    }));
+}
+
+const RULES = {
+  intake: intakeRule,
+  no_urine: noUrineRule,
+  gag_count: gagCountRule,
+  cyanosis: cyanosisRule,
+};
+
+/**
+ * Send one claimed alert over SSE, Telegram and (when enabled) email.
+ * Returns the number of Telegram chats and inboxes reached.
+ */
+async function deliverAlert(scope, alert, name) {
+  realtime.publishCareAlert(scope, { rule: alert.rule, level: alert.level, message: alert.message });
+
+  let delivered = 0;
+  const errors = [];
+  const chatIds = await db.getTelegramRecipientsForPatient(scope.familyId, scope.patientId);
+  if (chatIds.length > 0) {
+    let bot = null;
+    try {
+      bot = getBot();
+    } catch (err) {
+      errors.push(`telegram: ${err.message}`);
+    }
+    for (const chatId of bot ? chatIds : []) {
+      try {
+        await bot.sendMessage(chatId, alert.message);
+        delivered += 1;
+      } catch (err) {
+        errors.push(`telegram ${chatId}: ${err.message}`);
+      }
+    }
+  }
+
+  if (mailer.alertsConfigured()) {
+    for (const to of await db.getActiveMemberEmails(scope.familyId)) {
+      try {
+        const result = await mailer.sendCareAlertEmail({ to, patientName: name, message: alert.message });
+        if (result.sent) delivered += 1;
+      } catch (err) {
+        errors.push(`email ${to}: ${err.message}`);
+      }
+    }
+  }
+
+  return { delivered, error: errors.length > 0 ? errors.join('; ') : null };
+}
+
+/**
+ * Evaluate every rule for a patient and deliver the firings that haven't been
+ * sent before. Returns the alerts that were sent on this call.
+ */
+async function evaluateAlerts(scope = {}, now = new Date()) {
+  const ids = {
+    familyId: scope.familyId || db.DEFAULT_FAMILY_ID,
+    patientId: scope.patientId || db.DEFAULT_PATIENT_ID,
+  };
+  const settings = await db.getSettings(ids);
+  const tz = settings.timezone || process.env.TZ || 'America/New_York';
+  const dayKey = db.computeDayKey(now, tz, settings.day_start_hour);
+  const context = {
+    summary: await db.getDaySummary(dayKey, ids, now),
+    lastUrine: await db.getLastOutputOfType('urine', ids),
+    settings,
+    dayKey,
+    now,
+    tz,
+    name: settings.child_name || 'Your patient',
+  };
+
+  const sent = [];
+  for (const [rule, evaluate] of Object.entries(RULES)) {
+    for (const firing of evaluate(context)) {
+      const claim = await db.claimAlert({ ...ids, rule, ...firing });
+      if (!claim) continue;
+      const alert = { rule, ...firing };
+      let result = { delivered: 0, error: null };
+      try {
+        result = await deliverAlert(ids, alert, context.name);
+      } catch (err) {
+        result.error = err.message;
+        console.error(`[alerts] Failed to deliver ${rule} alert:`, err.message);
+      }
+      await db.completeAlert(claim.id, { recipients: result.delivered, error: result.error });
+      console.log(`[alerts] ${rule} (${firing.level}) for patient ${ids.patientId} sent to ${result.delivered} recipient(s)`);
+      sent.push(alert);
+    }
+  }
+  return sent;
+}
+
+module.exports = { RULES, evaluateAlerts };
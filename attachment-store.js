@@ -0,0 +1,204 @@
+/**
+ * attachment-store.js — Where entry photos are kept
+ *
+ * ATTACHMENT_STORAGE=local (the default) writes files under ATTACHMENT_DIR
+ * (default: the attachments folder of DATA_DIR, or ./data/attachments);
+ * ATTACHMENT_STORAGE=s3 puts them in an S3-compatible bucket (AWS S3,
+ * Cloudflare R2, MinIO, Backblaze B2, …) using SigV4-signed requests, so no
+ * SDK is needed. Each attachment row records which store holds it, so photos
+ * saved before a switch stay readable as long as that store is configured.
+ *
+ * Keys are content hashes under the family and patient
+ * ("<family>/<patient>/<sha256>.jpg"): saving the same photo twice — a
+ * re-sent Telegram photo, a restore into the same instance — writes the same
+ * object.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+};
+
+const KEY_PATTERN = /^[0-9a-f-]{36}\/[0-9a-f-]{36}\/[0-9a-f]{64}\.[a-z]+$/;
+
+/**
+ * The image type of `buffer` from its leading bytes, or null. The declared
+ * upload type isn't trusted: it decides the Content-Type the file is served with.
+ */
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.subarray(0, 4).toString('latin1') === 'GIF8') return 'image/gif';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  if (buffer.subarray(4, 8).toString('latin1') === 'ftyp'
+    && /^(?:heic|heix|hevc|heim|heis|mif1|msf1)$/.test(buffer.subarray(8, 12).toString('latin1'))) {
+    return 'image/heic';
+  }
+  return null;
+}
+
+function attachmentKey({ familyId, patientId }, buffer, contentType) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  return `${familyId}/${patientId}/${hash}.${IMAGE_EXTENSIONS[contentType] || 'bin'}`;
+}
+
+function checkKey(key) {
+  if (!KEY_PATTERN.test(String(key))) throw new Error(`Invalid attachment key ${JSON.stringify(key)}`);
+  return key;
+}
+
+// ---------------------------------------------------------------------------
+// Local disk
+// ---------------------------------------------------------------------------
+
+function localStore(root) {
+  const fileFor = (key) => path.join(root, ...checkKey(key).split('/'));
+  return {
+    kind: 'local',
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    get(key) {
+      return fs.promises.readFile(fileFor(key));
+    },
+    remove(key) {
+      return fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// S3-compatible bucket
+// ---------------------------------------------------------------------------
+
+function s3Config() {
+  const config = {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: (process.env.S3_ENDPOINT || '').replace(/\/+$/, ''),
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  };
+  return config.bucket && config.accessKeyId && config.secretAccessKey ? config : null;
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Send one signed object request. Custom endpoints use path-style URLs
+ * (what MinIO and R2 expect); AWS uses the bucket's virtual host.
+ */
+async function s3Request(config, method, key, { body, contentType } = {}) {
+  const encodedKey = checkKey(key).split('/').map(encodeURIComponent).join('/');
+  const url = new URL(config.endpoint
+    ? `${config.endpoint}/${config.bucket}/${encodedKey}`
+    : `https://${config.bucket}.s3.${config.region}.amazonaws.com/${encodedKey}`);
+
+  const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body || '');
+  const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  if (contentType) headers['content-type'] = contentType;
+
+  const signedHeaders = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    signedHeaders.map((name) => `${name}:${headers[name]}\n`).join(''),
+    signedHeaders.join(';'),
+    payloadHash,
+  ].join('\n');
+  const credentialScope = `${dateStamp}/${config.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (k, part) => hmac(k, part),
+    hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...sent } = headers;
+  const res = await fetch(url, {
+    method,
+    body,
+    headers: {
+      ...sent,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`,
+    },
+  });
+  if (!res.ok && !(method === 'DELETE' && res.status === 404)) {
+    const detail = (await res.text().catch(() => '')).match(/<Message>([^<]*)<\/Message>/)?.[1];
+    const err = new Error(`S3 ${method} ${key} failed: HTTP ${res.status}${detail ? ` ${detail}` : ''}`);
+    err.status = res.status;
+    throw err;
+  }
+  return res;
+}
+
+function s3Store(config) {
+  return {
+    kind: 's3',
+    async put(key, buffer, contentType) {
+      await s3Request(config, 'PUT', key, { body: buffer, contentType });
+    },
+    async get(key) {
+      const res = await s3Request(config, 'GET', key);
+      return Buffer.from(await res.arrayBuffer());
+    },
+    async remove(key) {
+      await s3Request(config, 'DELETE', key);
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Store selection
+// ---------------------------------------------------------------------------
+
+function configuredKind() {
+  return String(process.env.ATTACHMENT_STORAGE || 'local').trim().toLowerCase() === 's3' ? 's3' : 'local';
+}
+
+/**
+ * The store of the given kind ('local' or 's3'), or the configured one.
+ * Throws when S3 is asked for but its credentials aren't set.
+ */
+function getAttachmentStore(kind = configuredKind()) {
+  if (kind === 'local') {
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+    return localStore(path.resolve(process.env.ATTACHMENT_DIR || path.join(dataDir, 'attachments')));
+  }
+  if (kind === 's3') {
+    const config = s3Config();
+    if (!config) throw new Error('S3 attachment storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    return s3Store(config);
+  }
+  throw new Error(`Unknown attachment storage "${kind}"`);
+}
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  detectImageType,
+  attachmentKey,
+  getAttachmentStore,
+};
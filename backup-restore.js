@@ -0,0 +1,410 @@
+/**
+ * backup-restore.js — Load a GET /api/backup JSON export back into Postgres
+ *
+ * A restore replaces each restored family wholesale: its existing rows are
+ * deleted (every family table cascades from families) and the backup's rows
+ * are inserted in their place. Families that aren't in the restore are left
+ * alone, so one family can be restored into a shared instance.
+ *
+ * UUID ids (families, patients, memberships, links) are kept as exported.
+ * Serial ids (logs, doses, catalog, …) are never reused: Postgres assigns
+ * fresh ones, and references between restored rows (medication_doses →
+ * medications, audit_log entity ids) are rewritten to match. Rows that clash
+ * with another family on a globally unique column (a Telegram account, an
+ * Alexa subject, a user email) are skipped and counted rather than stolen.
+ *
+ * Photos in `attachmentFiles` are written to the configured attachment store
+ * and their rows repointed at it. Attachment rows without a file in the
+ * backup keep their original store and key, which only resolves on the
+ * instance (or bucket) the backup came from.
+ *
+ * validateBackup() needs no database, so dry runs work anywhere.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// Written by db.exportAllData. Version 1 (no formatVersion) exports ran UUID
+// ids through normalizeRow and stored them as null; repairMissingIds fills
+// them back in where the rest of the backup makes the answer unambiguous.
+const BACKUP_FORMAT_VERSION = 2;
+
+// Insert order; each table only references tables above it.
+const FAMILY_TABLES = [
+  { name: 'families', id: 'uuid' },
+  { name: 'patients', id: 'uuid' },
+  { name: 'users', id: 'uuid' },
+  { name: 'family_memberships', id: 'uuid' },
+  { name: 'family_invitations', id: 'uuid' },
+  { name: 'alexa_account_links', id: 'uuid' },
+  { name: 'telegram_links', id: 'uuid' },
+  { name: 'display_tokens', id: 'uuid' },
+  { name: 'settings', id: null },
+  { name: 'fluid_catalog', id: 'serial' },
+  { name: 'medications', id: 'serial' },
+  { name: 'medication_doses', id: 'serial' },
+  { name: 'fluid_logs', id: 'serial' },
+  { name: 'attachments', id: 'serial' },
+  { name: 'wellness_checks', id: 'serial' },
+  { name: 'gag_events', id: 'serial' },
+  { name: 'weight_logs', id: 'serial' },
+  { name: 'alert_events', id: 'serial' },
+  { name: 'audit_log', id: 'serial' },
+];
+
+// Not tied to a family; only restored with the whole database.
+const GLOBAL_TABLES = [
+  { name: 'account_preferences', key: ['subject', 'key'] },
+  { name: 'sessions', key: ['sid'] },
+];
+
+// audit_log.entity_type → the table its entity_id points into.
+const AUDIT_ENTITY_TABLES = {
+  fluid_log: 'fluid_logs',
+  attachment: 'attachments',
+  wellness_check: 'wellness_checks',
+  gag_event: 'gag_events',
+  weight_log: 'weight_logs',
+  medication_dose: 'medication_doses',
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_REPORTED_ERRORS = 10;
+
+function getDb() {
+  return require('./db');
+}
+
+function getAttachmentStoreModule() {
+  return require('./attachment-store');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function unmatchedIds(rows, column, known) {
+  const ids = new Set();
+  for (const row of rows) {
+    if (row[column] && !known.has(row[column])) ids.add(row[column]);
+  }
+  return ids;
+}
+
+/**
+ * Fill in family and patient ids lost by version 1 exports. A missing id is
+ * only recovered when exactly one row lacks it and exactly one referenced id
+ * has no row; other UUID tables get fresh ids since nothing keys off them
+ * except telegram_links.membership_id, which is cleared at insert time.
+ */
+function repairMissingIds(tables, warnings) {
+  const childRows = FAMILY_TABLES.slice(1).flatMap(({ name }) => tables[name]);
+
+  const familyIds = new Set(tables.families.filter((row) => row.id).map((row) => row.id));
+  const idlessFamilies = tables.families.filter((row) => !row.id);
+  if (idlessFamilies.length > 0) {
+    const referenced = unmatchedIds(childRows, 'family_id', familyIds);
+    if (idlessFamilies.length !== 1 || referenced.size !== 1) {
+      return `${idlessFamilies.length} families row(s) have no id and can't be matched to the rest of the backup`;
+    }
+    idlessFamilies[0].id = [...referenced][0];
+    familyIds.add(idlessFamilies[0].id);
+    warnings.push(`Recovered the id of family "${idlessFamilies[0].name}" from the rows that reference it`);
+  }
+
+  const patientIds = new Set(tables.patients.filter((row) => row.id).map((row) => row.id));
+  for (const familyId of familyIds) {
+    const idless = tables.patients.filter((row) => !row.id && row.family_id === familyId);
+    if (idless.length === 0) continue;
+    const referenced = unmatchedIds(childRows.filter((row) => row.family_id === familyId), 'patient_id', patientIds);
+    if (idless.length !== 1 || referenced.size !== 1) {
+      return `${idless.length} patients row(s) in family ${familyId} have no id and can't be matched to the rest of the backup`;
+    }
+    idless[0].id = [...referenced][0];
+    patientIds.add(idless[0].id);
+    warnings.push(`Recovered the id of patient "${idless[0].name}" from the rows that reference it`);
+  }
+
+  for (const { name, id } of FAMILY_TABLES.slice(2)) {
+    if (id !== 'uuid') continue;
+    const idless = tables[name].filter((row) => !row.id);
+    for (const row of idless) row.id = crypto.randomUUID();
+    if (idless.length > 0) warnings.push(`Assigned new ids to ${idless.length} ${name} row(s)`);
+  }
+  return null;
+}
+
+/**
+ * Check a parsed backup and work out what a restore would write.
+ * @param {object} backup  the JSON from GET /api/backup
+ * @param {{ familyId?: string }} [options]  restore only this family
+ * @returns {{ ok: true, tables: object, familyIds: string[], wholeDatabase: boolean, counts: object, warnings: string[] }
+ *   | { ok: false, error: string, errors?: string[] }}
+ */
+function validateBackup(backup, options = {}) {
+  if (!isPlainObject(backup) || !isPlainObject(backup.tables)) {
+    return { ok: false, error: 'Not a Glide Bedside backup: expected an object with a "tables" key' };
+  }
+  const version = backup.formatVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1 || version > BACKUP_FORMAT_VERSION) {
+    return { ok: false, error: `Unsupported backup formatVersion ${backup.formatVersion}; this build reads up to ${BACKUP_FORMAT_VERSION}` };
+  }
+
+  const warnings = [];
+  const known = new Set([...FAMILY_TABLES, ...GLOBAL_TABLES].map(({ name }) => name));
+  for (const name of Object.keys(backup.tables)) {
+    if (!known.has(name)) warnings.push(`Ignoring unknown table "${name}"`);
+  }
+
+  // Copy the rows so repairs and filtering never touch the caller's object.
+  const tables = {};
+  for (const { name } of [...FAMILY_TABLES, ...GLOBAL_TABLES]) {
+    const rows = backup.tables[name] ?? [];
+    if (!Array.isArray(rows) || !rows.every(isPlainObject)) {
+      return { ok: false, error: `Table "${name}" must be an array of row objects` };
+    }
+    tables[name] = rows.map((row) => ({ ...row }));
+  }
+  if (tables.families.length === 0) {
+    return { ok: false, error: 'Backup contains no families' };
+  }
+  const attachmentFiles = backup.attachmentFiles ?? {};
+  if (!isPlainObject(attachmentFiles) || !Object.values(attachmentFiles).every((data) => typeof data === 'string')) {
+    return { ok: false, error: '"attachmentFiles" must map storage keys to base64 strings' };
+  }
+
+  if (version < BACKUP_FORMAT_VERSION) {
+    const repairError = repairMissingIds(tables, warnings);
+    if (repairError) return { ok: false, error: repairError };
+  }
+
+  const errors = [];
+  const familyIds = new Set();
+  for (const row of tables.families) {
+    if (!UUID_PATTERN.test(String(row.id))) errors.push(`families: invalid id ${JSON.stringify(row.id)}`);
+    else familyIds.add(row.id);
+  }
+  const patientFamily = new Map(tables.patients.map((row) => [row.id, row.family_id]));
+  for (const { name } of FAMILY_TABLES.slice(1)) {
+    tables[name].forEach((row, index) => {
+      // users may exist without a family; everything else belongs to one.
+      if (!row.family_id && name === 'users') return;
+      if (!familyIds.has(row.family_id)) {
+        errors.push(`${name}[${index}]: family_id ${row.family_id} is not in the backup`);
+      } else if (name !== 'patients' && row.patient_id && patientFamily.get(row.patient_id) !== row.family_id) {
+        errors.push(`${name}[${index}]: patient_id ${row.patient_id} is not a patient of family ${row.family_id}`);
+      }
+    });
+  }
+  if (errors.length > 0) {
+    return {
+      ok: false,
+      error: `Backup failed validation (${errors.length} problem${errors.length === 1 ? '' : 's'})`,
+      errors: errors.slice(0, MAX_REPORTED_ERRORS),
+    };
+  }
+
+  const wholeDatabase = !options.familyId;
+  if (!wholeDatabase) {
+    if (!familyIds.has(options.familyId)) {
+      return { ok: false, error: `Family ${options.familyId} is not in the backup` };
+    }
+    tables.families = tables.families.filter((row) => row.id === options.familyId);
+    for (const { name } of FAMILY_TABLES.slice(1)) {
+      tables[name] = tables[name].filter((row) => row.family_id === options.familyId);
+    }
+    for (const { name } of GLOBAL_TABLES) tables[name] = [];
+  }
+
+  const withoutFile = tables.attachments.filter((row) => !attachmentFiles[row.storage_key]).length;
+  if (withoutFile > 0) {
+    warnings.push(`${withoutFile} attachment(s) have no file in the backup and keep pointing at their original storage`);
+  }
+
+  const counts = {};
+  for (const { name } of [...FAMILY_TABLES, ...GLOBAL_TABLES]) counts[name] = tables[name].length;
+  return {
+    ok: true,
+    tables,
+    familyIds: tables.families.map((row) => row.id),
+    wholeDatabase,
+    counts,
+    warnings,
+    attachmentFiles,
+  };
+}
+
+async function tableColumns(client) {
+  const { rows } = await client.query(
+    `SELECT table_name, column_name, data_type FROM information_schema.columns
+      WHERE table_schema = current_schema()`
+  );
+  const columns = {};
+  for (const row of rows) {
+    columns[row.table_name] = columns[row.table_name] || {};
+    columns[row.table_name][row.column_name] = row.data_type;
+  }
+  return columns;
+}
+
+/**
+ * Insert one backup row, keeping only columns the live table has. With
+ * `upsertKey` an existing row is overwritten; otherwise a conflicting row is
+ * left in place and null is returned.
+ */
+async function insertRow(client, table, row, types, { upsertKey = null } = {}) {
+  const names = Object.keys(row).filter((name) => types[name] && row[name] !== undefined);
+  const values = names.map((name) => (types[name] === 'jsonb' && row[name] !== null ? JSON.stringify(row[name]) : row[name]));
+  const placeholders = names.map((_, index) => `$${index + 1}`).join(',');
+  const onConflict = upsertKey
+    ? `ON CONFLICT (${upsertKey.join(', ')}) DO UPDATE SET ${names.filter((name) => !upsertKey.includes(name)).map((name) => `${name}=EXCLUDED.${name}`).join(', ')}`
+    : 'ON CONFLICT DO NOTHING';
+  const { rows } = await client.query(
+    `INSERT INTO ${table} (${names.join(', ')}) VALUES (${placeholders}) ${onConflict} RETURNING *`,
+    values
+  );
+  return rows[0] || null;
+}
+
+/**
+ * The row to insert for one backup row. Serial ids are dropped for Postgres
+ * to assign, and references to rows restored earlier are rewritten through
+ * `idMaps` (table → Map of backup id → restored id, both strings). UUID ids
+ * are kept. Returns null when the row depends on one that wasn't restored
+ * (a dose's medication, a photo's fluid log), so it is skipped.
+ */
+function remapRow(name, source, idMaps, membershipIds) {
+  const row = { ...source };
+  if (FAMILY_TABLES.find((table) => table.name === name)?.id === 'serial') delete row.id;
+  if (name === 'telegram_links' && row.membership_id && !membershipIds.has(row.membership_id)) {
+    row.membership_id = null;
+  }
+  if (name === 'medication_doses') {
+    row.medication_id = idMaps.medications.get(String(source.medication_id));
+    if (!row.medication_id) return null;
+  }
+  if (name === 'attachments') {
+    row.fluid_log_id = idMaps.fluid_logs.get(String(source.fluid_log_id));
+    if (!row.fluid_log_id) return null;
+  }
+  if (name === 'audit_log' && AUDIT_ENTITY_TABLES[row.entity_type]) {
+    row.entity_id = idMaps[AUDIT_ENTITY_TABLES[row.entity_type]].get(String(source.entity_id)) ?? row.entity_id;
+  }
+  // The no-urine rule dedupes on the last urine log's id.
+  if (name === 'alert_events' && /^since:/.test(row.dedupe_key || '')) {
+    const logId = idMaps.fluid_logs.get(row.dedupe_key.slice('since:'.length));
+    if (logId) row.dedupe_key = `since:${logId}`;
+  }
+  return row;
+}
+
+/**
+ * Write a backed-up photo to the configured attachment store and return the
+ * storage columns for its row. Files written by a restore that then rolls
+ * back are left behind, but their content-hash keys mean a retry just
+ * writes the same objects again.
+ */
+async function restoreAttachmentFile(row, buffer, writtenFiles) {
+  const attachments = getAttachmentStoreModule();
+  const store = attachments.getAttachmentStore();
+  const contentType = attachments.detectImageType(buffer) || row.content_type;
+  const key = attachments.attachmentKey({ familyId: row.family_id, patientId: row.patient_id }, buffer, contentType);
+  if (!writtenFiles.has(key)) {
+    await store.put(key, buffer, contentType);
+    writtenFiles.add(key);
+  }
+  return { storage: store.kind, storage_key: key, content_type: contentType, size_bytes: buffer.length };
+}
+
+/**
+ * Restore a backup. With `dryRun` nothing is written and the counts from
+ * validateBackup are returned. Throws on validation failure or any database
+ * error; the whole restore runs in one transaction.
+ * @param {object} backup
+ * @param {{ familyId?: string, dryRun?: boolean }} [options]
+ */
+async function restoreBackup(backup, options = {}) {
+  const plan = validateBackup(backup, options);
+  if (!plan.ok) {
+    const err = new Error(plan.error);
+    err.details = plan.errors || [];
+    throw err;
+  }
+  const summary = {
+    dryRun: !!options.dryRun,
+    wholeDatabase: plan.wholeDatabase,
+    familyIds: plan.familyIds,
+    counts: plan.counts,
+    warnings: plan.warnings,
+  };
+  if (options.dryRun) return summary;
+
+  const db = getDb();
+  await db.ready;
+  const client = await db.pool.connect();
+  const restored = {};
+  const skipped = {};
+  try {
+    await client.query('BEGIN');
+    const columns = await tableColumns(client);
+    for (const familyId of plan.familyIds) {
+      await client.query('DELETE FROM families WHERE id=$1', [familyId]);
+    }
+
+    const idMaps = {};
+    const membershipIds = new Set();
+    const writtenFiles = new Set();
+    for (const { name, id } of FAMILY_TABLES) {
+      idMaps[name] = new Map();
+      restored[name] = 0;
+      skipped[name] = 0;
+      for (const source of plan.tables[name]) {
+        const row = remapRow(name, source, idMaps, membershipIds);
+        if (!row) {
+          skipped[name] += 1;
+          continue;
+        }
+        if (name === 'attachments') {
+          const data = plan.attachmentFiles[source.storage_key];
+          if (data) Object.assign(row, await restoreAttachmentFile(row, Buffer.from(data, 'base64'), writtenFiles));
+        }
+
+        const inserted = await insertRow(client, name, row, columns[name] || {});
+        if (!inserted) {
+          skipped[name] += 1;
+          continue;
+        }
+        restored[name] += 1;
+        if (id === 'serial') idMaps[name].set(String(source.id), String(inserted.id));
+        if (name === 'family_memberships') membershipIds.add(row.id);
+      }
+    }
+
+    for (const { name, key } of GLOBAL_TABLES) {
+      restored[name] = 0;
+      for (const row of plan.tables[name]) {
+        await insertRow(client, name, row, columns[name] || {}, { upsertKey: key });
+        restored[name] += 1;
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // The default patient's settings are cached in-process.
+  await db.initDefaultSettings();
+  return { ...summary, restored, skipped };
+}
+
+module.exports = {
+  BACKUP_FORMAT_VERSION,
+  validateBackup,
+  remapRow,
+  restoreBackup,
+};
@@ -1,8 +1,9 @@
 /**
  * bot.js — Telegram bot logic
  *
- * Handles incoming messages from authorized users, parses them via OpenAI,
- * logs entries to the database, and sends confirmation messages.
+ * Handles incoming messages from linked Telegram accounts, parses them via
+ * OpenAI, logs entries to the linked family/patient, and sends confirmation
+ * messages. Accounts are linked with a one-time code from the Settings page.
  */
 
 'use strict';
@@ -10,47 +11,167 @@
 const TelegramBot = require('node-telegram-bot-api');
 const db = require('./db');
 const { parseMessage } = require('./parser');
-const { buildReport, formatFluidType, getDailyLimit, publishCareChange } = require('./server');
+const { wellnessSlotLabel } = require('./wellness-slots');
+const { activeEntries, findEntry } = require('./fluid-catalog');
+const { can } = require('./permissions');
+const {
+  buildReport,
+  buildMedicationSchedule,
+  describeMedicationDose,
+  formatFluidType,
+  formatMedicationDose,
+  getDailyLimitForScope,
+  getFluidCatalogForScope,
+  getWellnessSlotsForScope,
+  getParseOptionsForScope,
+  getChildNameForScope,
+  findPatientByName,
+  getTimezoneForScope,
+  publishCareChange,
+  recordMedicationDose,
+  runOnceForKey,
+  findDuplicateActions,
+  describeDuplicates,
+  validateAttachment,
+  saveEntryAttachment,
+  transcribeAudio,
+  MAX_TRANSCRIBE_BYTES,
+} = require('./server');
 
 const token = process.env.TELEGRAM_BOT_TOKEN;
 if (!token) {
   throw new Error('TELEGRAM_BOT_TOKEN is not set in environment');
 }
 
-// Parse authorized user IDs from env
-const AUTHORIZED_IDS = (process.env.AUTHORIZED_USER_IDS || '')
-  .split(',')
-  .map((s) => s.trim())
-  .filter(Boolean)
-  .map((s) => parseInt(s, 10));
+// Legacy allowlist from AUTHORIZED_USER_IDS (see db.js).
+const AUTHORIZED_IDS = db.AUTHORIZED_TELEGRAM_IDS;
 
-console.log(`[bot] Starting with ${AUTHORIZED_IDS.length} authorized user(s): ${AUTHORIZED_IDS.join(', ')}`);
+console.log(`[bot] Starting with ${AUTHORIZED_IDS.length} legacy authorized user(s): ${AUTHORIZED_IDS.join(', ')}`);
 
 // Use polling (works everywhere, no webhook setup needed)
 const bot = new TelegramBot(token, { polling: true });
 
 // ---------------------------------------------------------------------------
-// Authorization middleware
+// Account linking / scope resolution
 // ---------------------------------------------------------------------------
 
-function isAuthorized(userId) {
-  return AUTHORIZED_IDS.includes(userId);
+/**
+ * Resolve the family/patient a Telegram user logs against, mirroring
+ * resolveAlexaAccountContext: an explicit telegram_links row wins, and the
+ * AUTHORIZED_USER_IDS allowlist is a migration bridge onto the default patient.
+ * `patientArchived` is set when the linked patient has been archived.
+ */
+async function resolveTelegramScope(userId) {
+  const link = await db.getTelegramLinkByUserId(userId);
+  if (link) {
+    return {
+      ok: true,
+      familyId: link.family_id,
+      patientId: link.patient_id,
+      membershipId: link.membership_id || null,
+      role: link.role || 'caregiver',
+      familyName: link.family_name || null,
+      patientName: link.patient_name || null,
+      patientArchived: Boolean(link.patient_archived_at),
+      link,
+    };
+  }
+  if (AUTHORIZED_IDS.includes(userId)) {
+    return { ok: true, familyId: db.DEFAULT_FAMILY_ID, patientId: db.DEFAULT_PATIENT_ID, role: 'caregiver', legacy: true };
+  }
+  return { ok: false, reason: 'unlinked' };
+}
+
+// Audit-log identity for changes made from this message.
+function telegramActor(msg) {
+  const from = msg.from || {};
+  const name = [from.first_name, from.last_name].filter(Boolean).join(' ') || (from.username ? `@${from.username}` : null);
+  return { type: 'telegram', id: String(from.id), name, surface: 'telegram' };
 }
 
 function rejectUnauthorized(chatId) {
   bot.sendMessage(
     chatId,
-    "⛔ Sorry, you're not authorized to use this bot.\n\n" +
-      'This is a private medical tracker for Elina. If you need access, please contact the administrator.'
+    "⛔ This Telegram account isn't linked to a Glide Bedside family yet.\n\n" +
+      'Open Settings → Telegram on the dashboard, generate a link code, and send it here as /link CODE.'
   );
 }
 
+function archivedPatientMessage(scope) {
+  return `📦 *${scope.patientName || 'The patient you logged for'}* has been archived, so nothing was logged. ` +
+    'Pick who to log for with /patient.';
+}
+
+/**
+ * Resolve scope for an incoming message, replying with the link instructions
+ * (or an error) when there is none. Returns null if the handler should stop.
+ * A link to an archived patient only gets through with `allowArchivedPatient`
+ * (picking another patient); everything else is told to do that first.
+ */
+async function requireLinkedScope(msg, { allowArchivedPatient = false } = {}) {
+  try {
+    const scope = await resolveTelegramScope(msg.from.id);
+    if (scope.ok && scope.patientArchived && !allowArchivedPatient) {
+      bot.sendMessage(msg.chat.id, archivedPatientMessage(scope), { parse_mode: 'Markdown' });
+      return null;
+    }
+    if (scope.ok) return { ...scope, actor: telegramActor(msg) };
+  } catch (err) {
+    console.error('[bot] Scope lookup failed:', err.message);
+    bot.sendMessage(msg.chat.id, '❌ Error looking up your linked account: ' + err.message);
+    return null;
+  }
+  rejectUnauthorized(msg.chat.id);
+  return null;
+}
+
+const VIEW_ONLY_MESSAGE = "👀 This account has view-only access, so it can't log or change entries. " +
+  '/today, /status, /report, /meds and /patient still work.';
+
+/**
+ * Whether the linked member may log and change entries; viewers are told
+ * they have view-only access instead.
+ */
+function requireLoggingAccess(chatId, scope) {
+  if (can(scope.role, 'care.log')) return true;
+  bot.sendMessage(chatId, VIEW_ONLY_MESSAGE);
+  return false;
+}
+
+async function linkAccount(msg, code) {
+  const chatId = msg.chat.id;
+  try {
+    const link = await db.consumeTelegramLinkCode({
+      code,
+      telegramUserId: msg.from.id,
+      telegramChatId: chatId,
+      telegramUsername: msg.from.username || null,
+    });
+    if (!link) {
+      return bot.sendMessage(
+        chatId,
+        '⚠️ That link code is invalid or has expired. Generate a new one from Settings → Telegram.'
+      );
+    }
+    const scope = await resolveTelegramScope(msg.from.id);
+    const childName = await getChildNameForScope(scope);
+    console.log(`[bot] Telegram user ${msg.from.id} linked to family ${link.family_id}, patient ${link.patient_id}`);
+    bot.sendMessage(
+      chatId,
+      `🔗 Linked! Messages you send here will now log for *${childName}*.\n\nType /help for examples.`,
+      { parse_mode: 'Markdown' }
+    );
+  } catch (err) {
+    console.error('[bot /link]', err);
+    bot.sendMessage(chatId, '❌ Error linking account: ' + err.message);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Formatting helpers
 // ---------------------------------------------------------------------------
 
-function formatIntakeSummary(totalIntake) {
-  const limit = getDailyLimit();
+function formatIntakeSummary(totalIntake, limit) {
   const pct = Math.round((totalIntake / limit) * 100);
   const bar = buildProgressBar(pct);
   return `${bar} ${totalIntake}ml / ${limit}ml (${pct}%)`;
@@ -79,49 +200,71 @@ function formatPoopSubtypeLabel(subtype) {
  * Builds a short confirmation message listing what was just logged,
  * with a brief intake + output summary.
  */
-function buildConfirmation(actions, summary) {
+// Notes are the caregiver's own words; keep them from breaking Markdown.
+function formatNote(notes) {
+  return notes ? ` 📝 ${String(notes).replace(/[*_`[\]]/g, '')}` : '';
+}
+
+function buildConfirmation(actions, summary, limit, catalog, slots) {
   const parts = [];
 
   for (const action of actions) {
     if (action.type === 'input') {
-      const label = formatFluidType(action.fluid_type);
+      const label = formatFluidType(action.fluid_type, catalog);
       const amount = action.amount_ml ? `${action.amount_ml}ml` : '(no amount)';
-      parts.push(`${amount} ${label}`);
+      parts.push(`${amount} ${label}${formatNote(action.notes)}`);
     } else if (action.type === 'output') {
-      const label = formatFluidType(action.fluid_type);
+      const label = formatFluidType(action.fluid_type, catalog);
       const amount = action.amount_ml ? ` ${action.amount_ml}ml` : '';
       if (action.fluid_type === 'poop' && action.subtype) {
-        parts.push(`${label} (${formatPoopSubtypeLabel(action.subtype)})${amount} (output)`);
+        parts.push(`${label} (${formatPoopSubtypeLabel(action.subtype)})${amount} (output)${formatNote(action.notes)}`);
       } else {
-        parts.push(`${label}${amount} (output)`);
+        parts.push(`${label}${amount} (output)${formatNote(action.notes)}`);
       }
     } else if (action.type === 'wellness') {
-      parts.push(`Wellness check (${action.check_time})`);
+      parts.push(`Wellness check (${wellnessSlotLabel(slots, action.check_time)})`);
     } else if (action.type === 'gag') {
       parts.push(`Gag ×${action.count}`);
+    } else if (action.type === 'medication') {
+      parts.push(describeMedicationDose(action.medication_name, action));
     }
   }
 
   const logged = parts.length > 0 ? parts.join(' + ') : 'entry';
-  const limit = getDailyLimit();
-  const pct = Math.round((summary.totalIntake / limit) * 100);
+  return `✅ Logged: ${logged}\n${formatDayTotals(summary, limit)}`;
+}
 
+function formatDayTotals(summary, limit) {
+  const pct = Math.round((summary.totalIntake / limit) * 100);
   const totalOut = summary.outputs.reduce((sum, o) => sum + (o.amount_ml || 0), 0);
   const outStr = totalOut > 0 ? `${totalOut}g` : `${summary.outputs.length} event${summary.outputs.length !== 1 ? 's' : ''}`;
+  return `💧 Total In: ${summary.totalIntake}/${limit}ml (${pct}%) · 🚽 Total Out: ${outStr}`;
+}
 
-  return `✅ Logged: ${logged}\n💧 Total In: ${summary.totalIntake}/${limit}ml (${pct}%) · 🚽 Total Out: ${outStr}`;
+async function warnIfOverLimit(chatId, summary, dailyLimit, scope) {
+  if (summary.totalIntake <= dailyLimit) return;
+  const over = summary.totalIntake - dailyLimit;
+  const childName = await getChildNameForScope(scope);
+  bot.sendMessage(
+    chatId,
+    `⚠️ *Daily limit exceeded!* ${childName} is ${over}ml over the ${dailyLimit}ml limit.`,
+    { parse_mode: 'Markdown' }
+  );
 }
 
 // ---------------------------------------------------------------------------
 // Command handlers
 // ---------------------------------------------------------------------------
 
-// /start
-bot.onText(/^\/start$/, (msg) => {
-  if (!isAuthorized(msg.from.id)) return rejectUnauthorized(msg.chat.id);
+// /start — also accepts a link code from the t.me/<bot>?start=CODE deep link
+bot.onText(/^\/start(?:\s+(\S+))?$/, async (msg, match) => {
+  if (match[1]) return linkAccount(msg, match[1]);
+  const scope = await requireLinkedScope(msg);
+  if (!scope) return;
+  const childName = await getChildNameForScope(scope);
   bot.sendMessage(
     msg.chat.id,
-    `💙 *Elina Tracker* is ready!\n\n` +
+    `💙 *${childName} Tracker* is ready!\n\n` +
       `Just send me natural language to log:\n` +
       `• *"120ml pediasure"* — log intake\n` +
       `• *"pee 85ml"* — log output\n` +
@@ -132,13 +275,43 @@ bot.onText(/^\/start$/, (msg) => {
   );
 });
 
+// /link CODE — bind this Telegram account to a family/patient
+bot.onText(/^\/link(?:\s+(\S+))?$/, (msg, match) => {
+  if (!match[1]) {
+    return bot.sendMessage(
+      msg.chat.id,
+      'Send the code from Settings → Telegram on the dashboard, e.g. /link ABCD2345'
+    );
+  }
+  return linkAccount(msg, match[1]);
+});
+
+// /unlink — stop logging from this Telegram account
+bot.onText(/^\/unlink$/, async (msg) => {
+  try {
+    const result = await db.deleteTelegramLinkByUserId(msg.from.id);
+    bot.sendMessage(
+      msg.chat.id,
+      result.changes > 0
+        ? '🔓 Unlinked. Send /link CODE to connect again.'
+        : '⚠️ This Telegram account is not linked.'
+    );
+  } catch (err) {
+    console.error('[bot /unlink]', err);
+    bot.sendMessage(msg.chat.id, '❌ Error: ' + err.message);
+  }
+});
+
 // /today — summary of current day
 bot.onText(/^\/today$/, async (msg) => {
-  if (!isAuthorized(msg.from.id)) return rejectUnauthorized(msg.chat.id);
+  const scope = await requireLinkedScope(msg);
+  if (!scope) return;
   try {
-    const dayKey = db.getDayKey();
-    const summary = await db.getDaySummary(dayKey);
-    const limit = getDailyLimit();
+    const dayKey = await db.getDayKeyForScope(scope);
+    const summary = await db.getDaySummary(dayKey, scope);
+    const limit = await getDailyLimitForScope(scope);
+    const tz = await getTimezoneForScope(scope);
+    const catalog = await getFluidCatalogForScope(scope);
     const pct = Math.round((summary.totalIntake / limit) * 100);
 
     let text = `📅 *Today (${dayKey})*\n\n`;
@@ -146,28 +319,31 @@ bot.onText(/^\/today$/, async (msg) => {
 
     if (Object.keys(summary.intakeByType).length > 0) {
       for (const [type, ml] of Object.entries(summary.intakeByType)) {
-        text += `  • ${formatFluidType(type)}: ${ml}ml\n`;
+        text += `  • ${formatFluidType(type, catalog)}: ${ml}ml\n`;
       }
     }
 
     text += `\n🚽 *Outputs:* ${summary.outputs.length}\n`;
     for (const o of summary.outputs) {
       const t = new Date(o.timestamp).toLocaleTimeString('en-US', {
-        timeZone: process.env.TZ || 'America/New_York',
+        timeZone: tz,
         hour: 'numeric',
         minute: '2-digit',
         hour12: true,
       });
       const amt = o.amount_ml ? ` ${o.amount_ml}ml` : '';
       const poopSubtype = o.fluid_type === 'poop' && o.subtype ? ` (${formatPoopSubtypeLabel(o.subtype)})` : '';
-      text += `  • ${t} — ${formatFluidType(o.fluid_type)}${poopSubtype}${amt}\n`;
+      text += `  • ${t} — ${formatFluidType(o.fluid_type, catalog)}${poopSubtype}${amt}\n`;
     }
 
+    const net = `${summary.netBalance > 0 ? '+' : ''}${summary.netBalance}ml`;
+    const rate = summary.urineRate !== null ? `${summary.urineRate} ml/kg/hr` : 'no weight logged';
+    text += `\n⚖️ *Net balance:* ${net} · *Urine:* ${rate}${summary.urineStatus === 'low' ? ' ❗' : summary.urineStatus === 'warn' ? ' ⚠️' : ''}\n`;
     text += `\n🤢 *Gags:* ${summary.gagCount}\n`;
 
     if (summary.wellness.length > 0) {
       const w = summary.wellness[summary.wellness.length - 1];
-      text += `\n❤️ *Wellness (${w.check_time}):*\n`;
+      text += `\n❤️ *Wellness (${wellnessSlotLabel(await getWellnessSlotsForScope(scope), w.check_time)}):*\n`;
       if (w.appetite !== null) text += `  Appetite: ${w.appetite}/10\n`;
       if (w.energy !== null) text += `  Energy: ${w.energy}/10\n`;
       if (w.mood !== null) text += `  Mood: ${w.mood}/10\n`;
@@ -183,11 +359,13 @@ bot.onText(/^\/today$/, async (msg) => {
 
 // /status — quick intake status
 bot.onText(/^\/status$/, async (msg) => {
-  if (!isAuthorized(msg.from.id)) return rejectUnauthorized(msg.chat.id);
+  const scope = await requireLinkedScope(msg);
+  if (!scope) return;
   try {
-    const dayKey = db.getDayKey();
-    const summary = await db.getDaySummary(dayKey);
-    const text = `💧 *Current intake:* ${formatIntakeSummary(summary.totalIntake)}`;
+    const dayKey = await db.getDayKeyForScope(scope);
+    const summary = await db.getDaySummary(dayKey, scope);
+    const limit = await getDailyLimitForScope(scope);
+    const text = `💧 *Current intake:* ${formatIntakeSummary(summary.totalIntake, limit)}`;
     bot.sendMessage(msg.chat.id, text, { parse_mode: 'Markdown' });
   } catch (err) {
     bot.sendMessage(msg.chat.id, '❌ Error: ' + err.message);
@@ -196,10 +374,11 @@ bot.onText(/^\/status$/, async (msg) => {
 
 // /report — full nurse handoff report
 bot.onText(/^\/report$/, async (msg) => {
-  if (!isAuthorized(msg.from.id)) return rejectUnauthorized(msg.chat.id);
+  const scope = await requireLinkedScope(msg);
+  if (!scope) return;
   try {
-    const dayKey = db.getDayKey();
-    const report = await buildReport(dayKey);
+    const dayKey = await db.getDayKeyForScope(scope);
+    const report = await buildReport(dayKey, scope);
     bot.sendMessage(msg.chat.id, report);
   } catch (err) {
     console.error('[bot /report]', err);
@@ -207,24 +386,64 @@ bot.onText(/^\/report$/, async (msg) => {
   }
 });
 
+// /meds — today's medication schedule
+bot.onText(/^\/meds$/, async (msg) => {
+  const scope = await requireLinkedScope(msg);
+  if (!scope) return;
+  try {
+    const dayKey = await db.getDayKeyForScope(scope);
+    const schedule = await buildMedicationSchedule(dayKey, scope);
+    if (schedule.items.length === 0 && schedule.extras.length === 0) {
+      return bot.sendMessage(msg.chat.id, '💊 No medications scheduled. Add them under Settings → Medications.');
+    }
+    const tz = await getTimezoneForScope(scope);
+    const formatTime = (ts) => new Date(ts).toLocaleTimeString('en-US', {
+      timeZone: tz,
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+    });
+    const icons = { given: '✅', late: '🕒', skipped: '⏭️', missed: '❗', due: '⏰', upcoming: '▫️' };
+
+    let text = `💊 *Medications (${dayKey})*\n\n`;
+    for (const item of schedule.items) {
+      const amount = formatMedicationDose(item.dose_amount, item.dose_unit);
+      let detail = item.status;
+      if (item.dose && item.status !== 'skipped') detail = `${item.status} at ${formatTime(item.dose.timestamp)}`;
+      text += `${icons[item.status]} ${item.scheduled_time} — ${item.name}${amount ? ` ${amount}` : ''}: ${detail}\n`;
+    }
+    for (const dose of schedule.extras) {
+      text += `➕ ${formatTime(dose.timestamp)} — ${describeMedicationDose(dose.medication_name, dose)} (unscheduled)\n`;
+    }
+    if (schedule.missedCount > 0) {
+      text += `\n⚠️ ${schedule.missedCount} missed dose${schedule.missedCount !== 1 ? 's' : ''}`;
+    }
+    bot.sendMessage(msg.chat.id, text, { parse_mode: 'Markdown' });
+  } catch (err) {
+    console.error('[bot /meds]', err);
+    bot.sendMessage(msg.chat.id, '❌ Error fetching medications: ' + err.message);
+  }
+});
+
 // /undo — remove last log entry
 bot.onText(/^\/undo$/, async (msg) => {
-  if (!isAuthorized(msg.from.id)) return rejectUnauthorized(msg.chat.id);
+  const scope = await requireLinkedScope(msg);
+  if (!scope || !requireLoggingAccess(msg.chat.id, scope)) return;
   try {
-    const last = await db.getLastLog();
+    const last = await db.getLastLog(scope);
     if (!last) {
       return bot.sendMessage(msg.chat.id, '⚠️ Nothing to undo — no entries logged today.');
     }
-    await db.deleteLog(last.id);
-    publishCareChange({}, { action: 'delete', source: 'telegram-undo', dayKey: last.day_key, id: last.id });
-    const dayKey = db.getDayKey();
-    const summary = await db.getDaySummary(dayKey);
-    const label = formatFluidType(last.fluid_type);
+    await db.deleteLog(last.id, scope);
+    publishCareChange(scope, { action: 'delete', source: 'telegram-undo', dayKey: last.day_key, id: last.id });
+    const dayKey = await db.getDayKeyForScope(scope);
+    const summary = await db.getDaySummary(dayKey, scope);
+    const label = formatFluidType(last.fluid_type, await getFluidCatalogForScope(scope));
     const amount = last.amount_ml ? ` ${last.amount_ml}ml` : '';
     bot.sendMessage(
       msg.chat.id,
       `↩️ Undone: ${label}${amount}\n` +
-        `Total intake now: ${summary.totalIntake}ml / ${getDailyLimit()}ml`
+        `Total intake now: ${summary.totalIntake}ml / ${await getDailyLimitForScope(scope)}ml`
     );
   } catch (err) {
     console.error('[bot /undo]', err);
@@ -233,11 +452,13 @@ bot.onText(/^\/undo$/, async (msg) => {
 });
 
 // /help
-bot.onText(/^\/help$/, (msg) => {
-  if (!isAuthorized(msg.from.id)) return rejectUnauthorized(msg.chat.id);
+bot.onText(/^\/help$/, async (msg) => {
+  const scope = await requireLinkedScope(msg);
+  if (!scope) return;
+  const childName = await getChildNameForScope(scope);
   bot.sendMessage(
     msg.chat.id,
-    `*Elina Tracker — Help*\n\n` +
+    `*${childName} Tracker — Help*\n\n` +
       `*Log entries (just type naturally):*\n` +
       `• "120ml pediasure" — intake\n` +
       `• "pee 85ml" or "urine 85ml" — output\n` +
@@ -245,12 +466,22 @@ bot.onText(/^\/help$/, (msg) => {
       `• "pooped" — poop (no amount needed)\n` +
       `• "diarrhea" or "undigested poop" — poop subtype\n` +
       `• "gag x2" or "she gagged once"\n` +
-      `• "wellness: appetite 7, energy 4, mood 8, cyan 3"\n\n` +
+      `• "wellness: appetite 7, energy 4, mood 8, cyan 3"\n` +
+      `• "gave lasix" or "skipped the 8pm lasix" — medication\n` +
+      `• "vomit 30g (mostly mucus)" — an entry with a note\n` +
+      `• a photo captioned "vomit 30g" — logs it with the photo attached; ` +
+      `a photo without a caption goes with the entry you just logged\n` +
+      `• a voice note — transcribed, shown back to you, then logged like a typed message\n\n` +
       `*Commands:*\n` +
       `/today — today's full summary\n` +
       `/status — quick intake total\n` +
       `/report — nurse handoff report\n` +
-      `/undo — remove last entry\n` +
+      `/meds — today's medication schedule\n` +
+      `/log — quick-log buttons\n` +
+      `/patient — who you're logging for; /patient NAME switches\n` +
+      `/undo — remove last entry (or tap Undo under any confirmation)\n` +
+      `/link CODE — link this account to a family\n` +
+      `/unlink — disconnect this account\n` +
       `/help — this message`,
     { parse_mode: 'Markdown' }
   );
@@ -260,19 +491,160 @@ bot.onText(/^\/help$/, (msg) => {
 // Main message handler — NLP parsing
 // ---------------------------------------------------------------------------
 
-bot.on('message', async (msg) => {
-  // Ignore commands (handled above) and non-text messages
-  if (!msg.text || msg.text.startsWith('/')) return;
-  if (!isAuthorized(msg.from.id)) return rejectUnauthorized(msg.chat.id);
+// Messages held back as possible duplicates until the sender answers, keyed
+// by chat and user. In memory only: a restart just drops the question.
+const pendingDuplicates = new Map();
+const PENDING_DUPLICATE_TTL_MS = 10 * 60 * 1000;
+const CONFIRM_RE = /^(?:y|yes|yep|yeah|log it|log anyway)[.!]*$/i;
+const DECLINE_RE = /^(?:n|no|nope|skip|cancel)[.!]*$/i;
+
+// A photo sent without a caption goes with the entry logged just before it.
+const RECENT_ENTRY_PHOTO_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * The photo in a message — a compressed photo (largest size) or an image sent
+ * as a file — or null.
+ */
+function telegramPhoto(msg) {
+  if (msg.photo?.length) {
+    const largest = msg.photo[msg.photo.length - 1];
+    return { fileId: largest.file_id, fileSize: largest.file_size, originalName: null };
+  }
+  if (msg.document && /^image\//.test(msg.document.mime_type || '')) {
+    return { fileId: msg.document.file_id, fileSize: msg.document.file_size, originalName: msg.document.file_name || null };
+  }
+  return null;
+}
+
+async function downloadTelegramFile(fileId) {
+  const chunks = [];
+  for await (const chunk of bot.getFileStream(fileId)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Download a Telegram photo and attach it to fluid entry `entry`.
+ * @returns {Promise<{ ok: true } | { ok: false, error: string }>}
+ */
+async function attachTelegramPhoto(photo, entry, scope) {
+  try {
+    const buffer = await downloadTelegramFile(photo.fileId);
+    const check = validateAttachment(buffer);
+    if (!check.ok) return { ok: false, error: check.error };
+    await saveEntryAttachment(entry.id, buffer, {
+      contentType: check.contentType,
+      originalName: photo.originalName,
+      source: 'telegram',
+    }, scope);
+    publishCareChange(scope, { action: 'attachment', source: 'telegram', dayKey: entry.day_key, id: entry.id });
+    return { ok: true };
+  } catch (err) {
+    console.error('[bot] Photo attachment failed:', err.message);
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * A photo with no caption: attach it to the entry this family logged in the
+ * last few minutes, or ask what it shows.
+ */
+async function handleUncaptionedPhoto(msg, scope, photo) {
+  const last = await db.getLastLog(scope);
+  if (!last || Date.now() - last.timestamp > RECENT_ENTRY_PHOTO_WINDOW_MS) {
+    return bot.sendMessage(
+      msg.chat.id,
+      '📷 Add a caption saying what the photo shows, like _vomit 30g_, and I\'ll log the entry with the photo attached.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+  bot.sendChatAction(msg.chat.id, 'upload_photo');
+  const result = await attachTelegramPhoto(photo, last, scope);
+  const label = formatFluidType(last.fluid_type, await getFluidCatalogForScope(scope));
+  const amount = last.amount_ml ? ` ${last.amount_ml}${last.entry_type === 'output' ? 'g' : 'ml'}` : '';
+  const time = new Date(last.timestamp).toLocaleTimeString('en-US', {
+    timeZone: await getTimezoneForScope(scope),
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  return bot.sendMessage(
+    msg.chat.id,
+    result.ok
+      ? `📎 Photo attached to ${label}${amount} (${time}).`
+      : `❌ Couldn't save the photo: ${result.error}`
+  );
+}
+
+/**
+ * A voice note (or audio file) in a message, or null.
+ */
+function telegramVoice(msg) {
+  const audio = msg.voice || msg.audio;
+  if (!audio) return null;
+  return { fileId: audio.file_id, fileSize: audio.file_size, mimeType: audio.mime_type || 'audio/ogg' };
+}
+
+/**
+ * Transcribe a voice note with the same Whisper pipeline as /api/transcribe,
+ * echo what was heard so the caregiver can catch a mishearing, then handle
+ * the transcript exactly like a typed message.
+ */
+async function handleVoiceMessage(msg, scope, voice) {
+  const chatId = msg.chat.id;
+  if (!process.env.OPENAI_API_KEY) {
+    return bot.sendMessage(chatId, '🎙 Voice notes need OpenAI transcription, which isn\'t set up here. Please type the entry instead.');
+  }
+  if (voice.fileSize > MAX_TRANSCRIBE_BYTES) {
+    return bot.sendMessage(chatId, '🎙 That recording is too long to transcribe. Please send a shorter voice note.');
+  }
+
+  bot.sendChatAction(chatId, 'typing');
+  let text;
+  try {
+    text = await transcribeAudio(await downloadTelegramFile(voice.fileId), voice.mimeType);
+  } catch (err) {
+    console.error('[bot] Voice transcription failed:', err.message);
+    return bot.sendMessage(chatId, '❌ Couldn\'t transcribe that voice note. Please try again or type it.');
+  }
+  if (!text) {
+    return bot.sendMessage(chatId, '🎙 I couldn\'t make out any words in that voice note. Please try again or type it.');
+  }
+
+  await bot.sendMessage(chatId, `🎙 _"${text.replace(/[*_`[\]]/g, '')}"_`, { parse_mode: 'Markdown' });
+  return handleTextMessage({ ...msg, text }, scope);
+}
 
+/**
+ * Parse one free-text message (or photo caption) and log it, or ask first
+ * when it repeats an entry made within the duplicate window. `photo` is
+ * attached to the entry the message logs.
+ */
+async function handleTextMessage(msg, scope, photo = null) {
   const chatId = msg.chat.id;
+  const text = msg.text ?? msg.caption;
+  const pendingKey = `${chatId}:${msg.from.id}`;
+  const pending = pendingDuplicates.get(pendingKey);
+  if (pending) {
+    pendingDuplicates.delete(pendingKey);
+    if (Date.now() - pending.askedAt < PENDING_DUPLICATE_TTL_MS) {
+      const answer = text.trim();
+      if (CONFIRM_RE.test(answer)) {
+        return logParsedMessage(chatId, scope, pending.parsed, pending.parseOptions, pending.now, pending.photo);
+      }
+      if (DECLINE_RE.test(answer)) {
+        return bot.sendMessage(chatId, '👍 Skipped — nothing was logged.');
+      }
+    }
+    // Anything else is a new entry; the unanswered question is dropped.
+  }
 
   // Send "typing" indicator while processing
   bot.sendChatAction(chatId, 'typing');
 
+  const parseOptions = await getParseOptionsForScope(scope);
+  const catalog = parseOptions.fluidCatalog;
   let parsed;
   try {
-    parsed = await parseMessage(msg.text);
+    parsed = await parseMessage(text, parseOptions);
   } catch (err) {
     console.error('[bot] Parser error:', err.message);
     return bot.sendMessage(
@@ -302,7 +674,7 @@ bot.on('message', async (msg) => {
     return false;
   });
   if (missingAmount) {
-    const label = formatFluidType(missingAmount.fluid_type);
+    const label = formatFluidType(missingAmount.fluid_type, catalog);
     return bot.sendMessage(
       chatId,
       `⚠️ I need a measurement for *${label}*. How many ml was it?\n\nExample: _"${label} 80ml"_`,
@@ -310,37 +682,60 @@ bot.on('message', async (msg) => {
     );
   }
 
-  // Persist all actions
   const now = Date.now();
+  const duplicates = await findDuplicateActions(parsed.actions, scope, now);
+  if (duplicates.length > 0) {
+    pendingDuplicates.set(pendingKey, { parsed, parseOptions, now, photo, askedAt: Date.now() });
+    const descriptions = await describeDuplicates(duplicates, scope);
+    return bot.sendMessage(
+      chatId,
+      `⚠️ *Possible duplicate:* ${descriptions.join('; ')}.\n\n` +
+        'Log it again anyway? Reply *yes* to log it or *no* to skip.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  return logParsedMessage(chatId, scope, parsed, parseOptions, now, photo);
+}
+
+/**
+ * Persist a parsed message's actions and send the confirmation. `now` is when
+ * the message arrived, so an entry confirmed a few minutes later keeps that
+ * time. A photo goes on the first output logged (what caregivers photograph),
+ * or else the first intake.
+ */
+async function logParsedMessage(chatId, scope, parsed, parseOptions, now, photo = null) {
+  const catalog = parseOptions.fluidCatalog;
 
   // Support "yesterday:" prefix via date_offset
-  let dayKey;
-  if (parsed.date_offset === -1) {
-    const todayKey = db.getDayKey();
-    const [y, m, d] = todayKey.split('-').map(Number);
-    const yesterday = new Date(y, m - 1, d);
-    yesterday.setDate(yesterday.getDate() - 1);
-    dayKey = yesterday.toISOString().slice(0, 10);
-  } else {
-    dayKey = db.getDayKey();
-  }
+  const todayKey = await db.getDayKeyForScope(scope, new Date(now));
+  const dayKey = parsed.date_offset === -1 ? db.shiftDayKey(todayKey, -1) : todayKey;
 
   let weightAction = null;
+  const fluidEntries = [];
 
   for (const action of parsed.actions) {
     try {
       if (action.type === 'input' || action.type === 'output') {
-        await db.logEntry({
+        const entry = await db.logEntry({
+          familyId: scope.familyId,
+          patientId: scope.patientId,
+          actor: scope.actor,
           timestamp: now,
           day_key: dayKey,
           entry_type: action.type,
           fluid_type: action.fluid_type,
           amount_ml: action.amount_ml,
           subtype: action.subtype ?? null,
+          notes: action.notes ?? null,
           source: 'telegram',
         });
+        fluidEntries.push(entry);
       } else if (action.type === 'wellness') {
         await db.logWellness({
+          familyId: scope.familyId,
+          patientId: scope.patientId,
+          actor: scope.actor,
           timestamp: now,
           day_key: dayKey,
           check_time: action.check_time,
@@ -350,25 +745,45 @@ bot.on('message', async (msg) => {
           cyanosis: action.cyanosis,
         });
       } else if (action.type === 'gag') {
-        await db.logGag(action.count, now, dayKey);
+        await db.logGag(action.count, now, dayKey, scope);
       } else if (action.type === 'weight') {
-        await db.logWeight(dayKey, action.weight_kg, null);
+        await db.logWeight(dayKey, action.weight_kg, null, scope);
         weightAction = action;
+      } else if (action.type === 'medication') {
+        const medication = parseOptions.medications.find((m) => m.id === action.medication_id);
+        const dose = await recordMedicationDose(medication, {
+          status: action.status,
+          timestamp: now,
+          dayKey,
+          doseAmount: action.dose_amount,
+          doseUnit: action.dose_unit,
+          source: 'telegram',
+        }, scope);
+        Object.assign(action, { status: dose.status, dose_amount: dose.dose_amount, dose_unit: dose.dose_unit });
       }
     } catch (dbErr) {
       console.error('[bot] DB error logging action:', dbErr.message, action);
     }
   }
-  publishCareChange({}, { action: 'create', source: 'telegram', dayKey });
+  publishCareChange(scope, { action: 'create', source: 'telegram', dayKey });
+
+  let photoNote = '';
+  if (photo) {
+    const target = fluidEntries.find((entry) => entry.entry_type === 'output') || fluidEntries[0];
+    if (!target) {
+      photoNote = '\n📎 _Photo not saved — photos go with an intake or output entry_';
+    } else {
+      const result = await attachTelegramPhoto(photo, target, scope);
+      photoNote = result.ok ? '\n📎 _Photo attached_' : `\n📎 _Photo not saved: ${result.error.replace(/[*_`[\]]/g, '')}_`;
+    }
+  }
 
   // If weight was logged, send a dedicated weight confirmation with trend
   if (weightAction !== null) {
     try {
-      // Look up yesterday's weight for trend
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      const yesterdayKey = db.getDayKey(yesterday);
-      const prevEntry = await db.getWeightForDate(yesterdayKey);
+      // Look up the previous day's weight for trend
+      const yesterdayKey = db.shiftDayKey(dayKey, -1);
+      const prevEntry = await db.getWeightForDate(yesterdayKey, scope);
 
       let trendStr = '';
       if (prevEntry && typeof prevEntry.weight_kg === 'number') {
@@ -389,25 +804,499 @@ bot.on('message', async (msg) => {
     }
 
     // If weight was the only action, skip the standard fluid confirmation
-    if (parsed.actions.every((a) => a.type === 'weight')) return;
+    if (parsed.actions.every((a) => a.type === 'weight')) {
+      if (photoNote) bot.sendMessage(chatId, photoNote.trim(), { parse_mode: 'Markdown' });
+      return;
+    }
   }
 
   // Build and send confirmation
-  const summary = await db.getDaySummary(dayKey);
-  const confirmation = buildConfirmation(parsed.actions, summary) +
-    (parsed.date_offset === -1 ? '\n📅 _Logged for yesterday_' : '');
-  bot.sendMessage(chatId, confirmation, { parse_mode: 'Markdown' });
-
-  // Warn if over daily limit
-  const dailyLimit = getDailyLimit();
-  if (summary.totalIntake > dailyLimit) {
-    const over = summary.totalIntake - dailyLimit;
-    bot.sendMessage(
-      chatId,
-      `⚠️ *Daily limit exceeded!* Elina is ${over}ml over the ${dailyLimit}ml limit.`,
-      { parse_mode: 'Markdown' }
+  const summary = await db.getDaySummary(dayKey, scope);
+  const dailyLimit = await getDailyLimitForScope(scope);
+  const confirmation = buildConfirmation(parsed.actions, summary, dailyLimit, catalog, parseOptions.wellnessSlots) +
+    (parsed.date_offset === -1 ? '\n📅 _Logged for yesterday_' : '') +
+    (parsed.parser === 'local' ? '\n🧩 _Read by the offline parser — please check it_' : '') +
+    photoNote;
+  const keyboard = entryActionsKeyboard(fluidEntries, catalog);
+  bot.sendMessage(chatId, confirmation, { parse_mode: 'Markdown', ...(keyboard && { reply_markup: keyboard }) });
+
+  await warnIfOverLimit(chatId, summary, dailyLimit, scope);
+}
+
+bot.on('message', async (msg) => {
+  // Ignore commands (handled above) and anything that isn't text, a photo or a voice note
+  const photo = telegramPhoto(msg);
+  const voice = telegramVoice(msg);
+  if (msg.text?.startsWith('/') || (!msg.text && !photo && !voice)) return;
+  const scope = await requireLinkedScope(msg);
+  if (!scope || !requireLoggingAccess(msg.chat.id, scope)) return;
+
+  // Telegram redelivers updates that weren't acknowledged before a restart or
+  // a dropped poll; the message id makes sure each one is logged once.
+  const key = `telegram-${msg.chat.id}-${msg.message_id}`;
+  try {
+    const handled = await runOnceForKey(scope, key, 'telegram message', () => {
+      if (voice) return handleVoiceMessage(msg, scope, voice);
+      if (photo && !msg.caption) return handleUncaptionedPhoto(msg, scope, photo);
+      return handleTextMessage(msg, scope, photo);
+    });
+    if (!handled) console.log(`[bot] Skipping already handled message ${key}`);
+  } catch (err) {
+    console.error('[bot] Message handling failed:', err);
+    bot.sendMessage(msg.chat.id, '❌ Error: ' + err.message);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Inline keyboards — quick log, and Undo / Edit under confirmations
+// ---------------------------------------------------------------------------
+//
+// Button data (Telegram allows 64 bytes), "<fluid>" being a catalog key:
+//   q                               the quick-log menu
+//   qf:<fluid>                      portion sizes for a fluid
+//   qa:<fluid>:<amount>             log it (poop asks for the subtype first); amount 0 = none
+//   qp:<amount>:<subtype>           log poop
+//   qd:<fluid>:<amount>:<subtype>   log a possible duplicate anyway
+//   qg                              log one gag
+//   qx                              close the menu without logging
+//   u:<id> / e:<id>                 undo / edit that fluid entry
+//   ea:<id>:<amount>, es:<id>:<subtype>, ef:<id>, et:<id>:<fluid>, eb:<id>, ex
+//                                   the edit menu: amount, subtype, fluid list,
+//                                   new fluid, back, close
+//   p:<patientId>                   switch this account to that patient
+
+const POOP_SUBTYPES = ['normal', 'diarrhea', 'undigested'];
+
+function button(text, data) {
+  return { text, callback_data: data };
+}
+
+function chunkRows(buttons, size) {
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += size) rows.push(buttons.slice(i, i + size));
+  return rows;
+}
+
+function amountUnit(entryType) {
+  return entryType === 'output' ? 'g' : 'ml';
+}
+
+// "120ml PediaSure", "Poop (diarrhea) 30g"
+function describeEntry(entry, catalog) {
+  const label = formatFluidType(entry.fluid_type, catalog);
+  const amount = entry.amount_ml ? `${entry.amount_ml}${amountUnit(entry.entry_type)}` : '';
+  if (entry.entry_type === 'output') {
+    const subtype = entry.fluid_type === 'poop' && entry.subtype ? ` (${formatPoopSubtypeLabel(entry.subtype)})` : '';
+    return `${label}${subtype}${amount ? ` ${amount}` : ''}`;
+  }
+  return amount ? `${amount} ${label}` : label;
+}
+
+/**
+ * Portion buttons for a fluid, as on the dashboard's amount picker. `prefix`
+ * is the button data the amount is appended to. Poop may be logged without one.
+ */
+function portionRows(fluid, prefix) {
+  const unit = amountUnit(fluid.category);
+  const buttons = (fluid.default_portions || []).map((amount) => button(`${amount}${unit}`, `${prefix}:${amount}`));
+  if (fluid.key === 'poop') buttons.push(button('No amount', `${prefix}:0`));
+  return chunkRows(buttons, 4);
+}
+
+function quickLogMenu(catalog) {
+  const fluids = [...activeEntries(catalog, 'input'), ...activeEntries(catalog, 'output')];
+  const buttons = fluids.map((fluid) => button(`${fluid.icon || ''} ${fluid.label}`.trim(), `qf:${fluid.key}`));
+  return {
+    inline_keyboard: [...chunkRows(buttons, 3), [button('⚠️ Gag ×1', 'qg'), button('✖️ Close', 'qx')]],
+  };
+}
+
+/**
+ * Undo / Edit buttons for the fluid entries a confirmation reports, each
+ * bound to its entry id so a later entry can't be undone by mistake.
+ */
+function entryActionsKeyboard(entries, catalog) {
+  if (entries.length === 0) return null;
+  if (entries.length === 1) {
+    return { inline_keyboard: [[button('↩️ Undo', `u:${entries[0].id}`), button('✏️ Edit', `e:${entries[0].id}`)]] };
+  }
+  return {
+    inline_keyboard: entries.map((entry) => [
+      button(`↩️ Undo ${describeEntry(entry, catalog)}`, `u:${entry.id}`),
+      button('✏️ Edit', `e:${entry.id}`),
+    ]),
+  };
+}
+
+function entryEditKeyboard(entry, catalog) {
+  const fluid = findEntry(catalog, entry.fluid_type) || { key: entry.fluid_type, category: entry.entry_type };
+  const rows = portionRows(fluid, `ea:${entry.id}`);
+  if (entry.fluid_type === 'poop') {
+    rows.push(POOP_SUBTYPES.map((subtype) => button(
+      `${subtype === (entry.subtype || 'normal') ? '✓ ' : ''}${titleCase(subtype)}`,
+      `es:${entry.id}:${subtype}`
+    )));
+  }
+  rows.push([button('🔄 Change fluid', `ef:${entry.id}`), button('✖️ Close', 'ex')]);
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Replace the text and buttons of the message a button was pressed on.
+ * Without `keyboard` the buttons are removed.
+ */
+async function editButtonMessage(query, text, keyboard = null) {
+  try {
+    await bot.editMessageText(text, {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+      parse_mode: 'Markdown',
+      ...(keyboard && { reply_markup: keyboard }),
+    });
+  } catch (err) {
+    // A double tap asks for the same edit twice.
+    if (!/message is not modified/.test(err.message)) throw err;
+  }
+}
+
+// Drop one entry's Undo / Edit row from a confirmation once it's gone.
+async function removeEntryButtons(query, id) {
+  const rows = (query.message.reply_markup?.inline_keyboard || [])
+    .filter((row) => !row.some((b) => b.callback_data === `u:${id}` || b.callback_data === `e:${id}`));
+  await bot.editMessageReplyMarkup({ inline_keyboard: rows }, {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id,
+  }).catch(() => {});
+}
+
+function parseAmount(value) {
+  const amount = Number(value);
+  return Number.isInteger(amount) && amount >= 0 && amount <= 5000 ? amount : null;
+}
+
+async function logQuickEntry(query, scope, { fluidKey, amount, subtype = null, allowDuplicate = false }) {
+  const catalog = await getFluidCatalogForScope(scope);
+  const fluid = findEntry(catalog, fluidKey);
+  if (!fluid || fluid.archived_at || amount === null) {
+    await editButtonMessage(query, '⚠️ That fluid is no longer in the catalog — nothing was logged.');
+    return null;
+  }
+  const action = {
+    type: fluid.category,
+    fluid_type: fluid.key,
+    amount_ml: amount || null,
+    subtype: fluid.key === 'poop' ? (POOP_SUBTYPES.includes(subtype) ? subtype : 'normal') : null,
+    notes: null,
+  };
+  const now = Date.now();
+
+  if (!allowDuplicate) {
+    const duplicates = await findDuplicateActions([action], scope, now);
+    if (duplicates.length > 0) {
+      const descriptions = await describeDuplicates(duplicates, scope);
+      await editButtonMessage(query, `⚠️ *Possible duplicate:* ${descriptions.join('; ')}.\n\nLog it again anyway?`, {
+        inline_keyboard: [[
+          button('✅ Log anyway', `qd:${fluid.key}:${amount}:${action.subtype || ''}`),
+          button('✖️ Skip', 'qx'),
+        ]],
+      });
+      return null;
+    }
+  }
+
+  const dayKey = await db.getDayKeyForScope(scope, new Date(now));
+  const entry = await db.logEntry({
+    familyId: scope.familyId,
+    patientId: scope.patientId,
+    actor: scope.actor,
+    timestamp: now,
+    day_key: dayKey,
+    entry_type: action.type,
+    fluid_type: action.fluid_type,
+    amount_ml: action.amount_ml,
+    subtype: action.subtype,
+    source: 'telegram',
+  });
+  publishCareChange(scope, { action: 'create', source: 'telegram', dayKey, id: entry.id });
+
+  const summary = await db.getDaySummary(dayKey, scope);
+  const dailyLimit = await getDailyLimitForScope(scope);
+  await editButtonMessage(query, buildConfirmation([action], summary, dailyLimit, catalog, []), entryActionsKeyboard([entry], catalog));
+  await warnIfOverLimit(query.message.chat.id, summary, dailyLimit, scope);
+  return 'Logged';
+}
+
+async function logQuickGag(query, scope) {
+  const dayKey = await db.getDayKeyForScope(scope);
+  await db.logGag(1, Date.now(), dayKey, scope);
+  publishCareChange(scope, { action: 'create', source: 'telegram', dayKey });
+  const summary = await db.getDaySummary(dayKey, scope);
+  const dailyLimit = await getDailyLimitForScope(scope);
+  await editButtonMessage(query, buildConfirmation([{ type: 'gag', count: 1 }], summary, dailyLimit, [], []));
+  return 'Logged';
+}
+
+async function showQuickPortions(query, scope, fluidKey) {
+  const catalog = await getFluidCatalogForScope(scope);
+  const fluid = findEntry(catalog, fluidKey);
+  const back = [button('‹ Back', 'q')];
+  if (!fluid || fluid.archived_at) {
+    return editButtonMessage(query, '⚠️ That fluid is no longer in the catalog.', { inline_keyboard: [back] });
+  }
+  const rows = portionRows(fluid, `qa:${fluid.key}`);
+  if (rows.length === 0) {
+    return editButtonMessage(
+      query,
+      `${fluid.label} has no portion sizes yet. Type the amount instead, like _${fluid.label} 80ml_, or add portions under Settings → Fluid Types.`,
+      { inline_keyboard: [back] }
     );
   }
+  return editButtonMessage(query, `${fluid.icon || ''} *${fluid.label}* — how much?`.trim(), { inline_keyboard: [...rows, back] });
+}
+
+async function undoEntryFromButton(query, scope, id) {
+  const entry = await db.getLogById(id, scope);
+  await removeEntryButtons(query, id);
+  if (!entry) return 'That entry was already removed.';
+
+  await db.deleteLog(id, scope);
+  publishCareChange(scope, { action: 'delete', source: 'telegram-undo', dayKey: entry.day_key, id });
+  const catalog = await getFluidCatalogForScope(scope);
+  const summary = await db.getDaySummary(entry.day_key, scope);
+  bot.sendMessage(
+    query.message.chat.id,
+    `↩️ Undone: ${describeEntry(entry, catalog)}\n${formatDayTotals(summary, await getDailyLimitForScope(scope))}`,
+    { reply_to_message_id: query.message.message_id }
+  );
+  return 'Undone';
+}
+
+async function openEntryEditor(query, scope, id) {
+  const entry = await db.getLogById(id, scope);
+  if (!entry) {
+    await removeEntryButtons(query, id);
+    return 'That entry was already removed.';
+  }
+  const catalog = await getFluidCatalogForScope(scope);
+  const time = new Date(entry.timestamp).toLocaleTimeString('en-US', {
+    timeZone: await getTimezoneForScope(scope),
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  bot.sendMessage(query.message.chat.id, `✏️ Editing ${describeEntry(entry, catalog)} (${time}). Pick the new amount, or change the fluid:`, {
+    reply_to_message_id: query.message.message_id,
+    reply_markup: entryEditKeyboard(entry, catalog),
+  });
+  return null;
+}
+
+/**
+ * Apply an edit picked from the edit menu. The entry is re-read, so one
+ * removed elsewhere since the menu opened isn't brought back.
+ */
+async function applyEntryEdit(query, scope, id, changes) {
+  const entry = await db.getLogById(id, scope);
+  if (!entry) {
+    await editButtonMessage(query, '⚠️ That entry was already removed — nothing changed.');
+    return null;
+  }
+  const catalog = await getFluidCatalogForScope(scope);
+  const updated = { ...entry, ...changes, ...scope };
+  await db.updateLog(updated);
+  publishCareChange(scope, { action: 'update', source: 'telegram-edit', dayKey: entry.day_key, id });
+  const summary = await db.getDaySummary(entry.day_key, scope);
+  await editButtonMessage(
+    query,
+    `✏️ Changed to ${describeEntry(updated, catalog)}\n${formatDayTotals(summary, await getDailyLimitForScope(scope))}`
+  );
+  return 'Changed';
+}
+
+async function showEditFluids(query, scope, id) {
+  const entry = await db.getLogById(id, scope);
+  if (!entry) {
+    await editButtonMessage(query, '⚠️ That entry was already removed — nothing changed.');
+    return null;
+  }
+  const catalog = await getFluidCatalogForScope(scope);
+  const buttons = activeEntries(catalog, entry.entry_type)
+    .filter((fluid) => fluid.key !== entry.fluid_type)
+    .map((fluid) => button(`${fluid.icon || ''} ${fluid.label}`.trim(), `et:${id}:${fluid.key}`));
+  await bot.editMessageReplyMarkup({ inline_keyboard: [...chunkRows(buttons, 3), [button('‹ Back', `eb:${id}`)]] }, {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id,
+  });
+  return null;
+}
+
+/**
+ * Carry out one button press. Returns the short notice Telegram shows on
+ * the button, or null.
+ */
+async function handleButton(query, scope) {
+  const [kind, ...args] = query.data.split(':');
+  const id = /^\d+$/.test(args[0] || '') ? Number(args[0]) : null;
+
+  switch (kind) {
+    case 'q':
+      await editButtonMessage(query, '➕ What are you logging?', quickLogMenu(await getFluidCatalogForScope(scope)));
+      return null;
+    case 'qf':
+      await showQuickPortions(query, scope, args[0]);
+      return null;
+    case 'qa':
+      if (args[0] === 'poop') {
+        const amount = parseAmount(args[1]) ?? 0;
+        await editButtonMessage(query, '💩 *Poop* — what type?', {
+          inline_keyboard: [
+            POOP_SUBTYPES.map((subtype) => button(titleCase(subtype), `qp:${amount}:${subtype}`)),
+            [button('‹ Back', 'qf:poop')],
+          ],
+        });
+        return null;
+      }
+      return logQuickEntry(query, scope, { fluidKey: args[0], amount: parseAmount(args[1]) });
+    case 'qp':
+      return logQuickEntry(query, scope, { fluidKey: 'poop', amount: parseAmount(args[0]), subtype: args[1] });
+    case 'qd':
+      return logQuickEntry(query, scope, { fluidKey: args[0], amount: parseAmount(args[1]), subtype: args[2] || null, allowDuplicate: true });
+    case 'qg':
+      return logQuickGag(query, scope);
+    case 'qx':
+      await editButtonMessage(query, '👍 Nothing was logged.');
+      return null;
+    case 'u':
+      return id ? undoEntryFromButton(query, scope, id) : null;
+    case 'e':
+      return id ? openEntryEditor(query, scope, id) : null;
+    case 'ea': {
+      const amount = parseAmount(args[1]);
+      return id && amount !== null ? applyEntryEdit(query, scope, id, { amount_ml: amount || null }) : null;
+    }
+    case 'es':
+      return id && POOP_SUBTYPES.includes(args[1]) ? applyEntryEdit(query, scope, id, { subtype: args[1] }) : null;
+    case 'ef':
+      return id ? showEditFluids(query, scope, id) : null;
+    case 'et': {
+      const fluid = findEntry(await getFluidCatalogForScope(scope), args[1]);
+      if (!id || !fluid || fluid.archived_at) return 'That fluid is no longer in the catalog.';
+      return applyEntryEdit(query, scope, id, { fluid_type: fluid.key, entry_type: fluid.category, subtype: null });
+    }
+    case 'eb': {
+      const entry = id ? await db.getLogById(id, scope) : null;
+      if (!entry) return 'That entry was already removed.';
+      await bot.editMessageReplyMarkup(entryEditKeyboard(entry, await getFluidCatalogForScope(scope)), {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+      });
+      return null;
+    }
+    case 'ex':
+      await editButtonMessage(query, '👍 No changes made.');
+      return null;
+    default:
+      return null;
+  }
+}
+
+// /log — quick-log buttons for the patient's fluids
+bot.onText(/^\/log$/, async (msg) => {
+  const scope = await requireLinkedScope(msg);
+  if (!scope || !requireLoggingAccess(msg.chat.id, scope)) return;
+  try {
+    const catalog = await getFluidCatalogForScope(scope);
+    bot.sendMessage(msg.chat.id, '➕ What are you logging?', { reply_markup: quickLogMenu(catalog) });
+  } catch (err) {
+    console.error('[bot /log]', err);
+    bot.sendMessage(msg.chat.id, '❌ Error: ' + err.message);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Patient switching — families that track more than one patient
+// ---------------------------------------------------------------------------
+
+const NEEDS_LINK_TO_SWITCH = 'Switching patients needs a linked account. ' +
+  'Generate a code in Settings → Telegram on the dashboard and send it here as /link CODE.';
+
+function patientKeyboard(patients, currentId) {
+  const buttons = patients.map((p) => button(`${p.id === currentId ? '✓ ' : ''}${p.name}`, `p:${p.id}`));
+  return { inline_keyboard: chunkRows(buttons, 2) };
+}
+
+// /patient — show who this account logs for; /patient NAME switches to them
+bot.onText(/^\/patient(?:\s+(.+))?$/, async (msg, match) => {
+  const scope = await requireLinkedScope(msg, { allowArchivedPatient: true });
+  if (!scope) return;
+  const chatId = msg.chat.id;
+  if (!scope.link) return bot.sendMessage(chatId, NEEDS_LINK_TO_SWITCH);
+  try {
+    const patients = await db.getPatientsForFamily(scope.familyId);
+    if (match[1]) {
+      const patient = findPatientByName(patients, match[1]);
+      if (!patient) {
+        return bot.sendMessage(chatId, `⚠️ No patient called "${match[1].trim()}". This family tracks ${patients.map((p) => p.name).join(', ')}.`);
+      }
+      await db.setTelegramLinkPatient(scope.link.id, patient.id);
+      return bot.sendMessage(chatId, `✅ Now logging for *${patient.name}*.`, { parse_mode: 'Markdown' });
+    }
+    const current = patients.find((p) => p.id === scope.patientId);
+    if (patients.length < 2 && current) {
+      return bot.sendMessage(chatId, `👤 *${current.name}* is the only patient in this family.`, { parse_mode: 'Markdown' });
+    }
+    bot.sendMessage(chatId, `👤 Logging for *${current ? current.name : 'no one'}*. Switch to:`, {
+      parse_mode: 'Markdown',
+      reply_markup: patientKeyboard(patients, scope.patientId),
+    });
+  } catch (err) {
+    console.error('[bot /patient]', err);
+    bot.sendMessage(chatId, '❌ Error: ' + err.message);
+  }
+});
+
+// A p:<patientId> button. Viewers may switch too: it changes what they see, not the record.
+async function switchPatientFromButton(query, scope) {
+  if (!scope.link) return NEEDS_LINK_TO_SWITCH;
+  const patient = await db.getPatientForFamily(scope.familyId, query.data.slice(2));
+  if (!patient) return 'That patient is no longer tracked.';
+  await db.setTelegramLinkPatient(scope.link.id, patient.id);
+  await editButtonMessage(query, `✅ Now logging for *${patient.name}*.`);
+  return null;
+}
+
+bot.on('callback_query', async (query) => {
+  if (!query.message || !query.data) return bot.answerCallbackQuery(query.id).catch(() => {});
+  const scope = await requireLinkedScope(
+    { from: query.from, chat: query.message.chat },
+    { allowArchivedPatient: query.data.startsWith('p:') }
+  );
+  if (!scope) return bot.answerCallbackQuery(query.id).catch(() => {});
+  if (query.data.startsWith('p:')) {
+    let notice = null;
+    try {
+      notice = await switchPatientFromButton(query, scope);
+    } catch (err) {
+      console.error('[bot] Patient switch failed:', err);
+      notice = '❌ ' + err.message;
+    }
+    return bot.answerCallbackQuery(query.id, notice ? { text: notice, show_alert: true } : {}).catch(() => {});
+  }
+  if (!can(scope.role, 'care.log')) {
+    return bot.answerCallbackQuery(query.id, { text: VIEW_ONLY_MESSAGE, show_alert: true }).catch(() => {});
+  }
+
+  // Like messages, a redelivered button press is only acted on once.
+  let notice = null;
+  try {
+    const handled = await runOnceForKey(scope, `telegram-callback-${query.id}`, 'telegram button', async () => {
+      notice = await handleButton(query, scope);
+    });
+    if (!handled) console.log(`[bot] Skipping already handled button press ${query.id}`);
+  } catch (err) {
+    console.error('[bot] Button handling failed:', err);
+    notice = '❌ ' + err.message;
+  }
+  bot.answerCallbackQuery(query.id, notice ? { text: notice } : {}).catch(() => {});
 });
 
 // ---------------------------------------------------------------------------
@@ -7,13 +7,40 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const { Pool } = require('pg');
+const fluidCatalog = require('./fluid-catalog');
+const { defaultWellnessSlots } = require('./wellness-slots');
+const fluidBalance = require('./fluid-balance');
+const { computeDayKey, shiftDayKey } = require('./fluid-day');
+const { BACKUP_FORMAT_VERSION } = require('./backup-restore');
 
 const DEFAULT_FAMILY_ID = process.env.DEFAULT_FAMILY_ID || '00000000-0000-4000-8000-000000000001';
 const DEFAULT_PATIENT_ID = process.env.DEFAULT_PATIENT_ID || '00000000-0000-4000-8000-000000000101';
 const DEFAULT_FAMILY_NAME = process.env.DEFAULT_FAMILY_NAME || 'Touma Family';
 const DEFAULT_PATIENT_NAME = process.env.DEFAULT_PATIENT_NAME || 'Elina';
 
+// Used only when a caller logs a wellness check without naming a slot.
+const DEFAULT_WELLNESS_SLOT = defaultWellnessSlots()[0].key;
+
+const TELEGRAM_LINK_CODE_TTL_MINUTES = 15;
+// No 0/O/1/I so codes survive being read aloud or retyped from a phone screen.
+const TELEGRAM_LINK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Long enough to cover a device that stays offline over a weekend.
+const IDEMPOTENCY_KEY_TTL_DAYS = 7;
+
+// An invitation not accepted in this many days has to be resent.
+const INVITATION_TTL_DAYS = Math.max(1, parseInt(process.env.INVITATION_TTL_DAYS, 10) || 14);
+
+// Legacy Telegram allowlist. These users log to the default patient, and get
+// its reports and alerts, until they link their own account with /link.
+const AUTHORIZED_TELEGRAM_IDS = (process.env.AUTHORIZED_USER_IDS || '')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean)
+  .map((s) => parseInt(s, 10));
+
 const DEFAULT_SETTINGS = {
   child_name: DEFAULT_PATIENT_NAME,
   child_pronouns: 'she/her',
@@ -25,6 +52,12 @@ const DEFAULT_SETTINGS = {
   wellness_check_2: '22:00',
   warn_threshold_yellow: '70',
   warn_threshold_red: '90',
+  urine_rate_warn_ml_kg_hr: String(fluidBalance.DEFAULT_URINE_THRESHOLDS.warn),
+  urine_rate_low_ml_kg_hr: String(fluidBalance.DEFAULT_URINE_THRESHOLDS.low),
+  alert_no_urine_hours: '6',
+  alert_gag_count: '3',
+  alert_cyanosis_score: '7',
+  duplicate_window_minutes: '5',
   timezone: 'America/New_York',
   units: 'ml',
 };
@@ -48,7 +81,7 @@ function normalizeRow(row) {
   for (const key of ['id', 'timestamp', 'expires']) {
     if (row[key] !== undefined && row[key] !== null) row[key] = Number(row[key]);
   }
-  for (const key of ['amount_ml', 'weight_kg']) {
+  for (const key of ['amount_ml', 'weight_kg', 'medication_id', 'dose_amount', 'fluid_log_id']) {
     if (row[key] !== undefined && row[key] !== null) row[key] = Number(row[key]);
   }
   return row;
@@ -128,6 +161,116 @@ async function initSchema() {
       updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
     );
 
+    CREATE TABLE IF NOT EXISTS telegram_links (
+      id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      family_id   UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      patient_id  UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+      membership_id UUID REFERENCES family_memberships(id) ON DELETE CASCADE,
+      telegram_user_id BIGINT NOT NULL UNIQUE,
+      telegram_chat_id BIGINT,
+      telegram_username TEXT,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    CREATE TABLE IF NOT EXISTS telegram_link_codes (
+      code        TEXT PRIMARY KEY,
+      family_id   UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      patient_id  UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+      membership_id UUID REFERENCES family_memberships(id) ON DELETE CASCADE,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+      expires_at  TIMESTAMPTZ NOT NULL,
+      consumed_at TIMESTAMPTZ
+    );
+
+    CREATE TABLE IF NOT EXISTS display_tokens (
+      id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      family_id   UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      patient_id  UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+      name        TEXT NOT NULL,
+      token_hash  TEXT NOT NULL UNIQUE,
+      token_hint  TEXT NOT NULL,
+      created_by  TEXT,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+      expires_at  TIMESTAMPTZ,
+      last_used_at TIMESTAMPTZ,
+      revoked_at  TIMESTAMPTZ
+    );
+
+    CREATE TABLE IF NOT EXISTS fluid_catalog (
+      id          BIGSERIAL PRIMARY KEY,
+      family_id   UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      patient_id  UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+      key         TEXT NOT NULL,
+      label       TEXT NOT NULL,
+      icon        TEXT,
+      category    TEXT NOT NULL DEFAULT 'input',
+      color       TEXT,
+      default_portions INTEGER[] NOT NULL DEFAULT '{}',
+      sort_order  INTEGER NOT NULL DEFAULT 0,
+      archived_at TIMESTAMPTZ,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (family_id, patient_id, key)
+    );
+
+    CREATE TABLE IF NOT EXISTS scheduled_report_sends (
+      id          BIGSERIAL PRIMARY KEY,
+      family_id   UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      patient_id  UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+      slot        TEXT NOT NULL,
+      local_date  TEXT NOT NULL,
+      scheduled_time TEXT NOT NULL,
+      claimed_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+      sent_at     TIMESTAMPTZ,
+      recipients  INTEGER NOT NULL DEFAULT 0,
+      error       TEXT,
+      UNIQUE (family_id, patient_id, slot, local_date)
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id          BIGSERIAL PRIMARY KEY,
+      family_id   UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      patient_id  UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+      occurred_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      day_key     TEXT,
+      entity_type TEXT NOT NULL,
+      entity_id   TEXT,
+      action      TEXT NOT NULL CHECK (action IN ('create','update','delete')),
+      actor_type  TEXT NOT NULL DEFAULT 'system',
+      actor_id    TEXT,
+      actor_name  TEXT,
+      surface     TEXT,
+      before      JSONB,
+      after       JSONB
+    );
+
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      family_id   UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      key         TEXT NOT NULL,
+      request     TEXT NOT NULL,
+      status_code INTEGER,
+      response_body JSONB,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+      completed_at TIMESTAMPTZ,
+      PRIMARY KEY (family_id, key)
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_events (
+      id          BIGSERIAL PRIMARY KEY,
+      family_id   UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      patient_id  UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+      rule        TEXT NOT NULL,
+      dedupe_key  TEXT NOT NULL,
+      level       TEXT NOT NULL,
+      message     TEXT NOT NULL,
+      triggered_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      delivered_at TIMESTAMPTZ,
+      recipients  INTEGER NOT NULL DEFAULT 0,
+      error       TEXT,
+      UNIQUE (family_id, patient_id, rule, dedupe_key)
+    );
+
     CREATE TABLE IF NOT EXISTS fluid_logs (
       id          BIGSERIAL PRIMARY KEY,
       family_id   UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
@@ -142,6 +285,20 @@ async function initSchema() {
       source      TEXT DEFAULT 'telegram'
     );
 
+    CREATE TABLE IF NOT EXISTS attachments (
+      id            BIGSERIAL PRIMARY KEY,
+      family_id     UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      patient_id    UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+      fluid_log_id  BIGINT NOT NULL REFERENCES fluid_logs(id) ON DELETE CASCADE,
+      storage       TEXT NOT NULL,
+      storage_key   TEXT NOT NULL,
+      content_type  TEXT NOT NULL,
+      size_bytes    INTEGER NOT NULL,
+      original_name TEXT,
+      source        TEXT DEFAULT 'api',
+      created_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
     CREATE TABLE IF NOT EXISTS wellness_checks (
       id          BIGSERIAL PRIMARY KEY,
       family_id   UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
@@ -163,6 +320,37 @@ async function initSchema() {
       day_key     TEXT NOT NULL
     );
 
+    CREATE TABLE IF NOT EXISTS medications (
+      id             BIGSERIAL PRIMARY KEY,
+      family_id      UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      patient_id     UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+      name           TEXT NOT NULL,
+      aliases        TEXT[] NOT NULL DEFAULT '{}',
+      dose_amount    DOUBLE PRECISION,
+      dose_unit      TEXT,
+      route          TEXT,
+      schedule_times TEXT[] NOT NULL DEFAULT '{}',
+      notes          TEXT,
+      archived_at    TIMESTAMPTZ,
+      created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    CREATE TABLE IF NOT EXISTS medication_doses (
+      id             BIGSERIAL PRIMARY KEY,
+      family_id      UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      patient_id     UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+      medication_id  BIGINT NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+      timestamp      BIGINT NOT NULL,
+      day_key        TEXT NOT NULL,
+      scheduled_time TEXT,
+      status         TEXT NOT NULL CHECK (status IN ('given', 'skipped', 'late')),
+      dose_amount    DOUBLE PRECISION,
+      dose_unit      TEXT,
+      notes          TEXT,
+      source         TEXT DEFAULT 'api'
+    );
+
     CREATE TABLE IF NOT EXISTS settings (
       family_id   UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
       patient_id  UUID REFERENCES patients(id) ON DELETE CASCADE,
@@ -197,16 +385,38 @@ async function initSchema() {
     );
 
     CREATE INDEX IF NOT EXISTS idx_fluid_logs_patient_day ON fluid_logs (family_id, patient_id, day_key, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_attachments_fluid_log ON attachments (fluid_log_id);
     CREATE INDEX IF NOT EXISTS idx_wellness_patient_day ON wellness_checks (family_id, patient_id, day_key, timestamp);
     CREATE INDEX IF NOT EXISTS idx_gag_patient_day ON gag_events (family_id, patient_id, day_key, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_medications_patient ON medications (family_id, patient_id);
+    CREATE INDEX IF NOT EXISTS idx_medication_doses_patient_day ON medication_doses (family_id, patient_id, day_key, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_patient_day ON audit_log (family_id, patient_id, day_key, occurred_at);
+    CREATE INDEX IF NOT EXISTS idx_alert_events_patient ON alert_events (family_id, patient_id, triggered_at DESC);
     CREATE INDEX IF NOT EXISTS idx_weight_patient_date ON weight_logs (family_id, patient_id, date DESC);
     CREATE INDEX IF NOT EXISTS idx_family_memberships_clerk_user ON family_memberships (clerk_user_id) WHERE status='active';
     CREATE INDEX IF NOT EXISTS idx_family_invitations_email ON family_invitations (lower(email)) WHERE status='pending';
+    CREATE INDEX IF NOT EXISTS idx_telegram_links_family ON telegram_links (family_id, patient_id);
+    CREATE INDEX IF NOT EXISTS idx_display_tokens_family ON display_tokens (family_id, patient_id);
   `);
 
   await pool.query(`ALTER TABLE families ADD COLUMN IF NOT EXISTS clerk_org_id TEXT`);
   await pool.query(`ALTER TABLE families ADD COLUMN IF NOT EXISTS created_by_clerk_user_id TEXT`);
   await pool.query(`ALTER TABLE patients ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ`);
+  await pool.query(`ALTER TABLE family_memberships ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ`);
+  await pool.query(`ALTER TABLE family_invitations ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ`);
+  await pool.query(`ALTER TABLE family_invitations ADD COLUMN IF NOT EXISTS last_sent_at TIMESTAMPTZ`);
+  // Invitations from before expiry run out one window after they were sent.
+  await pool.query(
+    `UPDATE family_invitations SET expires_at = created_at + make_interval(days => $1)
+      WHERE expires_at IS NULL AND status='pending'`,
+    [INVITATION_TTL_DAYS]
+  );
+
+  // Wellness checks used to be keyed '5pm'/'10pm'; they now store the slot key.
+  await pool.query(
+    `UPDATE wellness_checks SET check_time = CASE check_time WHEN '5pm' THEN 'afternoon' ELSE 'evening' END
+      WHERE check_time IN ('5pm', '10pm')`
+  );
 
   await pool.query(
     `INSERT INTO families (id, name) VALUES ($1, $2)
@@ -308,6 +518,99 @@ async function getPrimaryPatientForFamily(familyId) {
   return rows[0] || null;
 }
 
+async function getPatientsForFamily(familyId, { includeArchived = false } = {}) {
+  if (!familyId) throw new Error('familyId is required');
+  const { rows } = await query(
+    `SELECT * FROM patients
+      WHERE family_id=$1 ${includeArchived ? '' : 'AND archived_at IS NULL'}
+      ORDER BY archived_at IS NOT NULL, created_at ASC, id ASC`,
+    [familyId]
+  );
+  return rows;
+}
+
+// An active (not archived) patient of the family, or null.
+async function getPatientForFamily(familyId, patientId) {
+  if (!familyId || !patientId) return null;
+  const { rows } = await query(
+    'SELECT * FROM patients WHERE id=$1 AND family_id=$2 AND archived_at IS NULL',
+    [patientId, familyId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Add a patient to a family with its own default settings and fluid catalog,
+ * so the new tracker starts out like a freshly onboarded one.
+ */
+async function createPatient({ familyId, name, pronouns = 'she/her' }) {
+  if (!familyId || !name) throw new Error('familyId and name are required');
+  const { rows } = await query(
+    `INSERT INTO patients (id, family_id, name, pronouns) VALUES (gen_random_uuid(), $1, $2, $3) RETURNING *`,
+    [familyId, name, pronouns]
+  );
+  const patient = rows[0];
+  await seedDefaultSettingsForPatient(familyId, patient.id, { child_name: name, child_pronouns: pronouns });
+  await seedFluidCatalogForPatient(familyId, patient.id);
+  return patient;
+}
+
+/**
+ * Rename, archive or restore a patient. Archiving leaves the Telegram and
+ * Alexa links that point at the patient alone: their next message asks the
+ * caregiver to pick another patient instead of logging to one they didn't
+ * choose. It is refused ({ ok: false, reason: 'last_patient' }) for the
+ * family's only active patient, and ('default_patient') for DEFAULT_PATIENT_ID,
+ * which the API key, shared login, display token and AUTHORIZED_USER_IDS
+ * fallbacks all log to.
+ */
+async function updatePatient(familyId, patientId, { name, archived } = {}) {
+  if (!familyId || !patientId) throw new Error('familyId and patientId are required');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: patients } = await client.query(
+      'SELECT * FROM patients WHERE family_id=$1 ORDER BY created_at ASC, id ASC FOR UPDATE',
+      [familyId]
+    );
+    const patient = patients.find((p) => p.id === patientId);
+    if (!patient) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'not_found' };
+    }
+    if (name !== undefined) {
+      await client.query('UPDATE patients SET name=$2 WHERE id=$1', [patientId, name]);
+      await client.query(
+        `INSERT INTO settings (family_id, patient_id, key, value) VALUES ($1,$2,'child_name',$3)
+         ON CONFLICT (family_id, patient_id, key) DO UPDATE SET value=EXCLUDED.value`,
+        [familyId, patientId, name]
+      );
+    }
+    if (archived === true && !patient.archived_at) {
+      if (!patients.some((p) => p.id !== patientId && !p.archived_at)) {
+        await client.query('ROLLBACK');
+        return { ok: false, reason: 'last_patient' };
+      }
+      if (familyId === DEFAULT_FAMILY_ID && patientId === DEFAULT_PATIENT_ID) {
+        await client.query('ROLLBACK');
+        return { ok: false, reason: 'default_patient' };
+      }
+      await client.query('UPDATE patients SET archived_at=now() WHERE id=$1', [patientId]);
+    } else if (archived === false) {
+      await client.query('UPDATE patients SET archived_at=NULL WHERE id=$1', [patientId]);
+    }
+    const updated = (await client.query('SELECT * FROM patients WHERE id=$1', [patientId])).rows[0];
+    await client.query('COMMIT');
+    if (familyId === DEFAULT_FAMILY_ID && patientId === DEFAULT_PATIENT_ID && name !== undefined) settingsCache.set('child_name', name);
+    return { ok: true, patient: updated };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 async function getFamilyMembershipsByClerkUserId(clerkUserId) {
   if (!clerkUserId) return [];
   const { rows } = await query(
@@ -334,6 +637,19 @@ async function getFamilyMembershipByEmail(email) {
   return rows;
 }
 
+/**
+ * The member's row in a family whatever its status, so a removed member can
+ * be told apart from someone who was never in the family.
+ */
+async function getFamilyMembershipForUser(familyId, clerkUserId) {
+  if (!familyId || !clerkUserId) return null;
+  const { rows } = await query(
+    'SELECT * FROM family_memberships WHERE family_id=$1 AND clerk_user_id=$2',
+    [familyId, clerkUserId]
+  );
+  return rows[0] || null;
+}
+
 async function upsertFamilyMembership({ familyId, clerkUserId, email, displayName, role = 'caregiver', status = 'active' }) {
   if (!familyId || !clerkUserId) throw new Error('familyId and clerkUserId are required');
   const { rows } = await query(
@@ -344,6 +660,7 @@ async function upsertFamilyMembership({ familyId, clerkUserId, email, displayNam
        display_name=COALESCE(EXCLUDED.display_name, family_memberships.display_name),
        role=EXCLUDED.role,
        status=EXCLUDED.status,
+       removed_at=CASE WHEN EXCLUDED.status='active' THEN NULL ELSE family_memberships.removed_at END,
        updated_at=now()
      RETURNING *`,
     [familyId, clerkUserId, email || null, displayName || null, role, status]
@@ -355,7 +672,7 @@ async function acceptPendingInvitations({ clerkUserId, email, displayName }) {
   if (!clerkUserId || !email) return [];
   const { rows: invitations } = await query(
     `UPDATE family_invitations SET status='accepted', accepted_at=now()
-      WHERE lower(email)=lower($1) AND status='pending'
+      WHERE lower(email)=lower($1) AND status='pending' AND expires_at > now()
       RETURNING *`,
     [email]
   );
@@ -376,20 +693,110 @@ async function acceptPendingInvitations({ clerkUserId, email, displayName }) {
 async function createFamilyInvitation({ familyId, email, role = 'caregiver', invitedByClerkUserId = null }) {
   if (!familyId || !email) throw new Error('familyId and email are required');
   const { rows } = await query(
-    `INSERT INTO family_invitations (family_id, email, role, invited_by_clerk_user_id, status)
-     VALUES ($1, lower($2), $3, $4, 'pending')
+    `INSERT INTO family_invitations (family_id, email, role, invited_by_clerk_user_id, status, expires_at, last_sent_at)
+     VALUES ($1, lower($2), $3, $4, 'pending', now() + make_interval(days => $5), now())
      ON CONFLICT (family_id, email) DO UPDATE SET
        role=EXCLUDED.role,
        invited_by_clerk_user_id=EXCLUDED.invited_by_clerk_user_id,
        status='pending',
        created_at=now(),
-       accepted_at=NULL
+       accepted_at=NULL,
+       expires_at=EXCLUDED.expires_at,
+       last_sent_at=now()
      RETURNING *`,
-    [familyId, email, role, invitedByClerkUserId]
+    [familyId, email, role, invitedByClerkUserId, INVITATION_TTL_DAYS]
   );
   return rows[0];
 }
 
+async function getFamilyInvitation(familyId, invitationId) {
+  if (!familyId || !invitationId) return null;
+  const { rows } = await query('SELECT * FROM family_invitations WHERE id=$1 AND family_id=$2', [invitationId, familyId]);
+  return rows[0] || null;
+}
+
+/**
+ * Give a pending (or expired) invitation a fresh expiry window before its
+ * email is sent again. Returns null for accepted or revoked invitations.
+ */
+async function renewFamilyInvitation(familyId, invitationId) {
+  const { rows } = await query(
+    `UPDATE family_invitations
+        SET expires_at = now() + make_interval(days => $3), last_sent_at = now()
+      WHERE id=$1 AND family_id=$2 AND status='pending'
+      RETURNING *`,
+    [invitationId, familyId, INVITATION_TTL_DAYS]
+  );
+  return rows[0] || null;
+}
+
+async function revokeFamilyInvitation(familyId, invitationId) {
+  const result = await query(
+    `UPDATE family_invitations SET status='revoked' WHERE id=$1 AND family_id=$2 AND status='pending'`,
+    [invitationId, familyId]
+  );
+  return { changes: result.rowCount };
+}
+
+/**
+ * Change or remove an active membership while holding the family's active
+ * membership rows, so two admins can't each demote one of the last two
+ * owners. `change` is { role } or { remove: true }. Resolves to
+ * { ok: true, membership, previous } or { ok: false, reason } with reason
+ * 'not_found' or 'last_owner'.
+ *
+ * Removing a member is a status change (the row keeps the audit trail's
+ * actor history); their Telegram and Alexa links to the family go with it.
+ */
+async function changeFamilyMembership(familyId, membershipId, change) {
+  if (!familyId || !membershipId) throw new Error('familyId and membershipId are required');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: members } = await client.query(
+      `SELECT * FROM family_memberships WHERE family_id=$1 AND status='active' FOR UPDATE`,
+      [familyId]
+    );
+    const previous = members.find((member) => member.id === membershipId);
+    if (!previous) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'not_found' };
+    }
+    const losesOwner = previous.role === 'owner' && (change.remove || change.role !== 'owner');
+    if (losesOwner && members.filter((member) => member.role === 'owner').length === 1) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'last_owner' };
+    }
+
+    let membership;
+    if (change.remove) {
+      membership = (await client.query(
+        `UPDATE family_memberships SET status='removed', removed_at=now(), updated_at=now()
+          WHERE id=$1 RETURNING *`,
+        [membershipId]
+      )).rows[0];
+      await client.query('DELETE FROM telegram_links WHERE membership_id=$1', [membershipId]);
+      await client.query('DELETE FROM telegram_link_codes WHERE membership_id=$1 AND consumed_at IS NULL', [membershipId]);
+      await client.query(
+        'DELETE FROM alexa_account_links WHERE family_id=$1 AND auth_subject=$2',
+        [familyId, previous.clerk_user_id]
+      );
+    } else {
+      membership = (await client.query(
+        'UPDATE family_memberships SET role=$2, updated_at=now() WHERE id=$1 RETURNING *',
+        [membershipId, change.role]
+      )).rows[0];
+    }
+    await client.query('COMMIT');
+    return { ok: true, membership, previous };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 async function getFamilyAccessList(familyId) {
   if (!familyId) throw new Error('familyId is required');
   const { rows } = await query(
@@ -405,7 +812,9 @@ async function getFamilyAccessList(familyId) {
          fi.id::text AS invitation_id,
          fi.status AS invitation_status,
          fi.created_at AS invited_at,
-         fi.accepted_at
+         fi.accepted_at,
+         NULL::timestamptz AS expires_at,
+         NULL::timestamptz AS last_sent_at
        FROM family_memberships fm
        LEFT JOIN family_invitations fi
          ON fi.family_id = fm.family_id
@@ -424,7 +833,9 @@ async function getFamilyAccessList(familyId) {
          fi.id::text AS invitation_id,
          fi.status AS invitation_status,
          fi.created_at AS invited_at,
-         fi.accepted_at
+         fi.accepted_at,
+         fi.expires_at,
+         fi.last_sent_at
        FROM family_invitations fi
        WHERE fi.family_id = $1
          AND fi.status = 'pending'
@@ -446,18 +857,27 @@ async function getFamilyAccessList(familyId) {
        lower(email) ASC`,
     [familyId]
   );
-  return rows.map((row) => ({
-    id: row.id,
-    email: row.email,
-    display_name: row.display_name,
-    role: row.role,
-    status: row.membership_status === 'active' ? 'active' : 'pending',
-    invitation_status: row.invitation_status || null,
-    invited_at: row.invited_at,
-    accepted_at: row.accepted_at || (row.invitation_status === 'accepted' ? row.joined_at : null),
-    joined_at: row.joined_at,
-    updated_at: row.updated_at,
-  }));
+  const now = Date.now();
+  return rows.map((row) => {
+    let status = 'pending';
+    if (row.membership_status === 'active') status = 'active';
+    else if (row.expires_at && new Date(row.expires_at).getTime() <= now) status = 'expired';
+    return {
+      id: row.id,
+      email: row.email,
+      display_name: row.display_name,
+      role: row.role,
+      status,
+      invitation_id: row.invitation_id || null,
+      invitation_status: row.invitation_status || null,
+      invited_at: row.invited_at,
+      accepted_at: row.accepted_at || (row.invitation_status === 'accepted' ? row.joined_at : null),
+      expires_at: row.expires_at,
+      last_sent_at: row.last_sent_at,
+      joined_at: row.joined_at,
+      updated_at: row.updated_at,
+    };
+  });
 }
 
 async function createFamilyWithPatient({ familyName, patientName, pronouns = 'she/her', clerkUserId, email, displayName }) {
@@ -499,25 +919,130 @@ async function createFamilyWithPatient({ familyName, patientName, pronouns = 'sh
 
 const ready = initSchema();
 
+/**
+ * Fluid-day key for a moment by the default patient's clock. Everything that
+ * has a scope should use getDayKeyForScope: other patients keep their own
+ * timezone and day start hour.
+ */
 function getDayKey(date = new Date()) {
   const tz = getSetting('timezone') || process.env.TZ || 'America/New_York';
-  const localStr = date.toLocaleString('en-CA', {
-    timeZone: tz,
-    hour12: false,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-  const [datePart, timePart] = localStr.split(', ');
-  const [hStr] = timePart.split(':');
-  const hour = parseInt(hStr, 10);
-  const [year, month, day] = datePart.split('-').map(Number);
-  const dateObj = new Date(year, month - 1, day);
-  const dayStartHour = parseInt(getSetting('day_start_hour'), 10) || 7;
-  if (hour < dayStartHour) dateObj.setDate(dateObj.getDate() - 1);
-  return dateObj.toISOString().slice(0, 10);
+  return computeDayKey(date, tz, getSetting('day_start_hour'));
+}
+
+/**
+ * The timezone and day start hour a scope's patient files entries by.
+ */
+async function getDayClock(scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    `SELECT key, value FROM settings
+      WHERE family_id=$1 AND patient_id=$2 AND key IN ('timezone', 'day_start_hour')`,
+    [familyId, patientId]
+  );
+  const settings = settingsForRows(rows);
+  return {
+    timezone: settings.get('timezone') || process.env.TZ || 'America/New_York',
+    dayStartHour: settings.get('day_start_hour'),
+  };
+}
+
+// Fluid-day key for a moment in the scope's patient's timezone and day start hour.
+async function getDayKeyForScope(scope = {}, date = new Date()) {
+  const { timezone, dayStartHour } = await getDayClock(scope);
+  return computeDayKey(date, timezone, dayStartHour);
+}
+
+// Tables whose rows are filed under the fluid day their timestamp falls in.
+const DAY_KEYED_ENTITIES = {
+  fluid_logs: 'fluid_log',
+  wellness_checks: 'wellness_check',
+  gag_events: 'gag_event',
+  medication_doses: 'medication_dose',
+};
+
+/**
+ * Re-file a patient's entries after its timezone or day start hour changed.
+ * `previous` ({ timezone, dayStartHour }) is the clock they were filed by:
+ * each row whose day_key is what that clock gives its timestamp moves to the
+ * day the patient's current clock gives. Rows filed on another day on purpose
+ * ("yesterday:" messages, backfilled dates) don't match and stay put, as do
+ * weights, which are logged against a chosen date. Moves are audited.
+ */
+async function rekeyDayKeys(scope, previous, { dryRun = false } = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const current = await getDayClock(scope);
+  const tables = {};
+  const moved = [];
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const [table, entityType] of Object.entries(DAY_KEYED_ENTITIES)) {
+      const { rows } = await client.query(
+        `SELECT * FROM ${table} WHERE family_id=$1 AND patient_id=$2 ORDER BY id FOR UPDATE`,
+        [familyId, patientId]
+      );
+      const counts = { checked: rows.length, moved: 0, skipped: 0 };
+      for (const row of rows) {
+        const at = new Date(Number(row.timestamp));
+        if (row.day_key !== computeDayKey(at, previous.timezone, previous.dayStartHour)) {
+          counts.skipped += 1;
+          continue;
+        }
+        const dayKey = computeDayKey(at, current.timezone, current.dayStartHour);
+        if (dayKey === row.day_key) continue;
+        counts.moved += 1;
+        if (dryRun) continue;
+        await client.query(`UPDATE ${table} SET day_key=$2 WHERE id=$1`, [row.id, dayKey]);
+        moved.push({ entityType, before: normalizeRow(row), after: normalizeRow({ ...row, day_key: dayKey }) });
+      }
+      tables[table] = counts;
+    }
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  for (const { entityType, before, after } of moved) {
+    await recordAudit(scope, { entityType, entityId: after.id, action: 'update', before, after });
+  }
+  return { familyId, patientId, previous, current, dryRun, tables };
+}
+
+/**
+ * Append a row to audit_log. `scope.actor` ({ type, id, name, surface }) names
+ * who made the change; writes without one are recorded as 'system'. The log is
+ * append-only — nothing in the app updates or deletes its rows — and a failed
+ * audit write is logged rather than failing the care entry it describes.
+ */
+async function recordAudit(scope, { entityType, entityId, action, dayKey, before = null, after = null }) {
+  const { familyId, patientId } = scopeIds(scope);
+  const actor = scope.actor || {};
+  try {
+    await query(
+      `INSERT INTO audit_log (family_id, patient_id, day_key, entity_type, entity_id, action, actor_type, actor_id, actor_name, surface, before, after)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)`,
+      [
+        familyId, patientId, dayKey ?? after?.day_key ?? before?.day_key ?? null,
+        entityType, entityId !== undefined && entityId !== null ? String(entityId) : null, action,
+        actor.type || 'system', actor.id ?? null, actor.name ?? null, actor.surface ?? null,
+        before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null,
+      ]
+    );
+  } catch (err) {
+    console.error(`[audit] Failed to record ${action} ${entityType} ${entityId}:`, err.message);
+  }
+}
+
+async function getAuditLogByDay(dayKey, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    `SELECT * FROM audit_log WHERE family_id=$1 AND patient_id=$2 AND day_key=$3
+     ORDER BY occurred_at DESC, id DESC`,
+    [familyId, patientId, dayKey]
+  );
+  return rows.map(normalizeRow);
 }
 
 async function logEntry(entry) {
@@ -525,7 +1050,7 @@ async function logEntry(entry) {
   const now = Date.now();
   const row = {
     timestamp: entry.timestamp || now,
-    day_key: entry.day_key || getDayKey(new Date(entry.timestamp || now)),
+    day_key: entry.day_key || await getDayKeyForScope(entry, new Date(entry.timestamp || now)),
     entry_type: entry.entry_type,
     fluid_type: entry.fluid_type,
     amount_ml: entry.amount_ml ?? null,
@@ -538,7 +1063,9 @@ async function logEntry(entry) {
      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *`,
     [familyId, patientId, row.timestamp, row.day_key, row.entry_type, row.fluid_type, row.amount_ml, row.subtype, row.notes, row.source]
   );
-  return normalizeRow(rows[0]);
+  const created = normalizeRow(rows[0]);
+  await recordAudit(entry, { entityType: 'fluid_log', entityId: created.id, action: 'create', after: created });
+  return created;
 }
 
 async function getLogsByDay(dayKey, scope = {}) {
@@ -550,10 +1077,11 @@ async function getLogsByDay(dayKey, scope = {}) {
   return rows.map(normalizeRow);
 }
 
-async function getLastLog() {
+async function getLastLog(scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
   const { rows } = await query(
     'SELECT * FROM fluid_logs WHERE family_id=$1 AND patient_id=$2 ORDER BY id DESC LIMIT 1',
-    [DEFAULT_FAMILY_ID, DEFAULT_PATIENT_ID]
+    [familyId, patientId]
   );
   return normalizeRow(rows[0]) || null;
 }
@@ -569,32 +1097,99 @@ async function getLogById(id, scope = {}) {
 
 async function updateLog(entry) {
   const { familyId, patientId } = scopeIds(entry);
+  const before = await getLogById(entry.id, entry);
   const result = await query(
     `UPDATE fluid_logs SET timestamp=$4, day_key=$5, entry_type=$6, fluid_type=$7, amount_ml=$8, subtype=$9, notes=$10
-     WHERE family_id=$1 AND patient_id=$2 AND id=$3`,
+     WHERE family_id=$1 AND patient_id=$2 AND id=$3 RETURNING *`,
     [familyId, patientId, entry.id, entry.timestamp, entry.day_key, entry.entry_type, entry.fluid_type, entry.amount_ml ?? null, entry.subtype ?? null, entry.notes ?? null]
   );
+  if (result.rows[0]) {
+    await recordAudit(entry, { entityType: 'fluid_log', entityId: entry.id, action: 'update', before, after: normalizeRow(result.rows[0]) });
+  }
   return { changes: result.rowCount };
 }
 
 async function deleteLog(id, scope = {}) {
   const { familyId, patientId } = scopeIds(scope);
-  const result = await query('DELETE FROM fluid_logs WHERE family_id=$1 AND patient_id=$2 AND id=$3', [familyId, patientId, id]);
+  const result = await query('DELETE FROM fluid_logs WHERE family_id=$1 AND patient_id=$2 AND id=$3 RETURNING *', [familyId, patientId, id]);
+  for (const row of result.rows) {
+    await recordAudit(scope, { entityType: 'fluid_log', entityId: id, action: 'delete', before: normalizeRow(row) });
+  }
   return { changes: result.rowCount };
 }
 
-async function getLogsForDays(days) {
-  const keys = [];
-  const d = new Date();
-  for (let i = 0; i < days; i++) {
-    const shifted = new Date(d);
-    shifted.setDate(shifted.getDate() - i);
-    keys.push(getDayKey(shifted));
+/**
+ * Record a stored photo against a fluid entry. The file itself is written by
+ * attachment-store.js first; `storage` says which store holds it.
+ */
+async function createAttachment(attachment) {
+  const { familyId, patientId } = scopeIds(attachment);
+  const { rows } = await query(
+    `INSERT INTO attachments (family_id, patient_id, fluid_log_id, storage, storage_key, content_type, size_bytes, original_name, source)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING *`,
+    [
+      familyId, patientId, attachment.fluid_log_id, attachment.storage, attachment.storage_key,
+      attachment.content_type, attachment.size_bytes, attachment.original_name ?? null, attachment.source || 'api',
+    ]
+  );
+  const created = normalizeRow(rows[0]);
+  await recordAudit(attachment, { entityType: 'attachment', entityId: created.id, action: 'create', after: created });
+  return created;
+}
+
+async function getAttachmentById(id, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    'SELECT * FROM attachments WHERE family_id=$1 AND patient_id=$2 AND id=$3',
+    [familyId, patientId, id]
+  );
+  return normalizeRow(rows[0]) || null;
+}
+
+async function getAttachmentsForLogs(logIds, scope = {}) {
+  if (!logIds.length) return [];
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    `SELECT * FROM attachments WHERE family_id=$1 AND patient_id=$2 AND fluid_log_id = ANY($3::bigint[])
+     ORDER BY created_at ASC, id ASC`,
+    [familyId, patientId, logIds]
+  );
+  return rows.map(normalizeRow);
+}
+
+/**
+ * Delete an attachment row and return it (null if there was none), so the
+ * caller can remove the file once nothing else points at it.
+ */
+async function deleteAttachment(id, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    'DELETE FROM attachments WHERE family_id=$1 AND patient_id=$2 AND id=$3 RETURNING *',
+    [familyId, patientId, id]
+  );
+  const deleted = normalizeRow(rows[0]) || null;
+  if (deleted) {
+    await recordAudit(scope, { entityType: 'attachment', entityId: id, action: 'delete', before: deleted });
   }
-  const unique = [...new Set(keys)];
+  return deleted;
+}
+
+// The same photo attached twice shares one stored file.
+async function countAttachmentsWithKey(storage, storageKey) {
+  const { rows } = await query(
+    'SELECT count(*)::int AS count FROM attachments WHERE storage=$1 AND storage_key=$2',
+    [storage, storageKey]
+  );
+  return rows[0].count;
+}
+
+async function getLogsForDays(days, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const todayKey = await getDayKeyForScope(scope);
+  const keys = Array.from({ length: days }, (_, i) => shiftDayKey(todayKey, -i));
   const { rows } = await query(
     'SELECT * FROM fluid_logs WHERE family_id=$1 AND patient_id=$2 AND day_key = ANY($3) ORDER BY timestamp ASC, id ASC',
-    [DEFAULT_FAMILY_ID, DEFAULT_PATIENT_ID, unique]
+    [familyId, patientId, keys]
   );
   return rows.map(normalizeRow);
 }
@@ -604,8 +1199,8 @@ async function logWellness(entry) {
   const now = Date.now();
   const row = {
     timestamp: entry.timestamp || now,
-    day_key: entry.day_key || getDayKey(new Date(entry.timestamp || now)),
-    check_time: entry.check_time || '5pm',
+    day_key: entry.day_key || await getDayKeyForScope(entry, new Date(entry.timestamp || now)),
+    check_time: entry.check_time || DEFAULT_WELLNESS_SLOT,
     appetite: entry.appetite ?? null,
     energy: entry.energy ?? null,
     mood: entry.mood ?? null,
@@ -616,7 +1211,9 @@ async function logWellness(entry) {
      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING *`,
     [familyId, patientId, row.timestamp, row.day_key, row.check_time, row.appetite, row.energy, row.mood, row.cyanosis]
   );
-  return normalizeRow(rows[0]);
+  const created = normalizeRow(rows[0]);
+  await recordAudit(entry, { entityType: 'wellness_check', entityId: created.id, action: 'create', after: created });
+  return created;
 }
 
 async function getWellnessByDay(dayKey, scope = {}) {
@@ -628,26 +1225,22 @@ async function getWellnessByDay(dayKey, scope = {}) {
   return rows.map(normalizeRow);
 }
 
-async function getLastWellness() {
+async function getLastWellness(scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
   const { rows } = await query(
-    'SELECT * FROM wellness_checks WHERE family_id=$1 AND patient_id=$2 ORDER BY id DESC LIMIT 1',
-    [DEFAULT_FAMILY_ID, DEFAULT_PATIENT_ID]
+    'SELECT * FROM wellness_checks WHERE family_id=$1 AND patient_id=$2 ORDER BY timestamp DESC, id DESC LIMIT 1',
+    [familyId, patientId]
   );
   return normalizeRow(rows[0]) || null;
 }
 
-async function getWellnessForDays(days) {
-  const keys = [];
-  const d = new Date();
-  for (let i = 0; i < days; i++) {
-    const shifted = new Date(d);
-    shifted.setDate(shifted.getDate() - i);
-    keys.push(getDayKey(shifted));
-  }
-  const unique = [...new Set(keys)];
+async function getWellnessForDays(days, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const todayKey = await getDayKeyForScope(scope);
+  const keys = Array.from({ length: days }, (_, i) => shiftDayKey(todayKey, -i));
   const { rows } = await query(
     'SELECT * FROM wellness_checks WHERE family_id=$1 AND patient_id=$2 AND day_key = ANY($3) ORDER BY timestamp ASC, id ASC',
-    [DEFAULT_FAMILY_ID, DEFAULT_PATIENT_ID, unique]
+    [familyId, patientId, keys]
   );
   return rows.map(normalizeRow);
 }
@@ -665,8 +1258,8 @@ async function getLatestWellnessEntry(dayKey, checkTime, scope = {}) {
 async function upsertWellness(entry) {
   const { familyId, patientId } = scopeIds(entry);
   const now = entry.timestamp || Date.now();
-  const dayKey = entry.day_key || getDayKey(new Date(now));
-  const checkTime = entry.check_time || '5pm';
+  const dayKey = entry.day_key || await getDayKeyForScope(entry, new Date(now));
+  const checkTime = entry.check_time || DEFAULT_WELLNESS_SLOT;
   const existing = await getLatestWellnessEntry(dayKey, checkTime, entry);
   if (existing) {
     const result = await query(
@@ -674,27 +1267,34 @@ async function upsertWellness(entry) {
        WHERE family_id=$1 AND patient_id=$2 AND id=$3 RETURNING *`,
       [familyId, patientId, existing.id, now, dayKey, checkTime, entry.appetite ?? null, entry.energy ?? null, entry.mood ?? null, entry.cyanosis ?? null]
     );
-    return normalizeRow(result.rows[0]);
+    const updated = normalizeRow(result.rows[0]);
+    await recordAudit(entry, { entityType: 'wellness_check', entityId: existing.id, action: 'update', before: existing, after: updated });
+    return updated;
   }
-  return logWellness({ timestamp: now, day_key: dayKey, check_time: checkTime, appetite: entry.appetite ?? null, energy: entry.energy ?? null, mood: entry.mood ?? null, cyanosis: entry.cyanosis ?? null, familyId, patientId });
+  return logWellness({ timestamp: now, day_key: dayKey, check_time: checkTime, appetite: entry.appetite ?? null, energy: entry.energy ?? null, mood: entry.mood ?? null, cyanosis: entry.cyanosis ?? null, familyId, patientId, actor: entry.actor });
 }
 
 async function deleteWellness(dayKey, checkTime, scope = {}) {
   const { familyId, patientId } = scopeIds(scope);
-  const result = await query('DELETE FROM wellness_checks WHERE family_id=$1 AND patient_id=$2 AND day_key=$3 AND check_time=$4', [familyId, patientId, dayKey, checkTime]);
+  const result = await query('DELETE FROM wellness_checks WHERE family_id=$1 AND patient_id=$2 AND day_key=$3 AND check_time=$4 RETURNING *', [familyId, patientId, dayKey, checkTime]);
+  for (const row of result.rows) {
+    await recordAudit(scope, { entityType: 'wellness_check', entityId: row.id, action: 'delete', before: normalizeRow(row) });
+  }
   return { changes: result.rowCount };
 }
 
 async function logGag(count = 1, timestamp = Date.now(), dayKeyOverride = null, scope = {}) {
   const { familyId, patientId } = scopeIds(scope);
-  const dayKey = dayKeyOverride || getDayKey(new Date(timestamp));
+  const dayKey = dayKeyOverride || await getDayKeyForScope(scope, new Date(timestamp));
   const results = [];
   for (let i = 0; i < count; i++) {
     const { rows } = await query(
       'INSERT INTO gag_events (family_id, patient_id, timestamp, day_key) VALUES ($1,$2,$3,$4) RETURNING *',
       [familyId, patientId, timestamp + i, dayKey]
     );
-    results.push(normalizeRow(rows[0]));
+    const created = normalizeRow(rows[0]);
+    await recordAudit(scope, { entityType: 'gag_event', entityId: created.id, action: 'create', after: created });
+    results.push(created);
   }
   return results;
 }
@@ -716,7 +1316,11 @@ async function getGagById(id, scope = {}) {
 
 async function updateGag(entry) {
   const { familyId, patientId } = scopeIds(entry);
-  const result = await query('UPDATE gag_events SET timestamp=$4, day_key=$5 WHERE family_id=$1 AND patient_id=$2 AND id=$3', [familyId, patientId, entry.id, entry.timestamp, entry.day_key]);
+  const before = await getGagById(entry.id, entry);
+  const result = await query('UPDATE gag_events SET timestamp=$4, day_key=$5 WHERE family_id=$1 AND patient_id=$2 AND id=$3 RETURNING *', [familyId, patientId, entry.id, entry.timestamp, entry.day_key]);
+  if (result.rows[0]) {
+    await recordAudit(entry, { entityType: 'gag_event', entityId: entry.id, action: 'update', before, after: normalizeRow(result.rows[0]) });
+  }
   return { changes: result.rowCount };
 }
 
@@ -728,20 +1332,57 @@ async function deleteLastGag() {
 
 async function deleteGag(id, scope = {}) {
   const { familyId, patientId } = scopeIds(scope);
-  const result = await query('DELETE FROM gag_events WHERE family_id=$1 AND patient_id=$2 AND id=$3', [familyId, patientId, id]);
+  const result = await query('DELETE FROM gag_events WHERE family_id=$1 AND patient_id=$2 AND id=$3 RETURNING *', [familyId, patientId, id]);
+  for (const row of result.rows) {
+    await recordAudit(scope, { entityType: 'gag_event', entityId: id, action: 'delete', before: normalizeRow(row) });
+  }
   return { changes: result.rowCount };
 }
 
-async function getDaySummary(dayKey, scope = {}) {
+/**
+ * Everything logged for a fluid day, plus net balance and the urine output
+ * rate (ml/kg/hr) against the latest weight on or before that day.
+ */
+async function getDaySummary(dayKey, scope = {}, now = new Date()) {
   const logs = await getLogsByDay(dayKey, scope);
   const wellness = collapseLatestWellnessRows(await getWellnessByDay(dayKey, scope));
   const gags = await getGagsByDay(dayKey, scope);
+  const [weight] = await getWeightHistoryUpTo(dayKey, 1, scope);
+  const settings = await getSettings(scope);
   const inputs = logs.filter((l) => l.entry_type === 'input');
   const outputs = logs.filter((l) => l.entry_type === 'output');
   const totalIntake = inputs.reduce((sum, l) => sum + (l.amount_ml || 0), 0);
   const intakeByType = {};
   for (const l of inputs) intakeByType[l.fluid_type] = (intakeByType[l.fluid_type] || 0) + (l.amount_ml || 0);
-  return { dayKey, totalIntake, intakeByType, inputs, outputs, wellness, gags, gagCount: gags.length };
+
+  const tz = settings.timezone || process.env.TZ || 'America/New_York';
+  const dayStartHour = parseInt(settings.day_start_hour, 10);
+  const hours = fluidBalance.elapsedDayHours(
+    dayKey,
+    computeDayKey(now, tz, settings.day_start_hour),
+    now,
+    tz,
+    isNaN(dayStartHour) ? 7 : dayStartHour
+  );
+  const balance = fluidBalance.computeFluidBalance({
+    inputs,
+    outputs,
+    weightKg: weight?.weight_kg,
+    hours,
+    thresholds: fluidBalance.urineThresholdsFromSettings(settings),
+  });
+  return {
+    dayKey,
+    totalIntake,
+    intakeByType,
+    inputs,
+    outputs,
+    wellness,
+    gags,
+    gagCount: gags.length,
+    ...balance,
+    weightDate: weight?.date ?? null,
+  };
 }
 
 function collapseLatestWellnessRows(rows) {
@@ -772,6 +1413,7 @@ async function initDefaultSettings() {
 
 async function logWeight(date, weight_kg, notes, scope = {}) {
   const { familyId, patientId } = scopeIds(scope);
+  const before = await getWeightForDate(date, scope);
   const logged_at = new Date().toISOString();
   const { rows } = await query(
     `INSERT INTO weight_logs (family_id, patient_id, date, weight_kg, logged_at, notes)
@@ -780,7 +1422,9 @@ async function logWeight(date, weight_kg, notes, scope = {}) {
      RETURNING *`,
     [familyId, patientId, date, weight_kg, logged_at, notes ?? null]
   );
-  return normalizeRow(rows[0]);
+  const saved = normalizeRow(rows[0]);
+  await recordAudit(scope, { entityType: 'weight_log', entityId: saved.id, action: before ? 'update' : 'create', dayKey: date, before, after: saved });
+  return saved;
 }
 
 async function getWeightForDate(date, scope = {}) {
@@ -803,18 +1447,30 @@ async function getWeightHistoryUpTo(date, days, scope = {}) {
 
 async function deleteWeight(date, scope = {}) {
   const { familyId, patientId } = scopeIds(scope);
-  const result = await query('DELETE FROM weight_logs WHERE family_id=$1 AND patient_id=$2 AND date=$3', [familyId, patientId, date]);
+  const result = await query('DELETE FROM weight_logs WHERE family_id=$1 AND patient_id=$2 AND date=$3 RETURNING *', [familyId, patientId, date]);
+  for (const row of result.rows) {
+    await recordAudit(scope, { entityType: 'weight_log', entityId: row.id, action: 'delete', dayKey: date, before: normalizeRow(row) });
+  }
   return { changes: result.rowCount };
 }
 
+// Tables keyed by a UUID id; normalizeRow would turn those ids into NaN.
+const UUID_ID_TABLES = new Set(['families', 'patients', 'users', 'family_memberships', 'family_invitations', 'alexa_account_links', 'telegram_links', 'display_tokens']);
+
 async function exportAllData() {
-  const tables = ['families', 'patients', 'users', 'family_memberships', 'family_invitations', 'alexa_account_links', 'settings', 'account_preferences', 'fluid_logs', 'wellness_checks', 'gag_events', 'weight_logs', 'sessions'];
+  const tables = ['families', 'patients', 'users', 'family_memberships', 'family_invitations', 'alexa_account_links', 'telegram_links', 'display_tokens', 'settings', 'fluid_catalog', 'medications', 'account_preferences', 'fluid_logs', 'attachments', 'wellness_checks', 'medication_doses', 'gag_events', 'weight_logs', 'alert_events', 'audit_log', 'sessions'];
   const data = {};
   for (const table of tables) {
     const { rows } = await query(`SELECT * FROM ${table}`);
-    data[table] = rows.map(normalizeRow);
+    data[table] = UUID_ID_TABLES.has(table) ? rows : rows.map(normalizeRow);
   }
-  return { exportedAt: new Date().toISOString(), defaultFamilyId: DEFAULT_FAMILY_ID, defaultPatientId: DEFAULT_PATIENT_ID, tables: data };
+  return {
+    formatVersion: BACKUP_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    defaultFamilyId: DEFAULT_FAMILY_ID,
+    defaultPatientId: DEFAULT_PATIENT_ID,
+    tables: data,
+  };
 }
 
 async function getAlexaAccountLinkBySubject(authSubject) {
@@ -855,6 +1511,583 @@ async function setAlexaAccountLinkUserId(authSubject, alexaUserId) {
   return rows[0] || null;
 }
 
+function generateTelegramLinkCode() {
+  const bytes = crypto.randomBytes(8);
+  let code = '';
+  for (const byte of bytes) code += TELEGRAM_LINK_CODE_ALPHABET[byte % TELEGRAM_LINK_CODE_ALPHABET.length];
+  return code;
+}
+
+async function createTelegramLinkCode({ familyId, patientId, membershipId = null }) {
+  if (!familyId || !patientId) throw new Error('familyId and patientId are required for Telegram linking');
+  // Only one live code per membership/patient: generating a new one retires the old.
+  await query(
+    `DELETE FROM telegram_link_codes
+      WHERE consumed_at IS NULL
+        AND family_id=$1 AND patient_id=$2
+        AND membership_id IS NOT DISTINCT FROM $3`,
+    [familyId, patientId, membershipId]
+  );
+  const { rows } = await query(
+    `INSERT INTO telegram_link_codes (code, family_id, patient_id, membership_id, expires_at)
+     VALUES ($1,$2,$3,$4, now() + make_interval(mins => $5))
+     RETURNING *`,
+    [generateTelegramLinkCode(), familyId, patientId, membershipId, TELEGRAM_LINK_CODE_TTL_MINUTES]
+  );
+  return rows[0];
+}
+
+async function consumeTelegramLinkCode({ code, telegramUserId, telegramChatId = null, telegramUsername = null }) {
+  const normalizedCode = String(code || '').trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (!normalizedCode || !telegramUserId) return null;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const linkCode = (await client.query(
+      `UPDATE telegram_link_codes SET consumed_at=now()
+        WHERE code=$1 AND consumed_at IS NULL AND expires_at > now()
+        RETURNING *`,
+      [normalizedCode]
+    )).rows[0];
+    if (!linkCode) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const link = (await client.query(
+      `INSERT INTO telegram_links (family_id, patient_id, membership_id, telegram_user_id, telegram_chat_id, telegram_username, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,now())
+       ON CONFLICT (telegram_user_id) DO UPDATE SET
+         family_id=EXCLUDED.family_id,
+         patient_id=EXCLUDED.patient_id,
+         membership_id=EXCLUDED.membership_id,
+         telegram_chat_id=COALESCE(EXCLUDED.telegram_chat_id, telegram_links.telegram_chat_id),
+         telegram_username=COALESCE(EXCLUDED.telegram_username, telegram_links.telegram_username),
+         updated_at=now()
+       RETURNING *`,
+      [linkCode.family_id, linkCode.patient_id, linkCode.membership_id, telegramUserId, telegramChatId, telegramUsername]
+    )).rows[0];
+    await client.query('COMMIT');
+    return link;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// A Telegram user's link, including one whose patient has since been archived
+// (patient_archived_at is set): the bot asks them to pick another with /patient.
+async function getTelegramLinkByUserId(telegramUserId) {
+  if (!telegramUserId) return null;
+  const { rows } = await query(
+    `SELECT tl.*, fm.role, fm.display_name, f.name AS family_name, p.name AS patient_name,
+            p.archived_at AS patient_archived_at
+       FROM telegram_links tl
+       JOIN families f ON f.id = tl.family_id
+       JOIN patients p ON p.id = tl.patient_id
+       LEFT JOIN family_memberships fm ON fm.id = tl.membership_id
+      WHERE tl.telegram_user_id=$1
+        AND (tl.membership_id IS NULL OR fm.status='active')`,
+    [telegramUserId]
+  );
+  return rows[0] || null;
+}
+
+async function getTelegramLinksForFamily(familyId) {
+  if (!familyId) throw new Error('familyId is required');
+  const { rows } = await query(
+    `SELECT tl.id, tl.patient_id, tl.telegram_user_id, tl.telegram_username, tl.created_at, tl.updated_at,
+            fm.email, fm.display_name, p.name AS patient_name
+       FROM telegram_links tl
+       JOIN patients p ON p.id = tl.patient_id
+       LEFT JOIN family_memberships fm ON fm.id = tl.membership_id
+      WHERE tl.family_id=$1
+      ORDER BY tl.created_at ASC`,
+    [familyId]
+  );
+  return rows;
+}
+
+async function deleteTelegramLink(id, familyId) {
+  const result = await query('DELETE FROM telegram_links WHERE id=$1 AND family_id=$2', [id, familyId]);
+  return { changes: result.rowCount };
+}
+
+async function deleteTelegramLinkByUserId(telegramUserId) {
+  const result = await query('DELETE FROM telegram_links WHERE telegram_user_id=$1', [telegramUserId]);
+  return { changes: result.rowCount };
+}
+
+// Point a Telegram link at another active patient of the same family.
+async function setTelegramLinkPatient(id, patientId) {
+  const result = await query(
+    `UPDATE telegram_links tl SET patient_id=p.id, updated_at=now()
+       FROM patients p
+      WHERE tl.id=$1 AND p.id=$2 AND p.family_id=tl.family_id AND p.archived_at IS NULL`,
+    [id, patientId]
+  );
+  return { changes: result.rowCount };
+}
+
+function hashDisplayToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a kiosk token bound to one patient. Only the hash is stored, so the
+ * returned `token` is the one chance to show the caller the /display link.
+ */
+async function createDisplayToken({ familyId, patientId, name, expiresAt = null, createdBy = null }) {
+  if (!familyId || !patientId) throw new Error('familyId and patientId are required for display tokens');
+  const token = crypto.randomBytes(24).toString('base64url');
+  const { rows } = await query(
+    `INSERT INTO display_tokens (family_id, patient_id, name, token_hash, token_hint, created_by, expires_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)
+     RETURNING id, family_id, patient_id, name, token_hint, created_by, created_at, expires_at, last_used_at, revoked_at`,
+    [familyId, patientId, name, hashDisplayToken(token), token.slice(-4), createdBy, expiresAt]
+  );
+  return { ...rows[0], token };
+}
+
+/**
+ * The live display token matching `token` (not revoked, not expired, patient
+ * not archived), stamping last_used_at at most once a minute.
+ */
+async function getDisplayTokenByToken(token) {
+  if (!token) return null;
+  const { rows } = await query(
+    `UPDATE display_tokens dt
+        SET last_used_at = CASE
+          WHEN dt.last_used_at IS NULL OR dt.last_used_at < now() - interval '1 minute' THEN now()
+          ELSE dt.last_used_at
+        END
+       FROM patients p
+      WHERE dt.token_hash=$1
+        AND p.id = dt.patient_id
+        AND p.archived_at IS NULL
+        AND dt.revoked_at IS NULL
+        AND (dt.expires_at IS NULL OR dt.expires_at > now())
+      RETURNING dt.id, dt.family_id, dt.patient_id, dt.name`,
+    [hashDisplayToken(token)]
+  );
+  return rows[0] || null;
+}
+
+async function getDisplayTokensForFamily(familyId) {
+  if (!familyId) throw new Error('familyId is required');
+  const { rows } = await query(
+    `SELECT dt.id, dt.patient_id, dt.name, dt.token_hint, dt.created_by, dt.created_at, dt.expires_at, dt.last_used_at,
+            p.name AS patient_name
+       FROM display_tokens dt
+       JOIN patients p ON p.id = dt.patient_id
+      WHERE dt.family_id=$1 AND dt.revoked_at IS NULL
+      ORDER BY dt.created_at ASC`,
+    [familyId]
+  );
+  return rows;
+}
+
+async function revokeDisplayToken(id, familyId) {
+  const result = await query(
+    'UPDATE display_tokens SET revoked_at=now() WHERE id=$1 AND family_id=$2 AND revoked_at IS NULL',
+    [id, familyId]
+  );
+  return { changes: result.rowCount };
+}
+
+/**
+ * A patient's fluid catalog (including archived entries, so old logs keep
+ * their labels), seeding the built-in defaults the first time it is read.
+ */
+async function getFluidCatalog(scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const select = () => query(
+    'SELECT * FROM fluid_catalog WHERE family_id=$1 AND patient_id=$2 ORDER BY sort_order ASC, id ASC',
+    [familyId, patientId]
+  );
+  let { rows } = await select();
+  if (!rows.length) {
+    await seedFluidCatalogForPatient(familyId, patientId);
+    ({ rows } = await select());
+  }
+  return rows.map(normalizeRow);
+}
+
+async function seedFluidCatalogForPatient(familyId, patientId) {
+  for (const [index, entry] of fluidCatalog.DEFAULT_FLUID_CATALOG.entries()) {
+    await query(
+      `INSERT INTO fluid_catalog (family_id, patient_id, key, label, icon, category, color, default_portions, sort_order)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       ON CONFLICT (family_id, patient_id, key) DO NOTHING`,
+      [familyId, patientId, entry.key, entry.label, entry.icon, entry.category, entry.color, entry.default_portions, (index + 1) * 10]
+    );
+  }
+}
+
+async function getFluidCatalogEntry(key, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    'SELECT * FROM fluid_catalog WHERE family_id=$1 AND patient_id=$2 AND key=$3',
+    [familyId, patientId, key]
+  );
+  return normalizeRow(rows[0]) || null;
+}
+
+async function createFluidCatalogEntry(entry, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  await getFluidCatalog(scope);
+  const { rows } = await query(
+    `INSERT INTO fluid_catalog (family_id, patient_id, key, label, icon, category, color, default_portions, sort_order)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,
+       COALESCE((SELECT MAX(sort_order) FROM fluid_catalog WHERE family_id=$1 AND patient_id=$2), 0) + 10)
+     ON CONFLICT (family_id, patient_id, key) DO NOTHING
+     RETURNING *`,
+    [familyId, patientId, entry.key, entry.label, entry.icon ?? null, entry.category, entry.color ?? null, entry.default_portions || []]
+  );
+  return normalizeRow(rows[0]) || null;
+}
+
+async function updateFluidCatalogEntry(key, changes, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    `UPDATE fluid_catalog SET
+       label=COALESCE($4, label),
+       icon=COALESCE($5, icon),
+       category=COALESCE($6, category),
+       color=COALESCE($7, color),
+       default_portions=COALESCE($8, default_portions),
+       sort_order=COALESCE($9, sort_order),
+       archived_at=CASE WHEN $10::boolean IS NULL THEN archived_at WHEN $10 THEN COALESCE(archived_at, now()) ELSE NULL END,
+       updated_at=now()
+     WHERE family_id=$1 AND patient_id=$2 AND key=$3
+     RETURNING *`,
+    [
+      familyId, patientId, key,
+      changes.label ?? null,
+      changes.icon ?? null,
+      changes.category ?? null,
+      changes.color ?? null,
+      changes.default_portions ?? null,
+      changes.sort_order ?? null,
+      typeof changes.archived === 'boolean' ? changes.archived : null,
+    ]
+  );
+  return normalizeRow(rows[0]) || null;
+}
+
+async function getMedications(scope = {}, { includeArchived = false } = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    `SELECT * FROM medications WHERE family_id=$1 AND patient_id=$2
+       ${includeArchived ? '' : 'AND archived_at IS NULL'}
+     ORDER BY lower(name) ASC, id ASC`,
+    [familyId, patientId]
+  );
+  return rows.map(normalizeRow);
+}
+
+async function getMedicationById(id, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query('SELECT * FROM medications WHERE family_id=$1 AND patient_id=$2 AND id=$3', [familyId, patientId, id]);
+  return normalizeRow(rows[0]) || null;
+}
+
+async function createMedication(medication, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    `INSERT INTO medications (family_id, patient_id, name, aliases, dose_amount, dose_unit, route, schedule_times, notes)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING *`,
+    [
+      familyId, patientId, medication.name, medication.aliases || [],
+      medication.dose_amount ?? null, medication.dose_unit ?? null, medication.route ?? null,
+      medication.schedule_times || [], medication.notes ?? null,
+    ]
+  );
+  return normalizeRow(rows[0]);
+}
+
+async function updateMedication(id, changes, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const has = (key) => Object.prototype.hasOwnProperty.call(changes, key);
+  // Dose, route and notes may be cleared, so they use explicit "was sent" flags instead of COALESCE.
+  const { rows } = await query(
+    `UPDATE medications SET
+       name=COALESCE($4, name),
+       aliases=COALESCE($5, aliases),
+       dose_amount=CASE WHEN $6::boolean THEN $7 ELSE dose_amount END,
+       dose_unit=CASE WHEN $8::boolean THEN $9 ELSE dose_unit END,
+       route=CASE WHEN $10::boolean THEN $11 ELSE route END,
+       schedule_times=COALESCE($12, schedule_times),
+       notes=CASE WHEN $13::boolean THEN $14 ELSE notes END,
+       archived_at=CASE WHEN $15::boolean IS NULL THEN archived_at WHEN $15 THEN COALESCE(archived_at, now()) ELSE NULL END,
+       updated_at=now()
+     WHERE family_id=$1 AND patient_id=$2 AND id=$3
+     RETURNING *`,
+    [
+      familyId, patientId, id,
+      changes.name ?? null,
+      changes.aliases ?? null,
+      has('dose_amount'), changes.dose_amount ?? null,
+      has('dose_unit'), changes.dose_unit ?? null,
+      has('route'), changes.route ?? null,
+      changes.schedule_times ?? null,
+      has('notes'), changes.notes ?? null,
+      typeof changes.archived === 'boolean' ? changes.archived : null,
+    ]
+  );
+  return normalizeRow(rows[0]) || null;
+}
+
+async function logMedicationDose(dose) {
+  const { familyId, patientId } = scopeIds(dose);
+  const timestamp = dose.timestamp || Date.now();
+  const { rows } = await query(
+    `INSERT INTO medication_doses (family_id, patient_id, medication_id, timestamp, day_key, scheduled_time, status, dose_amount, dose_unit, notes, source)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING *`,
+    [
+      familyId, patientId, dose.medication_id, timestamp,
+      dose.day_key || await getDayKeyForScope(dose, new Date(timestamp)),
+      dose.scheduled_time ?? null, dose.status,
+      dose.dose_amount ?? null, dose.dose_unit ?? null, dose.notes ?? null, dose.source || 'api',
+    ]
+  );
+  const created = normalizeRow(rows[0]);
+  await recordAudit(dose, { entityType: 'medication_dose', entityId: created.id, action: 'create', after: created });
+  return created;
+}
+
+async function getMedicationDosesByDay(dayKey, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    `SELECT d.*, m.name AS medication_name
+       FROM medication_doses d
+       JOIN medications m ON m.id = d.medication_id
+      WHERE d.family_id=$1 AND d.patient_id=$2 AND d.day_key=$3
+      ORDER BY d.timestamp ASC, d.id ASC`,
+    [familyId, patientId, dayKey]
+  );
+  return rows.map(normalizeRow);
+}
+
+async function getMedicationDoseById(id, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query('SELECT * FROM medication_doses WHERE family_id=$1 AND patient_id=$2 AND id=$3', [familyId, patientId, id]);
+  return normalizeRow(rows[0]) || null;
+}
+
+async function deleteMedicationDose(id, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const result = await query('DELETE FROM medication_doses WHERE family_id=$1 AND patient_id=$2 AND id=$3 RETURNING *', [familyId, patientId, id]);
+  for (const row of result.rows) {
+    await recordAudit(scope, { entityType: 'medication_dose', entityId: id, action: 'delete', before: normalizeRow(row) });
+  }
+  return { changes: result.rowCount };
+}
+
+async function getActivePatientsWithSettings() {
+  const { rows: patients } = await query(
+    `SELECT p.id, p.family_id, p.name
+       FROM patients p
+      WHERE p.archived_at IS NULL
+      ORDER BY p.created_at ASC, p.id ASC`
+  );
+  const { rows: settingRows } = await query('SELECT family_id, patient_id, key, value FROM settings WHERE patient_id IS NOT NULL');
+  const rowsByPatient = new Map();
+  for (const row of settingRows) {
+    const key = `${row.family_id}:${row.patient_id}`;
+    if (!rowsByPatient.has(key)) rowsByPatient.set(key, []);
+    rowsByPatient.get(key).push(row);
+  }
+  return patients.map((patient) => ({
+    familyId: patient.family_id,
+    patientId: patient.id,
+    name: patient.name,
+    settings: Object.fromEntries(settingsForRows(rowsByPatient.get(`${patient.family_id}:${patient.id}`)).entries()),
+  }));
+}
+
+async function getTelegramLinksForPatient(familyId, patientId) {
+  const { rows } = await query(
+    `SELECT tl.*
+       FROM telegram_links tl
+       LEFT JOIN family_memberships fm ON fm.id = tl.membership_id
+      WHERE tl.family_id=$1 AND tl.patient_id=$2
+        AND (tl.membership_id IS NULL OR fm.status='active')
+      ORDER BY tl.created_at ASC`,
+    [familyId, patientId]
+  );
+  return rows;
+}
+
+/**
+ * Telegram chat ids that get a patient's scheduled reports and care alerts:
+ * every active link to the patient, plus the legacy allowlist for the
+ * default patient.
+ */
+async function getTelegramRecipientsForPatient(familyId, patientId) {
+  const links = await getTelegramLinksForPatient(familyId, patientId);
+  const chatIds = links.map((link) => Number(link.telegram_chat_id || link.telegram_user_id));
+  if (familyId === DEFAULT_FAMILY_ID && patientId === DEFAULT_PATIENT_ID) {
+    chatIds.push(...AUTHORIZED_TELEGRAM_IDS);
+  }
+  return [...new Set(chatIds)];
+}
+
+/**
+ * Claim a scheduled report slot for a patient's local date. Returns null when
+ * another process (or an earlier run before a restart) already claimed it.
+ */
+async function claimScheduledReport({ familyId, patientId, slot, localDate, scheduledTime }) {
+  const { rows } = await query(
+    `INSERT INTO scheduled_report_sends (family_id, patient_id, slot, local_date, scheduled_time)
+     VALUES ($1,$2,$3,$4,$5)
+     ON CONFLICT (family_id, patient_id, slot, local_date) DO NOTHING
+     RETURNING *`,
+    [familyId, patientId, slot, localDate, scheduledTime]
+  );
+  return normalizeRow(rows[0]) || null;
+}
+
+async function completeScheduledReport(id, { recipients = 0, error = null } = {}) {
+  await query(
+    'UPDATE scheduled_report_sends SET sent_at=now(), recipients=$2, error=$3 WHERE id=$1',
+    [id, recipients, error]
+  );
+}
+
+/**
+ * Claim an alert firing. Returns null when the same rule already fired under
+ * this dedupe key, which is how a rule is kept from repeating itself.
+ */
+async function claimAlert({ familyId, patientId, rule, dedupeKey, level, message }) {
+  const { rows } = await query(
+    `INSERT INTO alert_events (family_id, patient_id, rule, dedupe_key, level, message)
+     VALUES ($1,$2,$3,$4,$5,$6)
+     ON CONFLICT (family_id, patient_id, rule, dedupe_key) DO NOTHING
+     RETURNING *`,
+    [familyId, patientId, rule, dedupeKey, level, message]
+  );
+  return normalizeRow(rows[0]) || null;
+}
+
+async function completeAlert(id, { recipients = 0, error = null } = {}) {
+  await query(
+    'UPDATE alert_events SET delivered_at=now(), recipients=$2, error=$3 WHERE id=$1',
+    [id, recipients, error]
+  );
+}
+
+async function getRecentAlerts(limit = 20, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    `SELECT id, rule, level, message, triggered_at, delivered_at, recipients, error
+       FROM alert_events
+      WHERE family_id=$1 AND patient_id=$2
+      ORDER BY triggered_at DESC, id DESC
+      LIMIT $3`,
+    [familyId, patientId, limit]
+  );
+  return rows.map(normalizeRow);
+}
+
+/**
+ * The most recent output of one fluid type on any day, for "no urine in N hours".
+ */
+async function getLastOutputOfType(fluidType, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    `SELECT * FROM fluid_logs
+      WHERE family_id=$1 AND patient_id=$2 AND entry_type='output' AND fluid_type=$3
+      ORDER BY timestamp DESC, id DESC
+      LIMIT 1`,
+    [familyId, patientId, fluidType]
+  );
+  return normalizeRow(rows[0]) || null;
+}
+
+/**
+ * The most recent log of one fluid type, intake or output, on any day.
+ */
+async function getLastLogOfType(fluidType, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const { rows } = await query(
+    `SELECT * FROM fluid_logs
+      WHERE family_id=$1 AND patient_id=$2 AND fluid_type=$3
+      ORDER BY timestamp DESC, id DESC
+      LIMIT 1`,
+    [familyId, patientId, fluidType]
+  );
+  return normalizeRow(rows[0]) || null;
+}
+
+/**
+ * The fluid log nearest `timestamp`, within `windowMinutes` either side, with
+ * the same entry type, fluid and amount — a likely double entry of the same
+ * bottle or diaper. Null when there is none.
+ */
+async function findRecentDuplicateLog({ entryType, fluidType, amountMl, timestamp, windowMinutes }, scope = {}) {
+  const { familyId, patientId } = scopeIds(scope);
+  const windowMs = windowMinutes * 60 * 1000;
+  const { rows } = await query(
+    `SELECT * FROM fluid_logs
+      WHERE family_id=$1 AND patient_id=$2 AND entry_type=$3 AND fluid_type=$4
+        AND amount_ml IS NOT DISTINCT FROM $5
+        AND timestamp BETWEEN $6 AND $7
+      ORDER BY abs(timestamp - $8), id DESC
+      LIMIT 1`,
+    [familyId, patientId, entryType, fluidType, amountMl ?? null, timestamp - windowMs, timestamp + windowMs, timestamp]
+  );
+  return normalizeRow(rows[0]) || null;
+}
+
+/**
+ * Claim a client-supplied Idempotency-Key before running a write. Returns
+ * { claimed: true } the first time; afterwards { claimed: false, existing }
+ * with the stored row, whose status_code stays null until the first request
+ * finishes. Keys older than IDEMPOTENCY_KEY_TTL_DAYS are forgotten.
+ */
+async function claimIdempotencyKey({ familyId, key, request }) {
+  await query(
+    'DELETE FROM idempotency_keys WHERE family_id=$1 AND created_at < now() - make_interval(days => $2)',
+    [familyId, IDEMPOTENCY_KEY_TTL_DAYS]
+  );
+  const { rows } = await query(
+    `INSERT INTO idempotency_keys (family_id, key, request) VALUES ($1,$2,$3)
+     ON CONFLICT (family_id, key) DO NOTHING
+     RETURNING key`,
+    [familyId, key, request]
+  );
+  if (rows[0]) return { claimed: true };
+  const existing = await query('SELECT * FROM idempotency_keys WHERE family_id=$1 AND key=$2', [familyId, key]);
+  return { claimed: false, existing: existing.rows[0] || null };
+}
+
+async function completeIdempotencyKey({ familyId, key, statusCode, responseBody }) {
+  await query(
+    `UPDATE idempotency_keys SET status_code=$3, response_body=$4, completed_at=now()
+      WHERE family_id=$1 AND key=$2`,
+    [familyId, key, statusCode, JSON.stringify(responseBody ?? null)]
+  );
+}
+
+/**
+ * Forget a claimed key whose request failed, so the client's retry runs again.
+ */
+async function releaseIdempotencyKey({ familyId, key }) {
+  await query('DELETE FROM idempotency_keys WHERE family_id=$1 AND key=$2 AND status_code IS NULL', [familyId, key]);
+}
+
+async function getActiveMemberEmails(familyId) {
+  const { rows } = await query(
+    `SELECT DISTINCT lower(email) AS email
+       FROM family_memberships
+      WHERE family_id=$1 AND status='active' AND email IS NOT NULL AND email <> ''`,
+    [familyId || DEFAULT_FAMILY_ID]
+  );
+  return rows.map((row) => row.email);
+}
+
 async function sessionGet(sid) {
   const { rows } = await query('SELECT data, expires FROM sessions WHERE sid=$1', [sid]);
   return normalizeRow(rows[0]) || null;
@@ -878,13 +2111,26 @@ module.exports = {
   db: { query: (text, params) => query(text, params) },
   DEFAULT_FAMILY_ID,
   DEFAULT_PATIENT_ID,
+  AUTHORIZED_TELEGRAM_IDS,
+  scopeIds,
   getDayKey,
+  getDayClock,
+  getDayKeyForScope,
+  shiftDayKey,
+  rekeyDayKeys,
+  computeDayKey,
+  getAuditLogByDay,
   logEntry,
   getLogsByDay,
   getLastLog,
   getLogById,
   updateLog,
   deleteLog,
+  createAttachment,
+  getAttachmentById,
+  getAttachmentsForLogs,
+  deleteAttachment,
+  countAttachmentsWithKey,
   getLogsForDays,
   logWellness,
   getWellnessByDay,
@@ -910,11 +2156,20 @@ module.exports = {
   setAccountPreference,
   seedDefaultSettingsForPatient,
   getPrimaryPatientForFamily,
+  getPatientsForFamily,
+  getPatientForFamily,
+  createPatient,
+  updatePatient,
   getFamilyMembershipsByClerkUserId,
   getFamilyMembershipByEmail,
+  getFamilyMembershipForUser,
   upsertFamilyMembership,
   acceptPendingInvitations,
   createFamilyInvitation,
+  getFamilyInvitation,
+  renewFamilyInvitation,
+  revokeFamilyInvitation,
+  changeFamilyMembership,
   getFamilyAccessList,
   createFamilyWithPatient,
   initDefaultSettings,
@@ -928,6 +2183,44 @@ module.exports = {
   getAlexaAccountLinkByAlexaUserId,
   upsertAlexaAccountLink,
   setAlexaAccountLinkUserId,
+  createTelegramLinkCode,
+  consumeTelegramLinkCode,
+  getTelegramLinkByUserId,
+  getTelegramLinksForFamily,
+  deleteTelegramLink,
+  deleteTelegramLinkByUserId,
+  setTelegramLinkPatient,
+  createDisplayToken,
+  getDisplayTokenByToken,
+  getDisplayTokensForFamily,
+  revokeDisplayToken,
+  getTelegramLinksForPatient,
+  getTelegramRecipientsForPatient,
+  getActivePatientsWithSettings,
+  getFluidCatalog,
+  getFluidCatalogEntry,
+  createFluidCatalogEntry,
+  updateFluidCatalogEntry,
+  getMedications,
+  getMedicationById,
+  createMedication,
+  updateMedication,
+  logMedicationDose,
+  getMedicationDosesByDay,
+  getMedicationDoseById,
+  deleteMedicationDose,
+  claimScheduledReport,
+  completeScheduledReport,
+  claimAlert,
+  completeAlert,
+  getRecentAlerts,
+  getLastOutputOfType,
+  getLastLogOfType,
+  findRecentDuplicateLog,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  getActiveMemberEmails,
   sessionGet,
   sessionSet,
   sessionDestroy,
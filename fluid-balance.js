@@ -0,0 +1,87 @@
+/**
+ * fluid-balance.js — Net fluid balance and urine output rate for a fluid day
+ *
+ * Outputs are weighed (diapers, hats) and stored in grams; for balance and
+ * urine rate one gram counts as one millilitre, the usual bedside convention.
+ * The urine rate uses the latest weight on or before the day and the hours
+ * of the fluid day that have elapsed so far (24 for a finished day).
+ */
+
+'use strict';
+
+const { localClock } = require('./fluid-day');
+
+// Fluid types whose output counts towards the urine rate.
+const URINE_TYPES = ['urine'];
+
+// Early in the day a single void swings the rate wildly; don't flag before this.
+const MIN_RATE_HOURS = 4;
+
+const DEFAULT_URINE_THRESHOLDS = { warn: 1.0, low: 0.5 };
+
+/**
+ * The warn/low ml/kg/hr thresholds from a flat settings object.
+ */
+function urineThresholdsFromSettings(settings = {}) {
+  const warn = parseFloat(settings.urine_rate_warn_ml_kg_hr);
+  const low = parseFloat(settings.urine_rate_low_ml_kg_hr);
+  return {
+    warn: warn > 0 ? warn : DEFAULT_URINE_THRESHOLDS.warn,
+    low: low > 0 ? low : DEFAULT_URINE_THRESHOLDS.low,
+  };
+}
+
+/**
+ * Hours of the fluid day `dayKey` covered by `now`: the full 24 for a past
+ * day, the time since the day-start hour for the current one.
+ */
+function elapsedDayHours(dayKey, currentDayKey, now, tz, dayStartHour) {
+  if (dayKey !== currentDayKey) return dayKey < currentDayKey ? 24 : 0;
+  const { minutes } = localClock(now, tz);
+  const sinceStart = (minutes - dayStartHour * 60 + 1440) % 1440;
+  return Math.round((sinceStart / 60) * 100) / 100;
+}
+
+/**
+ * In/out totals, net balance and urine ml/kg/hr for a day's logs.
+ * urineStatus is 'low' or 'warn' when the rate is under a threshold, 'ok'
+ * otherwise, and null when it can't be judged yet (no weight, too early).
+ */
+function computeFluidBalance({ inputs, outputs, weightKg, hours, thresholds = DEFAULT_URINE_THRESHOLDS }) {
+  const sum = (rows) => rows.reduce((total, row) => total + (row.amount_ml || 0), 0);
+  const totalIntake = sum(inputs);
+  const totalOutput = sum(outputs);
+  const urineOutput = sum(outputs.filter((row) => URINE_TYPES.includes(row.fluid_type)));
+
+  let urineRate = null;
+  if (weightKg > 0 && hours > 0) {
+    urineRate = Math.round((urineOutput / weightKg / hours) * 100) / 100;
+  }
+
+  let urineStatus = null;
+  if (urineRate !== null && hours >= MIN_RATE_HOURS) {
+    if (urineRate < thresholds.low) urineStatus = 'low';
+    else if (urineRate < thresholds.warn) urineStatus = 'warn';
+    else urineStatus = 'ok';
+  }
+
+  return {
+    totalOutput: Math.round(totalOutput * 10) / 10,
+    netBalance: Math.round((totalIntake - totalOutput) * 10) / 10,
+    urineOutput: Math.round(urineOutput * 10) / 10,
+    urineRate,
+    urineStatus,
+    urineThresholds: thresholds,
+    elapsedHours: hours,
+    weightKg: weightKg || null,
+  };
+}
+
+module.exports = {
+  URINE_TYPES,
+  MIN_RATE_HOURS,
+  DEFAULT_URINE_THRESHOLDS,
+  urineThresholdsFromSettings,
+  elapsedDayHours,
+  computeFluidBalance,
+};
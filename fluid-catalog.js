@@ -0,0 +1,95 @@
+/**
+ * fluid-catalog.js — Built-in fluid types and helpers for per-patient catalogs
+ *
+ * Each patient has their own rows in the fluid_catalog table, seeded from
+ * DEFAULT_FLUID_CATALOG the first time the catalog is read. An entry's `key`
+ * is what fluid_logs.fluid_type stores, so keys never change once created and
+ * entries are archived rather than deleted. Kept free of db/server imports so
+ * the parser can use it standalone.
+ */
+
+'use strict';
+
+const CATEGORIES = ['input', 'output'];
+
+const DEFAULT_FLUID_CATALOG = [
+  { key: 'water', label: 'Water', icon: '🫧', category: 'input', color: '#2a8aff', default_portions: [30, 60, 90, 120, 180, 240] },
+  { key: 'pediasure', label: 'PediaSure', icon: '🍼', category: 'input', color: '#f08c00', default_portions: [60, 120, 180, 237] },
+  { key: 'milk', label: 'Milk', icon: '🥛', category: 'input', color: '#90aec8', default_portions: [60, 120, 180, 240] },
+  { key: 'juice', label: 'Juice', icon: '🧃', category: 'input', color: '#e03030', default_portions: [60, 120, 180] },
+  { key: 'yogurt_drink', label: 'Yogurt Drink', icon: '🥣', category: 'input', color: '#8a48cc', default_portions: [60, 90, 120] },
+  { key: 'vitamin_water', label: 'Vitamin Water', icon: '💦', category: 'input', color: '#00c8d8', default_portions: [60, 120, 240] },
+  { key: 'urine', label: 'Urine', icon: '🚽', category: 'output', color: '#d4b800', default_portions: [25, 50, 75, 100, 150, 200] },
+  { key: 'poop', label: 'Poop', icon: '💩', category: 'output', color: '#8b4513', default_portions: [25, 50, 100] },
+  { key: 'vomit', label: 'Vomit', icon: '🤮', category: 'output', color: '#25a060', default_portions: [10, 25, 50, 100] },
+];
+
+// Spoken/typed synonyms the parser should map onto built-in keys. Custom
+// entries rely on their label instead.
+const BUILT_IN_SYNONYMS = {
+  pediasure: ['pedi', 'formula'],
+  vitamin_water: ['vitamin water'],
+  yogurt_drink: ['yogurt drink', 'drinkable yogurt'],
+  urine: ['pee', 'peed', 'wet diaper'],
+  poop: ['pooped', 'BM', 'bowel movement', 'stool'],
+};
+
+function titleCase(str) {
+  return String(str || '').replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+/**
+ * Turn a label into a fluid_type key: "Bone Broth (thickened)" → "bone_broth_thickened".
+ */
+function slugifyKey(label) {
+  return String(label || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40);
+}
+
+/**
+ * Accepts an array or a comma-separated string of ml amounts and returns a
+ * sorted, de-duplicated list of positive whole numbers (max 12).
+ */
+function normalizePortions(value) {
+  const raw = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const portions = raw
+    .map((v) => Math.round(Number(String(v).trim())))
+    .filter((v) => Number.isFinite(v) && v > 0 && v <= 5000);
+  return [...new Set(portions)].sort((a, b) => a - b).slice(0, 12);
+}
+
+function activeEntries(catalog, category = null) {
+  return (catalog || DEFAULT_FLUID_CATALOG)
+    .filter((entry) => !entry.archived_at)
+    .filter((entry) => !category || entry.category === category);
+}
+
+function findEntry(catalog, key) {
+  return (catalog || DEFAULT_FLUID_CATALOG).find((entry) => entry.key === key)
+    || DEFAULT_FLUID_CATALOG.find((entry) => entry.key === key)
+    || null;
+}
+
+/**
+ * Display label for a fluid_type. Archived entries still resolve so older
+ * logs keep their names.
+ */
+function labelFor(catalog, key) {
+  return findEntry(catalog, key)?.label || titleCase(key);
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_FLUID_CATALOG,
+  BUILT_IN_SYNONYMS,
+  slugifyKey,
+  normalizePortions,
+  activeEntries,
+  findEntry,
+  labelFor,
+};
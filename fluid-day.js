@@ -0,0 +1,59 @@
+/**
+ * fluid-day.js — Local clock and fluid-day keys for a patient's timezone
+ *
+ * A fluid day runs from the patient's day start hour to the same hour the
+ * next morning and is keyed "YYYY-MM-DD" by the date it started on. Kept free
+ * of the database so wellness-slots.js and fluid-balance.js, which db.js
+ * loads, can use it too; db.js re-exports computeDayKey and shiftDayKey.
+ */
+
+'use strict';
+
+/**
+ * Calendar date ("YYYY-MM-DD") and minutes after midnight for a moment in a
+ * timezone.
+ */
+function localClock(date, tz) {
+  const localStr = date.toLocaleString('en-CA', {
+    timeZone: tz,
+    hour12: false,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+  const [datePart, timePart] = localStr.split(', ');
+  const [hStr, mStr] = timePart.split(':');
+  // en-CA renders midnight as "24" on some ICU versions.
+  const hour = parseInt(hStr, 10) % 24;
+  return { date: datePart, minutes: hour * 60 + parseInt(mStr, 10) };
+}
+
+/**
+ * Shift a fluid-day key string "YYYY-MM-DD" by N calendar days.
+ */
+function shiftDayKey(dayKey, deltaDays) {
+  const [y, m, d] = dayKey.split('-').map(Number);
+  const shifted = new Date(Date.UTC(y, m - 1, d, 12, 0, 0));
+  shifted.setUTCDate(shifted.getUTCDate() + deltaDays);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Fluid-day key for a moment in a given timezone. Times before dayStartHour
+ * belong to the previous day's key.
+ */
+function computeDayKey(date, tz, dayStartHourSetting) {
+  const clock = localClock(date, tz);
+  const dayStartHour = parseInt(dayStartHourSetting, 10);
+  // Day arithmetic stays in UTC: a local-midnight Date turns into the previous
+  // date in toISOString() on servers east of UTC.
+  return shiftDayKey(clock.date, clock.minutes < (isNaN(dayStartHour) ? 7 : dayStartHour) * 60 ? -1 : 0);
+}
+
+module.exports = {
+  localClock,
+  shiftDayKey,
+  computeDayKey,
+};
@@ -0,0 +1,329 @@
+/**
+ * local-parser.js — Rule-based parser for the common caregiver phrasings
+ *
+ * Understands the grammar parser.js's system prompt documents ("120ml
+ * pediasure", "pee 85g", "gag x2", "weight 14.2", "wellness: appetite 7,
+ * energy 4", "yesterday: ...", "gave lasix") without a network call, so
+ * logging keeps working when OpenAI is down or out of quota. It returns the
+ * same JSON shape the model is asked for, and parser.js sanitizes it the same
+ * way. Pieces of the message it couldn't place are listed in `unmatched`,
+ * and so are the ones it could misread: negations ("no pee"), fractions,
+ * thousands separators and numbers besides the amount.
+ * Notes are only picked up when marked: "(mostly mucus)" belongs to the entry
+ * it follows, and "note: ..." ending the message to the last entry.
+ */
+
+'use strict';
+
+const { activeEntries, BUILT_IN_SYNONYMS } = require('./fluid-catalog');
+
+const ML_PER_OZ = 29.5735;
+const LB_PER_KG = 2.205;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, once: 1, two: 2, twice: 2, three: 3, thrice: 3, four: 4,
+  five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+};
+
+// Ways of saying a built-in output that aren't fluid names in the catalog.
+const OUTPUT_PHRASES = [
+  { pattern: /\b(?:diarrh(?:o)?ea|loose stools?|watery (?:poop|stool)|runny(?: poop| stool)?)\b/, fluid_type: 'poop', subtype: 'diarrhea' },
+  { pattern: /\b(?:undigested(?: poop| stool)?|food in (?:her |his |the )?(?:stool|poop)|didn'?t digest)\b/, fluid_type: 'poop', subtype: 'undigested' },
+  { pattern: /\b(?:poo(?:p|ped|ps|py)?|bm|bowel movement|stool)\b/, fluid_type: 'poop' },
+  { pattern: /\b(?:vomit(?:ed|ing|s)?|threw up|throw up|puked?|spit up|emesis)\b/, fluid_type: 'vomit' },
+  { pattern: /\b(?:pee(?:d|s)?|urine|urinated?|wee|wet diaper)\b/, fluid_type: 'urine' },
+];
+
+const WELLNESS_SCORE_RE = /\b(appetite|energy|mood|cyan(?:osis)?)\s*(?:score\s*)?(?:[:=-]|is|of|at)?\s*(\d+(?:\.\d+)?)(?:\s*\/\s*10)?/g;
+const AMOUNT_RE = /(\d+(?:\.\d+)?)\s*(ml|mls|milliliters?|millilitres?|cc|g|gr|grams?|oz|ounces?)?(?![a-z])/g;
+const WEIGHT_RE = /(\d+(?:\.\d+)?)\s*(kg|kgs|kilos?|kilograms?|lbs?|pounds?)?(?![a-z])/;
+const DOSE_RE = /(\d+(?:\.\d+)?)\s*(mg|mcg|ml|g|units?|drops?|puffs?|tabs?|tablets?)(?![a-z])/;
+const SKIPPED_RE = /\b(?:skip(?:ped)?|didn'?t give|did not give|held|hold|missed|refused)\b/;
+const SEGMENT_SPLIT_RE = /\s*(?:[,;+&]|\band\b|\bthen\b|\bplus\b|\balso\b)\s*/;
+// "didn't drink 50ml", "no pee": the entry didn't happen. ("didn't digest" is
+// a kind of poop.)
+const NEGATION_RE = /\b(?:no|not|none|never|didn'?t(?!\s+digest)|did not|hasn'?t|has not|haven'?t|won'?t|wouldn'?t)\b/;
+// Amounts the rules would misread: "1/2 cup", "½ bottle", "1,000ml".
+const FRACTION_RE = /\d\s*\/\s*\d|[½⅓⅔¼¾⅛]/;
+// Stands in for a parenthesized note while the message is split into pieces.
+const NOTE_MARK = '\u0001';
+// Stands in for a thousands separator, so "1,000ml" isn't split at its comma.
+const THOUSANDS_MARK = '\u0002';
+
+// Words that carry no entry on their own ("she had about 120ml of the pediasure").
+const FILLER_WORDS = new Set([
+  'she', 'he', 'they', 'baby', 'had', 'has', 'have', 'drank', 'drink', 'drinks', 'ate', 'took', 'gave', 'give',
+  'about', 'roughly', 'approximately', 'approx', 'around', 'almost', 'nearly', 'just', 'some', 'more',
+  'another', 'of', 'the', 'a', 'an', 'her', 'his', 'log', 'logged', 'please', 'ok', 'okay', 'so', 'now',
+  'today', 'for', 'at', 'in', 'was', 'is', 'it', 'with', 'score', 'scores', 'check', 'wellness',
+]);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function wordPattern(name) {
+  return new RegExp(`(?<![a-z0-9])${escapeRegExp(name.toLowerCase())}(?:s|es)?(?![a-z0-9])`);
+}
+
+/**
+ * Every name a caregiver might use for each active catalog entry, longest
+ * first so "vitamin water" wins over "water".
+ */
+function fluidNames(fluidCatalog) {
+  const names = [];
+  for (const entry of activeEntries(fluidCatalog)) {
+    const aliases = [entry.label, entry.key.replace(/_/g, ' '), ...(BUILT_IN_SYNONYMS[entry.key] || [])];
+    for (const alias of new Set(aliases.map((name) => name.toLowerCase()))) {
+      names.push({ name: alias, pattern: wordPattern(alias), entry });
+    }
+  }
+  return names.sort((a, b) => b.name.length - a.name.length);
+}
+
+/**
+ * The fluid a segment names, with the segment minus its name in `rest`.
+ */
+function findFluid(segment, names, catalogKeys) {
+  for (const phrase of OUTPUT_PHRASES) {
+    if (catalogKeys.has(phrase.fluid_type) && phrase.pattern.test(segment)) {
+      // "diarrhea poop" names one output, not two.
+      const rest = OUTPUT_PHRASES
+        .filter((other) => other.fluid_type === phrase.fluid_type)
+        .reduce((text, other) => text.replace(other.pattern, ' '), segment);
+      return { fluid_type: phrase.fluid_type, category: 'output', subtype: phrase.subtype || null, rest };
+    }
+  }
+  const match = names.find(({ pattern }) => pattern.test(segment));
+  if (!match) return null;
+  return { fluid_type: match.entry.key, category: match.entry.category, subtype: null, rest: segment.replace(match.pattern, ' ') };
+}
+
+/**
+ * The amount in a segment in ml, preferring a number that carries a unit
+ * ("2 pees 40g each" is 40). `rest` is the segment without it, so any other
+ * number is left over.
+ */
+function readAmount(segment) {
+  const matches = [...segment.matchAll(AMOUNT_RE)];
+  const match = matches.find((m) => m[2]) || matches[0];
+  if (!match) return { amount: null, rest: segment };
+  const value = parseFloat(match[1]);
+  return {
+    amount: /^(?:oz|ounces?)$/.test(match[2] || '') ? value * ML_PER_OZ : value,
+    rest: `${segment.slice(0, match.index)} ${segment.slice(match.index + match[0].length)}`,
+  };
+}
+
+function readCount(segment) {
+  const digits = /(?:x|×)\s*(\d+)|(\d+)\s*(?:x|×|times|gags?)\b/.exec(segment);
+  if (digits) return parseInt(digits[1] || digits[2], 10);
+  const word = /\b(a|an|one|once|two|twice|three|thrice|four|five|six|seven|eight|nine|ten)\b/.exec(segment);
+  return word ? NUMBER_WORDS[word[1]] : 1;
+}
+
+function findMedication(segment, medications) {
+  for (const med of medications) {
+    const names = [med.name, ...(med.aliases || [])].filter(Boolean);
+    if (names.some((name) => wordPattern(name).test(segment))) return med;
+  }
+  return null;
+}
+
+function hasContent(segment) {
+  return segment
+    .replace(/[^a-z0-9' ]+/g, ' ')
+    .split(/\s+/)
+    .some((word) => word && !FILLER_WORDS.has(word));
+}
+
+/**
+ * Pull a wellness check out of the message, returning the action (or null)
+ * and the text that's left.
+ */
+function takeWellness(text, wellnessSlots) {
+  if (!/\b(?:wellness|appetite|energy|mood|cyan(?:osis)?)\b/.test(text)) return { action: null, rest: text };
+  const action = { type: 'wellness', check_time: null, appetite: null, energy: null, mood: null, cyanosis: null };
+  let found = false;
+  let rest = text.replace(WELLNESS_SCORE_RE, (_, field, value) => {
+    action[field.startsWith('cyan') ? 'cyanosis' : field] = parseFloat(value);
+    found = true;
+    return ' ';
+  });
+  if (!found) return { action: null, rest: text };
+
+  for (const slot of wellnessSlots) {
+    for (const name of [slot.label, slot.key.replace(/_/g, ' ')]) {
+      const pattern = wordPattern(name);
+      if (pattern.test(rest)) {
+        action.check_time = slot.key;
+        rest = rest.replace(pattern, ' ');
+      }
+    }
+  }
+  rest = rest.replace(/\bwellness(?:\s+check)?\b\s*:?/g, ' ');
+  return { action, rest };
+}
+
+/**
+ * Take the notes out of the message before it is lowercased and split, so
+ * they keep their wording and commas. Parenthesized notes leave NOTE_MARK
+ * behind to show which piece of the message they followed.
+ */
+function takeNotes(text) {
+  const inline = [];
+  let rest = text.replace(/\(([^()]*)\)/g, (_, note) => {
+    inline.push(note.trim());
+    return ` ${NOTE_MARK} `;
+  });
+  let trailing = null;
+  rest = rest.replace(/\bnotes?\s*:\s*([^]*)$/i, (_, note) => {
+    trailing = note.trim() || null;
+    return ' ';
+  });
+  return { rest, inline, trailing };
+}
+
+function addNote(action, note) {
+  if (!note) return;
+  action.notes = action.notes ? `${action.notes}; ${note}` : note;
+}
+
+/**
+ * Parse a caregiver message with rules instead of the model.
+ * @param {string} message
+ * @param {{ fluidCatalog?: Array, wellnessSlots?: Array, medications?: Array }} [options]
+ * @returns {{ actions: Array, date_offset: number, unparseable: boolean, unmatched: string[] }}
+ */
+function parseLocally(message, options = {}) {
+  const wellnessSlots = options.wellnessSlots || [];
+  const medications = options.medications || [];
+  const names = fluidNames(options.fluidCatalog);
+  const catalogKeys = new Set(activeEntries(options.fluidCatalog).map((entry) => entry.key));
+
+  const notes = takeNotes(String(message || '').replace(/[‘’]/g, "'").trim());
+  let text = notes.rest.toLowerCase().replace(/(\d),(?=\d{3}(?!\d))/g, `$1${THOUSANDS_MARK}`);
+  let dateOffset = 0;
+  if (/\byesterday\b/.test(text)) {
+    dateOffset = -1;
+    text = text.replace(/\b(?:log\s+)?(?:for\s+|from\s+)?yesterday\b\s*:?/g, ' ');
+  }
+
+  const actions = [];
+  const unmatched = [];
+  const wellness = takeWellness(text, wellnessSlots);
+  if (wellness.action) actions.push(wellness.action);
+
+  // An amount split off from its fluid by a comma ("vomit, roughly 60ml")
+  // is carried to the neighbouring fluid that has none.
+  let looseAmount = null;
+  let looseSegment = null;
+  let lastFluid = null;
+
+  for (const piece of wellness.rest.split(SEGMENT_SPLIT_RE).map((s) => s.trim()).filter(Boolean)) {
+    const marks = piece.split(NOTE_MARK).length - 1;
+    const segmentNotes = notes.inline.splice(0, marks).filter(Boolean).join('; ') || null;
+    const segment = piece.split(NOTE_MARK).join(' ').trim();
+    // Only fluid entries carry notes; anywhere else the note is unmatched.
+    const placeNote = (owner) => {
+      if (!segmentNotes) return;
+      if (owner) addNote(owner, segmentNotes);
+      else unmatched.push(segmentNotes);
+    };
+    if (!segment) {
+      // "vomit 30g, (mostly mucus)": the note alone after a comma.
+      placeNote(lastFluid);
+      continue;
+    }
+
+    // Left to the model rather than logged with a misread amount.
+    if (segment.includes(THOUSANDS_MARK) || FRACTION_RE.test(segment)) {
+      unmatched.push(segment.split(THOUSANDS_MARK).join(','));
+      placeNote(null);
+      continue;
+    }
+
+    if (/\bgag(?:s|ged|ging)?\b/.test(segment)) {
+      if (NEGATION_RE.test(segment)) {
+        unmatched.push(segment);
+        placeNote(null);
+        continue;
+      }
+      actions.push({ type: 'gag', count: readCount(segment) });
+      placeNote(null);
+      continue;
+    }
+
+    const medication = findMedication(segment, medications);
+    if (medication) {
+      const dose = DOSE_RE.exec(segment);
+      actions.push({
+        type: 'medication',
+        medication: medication.name,
+        dose_amount: dose ? parseFloat(dose[1]) : null,
+        dose_unit: dose ? dose[2] : null,
+        status: SKIPPED_RE.test(segment) ? 'skipped' : 'given',
+      });
+      placeNote(null);
+      continue;
+    }
+
+    if (/\bweigh(?:t|s|ed)?\b/.test(segment) || /\d\s*(?:kg|kgs|kilos?|kilograms?|lbs?|pounds?)(?![a-z])/.test(segment)) {
+      const weight = WEIGHT_RE.exec(segment);
+      if (weight) {
+        const value = parseFloat(weight[1]);
+        actions.push({ type: 'weight', weight_kg: /^(?:lbs?|pounds?)$/.test(weight[2] || '') ? value / LB_PER_KG : value });
+      } else {
+        unmatched.push(segment);
+      }
+      placeNote(null);
+      continue;
+    }
+
+    const fluid = findFluid(segment, names, catalogKeys);
+    const { amount, rest } = readAmount(fluid ? fluid.rest : segment);
+    if (fluid && NEGATION_RE.test(segment)) {
+      unmatched.push(segment);
+      placeNote(null);
+    } else if (fluid) {
+      // Extra numbers or words ("2 pees 40g each", "water 1 cup") may change
+      // what was meant, so the model gets a look.
+      if (hasContent(rest)) unmatched.push(segment);
+      const action = { type: fluid.category, fluid_type: fluid.fluid_type, amount_ml: amount ?? looseAmount };
+      if (fluid.fluid_type === 'poop') action.subtype = fluid.subtype || 'normal';
+      placeNote(action);
+      if (amount === null) looseAmount = null;
+      actions.push(action);
+      lastFluid = action;
+    } else if (amount !== null && !hasContent(rest)) {
+      if (lastFluid && lastFluid.amount_ml === null) {
+        lastFluid.amount_ml = amount;
+        placeNote(lastFluid);
+      } else {
+        if (looseAmount !== null) unmatched.push(looseSegment);
+        looseAmount = amount;
+        looseSegment = segment;
+        placeNote(null);
+      }
+    } else {
+      if (hasContent(segment)) unmatched.push(segment);
+      placeNote(null);
+    }
+  }
+
+  // An amount that never found its fluid ("she drank 120").
+  if (looseAmount !== null) unmatched.push(looseSegment);
+  if (notes.trailing) {
+    if (lastFluid) addNote(lastFluid, notes.trailing);
+    else unmatched.push(notes.trailing);
+  }
+
+  return {
+    actions,
+    date_offset: dateOffset,
+    unparseable: actions.length === 0,
+    unmatched,
+  };
+}
+
+module.exports = { parseLocally };
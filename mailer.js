@@ -12,14 +12,23 @@ const SMTP_USER = process.env.SMTP_USER || '';
 const SMTP_PASS = process.env.SMTP_PASS || '';
 const SMTP_SECURE = truthy(process.env.SMTP_SECURE);
 const INVITE_EMAIL_ENABLED = truthy(process.env.INVITE_EMAIL_ENABLED);
+const ALERT_EMAIL_ENABLED = truthy(process.env.ALERT_EMAIL_ENABLED);
+
+function smtpConfigured() {
+  return Boolean(MAIL_FROM && SMTP_HOST && SMTP_USER && SMTP_PASS);
+}
 
 function configured() {
-  return Boolean(INVITE_EMAIL_ENABLED && MAIL_FROM && SMTP_HOST && SMTP_USER && SMTP_PASS);
+  return Boolean(INVITE_EMAIL_ENABLED && smtpConfigured());
+}
+
+function alertsConfigured() {
+  return Boolean(ALERT_EMAIL_ENABLED && smtpConfigured());
 }
 
 let transporter = null;
 function getTransporter() {
-  if (!configured()) return null;
+  if (!smtpConfigured()) return null;
   if (!transporter) {
     transporter = nodemailer.createTransport({
       host: SMTP_HOST,
@@ -40,9 +49,9 @@ function escapeHtml(value) {
     .replace(/'/g, '&#39;');
 }
 
-async function sendCaregiverInviteEmail({ to, familyName, patientName, inviterName, role }) {
+async function sendCaregiverInviteEmail({ to, familyName, patientName, inviterName, role, expiresAt = null }) {
   if (!to) throw new Error('Invite recipient email is required');
-  const tx = getTransporter();
+  const tx = configured() ? getTransporter() : null;
   if (!tx) return { sent: false, reason: 'mail_not_configured' };
 
   const appUrl = APP_PUBLIC_URL;
@@ -50,8 +59,11 @@ async function sendCaregiverInviteEmail({ to, familyName, patientName, inviterNa
   const safePatient = patientName || 'their patient';
   const safeInviter = inviterName || 'A caregiver';
   const safeRole = role || 'caregiver';
+  const expiry = expiresAt
+    ? `This invitation expires on ${new Date(expiresAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}.`
+    : '';
   const subject = `You're invited to Glide Bedside`;
-  const text = `${safeInviter} invited you to join ${safeFamily} on Glide Bedside as a ${safeRole}.\n\nSign in with this email address to access ${safePatient}'s tracker:\n${appUrl}/login\n\nIf you were not expecting this invitation, you can ignore this email.`;
+  const text = `${safeInviter} invited you to join ${safeFamily} on Glide Bedside as a ${safeRole}.\n\nSign in with this email address to access ${safePatient}'s tracker:\n${appUrl}/login\n\n${expiry ? `${expiry}\n\n` : ''}If you were not expecting this invitation, you can ignore this email.`;
   const html = `<!doctype html>
 <html><body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;line-height:1.5;color:#202124;">
   <div style="max-width:560px;margin:0 auto;padding:24px;">
@@ -59,6 +71,7 @@ async function sendCaregiverInviteEmail({ to, familyName, patientName, inviterNa
     <p>${escapeHtml(safeInviter)} invited you to join <strong>${escapeHtml(safeFamily)}</strong> as a ${escapeHtml(safeRole)}.</p>
     <p>Sign in with this email address to access ${escapeHtml(safePatient)}'s tracker.</p>
     <p><a href="${escapeHtml(appUrl)}/login" style="display:inline-block;background:#1a73e8;color:#fff;text-decoration:none;padding:12px 18px;border-radius:10px;font-weight:700;">Open Glide Bedside</a></p>
+    ${expiry ? `<p style="color:#5f6368;font-size:14px;">${escapeHtml(expiry)}</p>` : ''}
     <p style="color:#5f6368;font-size:14px;">If you were not expecting this invitation, you can ignore this email.</p>
   </div>
 </body></html>`;
@@ -67,7 +80,32 @@ async function sendCaregiverInviteEmail({ to, familyName, patientName, inviterNa
   return { sent: true, messageId: info.messageId || null };
 }
 
+async function sendCareAlertEmail({ to, patientName, message }) {
+  if (!to) throw new Error('Alert recipient email is required');
+  const tx = alertsConfigured() ? getTransporter() : null;
+  if (!tx) return { sent: false, reason: 'mail_not_configured' };
+
+  const appUrl = APP_PUBLIC_URL;
+  const safePatient = patientName || 'your patient';
+  const subject = `Glide Bedside alert for ${safePatient}`;
+  const text = `${message}\n\nOpen ${safePatient}'s tracker:\n${appUrl}/\n\nYou receive these alerts as a member of ${safePatient}'s care team on Glide Bedside.`;
+  const html = `<!doctype html>
+<html><body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;line-height:1.5;color:#202124;">
+  <div style="max-width:560px;margin:0 auto;padding:24px;">
+    <h1 style="font-size:22px;margin:0 0 12px;color:#c5221f;">Alert for ${escapeHtml(safePatient)}</h1>
+    <p>${escapeHtml(message)}</p>
+    <p><a href="${escapeHtml(appUrl)}/" style="display:inline-block;background:#1a73e8;color:#fff;text-decoration:none;padding:12px 18px;border-radius:10px;font-weight:700;">Open Glide Bedside</a></p>
+    <p style="color:#5f6368;font-size:14px;">You receive these alerts as a member of ${escapeHtml(safePatient)}'s care team on Glide Bedside.</p>
+  </div>
+</body></html>`;
+
+  const info = await tx.sendMail({ from: MAIL_FROM, to, subject, text, html });
+  return { sent: true, messageId: info.messageId || null };
+}
+
 module.exports = {
   configured,
+  alertsConfigured,
   sendCaregiverInviteEmail,
+  sendCareAlertEmail,
 };
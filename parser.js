@@ -2,12 +2,24 @@
  * parser.js — OpenAI NLP parser for Telegram messages
  *
  * Takes a freeform text message and returns a structured array of log actions.
- * Uses gpt-4o-mini for cost efficiency.
+ * Uses gpt-4o-mini for cost efficiency. When OpenAI can't be reached (or
+ * PARSER_MODE says so) the rule-based local-parser.js handles the message
+ * instead; results say which one did in `parser`.
  */
 
 'use strict';
 
 const OpenAI = require('openai');
+const { activeEntries, BUILT_IN_SYNONYMS } = require('./fluid-catalog');
+const { defaultWellnessSlots, resolveWellnessSlot } = require('./wellness-slots');
+const { parseLocally } = require('./local-parser');
+
+// openai: the model, with the local parser as a fallback (default).
+// local-first: the local parser, falling back to the model for anything it
+// can't fully place. local: never call OpenAI.
+const PARSER_MODES = ['openai', 'local-first', 'local'];
+
+const MAX_NOTES_LENGTH = 500;
 
 let client;
 function getClient() {
@@ -21,7 +33,7 @@ function getClient() {
 // System prompt
 // ---------------------------------------------------------------------------
 
-const SYSTEM_PROMPT = `You are a medical logging assistant for a critically ill child named Elina.
+const SYSTEM_PROMPT_TEMPLATE = `You are a medical logging assistant for a critically ill child named Elina.
 Your job is to parse freeform caregiver messages into structured log entries.
 
 Return ONLY a valid JSON object with this structure:
@@ -29,18 +41,20 @@ Return ONLY a valid JSON object with this structure:
   "actions": [
     {
       "type": "input",
-      "fluid_type": "<one of: water, juice, vitamin_water, milk, pediasure, yogurt_drink>",
-      "amount_ml": <number or null>
+      "fluid_type": "<one of: {{INPUT_TYPES}}>",
+      "amount_ml": <number or null>,
+      "notes": "<short remark about this entry, or null>"
     },
     {
       "type": "output",
-      "fluid_type": "<one of: urine, poop, vomit>",
+      "fluid_type": "<one of: {{OUTPUT_TYPES}}>",
       "amount_ml": <number or null>,
-      "subtype": "<optional for poop: normal | diarrhea | undigested>"
+      "subtype": "<optional for poop: normal | diarrhea | undigested>",
+      "notes": "<short remark about this entry, or null>"
     },
     {
       "type": "wellness",
-      "check_time": "<5pm or 10pm>",
+      "check_time": "<one of: {{WELLNESS_SLOTS}}, or null>",
       "appetite": <1-10 or null>,
       "energy": <1-10 or null>,
       "mood": <1-10 or null>,
@@ -53,6 +67,13 @@ Return ONLY a valid JSON object with this structure:
     {
       "type": "weight",
       "weight_kg": <number>
+    },
+    {
+      "type": "medication",
+      "medication": "<one of the medication names listed below>",
+      "dose_amount": <number or null>,
+      "dose_unit": "<unit as said, e.g. mg or ml, or null>",
+      "status": "<given | skipped>"
     }
   ],
   "date_offset": 0,
@@ -62,72 +83,98 @@ Return ONLY a valid JSON object with this structure:
 
 Rules:
 - A single message can produce multiple actions (e.g., "89g urine and 100ml water" → one output + one input).
-- For inputs: map common synonyms: "pee" / "peed" / "wet diaper" → urine (output), "pediasure" / "pedi" → pediasure, "vitamin water" → vitamin_water, "yogurt drink" / "drinkable yogurt" → yogurt_drink, "formula" → pediasure.
-- Output amounts (urine, vomit) are measured in grams (g), not ml. Accept "50g urine", "she peed 50g", "80 grams vomit", or a plain number (e.g. "urine 45"). Store the gram value in amount_ml (field name unchanged for schema compatibility).
+- Fluid types for this patient (fluid_type ← what caregivers call it):
+{{CATALOG_LINES}}
+- Map what the caregiver says onto the closest fluid_type above. Never invent a fluid_type that is not listed.
+- Output amounts are measured in grams (g), not ml. Accept "50g urine", "she peed 50g", "80 grams vomit", or a plain number (e.g. "urine 45"). Store the gram value in amount_ml (field name unchanged for schema compatibility).
 - "poop" / "pooped" / "BM" / "bowel movement" / "stool" → output type "poop". Amount in ml is REQUIRED — if no amount given, set unparseable: true for that action.
 - Poop subtypes:
   - "diarrhea" / "loose stool" / "watery poop" / "runny" → fluid_type "poop", subtype "diarrhea"
   - "undigested" / "food in stool" / "didn't digest" / "undigested poop" → fluid_type "poop", subtype "undigested"
   - generic "poop" / "BM" / "bowel movement" / "stool" without subtype qualifier → fluid_type "poop", subtype "normal"
+- Notes: anything the caregiver adds about an input or output beyond its type, amount and subtype (color, consistency, "mostly mucus", "after her meds", text in parentheses or after "note:") goes in that entry's "notes" as a short phrase in the caregiver's words. Otherwise notes is null. Only inputs and outputs have notes.
 - Gag: "gagged" / "gag x2" / "she gagged once" / "gagging episode" → type "gag" with count.
-- Wellness check: extract appetite, energy, mood, cyanosis scores (1-10). "cyan" = cyanosis. Infer check_time from context or default to "5pm".
+- Wellness check: extract appetite, energy, mood, cyanosis scores (1-10). "cyan" = cyanosis.
+- Wellness check slots for this patient (check_time ← name, usual time):
+{{WELLNESS_SLOT_LINES}}
+- Set check_time to the slot the caregiver names or whose time matches what they say. If they don't mention one, set check_time to null.
 - Amounts: "about", "roughly", "approximately", "~" are fine — use the number.
 - amount_ml is REQUIRED for every input and every output including poop (all in ml). If an amount is missing for any entry, set unparseable: true.
 - Weight: "weight 14.2" / "weight is 14.3 kg" / "she weighs 14.2" / "14.2 kg weight" → type "weight" with weight_kg as a positive number in kg. If given in lbs, convert to kg (divide by 2.205) and round to 2 decimal places. weight_kg is REQUIRED — if no number given, set unparseable: true.
+- Medications for this patient (medication ← what caregivers call it):
+{{MEDICATION_LINES}}
+- "gave 2mg lasix" / "lasix given" / "she had her furosemide" → type "medication", status "given". "skipped the lasix" / "didn't give lasix" / "held her lasix" → status "skipped". Only use medications listed above. A liquid medication is never a fluid input.
 - If the message contains NO recognizable entries, set "unparseable": true and actions: [].
 - Do NOT include any explanation or markdown — return raw JSON only.
 - Clamp wellness scores to 1–10.
 - All amounts must be positive numbers.
 - Yesterday date offset: if the message starts with "yesterday:", contains "yesterday she had", "log for yesterday", "for yesterday", or otherwise clearly refers to an entry that happened yesterday (not today), set "date_offset": -1. Otherwise set "date_offset": 0.`;
 
-// ---------------------------------------------------------------------------
-// Parse function
-// ---------------------------------------------------------------------------
-
 /**
- * Parse a freeform caregiver message into structured actions.
- * @param {string} message
- * @returns {Promise<{ actions: Array, unparseable: boolean, raw_message: string }>}
+ * Fill the prompt's fluid, wellness-slot and medication lists from the
+ * patient's configuration (or the built-ins).
  */
-async function parseMessage(message) {
-  const openai = getClient();
+function buildSystemPrompt(fluidCatalog, wellnessSlots, medications) {
+  const inputs = activeEntries(fluidCatalog, 'input');
+  const outputs = activeEntries(fluidCatalog, 'output');
+  const catalogLines = [...inputs, ...outputs].map((entry) => {
+    const names = [entry.label, ...(BUILT_IN_SYNONYMS[entry.key] || [])].map((n) => `"${n}"`).join(' / ');
+    return `  - ${entry.key} (${entry.category}) ← ${names}`;
+  }).join('\n');
+  const medicationLines = medications.length > 0
+    ? medications.map((med) => {
+      const names = [med.name, ...(med.aliases || [])].map((n) => `"${n}"`).join(' / ');
+      return `  - ${med.name} ← ${names}`;
+    }).join('\n')
+    : '  (none configured — ignore medication mentions)';
+  const slotLines = wellnessSlots.map((slot) => `  - ${slot.key} ← "${slot.label}", ${slot.time}`).join('\n');
+  return SYSTEM_PROMPT_TEMPLATE
+    .replace('{{INPUT_TYPES}}', () => inputs.map((entry) => entry.key).join(', '))
+    .replace('{{OUTPUT_TYPES}}', () => outputs.map((entry) => entry.key).join(', '))
+    .replace('{{CATALOG_LINES}}', () => catalogLines)
+    .replace('{{WELLNESS_SLOTS}}', () => wellnessSlots.map((slot) => slot.key).join(', '))
+    .replace('{{WELLNESS_SLOT_LINES}}', () => slotLines)
+    .replace('{{MEDICATION_LINES}}', () => medicationLines);
+}
 
-  let responseText;
-  try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: SYSTEM_PROMPT },
-        { role: 'user', content: message },
-      ],
-      temperature: 0.1,
-      max_tokens: 800,
-      response_format: { type: 'json_object' },
-    });
+function cleanNotes(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_NOTES_LENGTH) || null : null;
+}
 
-    responseText = completion.choices[0]?.message?.content;
-  } catch (err) {
-    console.error('[parser] OpenAI API error:', err.message);
-    throw new Error('Failed to contact OpenAI API: ' + err.message);
-  }
+/**
+ * Match the model's medication name against the patient's list by name or alias.
+ */
+function findMedication(medications, name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted) return null;
+  return medications.find((med) => [med.name, ...(med.aliases || [])].some((n) => n.toLowerCase() === wanted)) || null;
+}
 
-  // Parse the JSON response
-  let parsed;
-  try {
-    parsed = JSON.parse(responseText);
-  } catch (err) {
-    console.error('[parser] Failed to parse OpenAI response as JSON:', responseText);
-    return { actions: [], unparseable: true, raw_message: message };
-  }
+// ---------------------------------------------------------------------------
+// Parse function
+// ---------------------------------------------------------------------------
+
+function getParserMode() {
+  const mode = String(process.env.PARSER_MODE || '').trim().toLowerCase();
+  return PARSER_MODES.includes(mode) ? mode : 'openai';
+}
 
-  // Validate and sanitize the response
+/**
+ * Validate a model (or local parser) response against the patient's catalog,
+ * slots and medications: unknown fluids and medications are dropped, amounts
+ * rounded, notes trimmed, wellness scores clamped to 1–10 and date_offset
+ * limited to 0 / -1.
+ */
+function sanitizeParsed(parsed, message, options = {}) {
   if (!parsed || !Array.isArray(parsed.actions)) {
-    return { actions: [], unparseable: true, raw_message: message };
+    return { actions: [], date_offset: 0, unparseable: true, raw_message: message };
   }
+  const wellnessSlots = options.wellnessSlots || defaultWellnessSlots();
+  const medications = options.medications || [];
 
   // Sanitize each action
-  const validInputTypes = ['water', 'juice', 'vitamin_water', 'milk', 'pediasure', 'yogurt_drink'];
-  const validOutputTypes = ['urine', 'poop', 'vomit'];
+  const validInputTypes = activeEntries(options.fluidCatalog, 'input').map((entry) => entry.key);
+  const validOutputTypes = activeEntries(options.fluidCatalog, 'output').map((entry) => entry.key);
   const validPoopSubtypes = ['normal', 'diarrhea', 'undigested'];
 
   const sanitized = [];
@@ -142,6 +189,7 @@ async function parseMessage(message) {
         amount_ml: typeof action.amount_ml === 'number' && action.amount_ml > 0
           ? Math.round(action.amount_ml * 10) / 10
           : null,
+        notes: cleanNotes(action.notes),
       });
     } else if (action.type === 'output') {
       if (!validOutputTypes.includes(action.fluid_type)) continue;
@@ -157,12 +205,15 @@ async function parseMessage(message) {
           ? Math.round(action.amount_ml * 10) / 10
           : null,
         subtype,
+        notes: cleanNotes(action.notes),
       });
     } else if (action.type === 'wellness') {
       const clamp = (v) => (typeof v === 'number' ? Math.min(10, Math.max(1, Math.round(v))) : null);
       sanitized.push({
         type: 'wellness',
-        check_time: ['5pm', '10pm'].includes(action.check_time) ? action.check_time : '5pm',
+        check_time: resolveWellnessSlot(wellnessSlots, action.check_time)
+          || options.defaultWellnessSlot
+          || wellnessSlots[0].key,
         appetite: clamp(action.appetite),
         energy: clamp(action.energy),
         mood: clamp(action.mood),
@@ -180,6 +231,20 @@ async function parseMessage(message) {
           weight_kg: Math.round(action.weight_kg * 100) / 100,
         });
       }
+    } else if (action.type === 'medication') {
+      const medication = findMedication(medications, action.medication);
+      if (!medication) continue;
+      const hasDose = typeof action.dose_amount === 'number' && action.dose_amount > 0;
+      sanitized.push({
+        type: 'medication',
+        medication_id: medication.id,
+        medication_name: medication.name,
+        dose_amount: hasDose ? Math.round(action.dose_amount * 1000) / 1000 : null,
+        dose_unit: hasDose && typeof action.dose_unit === 'string' && action.dose_unit.trim()
+          ? action.dose_unit.trim().toLowerCase()
+          : null,
+        status: action.status === 'skipped' ? 'skipped' : 'given',
+      });
     }
   }
 
@@ -193,4 +258,68 @@ async function parseMessage(message) {
   };
 }
 
-module.exports = { parseMessage };
+/**
+ * Parse with local-parser.js only. Synchronous; never touches the network.
+ */
+function parseMessageLocally(message, options = {}) {
+  const local = parseLocally(message, {
+    fluidCatalog: options.fluidCatalog,
+    wellnessSlots: options.wellnessSlots || defaultWellnessSlots(),
+    medications: options.medications || [],
+  });
+  return { ...sanitizeParsed(local, message, options), parser: 'local', unmatched: local.unmatched };
+}
+
+/**
+ * Parse a freeform caregiver message into structured actions.
+ * @param {string} message
+ * @param {{ fluidCatalog?: Array, wellnessSlots?: Array, defaultWellnessSlot?: string, medications?: Array }} [options]
+ *   the patient's fluid catalog, wellness slots and active medications (defaults to the built-ins and
+ *   no medications), and the slot to use when a wellness message doesn't name one
+ * @returns {Promise<{ actions: Array, date_offset: number, unparseable: boolean, raw_message: string, parser: 'openai'|'local' }>}
+ */
+async function parseMessage(message, options = {}) {
+  const mode = getParserMode();
+  if (mode === 'local' || !process.env.OPENAI_API_KEY) return parseMessageLocally(message, options);
+  if (mode === 'local-first') {
+    const local = parseMessageLocally(message, options);
+    if (!local.unparseable && local.unmatched.length === 0) return local;
+  }
+
+  const openai = getClient();
+  const wellnessSlots = options.wellnessSlots || defaultWellnessSlots();
+  const medications = options.medications || [];
+
+  let responseText;
+  try {
+    const completion = await openai.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [
+        { role: 'system', content: buildSystemPrompt(options.fluidCatalog, wellnessSlots, medications) },
+        { role: 'user', content: message },
+      ],
+      temperature: 0.1,
+      max_tokens: 800,
+      response_format: { type: 'json_object' },
+    });
+
+    responseText = completion.choices[0]?.message?.content;
+  } catch (err) {
+    // Outage, quota or a bad key: keep logging with the rules instead.
+    console.error('[parser] OpenAI API error, using the local parser:', err.message);
+    return parseMessageLocally(message, options);
+  }
+
+  // Parse the JSON response
+  let parsed;
+  try {
+    parsed = JSON.parse(responseText);
+  } catch (err) {
+    console.error('[parser] Failed to parse OpenAI response as JSON:', responseText);
+    return { actions: [], date_offset: 0, unparseable: true, raw_message: message, parser: 'openai' };
+  }
+
+  return { ...sanitizeParsed(parsed, message, options), parser: 'openai' };
+}
+
+module.exports = { parseMessage, parseMessageLocally };
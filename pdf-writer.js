@@ -0,0 +1,231 @@
+/**
+ * pdf-writer.js — Minimal PDF generator for printable reports
+ *
+ * Just enough of PDF 1.4 for clinician handouts: flowing text in Helvetica,
+ * fixed-width tables, horizontal rules and a simple line chart, with page
+ * breaks handled automatically. Uses the standard Helvetica fonts, so only
+ * Latin-1 text survives; anything else is transliterated or dropped.
+ */
+
+'use strict';
+
+const PAGE_WIDTH = 612; // US Letter, points
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// Average Helvetica glyph width as a fraction of the font size; good enough
+// for truncating table cells without shipping font metrics.
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+const REPLACEMENTS = {
+  '—': '-',
+  '–': '-',
+  '→': '->',
+  '…': '...',
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '×': 'x',
+};
+
+function toLatin1(value) {
+  return String(value ?? '')
+    .replace(/[—–→…‘’“”×]/g, (ch) => REPLACEMENTS[ch])
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '')
+    .trim();
+}
+
+function escapeText(value) {
+  return toLatin1(value).replace(/[\\()]/g, (ch) => `\\${ch}`);
+}
+
+function fitText(value, width, size) {
+  const text = toLatin1(value);
+  const maxChars = Math.floor(width / (size * AVERAGE_CHAR_WIDTH));
+  return text.length > maxChars ? `${text.slice(0, Math.max(0, maxChars - 3))}...` : text;
+}
+
+function num(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Start a document. Drawing calls append to the current page and open a new
+ * one when the next block doesn't fit; toBuffer() serializes the file.
+ */
+function createPdf({ title = 'Report' } = {}) {
+  const pages = [];
+  let ops = null;
+  let y = 0;
+
+  function newPage() {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN;
+  }
+
+  function ensureSpace(height) {
+    if (!ops || y - height < MARGIN) newPage();
+  }
+
+  function drawText(value, x, baseline, { size = 10, bold = false } = {}) {
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${num(x)} ${num(baseline)} Td (${escapeText(value)}) Tj ET`);
+  }
+
+  function text(value, { size = 10, bold = false, indent = 0, gap = 4 } = {}) {
+    const lineHeight = size + gap;
+    ensureSpace(lineHeight);
+    y -= lineHeight;
+    drawText(fitText(value, CONTENT_WIDTH - indent, size), MARGIN + indent, y, { size, bold });
+  }
+
+  function heading(value) {
+    ensureSpace(40);
+    space(6);
+    text(value, { size: 13, bold: true });
+    rule();
+  }
+
+  function space(height) {
+    if (!ops) newPage();
+    y -= height;
+  }
+
+  function rule() {
+    ensureSpace(6);
+    y -= 4;
+    ops.push(`0.75 G 0.5 w ${MARGIN} ${num(y)} m ${PAGE_WIDTH - MARGIN} ${num(y)} l S 0 G`);
+    y -= 2;
+  }
+
+  /**
+   * columns: [{ label, width, align? }] with widths in points; rows: arrays of
+   * cell values. The header row repeats on every page the table spans.
+   */
+  function table(columns, rows, { size = 9 } = {}) {
+    const rowHeight = size + 6;
+    const header = () => {
+      y -= rowHeight;
+      drawCells(columns.map((column) => column.label), true);
+      ops.push(`0.6 G 0.5 w ${MARGIN} ${num(y - 3)} m ${PAGE_WIDTH - MARGIN} ${num(y - 3)} l S 0 G`);
+    };
+    const drawCells = (cells, bold) => {
+      let x = MARGIN;
+      cells.forEach((cell, index) => {
+        const column = columns[index];
+        const content = fitText(cell, column.width - 4, size);
+        const cellX = column.align === 'right'
+          ? x + column.width - 4 - content.length * size * AVERAGE_CHAR_WIDTH
+          : x;
+        drawText(content, cellX, y, { size, bold });
+        x += column.width;
+      });
+    };
+
+    ensureSpace(rowHeight * 2);
+    header();
+    for (const row of rows) {
+      if (y - rowHeight < MARGIN) {
+        newPage();
+        header();
+      }
+      y -= rowHeight;
+      drawCells(row, false);
+    }
+    y -= 4;
+  }
+
+  /**
+   * A labelled line chart of { label, value } points; null values leave a gap.
+   */
+  function lineChart(points, { height = 140, unit = '' } = {}) {
+    ensureSpace(height + 30);
+    const values = points.map((point) => point.value).filter((value) => typeof value === 'number');
+    const top = y - 10;
+    const bottom = top - height;
+    const left = MARGIN + 40;
+    const right = PAGE_WIDTH - MARGIN;
+    ops.push(`0.75 G 0.5 w ${left} ${num(bottom)} m ${right} ${num(bottom)} l S ${left} ${num(bottom)} m ${left} ${num(top)} l S 0 G`);
+
+    if (values.length > 0) {
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      const pad = max === min ? 1 : (max - min) * 0.1;
+      const low = min - pad;
+      const high = max + pad;
+      const toX = (index) => (points.length === 1 ? (left + right) / 2 : left + 6 + (index / (points.length - 1)) * (right - left - 12));
+      const toY = (value) => bottom + ((value - low) / (high - low)) * height;
+
+      drawText(`${num(high)}${unit}`, MARGIN, top - 8, { size: 7 });
+      drawText(`${num(low)}${unit}`, MARGIN, bottom, { size: 7 });
+
+      let segment = [];
+      const flush = () => {
+        if (segment.length > 1) {
+          ops.push(`0.18 0.5 0.62 RG 1.5 w ${segment.map(([x, py], i) => `${num(x)} ${num(py)} ${i === 0 ? 'm' : 'l'}`).join(' ')} S 0 G`);
+        }
+        segment = [];
+      };
+      points.forEach((point, index) => {
+        if (typeof point.value !== 'number') return flush();
+        const x = toX(index);
+        const py = toY(point.value);
+        segment.push([x, py]);
+        ops.push(`0.18 0.5 0.62 rg ${num(x - 2)} ${num(py - 2)} 4 4 re f 0 g`);
+      });
+      flush();
+
+      // Label the first and last point and a few in between.
+      const step = Math.max(1, Math.ceil(points.length / 8));
+      points.forEach((point, index) => {
+        if (index % step !== 0 && index !== points.length - 1) return;
+        drawText(point.label, toX(index) - 12, bottom - 12, { size: 7 });
+      });
+    } else {
+      drawText('No data', (left + right) / 2 - 15, bottom + height / 2, { size: 9 });
+    }
+    y = bottom - 20;
+  }
+
+  function toBuffer() {
+    if (pages.length === 0) newPage();
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const infoId = add(`<< /Title (${escapeText(title)}) /Producer (Glide Bedside) >>`);
+
+    const pageIds = pages.map((pageOps, index) => {
+      const footer = `BT /F1 8 Tf ${MARGIN} 30 Td (${escapeText(`${title} - page ${index + 1} of ${pages.length}`)}) Tj ET`;
+      const stream = [...pageOps, footer].join('\n');
+      const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+      return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let out = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, index) => {
+      offsets.push(Buffer.byteLength(out, 'latin1'));
+      out += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+    const xrefOffset = Buffer.byteLength(out, 'latin1');
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    out += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(out, 'latin1');
+  }
+
+  return { text, heading, space, rule, table, lineChart, toBuffer };
+}
+
+module.exports = { createPdf, CONTENT_WIDTH };
@@ -0,0 +1,116 @@
+/**
+ * permissions.js — What each family role may do
+ *
+ * Roles rank viewer < caregiver < admin < owner, and every permission names
+ * the lowest role that holds it. The web API checks each request against
+ * ROUTE_RULES (server.js enforceRoutePermissions); the Telegram bot and the
+ * Alexa skill ask can() before they write, so a viewer gets the same answer
+ * on every surface.
+ *
+ * Permissions:
+ *   care.view       — read totals, history, reports and settings
+ *   care.log        — log, edit and delete entries, photos, weights, wellness and doses
+ *   care.configure  — change settings, the fluid catalog, medications, display links
+ *                     and linked Telegram accounts
+ *   family.manage   — invite, re-role and remove family members; add, rename and
+ *                     archive patients; restore backups
+ *
+ * Within family.manage, canManageRole() keeps the owner role in owners' hands:
+ * admins manage admins, caregivers and viewers, but only an owner can make,
+ * demote or remove an owner.
+ */
+
+'use strict';
+
+const ROLES = ['viewer', 'caregiver', 'admin', 'owner'];
+
+const PERMISSIONS = {
+  'care.view': 'viewer',
+  'care.log': 'caregiver',
+  'care.configure': 'caregiver',
+  'family.manage': 'admin',
+};
+
+const PERMISSION_LABELS = {
+  'care.view': 'view this patient',
+  'care.log': 'log or change entries',
+  'care.configure': 'change settings',
+  'family.manage': 'manage family access',
+};
+
+// First match wins, so narrower paths come before the prefixes they share.
+// Reads (GET/HEAD) not listed here need care.view; other writes need care.log.
+const ROUTE_RULES = [
+  [['POST'], /^\/api\/account\/preferences$/, 'care.view'],
+  [['POST'], /^\/api\/telegram\/link-code$/, 'care.view'],
+  [['POST', 'DELETE'], /^\/api\/family\/invitations(?:\/|$)/, 'family.manage'],
+  [['PATCH', 'DELETE'], /^\/api\/family\/members\/[^/]+$/, 'family.manage'],
+  [['POST'], /^\/api\/families\/[^/]+\/select$/, 'care.view'],
+  [['POST'], /^\/api\/patients\/[^/]+\/select$/, 'care.view'],
+  [['POST', 'PATCH'], /^\/api\/patients(?:\/|$)/, 'family.manage'],
+  [['POST'], /^\/api\/restore$/, 'family.manage'],
+  [['POST'], /^\/api\/settings$/, 'care.configure'],
+  [['POST', 'PATCH'], /^\/api\/fluids(?:\/|$)/, 'care.configure'],
+  [['POST'], /^\/api\/medications\/[^/]+\/doses$/, 'care.log'],
+  [['POST', 'PATCH'], /^\/api\/medications(?:\/[^/]+)?$/, 'care.configure'],
+  [['POST', 'DELETE'], /^\/api\/display-tokens(?:\/|$)/, 'care.configure'],
+  [['DELETE'], /^\/api\/telegram\/links\/[^/]+$/, 'care.configure'],
+];
+
+/**
+ * The role a scope acts with. Access that isn't tied to a family membership —
+ * the shared-password login, the API key, the legacy Telegram allowlist —
+ * has always had full control, so a scope without a role counts as owner.
+ */
+function roleForScope(scope) {
+  const role = scope?.role;
+  return ROLES.includes(role) ? role : 'owner';
+}
+
+function can(role, permission) {
+  const required = PERMISSIONS[permission];
+  if (!required) throw new Error(`Unknown permission "${permission}"`);
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function canManageRole(role, targetRole) {
+  return ROLES.includes(targetRole) && ROLES.indexOf(role) >= ROLES.indexOf(targetRole);
+}
+
+function permissionsForRole(role) {
+  return Object.keys(PERMISSIONS).filter((permission) => can(role, permission));
+}
+
+function permissionForRequest(method, requestPath) {
+  const verb = String(method).toUpperCase();
+  const rule = ROUTE_RULES.find(([methods, pattern]) => methods.includes(verb) && pattern.test(requestPath));
+  if (rule) return rule[2];
+  return verb === 'GET' || verb === 'HEAD' ? 'care.view' : 'care.log';
+}
+
+/**
+ * The JSON body of a 403 for `role` lacking `permission`: a readable error
+ * plus the codes a client needs to explain it or hide the control.
+ */
+function forbiddenResponse(role, permission) {
+  const required = PERMISSIONS[permission];
+  return {
+    ok: false,
+    error: `Your ${role} access can't ${PERMISSION_LABELS[permission]}. Ask a family owner or admin for ${required} access.`,
+    code: 'forbidden',
+    permission,
+    role,
+    allowedRoles: ROLES.slice(ROLES.indexOf(required)),
+  };
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  roleForScope,
+  can,
+  canManageRole,
+  permissionsForRole,
+  permissionForRequest,
+  forbiddenResponse,
+};
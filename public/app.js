@@ -4,31 +4,30 @@
 
 'use strict';
 
-const FLUID_LABELS = {
-  water: 'Water',
-  juice: 'Juice',
-  vitamin_water: 'Vitamin Water',
-  milk: 'Milk',
-  pediasure: 'PediaSure',
-  yogurt_drink: 'Yogurt Drink',
-  urine: 'Urine',
-  poop: 'Poop',
-  vomit: 'Vomit',
-};
-
-const INPUT_OPTIONS = [
-  { value: 'water', label: 'Water' },
-  { value: 'pediasure', label: 'PediaSure' },
-  { value: 'milk', label: 'Milk' },
-  { value: 'juice', label: 'Juice' },
-  { value: 'yogurt_drink', label: 'Yogurt Drink' },
+// Fallback until /api/day returns the patient's fluid catalog.
+const BUILT_IN_FLUIDS = [
+  { key: 'water', label: 'Water', category: 'input', default_portions: [] },
+  { key: 'pediasure', label: 'PediaSure', category: 'input', default_portions: [] },
+  { key: 'milk', label: 'Milk', category: 'input', default_portions: [] },
+  { key: 'juice', label: 'Juice', category: 'input', default_portions: [] },
+  { key: 'yogurt_drink', label: 'Yogurt Drink', category: 'input', default_portions: [] },
+  { key: 'urine', label: 'Urine', category: 'output', default_portions: [] },
+  { key: 'poop', label: 'Poop', category: 'output', default_portions: [] },
+  { key: 'vomit', label: 'Vomit', category: 'output', default_portions: [] },
 ];
 
-const OUTPUT_OPTIONS = [
-  { value: 'urine', label: 'Urine' },
-  { value: 'poop', label: 'Poop' },
-  { value: 'vomit', label: 'Vomit' },
-];
+// Built-in fluids keep their hand-picked quick-add styling; custom ones use
+// their catalog emoji and the generic button style.
+const QUICK_BUTTON_STYLES = {
+  water: { className: 'quick-btn--water', icon: 'ph-drop' },
+  pediasure: { className: 'quick-btn--nutrition', icon: 'ph-first-aid-kit' },
+  urine: { className: 'quick-btn--output', icon: 'ph-toilet' },
+  juice: { className: 'quick-btn--juice', icon: 'ph-orange-slice' },
+  yogurt_drink: { className: 'quick-btn--nutrition', icon: 'ph-bowl-food', label: 'Yogurt' },
+  poop: { className: 'quick-btn--output', icon: 'ph-toilet-paper' },
+  milk: { className: 'quick-btn--nutrition', icon: 'ph-cow' },
+  vomit: { className: 'quick-btn--gag', icon: 'ph-spiral' },
+};
 
 const INPUT_ICON_CLASSES = {
   water: 'ph-drop',
@@ -46,9 +45,13 @@ const OUTPUT_ICON_CLASSES = {
 
 function entryTypeIconHtml(type, entryType = 'output') {
   const iconMap = entryType === 'input' ? INPUT_ICON_CLASSES : OUTPUT_ICON_CLASSES;
-  const iconClass = iconMap[type] || (entryType === 'input' ? 'ph-drop' : 'ph-toilet');
   const inputClass = entryType === 'input' ? ' output-type-icon--input' : '';
   const warnClass = type === 'vomit' ? ' output-type-icon--warn' : '';
+  const emoji = findFluid(type)?.icon;
+  if (!iconMap[type] && emoji) {
+    return `<span class="output-type-icon${inputClass}" aria-hidden="true">${escapeHtml(emoji)}</span>`;
+  }
+  const iconClass = iconMap[type] || (entryType === 'input' ? 'ph-drop' : 'ph-toilet');
   return `<span class="output-type-icon${inputClass}${warnClass}" aria-hidden="true"><i class="ph ${iconClass}"></i></span>`;
 }
 
@@ -77,8 +80,30 @@ const state = {
   weightPreviousKg: null,
   pendingQuickLog: null,
   sheet: null,
+  fluids: BUILT_IN_FLUIDS,
+  medications: null,
+  permissions: null,
 };
 
+function findFluid(key) {
+  return state.fluids.find((fluid) => fluid.key === key)
+    || BUILT_IN_FLUIDS.find((fluid) => fluid.key === key)
+    || null;
+}
+
+// Until /api/me answers, controls stay usable; the server still refuses viewers' writes.
+function canLog() {
+  return !state.permissions || state.permissions.includes('care.log');
+}
+
+function fluidLabel(key) {
+  return findFluid(key)?.label || key;
+}
+
+function activeFluids(category) {
+  return state.fluids.filter((fluid) => !fluid.archived_at && fluid.category === category);
+}
+
 function shiftDayKey(dayKey, deltaDays) {
   if (!dayKey) return null;
   const [year, month, day] = dayKey.split('-').map(Number);
@@ -142,13 +167,29 @@ function updateUrlForSelectedDay() {
 }
 
 function getWellnessMap() {
-  const map = { '5pm': null, '10pm': null };
+  const map = {};
   for (const row of state.data?.wellness || []) {
     if (row && row.check_time) map[row.check_time] = row;
   }
   return map;
 }
 
+// The family's configured slots, plus any slot that has a check logged on
+// this day but has since been removed from Settings.
+function getWellnessPeriods() {
+  const periods = (state.data?.wellnessSlots || []).map((slot) => ({ ...slot }));
+  for (const row of state.data?.wellness || []) {
+    if (row?.check_time && !periods.some((period) => period.key === row.check_time)) {
+      periods.push({ key: row.check_time, label: row.check_label || row.check_time, time: '' });
+    }
+  }
+  return periods;
+}
+
+function wellnessPeriodLabel(key) {
+  return getWellnessPeriods().find((period) => period.key === key)?.label || key;
+}
+
 function getWeightTrendMeta() {
   let label = 'No previous weight yet';
   let className = 'weight-trend-flat';
@@ -203,13 +244,7 @@ async function refreshAuthSession() {
   }
 }
 
-async function writeFetch(url, options = {}) {
-  const request = {
-    ...options,
-    cache: 'no-store',
-    credentials: 'same-origin',
-  };
-
+async function sendWrite(url, request) {
   let res = await fetch(url, request);
   if (res.status !== 401) return res;
 
@@ -222,6 +257,102 @@ async function writeFetch(url, options = {}) {
   return res;
 }
 
+async function queueWrite(url, method, headers, body) {
+  try {
+    await window.GlideOfflineQueue.enqueue({
+      url,
+      method,
+      headers: Object.fromEntries(headers),
+      body: window.GlideOfflineQueue.replayBody(url, method, body),
+      idempotencyKey: headers.get('Idempotency-Key'),
+    });
+  } catch (err) {
+    console.error('[offline] Could not queue write:', err);
+    throw new Error('No connection, and this browser could not save the change for later. Please try again when you are back online.');
+  }
+  flushOfflineQueue();
+  return new Response(JSON.stringify({ ok: true, queued: true }), {
+    status: 202,
+    headers: { 'Content-Type': 'application/json', 'X-Glide-Queued': '1' },
+  });
+}
+
+async function writeFetch(url, options = {}) {
+  const method = String(options.method || 'GET').toUpperCase();
+  const headers = new Headers(options.headers || {});
+  if (window.GlideOfflineQueue && !headers.has('Idempotency-Key')) {
+    headers.set('Idempotency-Key', window.GlideOfflineQueue.newIdempotencyKey());
+  }
+  const request = {
+    ...options,
+    headers,
+    cache: 'no-store',
+    credentials: 'same-origin',
+  };
+
+  const queueable = Boolean(window.GlideOfflineQueue) && window.GlideOfflineQueue.isQueueable(url, method);
+  // While anything is queued, new writes line up behind it so the server sees
+  // them in the order they were made.
+  if (queueable && (!navigator.onLine || await window.GlideOfflineQueue.size() > 0)) {
+    return queueWrite(url, method, headers, options.body);
+  }
+
+  try {
+    return await sendWrite(url, request);
+  } catch (err) {
+    // A dropped connection mid-request may or may not have reached the
+    // server; the replay's Idempotency-Key makes either case safe.
+    if (queueable) return queueWrite(url, method, headers, options.body);
+    throw err;
+  }
+}
+
+async function flushOfflineQueue() {
+  if (!window.GlideOfflineQueue || !navigator.onLine) return;
+  try {
+    const { sent, rejected } = await window.GlideOfflineQueue.flush((entry) => sendWrite(entry.url, {
+      method: entry.method,
+      headers: entry.headers,
+      body: entry.body,
+      cache: 'no-store',
+      credentials: 'same-origin',
+    }));
+    for (const { error } of rejected) {
+      showAppAlert(`A change saved while offline was not accepted: ${error}`);
+    }
+    if (sent > 0 || rejected.length > 0) await refreshDay();
+  } catch (err) {
+    console.error('[offline] Sync failed:', err);
+  }
+}
+
+function renderSyncStatus({ pending, online, syncing }) {
+  const el = document.getElementById('sync-status');
+  if (!el) return;
+  let text = '';
+  if (!online) text = pending > 0 ? `Offline · ${pending} to sync` : 'Offline';
+  else if (pending > 0) text = syncing ? `Syncing ${pending}…` : `${pending} waiting to sync`;
+  el.textContent = text;
+  el.hidden = !text;
+  el.classList.toggle('sync-status--offline', !online);
+}
+
+function initOfflineSupport() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch((err) => console.warn('[offline] Service worker unavailable:', err.message));
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data?.type === 'glide-flush-queue') flushOfflineQueue();
+    });
+  }
+  if (!window.GlideOfflineQueue) return;
+
+  window.GlideOfflineQueue.onChange(renderSyncStatus);
+  window.addEventListener('online', flushOfflineQueue);
+  window.addEventListener('offline', () => window.GlideOfflineQueue.status().then(renderSyncStatus));
+  setInterval(flushOfflineQueue, 30 * 1000);
+  flushOfflineQueue();
+}
+
 async function requireWriteOk(res) {
   if (res.ok) return;
   const err = await parseWriteError(res);
@@ -230,6 +361,29 @@ async function requireWriteOk(res) {
   throw error;
 }
 
+/**
+ * POST a new entry to /api/log. When the server reports that the same fluid
+ * and amount was just logged (often by the other parent), ask before saving
+ * it again. Resolves to null if the caregiver decides not to.
+ */
+async function postLogEntry(body) {
+  const send = (payload) => writeFetch('/api/log', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  let res = await send(body);
+  if (res.status === 409) {
+    const data = await res.clone().json().catch(() => ({}));
+    if (data.duplicate) {
+      if (!window.confirm(`${data.error}\n\nLog it again anyway?`)) return null;
+      res = await send({ ...body, allow_duplicate: true });
+    }
+  }
+  await requireWriteOk(res);
+  return res;
+}
+
 function updateClock() {
   const now = new Date();
   document.getElementById('current-time').textContent = now.toLocaleTimeString('en-US', {
@@ -256,6 +410,100 @@ async function loadSettings() {
   } catch (_) {}
 }
 
+async function loadPermissions() {
+  try {
+    const res = await fetch('/api/me');
+    if (!res.ok) return;
+    const data = await res.json();
+    state.permissions = Array.isArray(data.permissions) ? data.permissions : null;
+    window.GlideOfflineQueue?.rememberScope(data.scope);
+    document.body.classList.toggle('read-only', !canLog());
+  } catch (_) {}
+}
+
+/**
+ * Fill one of the header's switchers with `items` ({ id, name }). It stays
+ * hidden unless there is more than one to choose from.
+ */
+function renderSwitcher(select, items, activeId) {
+  select.replaceChildren(...items.map((item) => new Option(item.name || 'Unnamed', item.id, item.id === activeId, item.id === activeId)));
+  select.hidden = items.length < 2;
+  select.disabled = false;
+}
+
+// The family switcher (for accounts in several families) and the patient switcher.
+async function loadScopeSwitchers() {
+  try {
+    const [familiesRes, patientsRes] = await Promise.all([fetch('/api/families'), fetch('/api/patients')]);
+    if (familiesRes.ok) {
+      const data = await familiesRes.json();
+      renderSwitcher(document.getElementById('family-switcher'), data.families || [], data.activeFamilyId);
+    }
+    if (patientsRes.ok) {
+      const data = await patientsRes.json();
+      renderSwitcher(document.getElementById('patient-switcher'), data.patients || [], data.activePatientId);
+    }
+  } catch (_) {}
+}
+
+// Offline copies of the old family's or patient's pages and API reads.
+async function clearOfflineCache() {
+  if (!window.caches) return;
+  try {
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name.startsWith('glide-bedside')).map((name) => caches.delete(name)));
+  } catch (_) {}
+}
+
+/**
+ * Move the dashboard to another family or patient in place. Once the server
+ * has switched, everything tied to the old scope goes: the live-update
+ * stream (subscribed to the old patient), the loaded day, catalog,
+ * medications and permissions, and the service worker's offline copies.
+ * Refused while offline changes are queued, since they would replay against
+ * the new scope.
+ */
+async function switchScope(select, selectUrl, noun) {
+  const previous = [...select.options].find((option) => option.defaultSelected)?.value || '';
+  if (window.GlideOfflineQueue && await window.GlideOfflineQueue.size() > 0) {
+    select.value = previous;
+    showAppAlert(`Some changes made offline are still waiting to sync. Switch ${noun} once they have been sent.`);
+    return;
+  }
+  select.disabled = true;
+  try {
+    const res = await writeFetch(selectUrl, { method: 'POST' });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.ok) throw new Error(data.error || `Could not switch ${noun}.`);
+  } catch (err) {
+    select.value = previous;
+    select.disabled = false;
+    showAppAlert(err.message);
+    return;
+  }
+
+  stopRealtimeUpdates();
+  closeEntrySheet();
+  await clearOfflineCache();
+  Object.assign(state, {
+    data: null,
+    selectedDayKey: null,
+    todayDayKey: null,
+    weight: null,
+    weightPreviousKg: null,
+    pendingQuickLog: null,
+    fluids: BUILT_IN_FLUIDS,
+    medications: null,
+    permissions: null,
+  });
+  const pageUrl = new URL(window.location.href);
+  pageUrl.searchParams.delete('date');
+  window.history.replaceState({}, '', `${pageUrl.pathname}${pageUrl.search}`);
+  await Promise.all([loadSettings(), loadPermissions(), loadScopeSwitchers()]);
+  await refreshDay();
+  initRealtimeUpdates();
+}
+
 async function loadSelectedDayWeight() {
   if (!state.selectedDayKey) return;
 
@@ -287,6 +535,17 @@ async function loadSelectedDayWeight() {
   }
 }
 
+async function loadSelectedDayMedications() {
+  if (!state.selectedDayKey) return;
+  try {
+    const res = await fetch(`/api/medications/schedule?date=${encodeURIComponent(state.selectedDayKey)}`);
+    state.medications = res.ok ? await res.json() : null;
+  } catch (err) {
+    console.error('[medications] Load error:', err.message);
+    state.medications = null;
+  }
+}
+
 async function refreshDay() {
   try {
     const url = new URL('/api/day', window.location.origin);
@@ -298,9 +557,10 @@ async function refreshDay() {
     state.data = data;
     state.selectedDayKey = data.dayKey;
     state.todayDayKey = data.todayDayKey || data.dayKey;
+    if (Array.isArray(data.fluids) && data.fluids.length > 0) state.fluids = data.fluids;
     updateUrlForSelectedDay();
 
-    await loadSelectedDayWeight();
+    await Promise.all([loadSelectedDayWeight(), loadSelectedDayMedications()]);
     renderAll();
 
     document.getElementById('last-updated').textContent = new Date().toLocaleTimeString('en-US', {
@@ -324,12 +584,20 @@ function scheduleRealtimeRefresh() {
   }, 250);
 }
 
+let realtimeEvents = null;
+
 function initRealtimeUpdates() {
   if (!window.EventSource) return;
 
   try {
     const events = new EventSource('/api/events');
+    realtimeEvents = events;
     events.addEventListener('care-log-changed', scheduleRealtimeRefresh);
+    events.addEventListener('care-alert', (event) => {
+      try {
+        showAppAlert(JSON.parse(event.data).message);
+      } catch (_) {}
+    });
     events.onerror = () => {
       // EventSource reconnects automatically. The 30s polling fallback remains
       // in place for sleeping mobile browsers, proxies, or temporary network loss.
@@ -339,13 +607,54 @@ function initRealtimeUpdates() {
   }
 }
 
+function stopRealtimeUpdates() {
+  if (realtimeEvents) realtimeEvents.close();
+  realtimeEvents = null;
+  clearTimeout(realtimeRefreshTimer);
+  realtimeRefreshTimer = null;
+}
+
 function renderAll() {
   renderDayController();
+  renderQuickButtons();
   renderIntake();
   renderOutputs();
   renderGags();
   renderWeight();
   renderWellness();
+  renderMedications();
+}
+
+function quickButtonHtml(fluid) {
+  const style = QUICK_BUTTON_STYLES[fluid.key];
+  const className = style ? style.className : (fluid.category === 'output' ? 'quick-btn--output' : '');
+  const icon = style
+    ? `<i class="ph ${style.icon}"></i>`
+    : escapeHtml(fluid.icon || (fluid.category === 'output' ? '🚽' : '💧'));
+  const label = style?.label || fluid.label;
+  return `<button class="quick-btn${className ? ` ${className}` : ''}" data-type="${fluid.category}" data-fluid="${escapeHtml(fluid.key)}">` +
+    `<span class="quick-btn-icon" aria-hidden="true">${icon}</span><span class="quick-btn-label">${escapeHtml(label)}</span></button>`;
+}
+
+function renderQuickButtons() {
+  const container = document.getElementById('quick-buttons');
+  const html = [...activeFluids('input'), ...activeFluids('output')].map(quickButtonHtml).join('') +
+    '<button class="quick-btn quick-btn--gag" data-type="gag" data-count="1"><span class="quick-btn-icon" aria-hidden="true"><i class="ph ph-warning-circle"></i></span><span class="quick-btn-label">Gag ×1</span></button>';
+  // Skip re-rendering on every refresh so a button mid-"Saving…" keeps its state.
+  if (container.dataset.rendered === html) return;
+  container.dataset.rendered = html;
+  container.innerHTML = html;
+}
+
+function renderAmountPortions() {
+  const wrap = document.getElementById('amount-portions');
+  const pending = state.pendingQuickLog;
+  const portions = pending && pending.type !== 'gag' ? (findFluid(pending.fluid_type)?.default_portions || []) : [];
+  const unit = pending?.type === 'output' ? 'g' : 'ml';
+  wrap.innerHTML = portions
+    .map((amount) => `<button type="button" class="amount-portion-btn" data-amount="${amount}">${amount}${unit}</button>`)
+    .join('');
+  wrap.style.display = portions.length > 0 ? 'flex' : 'none';
 }
 
 function renderDayController() {
@@ -407,7 +716,8 @@ function renderIntake() {
           <span class="output-time">${escapeHtml(entry.time || '--')}</span>
           ${entryTypeIconHtml(entry.fluid_type, 'input')}
           <span class="entry-row-main">
-            <span class="entry-row-title">${escapeHtml(entry.fluid_type_label || FLUID_LABELS[entry.fluid_type] || entry.fluid_type)}</span>
+            <span class="entry-row-title">${escapeHtml(entry.fluid_type_label || fluidLabel(entry.fluid_type))}</span>
+            ${entryExtrasHtml(entry)}
           </span>
           <span class="entry-row-amount">${escapeHtml(amount)}</span>
         </button>
@@ -424,6 +734,7 @@ function renderOutputs() {
   document.getElementById('output-count').textContent = outputs.length;
   document.getElementById('output-total-amount').textContent = `${totalAmount} g`;
   document.getElementById('output-total-events').textContent = `${outputs.length} ${outputs.length === 1 ? 'event' : 'events'}`;
+  renderBalance();
 
   if (!outputs.length) {
     list.innerHTML = '<li class="empty-state">No outputs logged for this day</li>';
@@ -441,8 +752,9 @@ function renderOutputs() {
           <span class="output-time">${escapeHtml(entry.time || '--')}</span>
           ${outputIconHtml(entry.fluid_type)}
           <span class="entry-row-main">
-            <span class="entry-row-title">${escapeHtml(entry.fluid_type_label || FLUID_LABELS[entry.fluid_type] || entry.fluid_type)}</span>
+            <span class="entry-row-title">${escapeHtml(entry.fluid_type_label || fluidLabel(entry.fluid_type))}</span>
             ${subtypeLabel ? `<span class="entry-row-subtitle">${escapeHtml(subtypeLabel)}</span>` : ''}
+            ${entryExtrasHtml(entry)}
           </span>
           <span class="entry-row-amount">${escapeHtml(amount)}</span>
         </button>
@@ -451,6 +763,24 @@ function renderOutputs() {
   }).join('');
 }
 
+function renderBalance() {
+  const data = state.data || {};
+  const net = Number(data.netBalance) || 0;
+  document.getElementById('net-balance').textContent = `${net > 0 ? '+' : ''}${net} ml`;
+
+  const pill = document.getElementById('urine-rate-pill');
+  const rateEl = document.getElementById('urine-rate');
+  pill.classList.remove('balance-pill--warn', 'balance-pill--low');
+  if (data.urineRate === null || data.urineRate === undefined) {
+    rateEl.textContent = 'Log a weight';
+    pill.title = 'Urine output rate needs a weight logged on or before this day';
+    return;
+  }
+  rateEl.textContent = `${data.urineRate} ml/kg/hr`;
+  pill.title = `${data.urineOutput} ml over ${data.elapsedHours} h at ${data.balanceWeightKg} kg`;
+  if (data.urineStatus === 'low' || data.urineStatus === 'warn') pill.classList.add(`balance-pill--${data.urineStatus}`);
+}
+
 function renderGags() {
   const gags = state.data?.gags || [];
   const list = document.getElementById('gag-list');
@@ -508,9 +838,8 @@ function renderWellness() {
   const wellnessMap = getWellnessMap();
   const container = document.getElementById('wellness-period-list');
 
-  container.innerHTML = ['5pm', '10pm'].map((period) => {
+  container.innerHTML = getWellnessPeriods().map(({ key: period, label, time }) => {
     const entry = wellnessMap[period];
-    const label = period === '5pm' ? 'Afternoon' : 'Evening';
     const status = entry ? 'Logged' : 'Not logged';
     const pills = entry ? [
       ['Cyanosis', entry.cyanosis ?? '—'],
@@ -525,9 +854,9 @@ function renderWellness() {
     `).join('') : '<div class="empty-state" style="padding:4px 0 0;text-align:left;">Tap to add this period.</div>';
 
     return `
-      <button class="wellness-period-card" data-wellness-period="${period}" type="button">
+      <button class="wellness-period-card" data-wellness-period="${escapeHtml(period)}" type="button">
         <div class="wellness-period-header">
-          <span class="wellness-period-title">${escapeHtml(label)} (${escapeHtml(period)})</span>
+          <span class="wellness-period-title">${escapeHtml(label)}${time ? ` (${escapeHtml(time)})` : ''}</span>
           <span class="wellness-period-status ${entry ? 'logged' : ''}">${escapeHtml(status)}</span>
         </div>
         <div class="wellness-summary-grid">
@@ -538,6 +867,111 @@ function renderWellness() {
   }).join('');
 }
 
+const MEDICATION_STATUS_LABELS = {
+  given: 'Given',
+  late: 'Given late',
+  skipped: 'Skipped',
+  missed: 'Missed',
+  due: 'Due',
+  upcoming: 'Upcoming',
+};
+
+function formatDoseAmount(amount, unit) {
+  if (amount === null || amount === undefined) return '';
+  return unit ? `${amount} ${unit}` : String(amount);
+}
+
+function renderMedications() {
+  const card = document.getElementById('medication-card');
+  const schedule = state.medications;
+  const items = schedule?.items || [];
+  const extras = schedule?.extras || [];
+
+  // Families that don't track medications never see the card.
+  card.style.display = items.length || extras.length ? '' : 'none';
+  if (!items.length && !extras.length) return;
+
+  const missed = document.getElementById('medication-missed-count');
+  missed.textContent = schedule.missedCount;
+  missed.style.display = schedule.missedCount > 0 ? '' : 'none';
+
+  const scheduledRows = items.map((item) => {
+    const amount = formatDoseAmount(item.dose?.dose_amount ?? item.dose_amount, item.dose?.dose_unit ?? item.dose_unit);
+    const detail = item.dose && item.status !== 'skipped'
+      ? `${MEDICATION_STATUS_LABELS[item.status]} at ${item.dose.time}`
+      : MEDICATION_STATUS_LABELS[item.status];
+    const actions = item.dose
+      ? `<button class="inline-action-btn inline-action-btn--danger" data-dose-undo="${item.dose.id}" type="button">Undo</button>`
+      : `
+        <button class="inline-action-btn" data-dose-action="given" data-medication-id="${item.medication_id}" data-scheduled-time="${escapeHtml(item.scheduled_time)}" type="button">Give</button>
+        <button class="inline-action-btn" data-dose-action="skipped" data-medication-id="${item.medication_id}" data-scheduled-time="${escapeHtml(item.scheduled_time)}" type="button">Skip</button>
+      `;
+    return `
+      <li class="medication-item medication-item--${escapeHtml(item.status)}">
+        <span class="output-time">${escapeHtml(item.scheduled_time)}</span>
+        <span class="entry-row-main">
+          <span class="entry-row-title">${escapeHtml(item.name)}${amount ? ` · ${escapeHtml(amount)}` : ''}</span>
+          <span class="medication-status">${escapeHtml(detail)}</span>
+        </span>
+        <span class="weight-actions">${actions}</span>
+      </li>
+    `;
+  });
+
+  const extraRows = extras.map((dose) => {
+    const amount = formatDoseAmount(dose.dose_amount, dose.dose_unit);
+    return `
+      <li class="medication-item medication-item--${escapeHtml(dose.status)}">
+        <span class="output-time">${escapeHtml(dose.time || '--')}</span>
+        <span class="entry-row-main">
+          <span class="entry-row-title">${escapeHtml(dose.medication_name)}${amount ? ` · ${escapeHtml(amount)}` : ''}</span>
+          <span class="medication-status">${escapeHtml(MEDICATION_STATUS_LABELS[dose.status])} (unscheduled)</span>
+        </span>
+        <span class="weight-actions">
+          <button class="inline-action-btn inline-action-btn--danger" data-dose-undo="${dose.id}" type="button">Undo</button>
+        </span>
+      </li>
+    `;
+  });
+
+  document.getElementById('medication-list').innerHTML = [...scheduledRows, ...extraRows].join('');
+}
+
+async function handleMedicationListClick(event) {
+  if (!canLog()) return;
+  const undoBtn = event.target.closest('[data-dose-undo]');
+  if (undoBtn) {
+    if (!window.confirm('Remove this recorded dose?')) return;
+    const res = await writeFetch(`/api/medications/doses/${encodeURIComponent(undoBtn.dataset.doseUndo)}`, { method: 'DELETE' });
+    if (res.ok) await refreshDay();
+    return;
+  }
+
+  const btn = event.target.closest('[data-dose-action]');
+  if (!btn) return;
+  const body = {
+    status: btn.dataset.doseAction,
+    scheduled_time: btn.dataset.scheduledTime,
+    date: state.selectedDayKey,
+  };
+  // Back-filling an earlier day: record the dose at its scheduled time.
+  if (!isTodaySelected()) body.time = btn.dataset.scheduledTime;
+
+  btn.disabled = true;
+  try {
+    const res = await writeFetch(`/api/medications/${encodeURIComponent(btn.dataset.medicationId)}/doses`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    await requireWriteOk(res);
+    await refreshDay();
+  } catch (err) {
+    showAppAlert(err.message);
+    btn.disabled = false;
+  }
+}
+
 function findFluidEntry(id) {
   const all = [...(state.data?.inputs || []), ...(state.data?.outputs || [])];
   return all.find((entry) => entry.id === id) || null;
@@ -570,6 +1004,7 @@ function showQuickLogModal() {
   amountInput.value = state.pendingQuickLog?.amount_ml ? String(state.pendingQuickLog.amount_ml) : '';
   timeWrap.style.display = isTodaySelected() ? 'none' : 'flex';
   timeInput.value = getCurrentTimeInputValue();
+  renderAmountPortions();
   document.getElementById('amount-modal').style.display = 'flex';
 
   setTimeout(() => {
@@ -606,15 +1041,18 @@ async function submitQuickLog(payload, btn = null) {
   }
 
   try {
-    const res = await writeFetch('/api/log', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
-    });
-    await requireWriteOk(res);
+    const res = await postLogEntry(body);
+    if (!res) {
+      if (btn) {
+        btn.innerHTML = original;
+        btn.disabled = false;
+      }
+      return;
+    }
 
     if (btn) {
-      btn.innerHTML = '<span class="quick-btn-icon" aria-hidden="true"><i class="ph ph-check-circle"></i></span><span class="quick-btn-label">Saved</span>';
+      const savedLabel = res.headers.get('X-Glide-Queued') ? 'Queued' : 'Saved';
+      btn.innerHTML = `<span class="quick-btn-icon" aria-hidden="true"><i class="ph ph-check-circle"></i></span><span class="quick-btn-label">${savedLabel}</span>`;
       setTimeout(() => {
         btn.innerHTML = original;
         btn.disabled = false;
@@ -636,10 +1074,68 @@ async function submitQuickLog(payload, btn = null) {
 }
 
 function buildFluidOptions(entryType, selectedValue) {
-  const options = (entryType === 'input' ? INPUT_OPTIONS : OUTPUT_OPTIONS)
-    .map((option) => `<option value="${option.value}" ${option.value === selectedValue ? 'selected' : ''}>${option.label}</option>`)
+  const fluids = activeFluids(entryType);
+  // Keep an archived type selectable on the entries that already use it.
+  if (selectedValue && !fluids.some((fluid) => fluid.key === selectedValue)) {
+    fluids.push({ key: selectedValue, label: fluidLabel(selectedValue) });
+  }
+  return fluids
+    .map((fluid) => `<option value="${escapeHtml(fluid.key)}" ${fluid.key === selectedValue ? 'selected' : ''}>${escapeHtml(fluid.label)}</option>`)
     .join('');
-  return options;
+}
+
+function attachmentThumbsHtml(attachments, { removable = false } = {}) {
+  if (!attachments.length) return '';
+  return `<div class="attachment-thumbs">${attachments.map((attachment) => `
+    <span class="attachment-thumb">
+      <a href="${escapeHtml(attachment.url)}" target="_blank" rel="noopener"><img src="${escapeHtml(attachment.url)}" alt="Entry photo" loading="lazy" /></a>
+      ${removable ? `<button type="button" class="attachment-remove" data-attachment-id="${attachment.id}" aria-label="Remove photo">×</button>` : ''}
+    </span>
+  `).join('')}</div>`;
+}
+
+/**
+ * Upload a photo for fluid entry `entryId`. Photos aren't queued offline —
+ * they can be large, and the entry may not have an id until it syncs — so
+ * the entry is kept and the caregiver is told to add the photo later.
+ */
+async function uploadEntryPhoto(entryId, file) {
+  if (!entryId) {
+    throw new Error('The entry was saved for syncing, but the photo was not. Add it from the entry once you are back online.');
+  }
+  const form = new FormData();
+  form.append('photo', file);
+  let res;
+  try {
+    res = await writeFetch(`/api/log/${entryId}/attachments`, { method: 'POST', body: form });
+  } catch (_) {
+    throw new Error('The entry was saved, but the photo could not be uploaded without a connection. Add it from the entry once you are back online.');
+  }
+  await requireWriteOk(res);
+}
+
+async function handleSheetAttachmentRemove(event) {
+  const button = event.target.closest('.attachment-remove');
+  if (!button || !state.sheet?.entry) return;
+  if (!window.confirm('Remove this photo?')) return;
+  try {
+    const res = await writeFetch(`/api/attachments/${encodeURIComponent(button.dataset.attachmentId)}`, { method: 'DELETE' });
+    await requireWriteOk(res);
+    state.sheet.entry.attachments = (state.sheet.entry.attachments || [])
+      .filter((attachment) => String(attachment.id) !== button.dataset.attachmentId);
+    button.closest('.attachment-thumb').remove();
+    await refreshDay();
+  } catch (err) {
+    console.error('[sheet] Photo remove error:', err.message);
+    showAppAlert(err.message, { canonicalUrl: err.canonicalUrl });
+  }
+}
+
+function entryExtrasHtml(entry) {
+  const photos = entry.attachments?.length || 0;
+  if (!entry.notes && !photos) return '';
+  const photoLabel = photos ? `📎${photos > 1 ? ` ${photos}` : ''}` : '';
+  return `<span class="entry-row-subtitle entry-row-notes">${escapeHtml([photoLabel, entry.notes || ''].filter(Boolean).join(' '))}</span>`;
 }
 
 function renderSheet() {
@@ -657,7 +1153,7 @@ function renderSheet() {
   if (state.sheet.kind === 'fluid') {
     const entry = state.sheet.entry;
     const entryType = state.sheet.entryType || entry?.entry_type || 'input';
-    const fluidType = entry?.fluid_type || (entryType === 'input' ? 'water' : 'urine');
+    const fluidType = entry?.fluid_type || activeFluids(entryType)[0]?.key || (entryType === 'input' ? 'water' : 'urine');
     const amountValue = entry?.amount_ml ?? '';
     const timeValue = entry?.time24 || getCurrentTimeInputValue();
     const subtypeValue = entry?.subtype || 'normal';
@@ -683,6 +1179,15 @@ function renderSheet() {
         <label for="sheet-time-input">Time</label>
         <input id="sheet-time-input" name="time" type="time" value="${escapeHtml(timeValue)}" required />
       </div>
+      <div class="form-field">
+        <label for="sheet-notes-input">Notes</label>
+        <textarea id="sheet-notes-input" name="notes" rows="2" maxlength="500" placeholder="Optional">${escapeHtml(entry?.notes || '')}</textarea>
+      </div>
+      <div class="form-field">
+        <label for="sheet-photo-input">Photos</label>
+        ${attachmentThumbsHtml(entry?.attachments || [], { removable: true })}
+        <input id="sheet-photo-input" name="photo" type="file" accept="image/*" />
+      </div>
     `;
   } else if (state.sheet.kind === 'gag') {
     const entry = state.sheet.entry;
@@ -704,7 +1209,7 @@ function renderSheet() {
   } else if (state.sheet.kind === 'wellness') {
     const period = state.sheet.period;
     const entry = state.sheet.entry || {};
-    titleEl.textContent = `${period === '5pm' ? 'Afternoon' : 'Evening'} wellness`;
+    titleEl.textContent = `${wellnessPeriodLabel(period)} wellness`;
 
     const cyanosisGroup = CYANOSIS_OPTIONS.map((option) => `
       <label class="wellness-radio-option">
@@ -740,6 +1245,7 @@ function renderSheet() {
 }
 
 function openEntrySheet(config) {
+  if (!canLog()) return;
   state.sheet = config;
   renderSheet();
 }
@@ -758,6 +1264,8 @@ async function handleSheetSubmit(event) {
   saveBtn.disabled = true;
   saveBtn.textContent = 'Saving…';
 
+  // An entry that saved but whose photo didn't upload is still saved.
+  let photoError = null;
   try {
     if (state.sheet.kind === 'fluid') {
       const typeSelect = document.getElementById('sheet-fluid-type');
@@ -776,16 +1284,26 @@ async function handleSheetSubmit(event) {
         subtype: isPoop ? subtypeSelect?.value || 'normal' : null,
         time: timeInput.value,
         date: state.selectedDayKey,
+        notes: document.getElementById('sheet-notes-input').value.trim() || null,
       };
-
-      const url = state.sheet.mode === 'edit' ? `/api/log/${state.sheet.entry.id}` : '/api/log';
-      const method = state.sheet.mode === 'edit' ? 'PATCH' : 'POST';
-      const res = await writeFetch(url, {
-        method,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-      });
-      await requireWriteOk(res);
+      const photo = document.getElementById('sheet-photo-input').files[0] || null;
+
+      let entryId = state.sheet.entry?.id ?? null;
+      if (state.sheet.mode === 'edit') {
+        const res = await writeFetch(`/api/log/${entryId}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        });
+        await requireWriteOk(res);
+      } else {
+        const res = await postLogEntry(body);
+        // Declined as a duplicate: leave the sheet open to change or close.
+        if (!res) return;
+        const data = await res.json().catch(() => ({}));
+        entryId = data.results?.[0]?.data?.id ?? null;
+      }
+      if (photo) photoError = await uploadEntryPhoto(entryId, photo).then(() => null, (err) => err);
     } else if (state.sheet.kind === 'gag') {
       const time = document.getElementById('sheet-time-input').value;
       const url = state.sheet.mode === 'edit' ? `/api/gag/${state.sheet.entry.id}` : '/api/log';
@@ -830,6 +1348,7 @@ async function handleSheetSubmit(event) {
 
     closeEntrySheet();
     await refreshDay();
+    if (photoError) showAppAlert(photoError.message, { canonicalUrl: photoError.canonicalUrl });
   } catch (err) {
     console.error('[sheet] Save error:', err.message);
     showAppAlert(err.message, { canonicalUrl: err.canonicalUrl });
@@ -876,6 +1395,7 @@ function hydrateEntryForEdit(entry) {
 }
 
 async function handleUndoCurrentDay() {
+  if (!canLog()) return;
   const allEntries = [
     ...(state.data?.inputs || []).map((entry) => ({ ...entry, _kind: 'fluid' })),
     ...(state.data?.outputs || []).map((entry) => ({ ...entry, _kind: 'fluid' })),
@@ -914,6 +1434,13 @@ async function handleUndoCurrentDay() {
 }
 
 function initEventListeners() {
+  document.getElementById('family-switcher').addEventListener('change', (event) => {
+    switchScope(event.target, `/api/families/${encodeURIComponent(event.target.value)}/select`, 'families');
+  });
+  document.getElementById('patient-switcher').addEventListener('change', (event) => {
+    switchScope(event.target, `/api/patients/${encodeURIComponent(event.target.value)}/select`, 'patients');
+  });
+
   document.getElementById('day-prev').addEventListener('click', async () => {
     state.selectedDayKey = shiftDayKey(state.selectedDayKey || state.todayDayKey, -1);
     await refreshDay();
@@ -937,24 +1464,33 @@ function initEventListeners() {
     await refreshDay();
   });
 
-  document.querySelectorAll('.quick-btn').forEach((btn) => {
-    btn.addEventListener('click', async () => {
-      const type = btn.dataset.type;
-      const fluid = btn.dataset.fluid;
-      if (type === 'output' && fluid === 'poop') {
-        state.pendingQuickLog = { type: 'output', fluid_type: 'poop' };
-        showPoopSubtypePopup(btn);
-        return;
-      }
-      if (type === 'gag' && isTodaySelected()) {
-        await submitQuickLog({ type: 'gag', count: 1 }, btn);
-        return;
-      }
-      state.pendingQuickLog = type === 'gag'
-        ? { type: 'gag', count: 1 }
-        : { type, fluid_type: fluid, subtype: null, amount_ml: null };
-      showQuickLogModal();
-    });
+  // Buttons are re-rendered from the fluid catalog, so listen on the container.
+  document.getElementById('quick-buttons').addEventListener('click', async (event) => {
+    const btn = event.target.closest('.quick-btn');
+    if (!btn || btn.disabled || !canLog()) return;
+    const type = btn.dataset.type;
+    const fluid = btn.dataset.fluid;
+    if (type === 'output' && fluid === 'poop') {
+      state.pendingQuickLog = { type: 'output', fluid_type: 'poop' };
+      showPoopSubtypePopup(btn);
+      return;
+    }
+    if (type === 'gag' && isTodaySelected()) {
+      await submitQuickLog({ type: 'gag', count: 1 }, btn);
+      return;
+    }
+    state.pendingQuickLog = type === 'gag'
+      ? { type: 'gag', count: 1 }
+      : { type, fluid_type: fluid, subtype: null, amount_ml: null };
+    showQuickLogModal();
+  });
+
+  document.getElementById('amount-portions').addEventListener('click', (event) => {
+    const chip = event.target.closest('.amount-portion-btn');
+    if (!chip) return;
+    const amountInput = document.getElementById('amount-input');
+    amountInput.value = chip.dataset.amount;
+    amountInput.focus();
   });
 
   document.querySelectorAll('.poop-subtype-btn').forEach((btn) => {
@@ -1016,7 +1552,7 @@ function initEventListeners() {
 
   document.getElementById('weight-summary').addEventListener('click', async (event) => {
     const action = event.target.closest('[data-weight-action]')?.dataset.weightAction;
-    if (!action) return;
+    if (!action || !canLog()) return;
     if (action === 'edit') openEntrySheet({ mode: 'edit', kind: 'weight' });
     if (action === 'delete') {
       if (!window.confirm('Delete this weight entry?')) return;
@@ -1033,8 +1569,14 @@ function initEventListeners() {
     openEntrySheet({ mode: entry ? 'edit' : 'add', kind: 'wellness', period, entry });
   });
 
+  document.getElementById('medication-list').addEventListener('click', handleMedicationListClick);
+  document.getElementById('app-alert').addEventListener('click', (event) => {
+    if (!event.target.closest('a')) event.currentTarget.style.display = 'none';
+  });
+
   document.getElementById('entry-sheet-form').addEventListener('submit', handleSheetSubmit);
   document.getElementById('entry-sheet-delete').addEventListener('click', handleSheetDelete);
+  document.getElementById('entry-sheet-fields').addEventListener('click', handleSheetAttachmentRemove);
   document.getElementById('entry-sheet-close').addEventListener('click', closeEntrySheet);
   document.getElementById('entry-sheet').addEventListener('click', (event) => {
     if (event.target === event.currentTarget) closeEntrySheet();
@@ -1075,8 +1617,11 @@ setInterval(refreshDay, 30 * 60 * 1000);
 updateClock();
 applyInitialDateFromUrl();
 loadSettings();
+loadPermissions();
+loadScopeSwitchers();
 initEventListeners();
 initRealtimeUpdates();
+initOfflineSupport();
 refreshDay();
 
 
@@ -4,7 +4,8 @@
  * - Press-and-hold mic button to record
  * - Web Speech API first, MediaRecorder + Whisper as fallback
  * - Text chat interface with chat history
- * - All entries POSTed to /api/chat (same NLP pipeline as Telegram bot)
+ * - All entries POSTed to /api/chat (same NLP pipeline as Telegram bot);
+ *   without a connection they wait in the offline queue (offline-queue.js)
  */
 
 'use strict';
@@ -91,7 +92,17 @@ async function loadSettings() {
   } catch (_) {}
 }
 
+// The family and patient this page logs for, so messages queued offline name them.
+async function loadScope() {
+  try {
+    const res = await fetch('/api/me');
+    if (!res.ok) return;
+    window.GlideOfflineQueue.rememberScope((await res.json()).scope);
+  } catch (_) {}
+}
+
 loadSettings();
+loadScope();
 
 // Show initial welcome message
 appendMessage(
@@ -104,29 +115,139 @@ appendMessage(
 // Send text to /api/chat
 // ---------------------------------------------------------------------------
 
-async function sendToChat(text) {
-  if (!text || !text.trim()) return;
+/**
+ * "Log anyway" / "Skip" buttons under the last bot message, for an entry the
+ * server held back as a possible duplicate.
+ */
+function appendDuplicateChoice(text, message) {
+  const actions = document.createElement('div');
+  actions.className = 'chat-confirm-actions';
+
+  const logBtn = document.createElement('button');
+  logBtn.className = 'btn-log-it';
+  logBtn.textContent = 'Log anyway';
+  const skipBtn = document.createElement('button');
+  skipBtn.className = 'btn-cancel-transcription';
+  skipBtn.textContent = 'Skip';
+
+  logBtn.addEventListener('click', () => {
+    actions.remove();
+    sendToChat(text, { ...message, confirmDuplicate: true });
+  });
+  skipBtn.addEventListener('click', () => {
+    actions.remove();
+    appendMessage('bot', 'Okay, nothing was logged.');
+  });
 
-  appendMessage('user', text);
+  actions.append(logBtn, skipBtn);
+  chatHistory.lastElementChild.appendChild(actions);
+  actions.scrollIntoView({ behavior: 'smooth', block: 'end' });
+}
 
+/**
+ * Hold a message in the offline queue until the connection is back. The
+ * queued copy keeps the message's Idempotency-Key and the time it was sent.
+ */
+async function queueChat(url, request, recordedAt) {
+  const queue = window.GlideOfflineQueue;
+  const body = JSON.stringify({ ...JSON.parse(request.body), recorded_at: recordedAt });
   try {
-    const res = await fetch('/api/chat', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ text: text.trim() }),
+    await queue.enqueue({
+      url,
+      method: request.method,
+      headers: request.headers,
+      body: queue.replayBody(url, request.method, body),
+      idempotencyKey: request.headers['Idempotency-Key'],
     });
+  } catch (err) {
+    console.error('[offline] Could not queue chat message:', err);
+    appendMessage('bot', 'No connection, and this browser could not save the message for later. Please send it again when you are back online.', 'error');
+    return;
+  }
+  appendMessage('bot', "No connection — I'll log this as soon as you're back online.", 'warn');
+  flushQueuedWrites();
+}
+
+/**
+ * POST one message to /api/chat. Every send of the same message — the retry
+ * after a dropped connection, the "Log anyway" resend and an offline replay —
+ * carries the same Idempotency-Key, so the server logs it once.
+ */
+async function sendToChat(text, { confirmDuplicate = false, idempotencyKey = window.GlideOfflineQueue.newIdempotencyKey(), recordedAt = Date.now() } = {}) {
+  if (!text || !text.trim()) return;
+
+  if (!confirmDuplicate) appendMessage('user', text);
+
+  const url = '/api/chat';
+  const request = {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+    body: JSON.stringify({ text: text.trim(), confirm_duplicate: confirmDuplicate }),
+  };
+  // While anything is queued, new messages line up behind it.
+  if (!navigator.onLine || await window.GlideOfflineQueue.size() > 0) {
+    return queueChat(url, request, recordedAt);
+  }
+
+  let res;
+  try {
+    try {
+      res = await fetch(url, request);
+    } catch (_) {
+      // One quick retry for a blip; the key makes a repeat of a request that
+      // did reach the server safe.
+      res = await fetch(url, request);
+    }
+  } catch (err) {
+    return queueChat(url, request, recordedAt);
+  }
+
+  try {
     const data = await res.json();
 
     if (data.ok) {
       appendMessage('bot', data.message, 'success');
+    } else if (data.needsConfirmation) {
+      appendMessage('bot', data.message, 'warn');
+      appendDuplicateChoice(text, { idempotencyKey, recordedAt });
     } else {
       appendMessage('bot', data.message || data.error || 'Something went wrong', 'warn');
     }
   } catch (err) {
-    appendMessage('bot', 'Network error — are you connected?', 'error');
+    appendMessage('bot', `Something went wrong (HTTP ${res.status}). Please try again.`, 'error');
   }
 }
 
+/**
+ * Replay writes queued while offline, from this page or the dashboard.
+ */
+async function flushQueuedWrites() {
+  if (!navigator.onLine) return;
+  try {
+    const { sent, rejected } = await window.GlideOfflineQueue.flush((entry) => fetch(entry.url, {
+      method: entry.method,
+      headers: entry.headers,
+      body: entry.body,
+      cache: 'no-store',
+      credentials: 'same-origin',
+    }));
+    for (const { error } of rejected) {
+      appendMessage('bot', `A message saved while offline was not logged: ${error}`, 'warn');
+    }
+    if (sent > 0) appendMessage('bot', `Logged ${sent} change${sent !== 1 ? 's' : ''} saved while offline.`, 'success');
+  } catch (err) {
+    console.error('[offline] Sync failed:', err);
+  }
+}
+
+window.addEventListener('online', flushQueuedWrites);
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'glide-flush-queue') flushQueuedWrites();
+  });
+}
+flushQueuedWrites();
+
 // ---------------------------------------------------------------------------
 // Text input bar
 // ---------------------------------------------------------------------------
@@ -4,6 +4,7 @@ const state = {
   range: 7,
   days: [],
   weightByDate: {},
+  auditDate: null,
 };
 
 function updateClock() {
@@ -69,7 +70,7 @@ function mean(values) {
 }
 
 function computeWellnessAverage(day) {
-  const periods = [day.wellness?.afternoon, day.wellness?.evening].filter(Boolean);
+  const periods = Array.isArray(day.wellness) ? day.wellness : [];
   const scores = [];
   for (const period of periods) {
     if (typeof period.energy === 'number') scores.push(period.energy);
@@ -238,6 +239,52 @@ function buildLineTrendCard({ icon, title, subtitle, unit, points, colorClass, l
   `;
 }
 
+/**
+ * Entries in the range that carry a note or photos, newest day first. The
+ * day heading opens that day on the dashboard; a photo opens full size.
+ */
+function buildNotesCard(days) {
+  const dayGroups = days.map((day) => {
+    const entries = [...(day.inputs || []), ...(day.outputs || [])]
+      .filter((entry) => entry.notes || entry.attachments?.length)
+      .sort((a, b) => String(a.time24).localeCompare(String(b.time24)));
+    if (!entries.length) return '';
+    const items = entries.map((entry) => {
+      const unit = (day.outputs || []).includes(entry) ? 'g' : 'ml';
+      const amount = entry.amount_ml ? ` · ${formatNumber(entry.amount_ml)} ${unit}` : '';
+      const photos = (entry.attachments || []).map((attachment) => `
+        <a class="entry-note-photo" href="${escapeHtml(attachment.url)}" target="_blank" rel="noopener"><img src="${escapeHtml(attachment.url)}" alt="Entry photo" loading="lazy" /></a>
+      `).join('');
+      return `
+        <li class="entry-note-item">
+          <span class="audit-time">${escapeHtml(entry.time || '--')}</span>
+          <span class="audit-body">
+            <span class="audit-what"><strong>${escapeHtml(entry.fluid_type_label || entry.fluid_type)}</strong>${escapeHtml(amount)}</span>
+            ${entry.notes ? `<span class="entry-note-text">${escapeHtml(entry.notes)}</span>` : ''}
+            ${photos ? `<span class="entry-note-photos">${photos}</span>` : ''}
+          </span>
+        </li>
+      `;
+    }).join('');
+    return `
+      <button class="entry-note-day" data-day-key="${escapeHtml(day.dayKey)}">${escapeHtml(day.label)}</button>
+      <ul class="audit-list">${items}</ul>
+    `;
+  }).join('');
+
+  return `
+    <section class="trend-card card">
+      <div class="trend-card-header">
+        <div>
+          <h3>${trendIconHtml('ph-note-pencil')} <span>Notes &amp; photos</span></h3>
+          <p>Entries with a note or photo attached</p>
+        </div>
+      </div>
+      ${dayGroups || '<div class="h-loading">No notes or photos in this range.</div>'}
+    </section>
+  `;
+}
+
 function renderTrends() {
   const container = document.getElementById('trends-container');
   if (!state.days.length) {
@@ -350,6 +397,7 @@ function renderTrends() {
       latestLabel: wellnessPoints[wellnessPoints.length - 1]?.value !== null ? `${formatNumber(wellnessPoints[wellnessPoints.length - 1].value)} / 10` : 'No data',
       averageLabel: mean(wellnessPoints.map((point) => point.value)) !== null ? `${formatNumber(mean(wellnessPoints.map((point) => point.value)))} / 10` : 'No data',
     }),
+    buildNotesCard(state.days),
   ];
 
   container.innerHTML = cards.join('');
@@ -384,6 +432,7 @@ async function loadTrends() {
     }
 
     renderTrends();
+    setExportRangeForTrends();
     document.getElementById('last-updated').textContent = new Date().toLocaleTimeString('en-US', {
       hour: 'numeric', minute: '2-digit', second: '2-digit', hour12: true,
     });
@@ -393,6 +442,127 @@ async function loadTrends() {
   }
 }
 
+const AUDIT_ACTION_LABELS = { create: 'Added', update: 'Edited', delete: 'Deleted' };
+const AUDIT_SURFACE_LABELS = { web: 'dashboard', chat: 'chat', telegram: 'Telegram', alexa: 'Alexa', api: 'API' };
+
+function describeAuditValue(entityType, value) {
+  if (!value) return '';
+  switch (entityType) {
+    case 'fluid_log': {
+      const unit = value.entry_type === 'output' ? 'g' : 'ml';
+      const amount = value.amount_ml !== null && value.amount_ml !== undefined ? `${formatNumber(value.amount_ml)}${unit} ` : '';
+      return `${amount}${value.fluid_type}${value.subtype && value.subtype !== 'normal' ? ` (${value.subtype})` : ''}`;
+    }
+    case 'wellness_check': {
+      const scores = ['appetite', 'energy', 'mood', 'cyanosis']
+        .filter((field) => value[field] !== null && value[field] !== undefined)
+        .map((field) => `${field} ${value[field]}`);
+      return `${value.check_time} check${scores.length ? ` — ${scores.join(', ')}` : ''}`;
+    }
+    case 'gag_event':
+      return 'gag episode';
+    case 'weight_log':
+      return `weight ${formatNumber(value.weight_kg)} kg`;
+    case 'medication_dose': {
+      const dose = value.dose_amount !== null && value.dose_amount !== undefined ? ` ${value.dose_amount}${value.dose_unit ? ` ${value.dose_unit}` : ''}` : '';
+      return `medication dose${dose} (${value.status})`;
+    }
+    default:
+      return entityType;
+  }
+}
+
+function auditEntryHtml(entry) {
+  const time = new Date(entry.occurred_at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+  const who = entry.actor_name || (entry.actor_type === 'system' ? 'System' : entry.actor_type);
+  const via = AUDIT_SURFACE_LABELS[entry.surface] || entry.surface;
+  let detail;
+  if (entry.action === 'update') {
+    detail = `${describeAuditValue(entry.entity_type, entry.before)} → ${describeAuditValue(entry.entity_type, entry.after)}`;
+  } else {
+    detail = describeAuditValue(entry.entity_type, entry.after || entry.before);
+  }
+  return `
+    <li class="audit-item audit-item--${escapeHtml(entry.action)}">
+      <span class="audit-time">${escapeHtml(time)}</span>
+      <span class="audit-body">
+        <span class="audit-what"><strong>${escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</strong> ${escapeHtml(detail)}</span>
+        <span class="audit-who">${escapeHtml(who)}${via ? ` via ${escapeHtml(via)}` : ''}</span>
+      </span>
+    </li>
+  `;
+}
+
+async function loadAudit() {
+  const list = document.getElementById('audit-list');
+  list.innerHTML = '<div class="h-loading">Loading changes…</div>';
+  try {
+    const res = await fetch(state.auditDate ? `/api/audit?date=${encodeURIComponent(state.auditDate)}` : '/api/audit');
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+    const dateInput = document.getElementById('audit-date');
+    if (!state.auditDate) dateInput.max = data.date;
+    state.auditDate = data.date;
+    dateInput.value = data.date;
+
+    list.innerHTML = data.entries.length
+      ? `<ul class="audit-list">${data.entries.map(auditEntryHtml).join('')}</ul>`
+      : '<div class="h-loading">No changes recorded for this day.</div>';
+  } catch (err) {
+    console.error('[audit] Load error:', err.message);
+    list.innerHTML = `<div class="h-error"><i class="ph ph-traffic-signal" aria-hidden="true"></i> Failed to load changes: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function setExportRangeForTrends() {
+  if (!state.days.length) return;
+  // /api/history returns the most recent day first.
+  const to = state.days[0].dayKey;
+  const from = state.days[state.days.length - 1].dayKey;
+  const fromInput = document.getElementById('export-from');
+  const toInput = document.getElementById('export-to');
+  fromInput.value = from;
+  toInput.value = to;
+  fromInput.max = to;
+  toInput.max = to;
+}
+
+async function downloadExport(format) {
+  const status = document.getElementById('export-status');
+  const from = document.getElementById('export-from').value;
+  const to = document.getElementById('export-to').value;
+  if (from && to && from > to) {
+    status.textContent = '"From" must be on or before "To".';
+    return;
+  }
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+
+  status.textContent = `Preparing ${format.toUpperCase()}…`;
+  try {
+    const res = await fetch(`/api/export/${format}?${params}`);
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP ${res.status}`);
+    }
+    const blob = await res.blob();
+    const match = /filename=([^;]+)/.exec(res.headers.get('Content-Disposition') || '');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = match ? match[1] : `glide-report.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    status.textContent = '';
+  } catch (err) {
+    console.error('[export] Download error:', err.message);
+    status.textContent = `Export failed: ${err.message}`;
+  }
+}
+
 function initEvents() {
   const refreshBtn = document.getElementById('refresh-btn');
   if (refreshBtn) refreshBtn.addEventListener('click', loadTrends);
@@ -411,6 +581,17 @@ function initEvents() {
     if (!dayKey) return;
     window.location.href = dayKey ? `/?date=${encodeURIComponent(dayKey)}` : '/';
   });
+
+  document.querySelector('.export-actions').addEventListener('click', (event) => {
+    const btn = event.target.closest('[data-export-format]');
+    if (btn) downloadExport(btn.dataset.exportFormat);
+  });
+
+  document.getElementById('audit-date').addEventListener('change', (event) => {
+    if (!event.target.value) return;
+    state.auditDate = event.target.value;
+    loadAudit();
+  });
 }
 
 setInterval(updateClock, 1000);
@@ -418,3 +599,4 @@ updateClock();
 loadSettings();
 initEvents();
 loadTrends();
+loadAudit();
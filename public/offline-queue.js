@@ -0,0 +1,211 @@
+/* global window, indexedDB, navigator, localStorage */
+/*
+ * offline-queue.js — IndexedDB queue for dashboard and chat writes made
+ * without a connection.
+ *
+ * Each queued request keeps the Idempotency-Key it was first sent with, so
+ * replaying one the server already applied (a response lost mid-outage)
+ * returns the original result instead of logging the entry twice. Requests
+ * replay strictly in the order they were made; the first one that still
+ * can't reach the server stops the run and leaves the rest queued.
+ *
+ * Each one also names the family and patient the page was showing when it
+ * was made (X-Glide-Family-Id / X-Glide-Patient-Id). The server refuses a
+ * replay after the account has switched to someone else, here or on another
+ * device, instead of logging it against the patient selected now.
+ */
+(() => {
+  'use strict';
+
+  const DB_NAME = 'glide-bedside';
+  const STORE = 'write-queue';
+  const SYNC_TAG = 'glide-write-queue';
+  const SCOPE_KEY = 'glide-bedside:scope';
+
+  let dbPromise = null;
+  let flushPromise = null;
+  const listeners = new Set();
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  async function withStore(mode, callback) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const result = callback(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(result?.result ?? result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function list() {
+    // Auto-increment ids keep insertion order, which is replay order.
+    return withStore('readonly', (store) => store.getAll());
+  }
+
+  function remove(id) {
+    return withStore('readwrite', (store) => store.delete(id));
+  }
+
+  async function status() {
+    return { pending: (await list()).length, online: navigator.onLine, syncing: Boolean(flushPromise) };
+  }
+
+  async function notify() {
+    const current = await status();
+    for (const listener of listeners) listener(current);
+  }
+
+  /**
+   * Care-entry writes the queue may hold and replay later. Settings and
+   * medication changes need the server's answer straight away, so they still
+   * fail while offline.
+   */
+  function isQueueable(url, method) {
+    const path = new URL(url, window.location.origin).pathname;
+    if (method === 'POST') return path === '/api/log' || path === '/api/weight' || path === '/api/chat';
+    if (method === 'PATCH' || method === 'DELETE') return /^\/api\/(?:log|gag|weight|wellness)(?:\/|$)/.test(path);
+    return false;
+  }
+
+  /**
+   * The body to queue for a write. Without a time the server would stamp an
+   * entry when it syncs, not when it was given, so new entries carry
+   * `recorded_at`. Nobody is there to answer a duplicate question during the
+   * replay, so entries and chat messages are saved as entered.
+   */
+  function replayBody(url, method, body) {
+    const path = new URL(url, window.location.origin).pathname;
+    if (method !== 'POST' || !body) return body ?? null;
+    if (path === '/api/log') {
+      const data = { ...JSON.parse(body), allow_duplicate: true };
+      if (!data.time) data.recorded_at = Date.now();
+      return JSON.stringify(data);
+    }
+    if (path === '/api/chat') {
+      return JSON.stringify({ recorded_at: Date.now(), ...JSON.parse(body), confirm_duplicate: true });
+    }
+    return body;
+  }
+
+  /**
+   * Remember the family and patient this page shows (the scope from
+   * /api/me), or forget it when there is none.
+   */
+  function rememberScope(scope) {
+    try {
+      if (scope?.familyId && scope?.patientId) {
+        localStorage.setItem(SCOPE_KEY, JSON.stringify({ familyId: scope.familyId, patientId: scope.patientId }));
+      } else {
+        localStorage.removeItem(SCOPE_KEY);
+      }
+    } catch (_) {}
+  }
+
+  function rememberedScope() {
+    try {
+      return JSON.parse(localStorage.getItem(SCOPE_KEY) || 'null');
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function newIdempotencyKey() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  /**
+   * Store a write for later. `request` is { url, method, headers, body,
+   * idempotencyKey }; body must already be a string. The remembered scope
+   * goes into the stored headers, so the replay carries it.
+   */
+  async function enqueue(request) {
+    const scope = rememberedScope();
+    const headers = scope
+      ? { ...request.headers, 'X-Glide-Family-Id': scope.familyId, 'X-Glide-Patient-Id': scope.patientId }
+      : request.headers;
+    await withStore('readwrite', (store) => store.add({ ...request, headers, scope, queuedAt: Date.now() }));
+    try {
+      const registration = await navigator.serviceWorker?.ready;
+      await registration?.sync?.register(SYNC_TAG);
+    } catch (_) {
+      // No Background Sync (Safari, Firefox): the online event and the
+      // periodic retry in app.js cover it.
+    }
+    await notify();
+  }
+
+  /**
+   * Replay queued writes in order through `send(entry)`, which resolves to a
+   * fetch Response or throws on a network failure. Responses are handled as:
+   * 2xx — done, unless the body says { ok: false } (chat text that logged
+   * nothing), which is reported; 4xx — the server refused it, so drop it and report it
+   * (412 when it was made for another patient; 401, 408, 409 and 429 are
+   * retried later instead); 5xx — retry later.
+   */
+  function flush(send) {
+    if (flushPromise) return flushPromise;
+    flushPromise = (async () => {
+      const rejected = [];
+      let sent = 0;
+      await notify();
+      for (const entry of await list()) {
+        let res;
+        try {
+          res = await send(entry);
+        } catch (_) {
+          break;
+        }
+        if (res.ok) {
+          const data = await res.clone().json().catch(() => null);
+          await remove(entry.id);
+          if (data?.ok === false) rejected.push({ entry, error: data.message || data.error || 'Nothing was logged' });
+          else sent += 1;
+          continue;
+        }
+        if (res.status >= 500 || [401, 408, 409, 429].includes(res.status)) break;
+        let error = `HTTP ${res.status}`;
+        try { error = (await res.json()).error || error; } catch (_) {}
+        rejected.push({ entry, error });
+        await remove(entry.id);
+      }
+      return { sent, rejected };
+    })().finally(() => {
+      flushPromise = null;
+      notify().catch(() => {});
+    });
+    return flushPromise;
+  }
+
+  window.GlideOfflineQueue = {
+    enqueue,
+    flush,
+    list,
+    status,
+    isQueueable,
+    replayBody,
+    rememberScope,
+    newIdempotencyKey,
+    async size() {
+      return (await list()).length;
+    },
+    onChange(listener) {
+      listeners.add(listener);
+      notify().catch(() => {});
+    },
+  };
+})();
@@ -43,15 +43,56 @@ const FIELD_IDS = [
   'child_name',
   'daily_limit_ml',
   'day_start_hour',
+  'duplicate_window_minutes',
   'warn_threshold_yellow',
   'warn_threshold_red',
+  'urine_rate_warn_ml_kg_hr',
+  'urine_rate_low_ml_kg_hr',
+  'alert_no_urine_hours',
+  'alert_gag_count',
+  'alert_cyanosis_score',
   'report_time_1',
   'report_time_2',
-  'wellness_check_1',
-  'wellness_check_2',
   'timezone',
 ];
 
+// ---------------------------------------------------------------------------
+// Permissions
+// ---------------------------------------------------------------------------
+
+// null until /api/me answers; the server refuses what the role can't do either way.
+let permissions = null;
+let currentRole = null;
+
+function hasPermission(permission) {
+  return !permissions || permissions.includes(permission);
+}
+
+/**
+ * Viewers see the settings but can't change them: fields are disabled and the
+ * edit controls hidden (settings.css body.read-only). Only owners and admins
+ * get the invite form.
+ */
+function applyPermissions() {
+  const canConfigure = hasPermission('care.configure');
+  document.body.classList.toggle('read-only', !canConfigure);
+  document.body.classList.toggle('no-family-manage', !hasPermission('family.manage'));
+  document.querySelectorAll('.settings-main input, .settings-main select').forEach((el) => {
+    if (el.id !== 'ui_palette') el.disabled = !canConfigure;
+  });
+}
+
+async function loadPermissions() {
+  try {
+    const res = await fetch('/api/me');
+    if (!res.ok) return;
+    const data = await res.json();
+    permissions = Array.isArray(data.permissions) ? data.permissions : null;
+    currentRole = data.role || null;
+    applyPermissions();
+  } catch (_) {}
+}
+
 // ---------------------------------------------------------------------------
 // Load settings
 // ---------------------------------------------------------------------------
@@ -85,6 +126,10 @@ async function loadSettings() {
       }
     }
 
+    renderWellnessSlots(settings.wellness_slots || []);
+    // The check rows are rendered here, so they may arrive after /api/me.
+    if (permissions) applyPermissions();
+
     // Units radio
     const unitsValue = settings.units || 'ml';
     const radios = document.querySelectorAll('input[name="units"]');
@@ -116,6 +161,8 @@ async function saveSettings() {
     }
   }
 
+  payload.wellness_slots = readWellnessSlots();
+
   // Units radio
   const selectedUnit = document.querySelector('input[name="units"]:checked');
   if (selectedUnit) {
@@ -128,6 +175,20 @@ async function saveSettings() {
     window.GlideTheme.apply(selectedPalette);
   }
 
+  // Viewers can still keep their own palette.
+  if (!hasPermission('care.configure')) {
+    try {
+      await saveAccountPreferences(selectedPalette);
+      showStatus('Palette saved.', 'success');
+    } catch (err) {
+      showStatus('Error saving: ' + err.message, 'error');
+    } finally {
+      btn.disabled = false;
+      btn.innerHTML = SAVE_BUTTON_HTML;
+    }
+    return;
+  }
+
   // Basic validation
   const limit = parseInt(payload.daily_limit_ml, 10);
   if (isNaN(limit) || limit < 100 || limit > 5000) {
@@ -153,6 +214,22 @@ async function saveSettings() {
     return;
   }
 
+  const urineWarn = parseFloat(payload.urine_rate_warn_ml_kg_hr);
+  const urineLow = parseFloat(payload.urine_rate_low_ml_kg_hr);
+  if (!(urineWarn > 0) || !(urineLow > 0) || urineLow > urineWarn) {
+    showStatus('Urine output thresholds must be positive, with the low threshold at or below the warning threshold', 'error');
+    btn.disabled = false;
+    btn.innerHTML = SAVE_BUTTON_HTML;
+    return;
+  }
+
+  if (payload.wellness_slots.length === 0 || payload.wellness_slots.some((slot) => !slot.label || !slot.time)) {
+    showStatus('Each wellness check needs a name and a time', 'error');
+    btn.disabled = false;
+    btn.innerHTML = SAVE_BUTTON_HTML;
+    return;
+  }
+
   try {
     const res = await fetch('/api/settings', {
       method: 'POST',
@@ -171,6 +248,8 @@ async function saveSettings() {
     if (nameEl && data.child_name) {
       nameEl.textContent = data.child_name;
     }
+    // New checks come back with their generated keys.
+    renderWellnessSlots(data.wellness_slots || []);
     await saveAccountPreferences(selectedPalette);
 
   } catch (err) {
@@ -182,6 +261,35 @@ async function saveSettings() {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Wellness check slots
+// ---------------------------------------------------------------------------
+
+function wellnessSlotRowHtml(slot = {}) {
+  return `
+    <div class="wellness-slot-row" data-slot-key="${escapeHtml(slot.key || '')}">
+      <input type="text" maxlength="30" placeholder="Morning" value="${escapeHtml(slot.label || '')}" aria-label="Check name" />
+      <input type="time" value="${escapeHtml(slot.time || '')}" aria-label="Check time" />
+      <button class="telegram-unlink-btn" type="button" data-slot-remove>Remove</button>
+    </div>
+  `;
+}
+
+function renderWellnessSlots(slots) {
+  const container = document.getElementById('wellness-slot-list');
+  if (!container) return;
+  container.innerHTML = slots.map(wellnessSlotRowHtml).join('');
+}
+
+function readWellnessSlots() {
+  return [...document.querySelectorAll('#wellness-slot-list .wellness-slot-row')].map((row) => {
+    const [labelInput, timeInput] = row.querySelectorAll('input');
+    const slot = { label: labelInput.value.trim(), time: timeInput.value };
+    if (row.dataset.slotKey) slot.key = row.dataset.slotKey;
+    return slot;
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Account preferences
 // ---------------------------------------------------------------------------
@@ -244,7 +352,37 @@ function formatDateTime(value) {
   });
 }
 
-function renderFamilyMembers(members) {
+const FAMILY_ROLES = ['viewer', 'caregiver', 'admin', 'owner'];
+
+// Mirrors permissions.js canManageRole: only owners manage the owner role.
+function canManageRole(role) {
+  return !currentRole || FAMILY_ROLES.indexOf(currentRole) >= FAMILY_ROLES.indexOf(role);
+}
+
+function memberRoleSelectHtml(member) {
+  const options = FAMILY_ROLES.filter(canManageRole).reverse().map((role) => (
+    `<option value="${role}"${role === member.role ? ' selected' : ''}>${role[0].toUpperCase()}${role.slice(1)}</option>`
+  )).join('');
+  return `<select class="member-role-select" data-member-role="${escapeHtml(member.id)}" aria-label="Role for ${escapeHtml(member.email || 'member')}">${options}</select>`;
+}
+
+function memberActionsHtml(member) {
+  if (!canManageRole(member.role)) return '';
+  if (member.status === 'active') {
+    return `
+        <div class="fluid-catalog-actions family-member-actions">
+          ${memberRoleSelectHtml(member)}
+          <button class="telegram-unlink-btn" type="button" data-member-remove="${escapeHtml(member.id)}">Remove</button>
+        </div>`;
+  }
+  return `
+        <div class="fluid-catalog-actions family-member-actions">
+          <button class="fluid-catalog-btn" type="button" data-invite-resend="${escapeHtml(member.id)}">Resend</button>
+          <button class="telegram-unlink-btn" type="button" data-invite-revoke="${escapeHtml(member.id)}">Revoke</button>
+        </div>`;
+}
+
+function renderFamilyMembers(members, currentMembershipId = null) {
   const container = document.getElementById('family-members');
   if (!container) return;
 
@@ -255,24 +393,32 @@ function renderFamilyMembers(members) {
 
   container.innerHTML = members.map((member) => {
     const isActive = member.status === 'active';
-    const statusLabel = isActive ? 'Accepted' : 'Invite pending';
-    const statusClass = isActive ? 'active' : 'pending';
+    const isExpired = member.status === 'expired';
+    const statusLabel = isActive ? 'Accepted' : (isExpired ? 'Invite expired' : 'Invite pending');
     const name = member.display_name || member.email || 'Caregiver';
     const dateText = isActive
       ? formatDateTime(member.accepted_at || member.joined_at)
-      : formatDateTime(member.invited_at);
-    const metaText = isActive
-      ? (dateText ? `Accepted ${dateText}` : 'Registered and active')
-      : (dateText ? `Invited ${dateText}` : 'Waiting for signup');
+      : formatDateTime(member.last_sent_at || member.invited_at);
+    const expiryText = formatDateTime(member.expires_at);
+    let metaText;
+    if (isActive) {
+      metaText = dateText ? `Accepted ${dateText}` : 'Registered and active';
+    } else {
+      metaText = [
+        dateText ? `Invited ${dateText}` : 'Waiting for signup',
+        expiryText ? `${isExpired ? 'expired' : 'expires'} ${expiryText}` : '',
+      ].filter(Boolean).join(' · ');
+    }
+    const you = isActive && member.id === currentMembershipId ? ' (you)' : '';
 
     return `
       <div class="family-member-row">
         <div class="family-member-main">
-          <div class="family-member-name">${escapeHtml(name)}</div>
+          <div class="family-member-name">${escapeHtml(name)}${you}</div>
           <div class="family-member-email">${escapeHtml(member.email || '')}</div>
           <div class="family-member-meta">${escapeHtml(member.role || 'caregiver')} · ${escapeHtml(metaText)}</div>
         </div>
-        <span class="family-member-status ${statusClass}">${statusLabel}</span>
+        <span class="family-member-status ${member.status}">${statusLabel}</span>${memberActionsHtml(member)}
       </div>
     `;
   }).join('');
@@ -286,7 +432,7 @@ async function loadFamilyMembers() {
     const res = await fetch('/api/family/members');
     const data = await res.json();
     if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
-    renderFamilyMembers(data.members || []);
+    renderFamilyMembers(data.members || [], data.currentMembershipId);
   } catch (err) {
     console.error('[settings] Family access load error:', err);
     container.innerHTML = `<div class="family-members-error">Could not load family access: ${escapeHtml(err.message)}</div>`;
@@ -337,6 +483,534 @@ async function sendCaregiverInvite() {
   }
 }
 
+function setInviteStatus(text, type) {
+  const statusEl = document.getElementById('invite-status');
+  if (!statusEl) return;
+  statusEl.textContent = text;
+  statusEl.className = type ? `settings-status ${type}` : 'settings-status';
+}
+
+async function familyAccessRequest(url, options, failurePrefix) {
+  try {
+    const res = await fetch(url, options);
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+  } catch (err) {
+    console.error('[settings] Family access change error:', err);
+    setInviteStatus(`${failurePrefix}: ${err.message}`, 'error');
+    return null;
+  } finally {
+    loadFamilyMembers();
+  }
+}
+
+async function changeMemberRole(id, role) {
+  const data = await familyAccessRequest(`/api/family/members/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ role }),
+  }, 'Role change failed');
+  if (data) setInviteStatus(`${data.member.email || 'Member'} is now ${role === 'admin' ? 'an' : 'a'} ${role}.`, 'success');
+}
+
+async function removeMember(id) {
+  if (!window.confirm('Remove this person from the family? Their Telegram and Alexa links stop working too.')) return;
+  const data = await familyAccessRequest(`/api/family/members/${encodeURIComponent(id)}`, { method: 'DELETE' }, 'Remove failed');
+  if (data) setInviteStatus(`${data.member.email || 'Member'} was removed.`, 'success');
+}
+
+async function resendInvite(id) {
+  const data = await familyAccessRequest(`/api/family/invitations/${encodeURIComponent(id)}/resend`, { method: 'POST' }, 'Resend failed');
+  if (!data) return;
+  setInviteStatus(data.email?.sent
+    ? `Invite email sent again to ${data.invitation.email}.`
+    : `Invite for ${data.invitation.email} renewed. Invite email is not configured yet.`, 'success');
+}
+
+async function revokeInvite(id) {
+  if (!window.confirm('Revoke this invitation?')) return;
+  const data = await familyAccessRequest(`/api/family/invitations/${encodeURIComponent(id)}`, { method: 'DELETE' }, 'Revoke failed');
+  if (data) setInviteStatus('Invitation revoked.', 'success');
+}
+
+// ---------------------------------------------------------------------------
+// Patients
+// ---------------------------------------------------------------------------
+
+function setPatientStatus(text, type) {
+  const statusEl = document.getElementById('patient-status');
+  if (!statusEl) return;
+  statusEl.textContent = text;
+  statusEl.className = type ? `settings-status ${type}` : 'settings-status';
+}
+
+function renderPatients(patients, activePatientId) {
+  const container = document.getElementById('patient-list');
+  if (!container) return;
+
+  container.innerHTML = patients.map((patient) => {
+    const current = patient.id === activePatientId ? ' (current)' : '';
+    const metaText = [patient.pronouns, patient.archived ? 'Archived' : ''].filter(Boolean).join(' · ');
+    return `
+      <div class="family-member-row${patient.archived ? ' archived' : ''}">
+        <div class="family-member-main">
+          <div class="family-member-name">${escapeHtml(patient.name)}${current}</div>
+          <div class="family-member-meta">${escapeHtml(metaText)}</div>
+        </div>
+        <div class="fluid-catalog-actions">
+          <button class="fluid-catalog-btn" type="button" data-patient-archive="${escapeHtml(patient.id)}" data-archived="${patient.archived}">${patient.archived ? 'Restore' : 'Archive'}</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function loadPatients() {
+  const container = document.getElementById('patient-list');
+  if (!container) return;
+
+  try {
+    const res = await fetch('/api/patients?include_archived=1');
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    renderPatients(data.patients || [], data.activePatientId);
+  } catch (err) {
+    console.error('[settings] Patient load error:', err);
+    container.innerHTML = `<div class="family-members-error">Could not load patients: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+async function addPatient() {
+  const btn = document.getElementById('patient-add-btn');
+  const nameEl = document.getElementById('patient_name');
+  const pronounsEl = document.getElementById('patient_pronouns');
+  if (!btn || !nameEl || !pronounsEl) return;
+
+  const name = nameEl.value.trim();
+  if (!name) {
+    setPatientStatus('Enter the patient’s name.', 'error');
+    return;
+  }
+
+  btn.disabled = true;
+  setPatientStatus('', '');
+  try {
+    const res = await fetch('/api/patients', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, pronouns: pronounsEl.value }),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    setPatientStatus(`${data.patient.name} was added. Switch to them from the Day tab.`, 'success');
+    nameEl.value = '';
+    loadPatients();
+  } catch (err) {
+    console.error('[settings] Add patient error:', err);
+    setPatientStatus('Add failed: ' + err.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function togglePatientArchived(id, archived) {
+  if (archived && !window.confirm('Archive this patient? Their history is kept. Telegram or Alexa accounts tracking them will be asked to pick another patient.')) return;
+  try {
+    const res = await fetch(`/api/patients/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ archived }),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    setPatientStatus(`${data.patient.name} was ${archived ? 'archived' : 'restored'}.`, 'success');
+  } catch (err) {
+    console.error('[settings] Patient archive error:', err);
+    setPatientStatus(`${archived ? 'Archive' : 'Restore'} failed: ${err.message}`, 'error');
+  } finally {
+    loadPatients();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Telegram linking
+// ---------------------------------------------------------------------------
+
+function renderTelegramLinks(links) {
+  const container = document.getElementById('telegram-links');
+  if (!container) return;
+
+  if (!Array.isArray(links) || links.length === 0) {
+    container.innerHTML = '<div class="family-members-empty">No Telegram accounts are linked yet.</div>';
+    return;
+  }
+
+  container.innerHTML = links.map((link) => {
+    const name = link.telegram_username ? `@${link.telegram_username}` : `Telegram user ${link.telegram_user_id}`;
+    const owner = link.display_name || link.email || '';
+    const linkedText = formatDateTime(link.created_at);
+    const metaText = [link.patient_name, linkedText ? `Linked ${linkedText}` : ''].filter(Boolean).join(' · ');
+
+    return `
+      <div class="family-member-row">
+        <div class="family-member-main">
+          <div class="family-member-name">${escapeHtml(name)}</div>
+          <div class="family-member-email">${escapeHtml(owner)}</div>
+          <div class="family-member-meta">${escapeHtml(metaText)}</div>
+        </div>
+        <button class="telegram-unlink-btn" type="button" data-telegram-unlink="${escapeHtml(link.id)}">Unlink</button>
+      </div>
+    `;
+  }).join('');
+}
+
+async function loadTelegramLinks() {
+  const container = document.getElementById('telegram-links');
+  if (!container) return;
+
+  try {
+    const res = await fetch('/api/telegram/links');
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    renderTelegramLinks(data.links || []);
+  } catch (err) {
+    console.error('[settings] Telegram links load error:', err);
+    container.innerHTML = `<div class="family-members-error">Could not load linked accounts: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+async function generateTelegramLinkCode() {
+  const btn = document.getElementById('telegram-code-btn');
+  const statusEl = document.getElementById('telegram-status');
+  if (!btn || !statusEl) return;
+
+  btn.disabled = true;
+  btn.innerHTML = '<i class="ph ph-circle-notch" aria-hidden="true"></i> Generating…';
+  statusEl.textContent = '';
+  statusEl.className = 'settings-status';
+
+  try {
+    const res = await fetch('/api/telegram/link-code', { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    const expires = formatDateTime(data.expiresAt);
+    const botText = data.botUsername ? ` to @${escapeHtml(data.botUsername)}` : ' to the bot';
+    statusEl.innerHTML = `Send <strong>/link ${escapeHtml(data.code)}</strong>${botText}${expires ? ` before ${escapeHtml(expires)}` : ''}.` +
+      (data.deepLink ? ` <a href="${escapeHtml(data.deepLink)}" target="_blank" rel="noopener">Open Telegram</a>` : '');
+    statusEl.className = 'settings-status success';
+  } catch (err) {
+    console.error('[settings] Telegram link code error:', err);
+    statusEl.textContent = 'Could not generate a code: ' + err.message;
+    statusEl.className = 'settings-status error';
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Generate Link Code';
+  }
+}
+
+async function unlinkTelegram(id) {
+  const statusEl = document.getElementById('telegram-status');
+  try {
+    const res = await fetch(`/api/telegram/links/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    loadTelegramLinks();
+  } catch (err) {
+    console.error('[settings] Telegram unlink error:', err);
+    if (statusEl) {
+      statusEl.textContent = 'Unlink failed: ' + err.message;
+      statusEl.className = 'settings-status error';
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Fluid catalog
+// ---------------------------------------------------------------------------
+
+let fluidCatalog = [];
+let editingFluidKey = null;
+
+function renderFluidCatalog() {
+  const container = document.getElementById('fluid-catalog-list');
+  if (!container) return;
+
+  if (fluidCatalog.length === 0) {
+    container.innerHTML = '<div class="family-members-empty">No fluid types yet.</div>';
+    return;
+  }
+
+  container.innerHTML = fluidCatalog.map((fluid) => {
+    const archived = Boolean(fluid.archived_at);
+    const portions = (fluid.default_portions || []).join(', ');
+    const metaText = [
+      fluid.category === 'output' ? 'Output' : 'Intake',
+      portions ? `Portions: ${portions}` : '',
+      archived ? 'Archived' : '',
+    ].filter(Boolean).join(' · ');
+
+    return `
+      <div class="family-member-row${archived ? ' archived' : ''}">
+        <div class="family-member-main">
+          <div class="family-member-name">${escapeHtml(fluid.icon || '')} ${escapeHtml(fluid.label)}</div>
+          <div class="family-member-meta">${escapeHtml(metaText)}</div>
+        </div>
+        <div class="fluid-catalog-actions">
+          <button class="fluid-catalog-btn" type="button" data-fluid-edit="${escapeHtml(fluid.key)}">Edit</button>
+          <button class="fluid-catalog-btn" type="button" data-fluid-archive="${escapeHtml(fluid.key)}" data-archived="${archived}">${archived ? 'Restore' : 'Archive'}</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function loadFluidCatalog() {
+  const container = document.getElementById('fluid-catalog-list');
+  if (!container) return;
+
+  try {
+    const res = await fetch('/api/fluids');
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    fluidCatalog = data.fluids || [];
+    renderFluidCatalog();
+  } catch (err) {
+    console.error('[settings] Fluid catalog load error:', err);
+    container.innerHTML = `<div class="family-members-error">Could not load fluid types: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function setFluidStatus(message, type) {
+  const statusEl = document.getElementById('fluid-status');
+  if (!statusEl) return;
+  statusEl.textContent = message;
+  statusEl.className = 'settings-status ' + (type || '');
+}
+
+function resetFluidForm() {
+  editingFluidKey = null;
+  document.getElementById('fluid_label').value = '';
+  document.getElementById('fluid_icon').value = '';
+  document.getElementById('fluid_portions').value = '';
+  document.getElementById('fluid_category').disabled = false;
+  document.getElementById('fluid-save-btn').textContent = 'Add Fluid';
+  document.getElementById('fluid-cancel-btn').style.display = 'none';
+}
+
+function startFluidEdit(key) {
+  const fluid = fluidCatalog.find((f) => f.key === key);
+  if (!fluid) return;
+  editingFluidKey = key;
+  document.getElementById('fluid_label').value = fluid.label;
+  document.getElementById('fluid_icon').value = fluid.icon || '';
+  document.getElementById('fluid_portions').value = (fluid.default_portions || []).join(', ');
+  // Category is fixed once created; existing logs depend on it.
+  const categoryEl = document.getElementById('fluid_category');
+  categoryEl.value = fluid.category;
+  categoryEl.disabled = true;
+  document.getElementById('fluid-save-btn').textContent = 'Save Fluid';
+  document.getElementById('fluid-cancel-btn').style.display = 'block';
+  setFluidStatus('', '');
+  document.getElementById('fluid_label').focus();
+}
+
+async function saveFluid() {
+  const btn = document.getElementById('fluid-save-btn');
+  const payload = {
+    label: document.getElementById('fluid_label').value.trim(),
+    icon: document.getElementById('fluid_icon').value.trim(),
+    default_portions: document.getElementById('fluid_portions').value,
+  };
+  if (!payload.label) {
+    setFluidStatus('Enter a name for the fluid.', 'error');
+    return;
+  }
+  if (!editingFluidKey) payload.category = document.getElementById('fluid_category').value;
+
+  btn.disabled = true;
+  try {
+    const url = editingFluidKey ? `/api/fluids/${encodeURIComponent(editingFluidKey)}` : '/api/fluids';
+    const res = await fetch(url, {
+      method: editingFluidKey ? 'PATCH' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    setFluidStatus(editingFluidKey ? `Saved ${data.fluid.label}.` : `Added ${data.fluid.label}.`, 'success');
+    resetFluidForm();
+    await loadFluidCatalog();
+  } catch (err) {
+    console.error('[settings] Fluid save error:', err);
+    setFluidStatus('Could not save fluid: ' + err.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function toggleFluidArchived(key, archived) {
+  try {
+    const res = await fetch(`/api/fluids/${encodeURIComponent(key)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ archived }),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    await loadFluidCatalog();
+  } catch (err) {
+    console.error('[settings] Fluid archive error:', err);
+    setFluidStatus('Could not update fluid: ' + err.message, 'error');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Medications
+// ---------------------------------------------------------------------------
+
+let medications = [];
+let editingMedicationId = null;
+
+function renderMedications() {
+  const container = document.getElementById('medication-list');
+  if (!container) return;
+
+  if (medications.length === 0) {
+    container.innerHTML = '<div class="family-members-empty">No medications yet.</div>';
+    return;
+  }
+
+  container.innerHTML = medications.map((med) => {
+    const archived = Boolean(med.archived_at);
+    const dose = med.dose_amount !== null ? `${med.dose_amount}${med.dose_unit ? ` ${med.dose_unit}` : ''}` : '';
+    const metaText = [
+      dose,
+      med.route || '',
+      (med.schedule_times || []).length ? `At ${med.schedule_times.join(', ')}` : 'As needed',
+      archived ? 'Archived' : '',
+    ].filter(Boolean).join(' · ');
+
+    return `
+      <div class="family-member-row${archived ? ' archived' : ''}">
+        <div class="family-member-main">
+          <div class="family-member-name">${escapeHtml(med.name)}</div>
+          <div class="family-member-meta">${escapeHtml(metaText)}</div>
+        </div>
+        <div class="fluid-catalog-actions">
+          <button class="fluid-catalog-btn" type="button" data-medication-edit="${med.id}">Edit</button>
+          <button class="fluid-catalog-btn" type="button" data-medication-archive="${med.id}" data-archived="${archived}">${archived ? 'Restore' : 'Archive'}</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function loadMedications() {
+  const container = document.getElementById('medication-list');
+  if (!container) return;
+
+  try {
+    const res = await fetch('/api/medications?include_archived=1');
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    medications = data.medications || [];
+    const routeEl = document.getElementById('medication_route');
+    if (routeEl && routeEl.options.length <= 1) {
+      routeEl.insertAdjacentHTML('beforeend', (data.routes || [])
+        .map((route) => `<option value="${escapeHtml(route)}">${escapeHtml(route)}</option>`)
+        .join(''));
+    }
+    renderMedications();
+  } catch (err) {
+    console.error('[settings] Medication load error:', err);
+    container.innerHTML = `<div class="family-members-error">Could not load medications: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function setMedicationStatus(message, type) {
+  const statusEl = document.getElementById('medication-status');
+  if (!statusEl) return;
+  statusEl.textContent = message;
+  statusEl.className = 'settings-status ' + (type || '');
+}
+
+function resetMedicationForm() {
+  editingMedicationId = null;
+  ['medication_name', 'medication_dose_amount', 'medication_dose_unit', 'medication_route', 'medication_schedule_times', 'medication_aliases']
+    .forEach((id) => { document.getElementById(id).value = ''; });
+  document.getElementById('medication-save-btn').textContent = 'Add Medication';
+  document.getElementById('medication-cancel-btn').style.display = 'none';
+}
+
+function startMedicationEdit(id) {
+  const med = medications.find((m) => String(m.id) === String(id));
+  if (!med) return;
+  editingMedicationId = med.id;
+  document.getElementById('medication_name').value = med.name;
+  document.getElementById('medication_dose_amount').value = med.dose_amount ?? '';
+  document.getElementById('medication_dose_unit').value = med.dose_unit || '';
+  document.getElementById('medication_route').value = med.route || '';
+  document.getElementById('medication_schedule_times').value = (med.schedule_times || []).join(', ');
+  document.getElementById('medication_aliases').value = (med.aliases || []).join(', ');
+  document.getElementById('medication-save-btn').textContent = 'Save Medication';
+  document.getElementById('medication-cancel-btn').style.display = 'block';
+  setMedicationStatus('', '');
+  document.getElementById('medication_name').focus();
+}
+
+async function saveMedication() {
+  const btn = document.getElementById('medication-save-btn');
+  const payload = {
+    name: document.getElementById('medication_name').value.trim(),
+    dose_amount: document.getElementById('medication_dose_amount').value.trim() || null,
+    dose_unit: document.getElementById('medication_dose_unit').value.trim(),
+    route: document.getElementById('medication_route').value,
+    schedule_times: document.getElementById('medication_schedule_times').value,
+    aliases: document.getElementById('medication_aliases').value,
+  };
+  if (!payload.name) {
+    setMedicationStatus('Enter a name for the medication.', 'error');
+    return;
+  }
+
+  btn.disabled = true;
+  try {
+    const url = editingMedicationId ? `/api/medications/${encodeURIComponent(editingMedicationId)}` : '/api/medications';
+    const res = await fetch(url, {
+      method: editingMedicationId ? 'PATCH' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    setMedicationStatus(editingMedicationId ? `Saved ${data.medication.name}.` : `Added ${data.medication.name}.`, 'success');
+    resetMedicationForm();
+    await loadMedications();
+  } catch (err) {
+    console.error('[settings] Medication save error:', err);
+    setMedicationStatus('Could not save medication: ' + err.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function toggleMedicationArchived(id, archived) {
+  try {
+    const res = await fetch(`/api/medications/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ archived }),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    await loadMedications();
+  } catch (err) {
+    console.error('[settings] Medication archive error:', err);
+    setMedicationStatus('Could not update medication: ' + err.message, 'error');
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Status display
 // ---------------------------------------------------------------------------
@@ -358,12 +1032,120 @@ function showStatus(message, type) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Bedside displays
+// ---------------------------------------------------------------------------
+
+function renderDisplayTokens(tokens) {
+  const container = document.getElementById('display-tokens');
+  if (!container) return;
+
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    container.innerHTML = '<div class="family-members-empty">No display links yet.</div>';
+    return;
+  }
+
+  container.innerHTML = tokens.map((token) => {
+    const lastUsed = formatDateTime(token.last_used_at);
+    const expires = formatDateTime(token.expires_at);
+    const metaText = [
+      token.patient_name,
+      lastUsed ? `Last used ${lastUsed}` : 'Not used yet',
+      expires ? `Expires ${expires}` : '',
+    ].filter(Boolean).join(' · ');
+    const createdText = [`Link ending …${token.token_hint}`, token.created_by ? `created by ${token.created_by}` : ''].filter(Boolean).join(', ');
+
+    return `
+      <div class="family-member-row">
+        <div class="family-member-main">
+          <div class="family-member-name">${escapeHtml(token.name)}</div>
+          <div class="family-member-email">${escapeHtml(createdText)}</div>
+          <div class="family-member-meta">${escapeHtml(metaText)}</div>
+        </div>
+        <button class="telegram-unlink-btn" type="button" data-display-revoke="${escapeHtml(token.id)}">Revoke</button>
+      </div>
+    `;
+  }).join('');
+}
+
+async function loadDisplayTokens() {
+  const container = document.getElementById('display-tokens');
+  if (!container) return;
+
+  try {
+    const res = await fetch('/api/display-tokens');
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    renderDisplayTokens(data.tokens || []);
+  } catch (err) {
+    console.error('[settings] Display tokens load error:', err);
+    container.innerHTML = `<div class="family-members-error">Could not load display links: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+async function createDisplayToken() {
+  const btn = document.getElementById('display-token-btn');
+  const nameEl = document.getElementById('display_token_name');
+  const expiryEl = document.getElementById('display_token_expiry');
+  const statusEl = document.getElementById('display-token-status');
+  if (!btn || !nameEl || !expiryEl || !statusEl) return;
+
+  btn.disabled = true;
+  btn.innerHTML = '<i class="ph ph-circle-notch" aria-hidden="true"></i> Creating…';
+  statusEl.textContent = '';
+  statusEl.className = 'settings-status';
+
+  try {
+    const res = await fetch('/api/display-tokens', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: nameEl.value.trim(), expires_in_days: expiryEl.value || null }),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    const url = new URL(data.url, window.location.origin).href;
+    statusEl.innerHTML = `Open this link on the display: <a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(url)}</a><br>Copy it now — it won’t be shown again.`;
+    statusEl.className = 'settings-status success';
+    nameEl.value = '';
+    loadDisplayTokens();
+  } catch (err) {
+    console.error('[settings] Display token create error:', err);
+    statusEl.textContent = 'Could not create a display link: ' + err.message;
+    statusEl.className = 'settings-status error';
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Create Display Link';
+  }
+}
+
+async function revokeDisplayToken(id) {
+  const statusEl = document.getElementById('display-token-status');
+  try {
+    const res = await fetch(`/api/display-tokens/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    loadDisplayTokens();
+  } catch (err) {
+    console.error('[settings] Display token revoke error:', err);
+    if (statusEl) {
+      statusEl.textContent = 'Revoke failed: ' + err.message;
+      statusEl.className = 'settings-status error';
+    }
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Init
 // ---------------------------------------------------------------------------
 
+// Member actions depend on the caller's role, so the list waits for /api/me.
+loadPermissions().then(loadFamilyMembers);
 loadSettings();
-loadFamilyMembers();
+loadPatients();
+loadTelegramLinks();
+loadDisplayTokens();
+loadFluidCatalog();
+loadMedications();
 
 document.getElementById('save-btn').addEventListener('click', saveSettings);
 const paletteSelect = document.getElementById('ui_palette');
@@ -374,3 +1156,84 @@ if (paletteSelect) {
 }
 const inviteBtn = document.getElementById('invite-btn');
 if (inviteBtn) inviteBtn.addEventListener('click', sendCaregiverInvite);
+const familyMembers = document.getElementById('family-members');
+if (familyMembers) {
+  familyMembers.addEventListener('click', (event) => {
+    const removeBtn = event.target.closest('[data-member-remove]');
+    if (removeBtn) return removeMember(removeBtn.dataset.memberRemove);
+    const resendBtn = event.target.closest('[data-invite-resend]');
+    if (resendBtn) return resendInvite(resendBtn.dataset.inviteResend);
+    const revokeBtn = event.target.closest('[data-invite-revoke]');
+    if (revokeBtn) revokeInvite(revokeBtn.dataset.inviteRevoke);
+  });
+  familyMembers.addEventListener('change', (event) => {
+    const select = event.target.closest('[data-member-role]');
+    if (select) changeMemberRole(select.dataset.memberRole, select.value);
+  });
+}
+const patientAddBtn = document.getElementById('patient-add-btn');
+if (patientAddBtn) patientAddBtn.addEventListener('click', addPatient);
+const patientList = document.getElementById('patient-list');
+if (patientList) {
+  patientList.addEventListener('click', (event) => {
+    const btn = event.target.closest('[data-patient-archive]');
+    if (btn) togglePatientArchived(btn.dataset.patientArchive, btn.dataset.archived !== 'true');
+  });
+}
+const telegramCodeBtn = document.getElementById('telegram-code-btn');
+if (telegramCodeBtn) telegramCodeBtn.addEventListener('click', generateTelegramLinkCode);
+const telegramLinks = document.getElementById('telegram-links');
+if (telegramLinks) {
+  telegramLinks.addEventListener('click', (event) => {
+    const btn = event.target.closest('[data-telegram-unlink]');
+    if (btn) unlinkTelegram(btn.dataset.telegramUnlink);
+  });
+}
+const displayTokenBtn = document.getElementById('display-token-btn');
+if (displayTokenBtn) displayTokenBtn.addEventListener('click', createDisplayToken);
+const displayTokens = document.getElementById('display-tokens');
+if (displayTokens) {
+  displayTokens.addEventListener('click', (event) => {
+    const btn = event.target.closest('[data-display-revoke]');
+    if (btn) revokeDisplayToken(btn.dataset.displayRevoke);
+  });
+}
+const wellnessSlotAddBtn = document.getElementById('wellness-slot-add-btn');
+if (wellnessSlotAddBtn) {
+  wellnessSlotAddBtn.addEventListener('click', () => {
+    document.getElementById('wellness-slot-list').insertAdjacentHTML('beforeend', wellnessSlotRowHtml());
+  });
+}
+const wellnessSlotList = document.getElementById('wellness-slot-list');
+if (wellnessSlotList) {
+  wellnessSlotList.addEventListener('click', (event) => {
+    const btn = event.target.closest('[data-slot-remove]');
+    if (btn) btn.closest('.wellness-slot-row').remove();
+  });
+}
+const fluidSaveBtn = document.getElementById('fluid-save-btn');
+if (fluidSaveBtn) fluidSaveBtn.addEventListener('click', saveFluid);
+const fluidCancelBtn = document.getElementById('fluid-cancel-btn');
+if (fluidCancelBtn) fluidCancelBtn.addEventListener('click', () => { resetFluidForm(); setFluidStatus('', ''); });
+const fluidCatalogList = document.getElementById('fluid-catalog-list');
+if (fluidCatalogList) {
+  fluidCatalogList.addEventListener('click', (event) => {
+    const editBtn = event.target.closest('[data-fluid-edit]');
+    if (editBtn) return startFluidEdit(editBtn.dataset.fluidEdit);
+    const archiveBtn = event.target.closest('[data-fluid-archive]');
+    if (archiveBtn) toggleFluidArchived(archiveBtn.dataset.fluidArchive, archiveBtn.dataset.archived !== 'true');
+  });
+}
+const medicationSaveBtn = document.getElementById('medication-save-btn');
+if (medicationSaveBtn) medicationSaveBtn.addEventListener('click', saveMedication);
+const medicationCancelBtn = document.getElementById('medication-cancel-btn');
+if (medicationCancelBtn) medicationCancelBtn.addEventListener('click', () => { resetMedicationForm(); setMedicationStatus('', ''); });
+const medicationList = document.getElementById('medication-list');
+if (medicationList) {
+  medicationList.addEventListener('click', (event) => {
+    const editBtn = event.target.closest('[data-medication-edit]');
+    if (editBtn) return startMedicationEdit(editBtn.dataset.medicationEdit);
+    const archiveBtn = event.target.closest('[data-medication-archive]');
+    if (archiveBtn) toggleMedicationArchived(archiveBtn.dataset.medicationArchive, archiveBtn.dataset.archived !== 'true');
+  });
+}
@@ -0,0 +1,91 @@
+/*
+ * sw.js — Glide Bedside service worker.
+ *
+ * Keeps the dashboard usable on flaky hospital Wi-Fi: the app shell and the
+ * last successful GET of each page and API read are cached and served when
+ * the network is down (network first, so a deploy or new entry always wins
+ * when online). Writes are not handled here — the page queues them in
+ * IndexedDB (offline-queue.js) because only the page can attach a fresh
+ * Clerk token. A Background Sync event just wakes the page to replay them.
+ */
+
+'use strict';
+
+const CACHE_NAME = 'glide-bedside-v1';
+const SYNC_TAG = 'glide-write-queue';
+
+const SHELL_ASSETS = [
+  '/style.css',
+  '/app.js',
+  '/auth-fetch.js',
+  '/offline-queue.js',
+  '/theme.js',
+  '/version-watch.js',
+  '/manifest.json',
+  '/apple-touch-icon.png',
+  '/vendor/phosphor/regular/style.css',
+  '/vendor/phosphor/regular/Phosphor.woff2',
+  '/vendor/phosphor/fill/style.css',
+  '/vendor/phosphor/fill/Phosphor-Fill.woff2',
+];
+
+// Live streams and freshness checks are useless (or misleading) from cache.
+const NETWORK_ONLY_PATHS = new Set(['/api/events', '/api/version', '/api/auth/status']);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // One missing asset shouldn't stop the worker from installing.
+    await Promise.all(SHELL_ASSETS.map((asset) => cache.add(new Request(asset, { cache: 'reload' })).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    // Don't cache redirects to /login or error pages as the offline copy.
+    if (response.ok && !response.redirected) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request)
+      || (request.mode === 'navigate' ? await cache.match('/') : null);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // Signing out clears cached patient data from this device.
+  if (url.pathname === '/logout') {
+    event.respondWith(caches.delete(CACHE_NAME).then(() => fetch(request)));
+    return;
+  }
+  if (NETWORK_ONLY_PATHS.has(url.pathname) || request.headers.get('Accept') === 'text/event-stream') return;
+
+  event.respondWith(networkFirst(request));
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil((async () => {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    for (const client of clients) client.postMessage({ type: 'glide-flush-queue' });
+  })());
+});
@@ -59,21 +59,33 @@ function addClient(scope, req, res) {
   });
 }
 
-function publishCareChange(scope = {}, detail = {}) {
+function publish(scope, event, detail) {
   const key = scopeKey(scope);
   const payload = {
-    type: 'care-log-changed',
+    type: event,
     ts: Date.now(),
     ...detail,
   };
 
   for (const [id, client] of clients) {
     if (client.key !== key) continue;
-    if (!send(client, 'care-log-changed', payload)) clients.delete(id);
+    if (!send(client, event, payload)) clients.delete(id);
   }
 }
 
+function publishCareChange(scope = {}, detail = {}) {
+  publish(scope, 'care-log-changed', detail);
+}
+
+/**
+ * Push a fired care alert to open dashboards so it shows without a refresh.
+ */
+function publishCareAlert(scope = {}, alert = {}) {
+  publish(scope, 'care-alert', alert);
+}
+
 module.exports = {
   addClient,
   publishCareChange,
+  publishCareAlert,
 };
@@ -0,0 +1,287 @@
+/**
+ * report-export.js — CSV and PDF exports of a range of fluid days
+ *
+ * Both builders take the same list of collected days (see collectExportDays
+ * in server.js): { dayKey, summary, doses, weight }, where summary is
+ * db.getDaySummary's result, doses the day's medication doses with names, and
+ * weight the weight logged on that date (or null).
+ *
+ * The CSV has one row per logged entry followed by that day's totals, so a
+ * spreadsheet can filter on the `record` column. The PDF is a printable
+ * handout: a range summary, intake totals by type, a weight trend and a
+ * page section per day.
+ */
+
+'use strict';
+
+const { labelFor } = require('./fluid-catalog');
+const { wellnessSlotLabel } = require('./wellness-slots');
+const { createPdf, CONTENT_WIDTH } = require('./pdf-writer');
+
+const CSV_COLUMNS = ['date', 'time', 'record', 'category', 'item', 'amount', 'unit', 'details', 'source'];
+const WELLNESS_FIELDS = ['appetite', 'energy', 'mood', 'cyanosis'];
+
+function formatTime(timestamp, tz) {
+  return new Date(timestamp).toLocaleTimeString('en-US', { timeZone: tz, hour: 'numeric', minute: '2-digit', hour12: true });
+}
+
+function formatDayLabel(dayKey) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, 12)).toLocaleDateString('en-US', {
+    timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric',
+  });
+}
+
+function round(value, places = 1) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+function wellnessScores(check) {
+  return WELLNESS_FIELDS
+    .filter((field) => check[field] !== null && check[field] !== undefined)
+    .map((field) => `${field} ${check[field]}`)
+    .join('; ');
+}
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  // Keep spreadsheets from evaluating free text (notes) as a formula.
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function entryRows(day, { catalog, slots, tz }) {
+  const { summary } = day;
+  const rows = [];
+  for (const log of [...summary.inputs, ...summary.outputs]) {
+    const isInput = log.entry_type === 'input';
+    rows.push({
+      timestamp: log.timestamp,
+      category: isInput ? 'intake' : 'output',
+      item: labelFor(catalog, log.fluid_type),
+      amount: log.amount_ml,
+      unit: isInput ? 'ml' : 'g',
+      details: [log.subtype && log.subtype !== 'normal' ? log.subtype : null, log.notes].filter(Boolean).join('; '),
+      source: log.source,
+    });
+  }
+  for (const check of summary.wellness) {
+    rows.push({ timestamp: check.timestamp, category: 'wellness', item: wellnessSlotLabel(slots, check.check_time), details: wellnessScores(check) });
+  }
+  for (const gag of summary.gags) {
+    rows.push({ timestamp: gag.timestamp, category: 'gag', item: 'Gag episode', amount: 1 });
+  }
+  for (const dose of day.doses) {
+    rows.push({
+      timestamp: dose.timestamp,
+      category: 'medication',
+      item: dose.medication_name,
+      amount: dose.dose_amount,
+      unit: dose.dose_unit,
+      details: [dose.status, dose.scheduled_time ? `scheduled ${dose.scheduled_time}` : null, dose.notes].filter(Boolean).join('; '),
+      source: dose.source,
+    });
+  }
+  if (day.weight) {
+    rows.push({ timestamp: Date.parse(day.weight.logged_at) || null, category: 'weight', item: 'Weight', amount: day.weight.weight_kg, unit: 'kg', details: day.weight.notes });
+  }
+  rows.sort((a, b) => (a.timestamp ?? Infinity) - (b.timestamp ?? Infinity));
+  return rows.map((row) => ({
+    date: day.dayKey,
+    time: row.timestamp ? formatTime(row.timestamp, tz) : '',
+    record: 'entry',
+    ...row,
+  }));
+}
+
+function totalRows(day, { catalog }) {
+  const { summary } = day;
+  const total = (category, item, amount, unit, details = null) => ({ date: day.dayKey, time: '', record: 'daily_total', category, item, amount, unit, details });
+  return [
+    ...Object.entries(summary.intakeByType).map(([type, ml]) => total('intake', labelFor(catalog, type), round(ml), 'ml')),
+    total('intake', 'All intake', round(summary.totalIntake), 'ml'),
+    total('output', 'All output', summary.totalOutput, 'g'),
+    total('output', 'Urine', summary.urineOutput, 'g'),
+    total('net_balance', 'Intake minus output', summary.netBalance, 'ml'),
+    total('urine_rate', 'Urine output rate', summary.urineRate, 'ml/kg/hr',
+      summary.urineRate !== null ? `${summary.elapsedHours}h at ${summary.weightKg} kg` : 'no weight logged'),
+    total('gag', 'Gag episodes', summary.gagCount, null),
+  ];
+}
+
+/**
+ * CSV text (with a header row) for the given days, oldest first.
+ */
+function buildExportCsv(days, context) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const day of days) {
+    for (const row of [...entryRows(day, context), ...totalRows(day, context)]) {
+      lines.push(CSV_COLUMNS.map((column) => csvCell(row[column])).join(','));
+    }
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+/**
+ * PDF buffer for the given days, oldest first.
+ * @param {Array} days
+ * @param {{ patientName: string, from: string, to: string, limit: number, catalog: Array, slots: Array, tz: string }} context
+ */
+function buildExportPdf(days, context) {
+  const { patientName, from, to, limit, catalog, slots, tz } = context;
+  const title = `${patientName} - fluid report ${from} to ${to}`;
+  const pdf = createPdf({ title });
+
+  pdf.text(`${patientName} - Fluid Intake & Output Report`, { size: 18, bold: true });
+  pdf.text(`${formatDayLabel(from)} to ${formatDayLabel(to)}  |  Daily limit ${limit} ml  |  Outputs weighed in grams (1 g = 1 ml)`, { size: 9 });
+  pdf.text(`Generated ${new Date().toLocaleString('en-US', { timeZone: tz })} (${tz})`, { size: 9 });
+
+  pdf.heading('Daily summary');
+  pdf.table(
+    [
+      { label: 'Day', width: 112 },
+      { label: 'Intake ml', width: 56, align: 'right' },
+      { label: '% limit', width: 48, align: 'right' },
+      { label: 'Output g', width: 56, align: 'right' },
+      { label: 'Net', width: 52, align: 'right' },
+      { label: 'Urine ml/kg/hr', width: 76, align: 'right' },
+      { label: 'Gags', width: 40, align: 'right' },
+      { label: 'Weight kg', width: CONTENT_WIDTH - 440, align: 'right' },
+    ],
+    days.map(({ dayKey, summary, weight }) => [
+      formatDayLabel(dayKey),
+      round(summary.totalIntake),
+      `${Math.round((summary.totalIntake / limit) * 100)}%`,
+      summary.totalOutput,
+      signed(summary.netBalance),
+      summary.urineRate ?? '-',
+      summary.gagCount,
+      weight ? weight.weight_kg : '-',
+    ])
+  );
+
+  const intakeTotals = new Map();
+  for (const { summary } of days) {
+    for (const [type, ml] of Object.entries(summary.intakeByType)) intakeTotals.set(type, (intakeTotals.get(type) || 0) + ml);
+  }
+  pdf.heading('Intake by type');
+  if (intakeTotals.size > 0) {
+    pdf.table(
+      [
+        { label: 'Fluid', width: 220 },
+        { label: 'Total ml', width: 100, align: 'right' },
+        { label: 'Average ml / day', width: CONTENT_WIDTH - 320, align: 'right' },
+      ],
+      [...intakeTotals.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, ml]) => [labelFor(catalog, type), round(ml), round(ml / days.length)])
+    );
+  } else {
+    pdf.text('No intake logged in this range.');
+  }
+
+  pdf.heading('Weight trend');
+  pdf.lineChart(days.map(({ dayKey, weight }) => ({ label: dayKey.slice(5), value: weight ? weight.weight_kg : null })), { unit: ' kg' });
+
+  for (const day of days) {
+    const { summary } = day;
+    pdf.heading(formatDayLabel(day.dayKey));
+    pdf.text(`Intake ${round(summary.totalIntake)} ml  |  Output ${summary.totalOutput} g  |  Net ${signed(summary.netBalance)} ml  |  Gags ${summary.gagCount}`, { bold: true });
+
+    const byType = Object.entries(summary.intakeByType);
+    if (byType.length > 0) {
+      pdf.table(
+        [{ label: 'Intake', width: 220 }, { label: 'ml', width: CONTENT_WIDTH - 220, align: 'right' }],
+        byType.map(([type, ml]) => [labelFor(catalog, type), round(ml)])
+      );
+    }
+
+    if (summary.outputs.length > 0) {
+      pdf.table(
+        [
+          { label: 'Output time', width: 90 },
+          { label: 'Type', width: 150 },
+          { label: 'g', width: 60, align: 'right' },
+          { label: 'Notes', width: CONTENT_WIDTH - 300 },
+        ],
+        summary.outputs.map((log) => [
+          formatTime(log.timestamp, tz),
+          labelFor(catalog, log.fluid_type),
+          log.amount_ml ?? '-',
+          [log.subtype && log.subtype !== 'normal' ? log.subtype : null, log.notes].filter(Boolean).join('; '),
+        ])
+      );
+    } else {
+      pdf.text('No outputs logged.', { size: 9 });
+    }
+    if (summary.urineRate !== null) {
+      pdf.text(`Urine ${summary.urineOutput} g over ${summary.elapsedHours} h at ${summary.weightKg} kg = ${summary.urineRate} ml/kg/hr`, { size: 9 });
+    }
+
+    if (summary.wellness.length > 0) {
+      pdf.table(
+        [
+          { label: 'Wellness check', width: 120 },
+          { label: 'Time', width: 70 },
+          ...WELLNESS_FIELDS.map((field) => ({ label: field[0].toUpperCase() + field.slice(1), width: (CONTENT_WIDTH - 190) / 4, align: 'right' })),
+        ],
+        summary.wellness.map((check) => [
+          wellnessSlotLabel(slots, check.check_time),
+          formatTime(check.timestamp, tz),
+          ...WELLNESS_FIELDS.map((field) => (check[field] ?? '-')),
+        ])
+      );
+    }
+
+    if (summary.gags.length > 0) {
+      pdf.text(`Gag episodes at ${summary.gags.map((gag) => formatTime(gag.timestamp, tz)).join(', ')}`, { size: 9 });
+    }
+
+    if (day.doses.length > 0) {
+      pdf.table(
+        [
+          { label: 'Medication', width: 160 },
+          { label: 'Dose', width: 90 },
+          { label: 'Scheduled', width: 70 },
+          { label: 'Given', width: 80 },
+          { label: 'Status', width: CONTENT_WIDTH - 400 },
+        ],
+        day.doses.map((dose) => [
+          dose.medication_name,
+          dose.dose_amount !== null ? `${dose.dose_amount}${dose.dose_unit ? ` ${dose.dose_unit}` : ''}` : '-',
+          dose.scheduled_time || '-',
+          formatTime(dose.timestamp, tz),
+          dose.status,
+        ])
+      );
+    }
+
+    if (day.weight) {
+      pdf.text(`Weight ${day.weight.weight_kg} kg${day.weight.notes ? ` (${day.weight.notes})` : ''}`, { size: 9 });
+    }
+  }
+
+  return pdf.toBuffer();
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  buildExportCsv,
+  buildExportPdf,
+};
@@ -1,85 +1,149 @@
 /**
  * scheduler.js — Cron jobs for automated reports and day resets
+ *
+ * A single once-a-minute tick walks every active patient, reads that
+ * patient's timezone and report times straight from the settings table (so
+ * edits on /settings apply on the next tick), and sends any report slot that
+ * has come due. Each send is claimed in scheduled_report_sends first, which
+ * keeps restarts and overlapping deploys from double-sending; a slot missed
+ * while the process was down is still sent if it is inside the catch-up window.
+ * The same tick re-evaluates care alerts for each patient (see alerts.js).
  */
 
 'use strict';
 
 const cron = require('node-cron');
 const db = require('./db');
+const alerts = require('./alerts');
 const { buildReport } = require('./server');
+const { localClock, shiftDayKey } = require('./fluid-day');
 
 function getBot() {
   return require('./bot');
 }
 
-const AUTHORIZED_IDS = (process.env.AUTHORIZED_USER_IDS || '')
-  .split(',')
-  .map((s) => s.trim())
-  .filter(Boolean)
-  .map((s) => parseInt(s, 10));
+const REPORT_SLOTS = [
+  { key: 'report_time_1', fallback: '19:00' },
+  { key: 'report_time_2', fallback: '22:00' },
+];
 
-async function sendScheduledReport(label) {
-  if (AUTHORIZED_IDS.length === 0) {
-    console.warn('[scheduler] No authorized users configured — skipping report send');
-    return;
-  }
+// How late a slot may still be sent after its scheduled time (covers restarts).
+const CATCH_UP_MINUTES = 60;
 
-  let bot;
-  try {
-    bot = getBot();
-  } catch (err) {
-    console.error('[scheduler] Could not get bot instance:', err.message);
-    return;
+let ticking = false;
+
+/**
+ * Parse "HH:MM" into minutes after midnight, or null if invalid.
+ */
+function parseTimeOfDay(timeStr) {
+  const parts = (timeStr || '').split(':');
+  const h = parseInt(parts[0], 10);
+  const m = parseInt(parts[1], 10);
+  if (!isNaN(h) && !isNaN(m) && h >= 0 && h < 24 && m >= 0 && m < 60) {
+    return h * 60 + m;
   }
+  return null;
+}
+
+/**
+ * Build and send one patient's report to everyone linked to that patient
+ * (`recipients`, looked up when not passed). Returns the number of chats that
+ * received it.
+ */
+async function sendScheduledReport(patient, label, now = new Date(), recipients = null) {
+  if (!recipients) recipients = await db.getTelegramRecipientsForPatient(patient.familyId, patient.patientId);
+  if (recipients.length === 0) return 0;
 
-  const dayKey = db.getDayKey();
+  const bot = getBot();
+  const scope = { familyId: patient.familyId, patientId: patient.patientId };
+  const tz = patient.settings.timezone || process.env.TZ || 'America/New_York';
+  const dayKey = db.computeDayKey(now, tz, patient.settings.day_start_hour);
   let report;
   try {
-    report = await buildReport(dayKey);
+    report = await buildReport(dayKey, scope);
   } catch (err) {
     console.error('[scheduler] Error building report:', err.message);
     report = `❌ Error generating ${label} report: ${err.message}`;
   }
 
-  for (const userId of AUTHORIZED_IDS) {
+  let delivered = 0;
+  for (const chatId of recipients) {
     try {
-      await bot.sendMessage(userId, report);
-      console.log(`[scheduler] ${label} report sent to user ${userId}`);
+      await bot.sendMessage(chatId, report);
+      delivered += 1;
+      console.log(`[scheduler] ${label} report for patient ${patient.patientId} sent to ${chatId}`);
     } catch (err) {
-      console.error(`[scheduler] Failed to send report to ${userId}:`, err.message);
+      console.error(`[scheduler] Failed to send report to ${chatId}:`, err.message);
     }
   }
+  return delivered;
 }
 
-function timeToCron(timeStr, defaultHour, defaultMin) {
-  const parts = (timeStr || '').split(':');
-  const h = parseInt(parts[0], 10);
-  const m = parseInt(parts[1], 10);
-  if (!isNaN(h) && !isNaN(m) && h >= 0 && h < 24 && m >= 0 && m < 60) {
-    return `${m} ${h} * * *`;
+async function runDueReports(patient, now) {
+  const tz = patient.settings.timezone || process.env.TZ || 'America/New_York';
+  const clock = localClock(now, tz);
+
+  for (const slot of REPORT_SLOTS) {
+    const timeStr = patient.settings[slot.key] || slot.fallback;
+    const slotMinutes = parseTimeOfDay(timeStr) ?? parseTimeOfDay(slot.fallback);
+    // A late-evening slot caught up after midnight is late by the minutes
+    // since it came due yesterday, and is claimed for yesterday's date.
+    const lateBy = (clock.minutes - slotMinutes + 1440) % 1440;
+    if (lateBy > CATCH_UP_MINUTES) continue;
+    const localDate = clock.minutes < slotMinutes ? shiftDayKey(clock.date, -1) : clock.date;
+
+    const recipients = await db.getTelegramRecipientsForPatient(patient.familyId, patient.patientId);
+    if (recipients.length === 0) continue;
+
+    const claim = await db.claimScheduledReport({
+      familyId: patient.familyId,
+      patientId: patient.patientId,
+      slot: slot.key,
+      localDate,
+      scheduledTime: timeStr,
+    });
+    if (!claim) continue;
+
+    console.log(`[scheduler] Triggering ${timeStr} report for patient ${patient.patientId} (${tz})`);
+    let delivered = 0;
+    let error = null;
+    try {
+      delivered = await sendScheduledReport(patient, timeStr, now, recipients);
+      if (delivered === 0) error = 'no recipients reachable';
+    } catch (err) {
+      error = err.message;
+      console.error('[scheduler] Report send failed:', err.message);
+    }
+    await db.completeScheduledReport(claim.id, { recipients: delivered, error });
+  }
+}
+
+async function tick(now = new Date()) {
+  // A slow tick (many patients, slow Telegram) must not overlap the next one.
+  if (ticking) return;
+  ticking = true;
+  try {
+    const patients = await db.getActivePatientsWithSettings();
+    for (const patient of patients) {
+      try {
+        await runDueReports(patient, now);
+        // Time-based rules (no urine for N hours) need a clock, not just writes.
+        await alerts.evaluateAlerts({ familyId: patient.familyId, patientId: patient.patientId }, now);
+      } catch (err) {
+        console.error(`[scheduler] Failed to process patient ${patient.patientId}:`, err.message);
+      }
+    }
+  } finally {
+    ticking = false;
   }
-  return `${defaultMin} ${defaultHour} * * *`;
 }
 
 function start() {
-  const tz = db.getSetting('timezone') || process.env.TZ || 'America/New_York';
-  const report1Time = db.getSetting('report_time_1') || '19:00';
-  const report2Time = db.getSetting('report_time_2') || '22:00';
-  const cron1 = timeToCron(report1Time, 19, 0);
-  const cron2 = timeToCron(report2Time, 22, 0);
-
-  cron.schedule(cron1, () => {
-    console.log(`[scheduler] Triggering ${report1Time} report`);
-    sendScheduledReport(report1Time).catch(console.error);
-  }, { timezone: tz });
-
-  cron.schedule(cron2, () => {
-    console.log(`[scheduler] Triggering ${report2Time} report`);
-    sendScheduledReport(report2Time).catch(console.error);
-  }, { timezone: tz });
-
-  console.log(`[scheduler] Cron jobs scheduled (TZ: ${tz})`);
-  console.log(`[scheduler] Reports will auto-send at ${report1Time} and ${report2Time}`);
+  cron.schedule('* * * * *', () => {
+    tick().catch((err) => console.error('[scheduler] Tick failed:', err.message));
+  });
+
+  console.log('[scheduler] Report and alert scheduler started (per-patient timezone and report times, checked every minute)');
 }
 
-module.exports = { start, sendScheduledReport };
+module.exports = { start, tick, sendScheduledReport };
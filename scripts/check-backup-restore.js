@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+'use strict';
+
+// Runs the backups in fixtures/backup-restore.json through validateBackup and
+// the row cases through remapRow (the id rewriting a restore does), and
+// reports every result that differs from the fixture. Neither needs a
+// database.
+
+const assert = require('assert');
+const path = require('path');
+const { validateBackup, remapRow } = require('../backup-restore');
+
+const fixtures = require(path.join(__dirname, 'fixtures', 'backup-restore.json'));
+
+function checkValidate(fixture) {
+  const result = validateBackup(fixture.backup, fixture.options);
+  assert.strictEqual(result.ok, fixture.ok, `ok (error: ${result.error})`);
+  if (!fixture.ok) {
+    assert.strictEqual(result.error, fixture.error, 'error');
+    if (fixture.errors) assert.deepStrictEqual(result.errors, fixture.errors, 'errors');
+    return;
+  }
+  if (fixture.wholeDatabase !== undefined) assert.strictEqual(result.wholeDatabase, fixture.wholeDatabase, 'wholeDatabase');
+  if (fixture.familyIds) assert.deepStrictEqual(result.familyIds, fixture.familyIds, 'familyIds');
+  for (const [table, count] of Object.entries(fixture.counts || {})) {
+    assert.strictEqual(result.counts[table], count, `counts.${table}`);
+  }
+  for (const [table, ids] of Object.entries(fixture.ids || {})) {
+    assert.deepStrictEqual(result.tables[table].map((row) => row.id), ids, `${table} ids`);
+  }
+  if (fixture.warnings) assert.deepStrictEqual(result.warnings, fixture.warnings, 'warnings');
+}
+
+function checkRemap(fixture) {
+  const idMaps = {};
+  for (const [table, ids] of Object.entries(fixture.idMaps || {})) idMaps[table] = new Map(Object.entries(ids));
+  const row = remapRow(fixture.table, fixture.source, idMaps, new Set(fixture.memberships || []));
+  assert.deepStrictEqual(row, fixture.expected);
+}
+
+function main() {
+  const cases = [
+    ...fixtures.validate.map((fixture) => ({ fixture, check: checkValidate, label: 'validate' })),
+    ...fixtures.remap.map((fixture) => ({ fixture, check: checkRemap, label: 'remap' })),
+  ];
+  let failures = 0;
+  for (const { fixture, check, label } of cases) {
+    try {
+      check(fixture);
+    } catch (err) {
+      failures += 1;
+      console.log(`✗ ${label}: ${fixture.name}`);
+      console.log(`  ${err.message.split('\n').join('\n  ')}`);
+    }
+  }
+  console.log(`${cases.length - failures}/${cases.length} backup restore fixtures passed`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+main();
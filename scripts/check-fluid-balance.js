@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+'use strict';
+
+// Runs the cases in fixtures/fluid-balance.json through fluid-balance.js:
+// intake and output totals, net balance, urine ml/kg/hr and its status, the
+// hours of a fluid day that have elapsed, and the thresholds read from
+// settings. Balance cases only compare the fields their `expected` lists.
+
+const assert = require('assert');
+const path = require('path');
+const { computeFluidBalance, elapsedDayHours, urineThresholdsFromSettings } = require('../fluid-balance');
+
+const fixtures = require(path.join(__dirname, 'fixtures', 'fluid-balance.json'));
+
+function checkBalance(fixture) {
+  const { inputs, outputs, weightKg, hours, thresholds } = fixture;
+  const result = computeFluidBalance({ inputs, outputs, weightKg, hours, ...(thresholds ? { thresholds } : {}) });
+  for (const [field, expected] of Object.entries(fixture.expected)) {
+    assert.deepStrictEqual(result[field], expected, field);
+  }
+}
+
+function checkElapsed(fixture) {
+  const { dayKey, currentDayKey, at, tz, dayStartHour } = fixture;
+  assert.strictEqual(elapsedDayHours(dayKey, currentDayKey, new Date(at), tz, dayStartHour), fixture.hours);
+}
+
+function checkThresholds(fixture) {
+  assert.deepStrictEqual(urineThresholdsFromSettings(fixture.settings), fixture.thresholds);
+}
+
+function main() {
+  const cases = [
+    ...fixtures.balance.map((fixture) => ({ fixture, check: checkBalance, label: `balance: ${fixture.name}` })),
+    ...fixtures.elapsedHours.map((fixture) => ({ fixture, check: checkElapsed, label: `elapsed hours: ${fixture.name}` })),
+    ...fixtures.thresholds.map((fixture) => ({ fixture, check: checkThresholds, label: `thresholds: ${JSON.stringify(fixture.settings)}` })),
+  ];
+  let failures = 0;
+  for (const { fixture, check, label } of cases) {
+    try {
+      check(fixture);
+    } catch (err) {
+      failures += 1;
+      console.log(`✗ ${label}`);
+      console.log(`  ${err.message.split('\n').join('\n  ')}`);
+    }
+  }
+  console.log(`${cases.length - failures}/${cases.length} fluid balance fixtures passed`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+'use strict';
+
+// Runs the cases in fixtures/fluid-day.json through fluid-day.js: which day an
+// instant is counted on for a patient's timezone and day start, the local
+// clock behind it, and day-key arithmetic. Every case is run once per entry in
+// `serverTimezones`, since the result must not depend on where the server is.
+
+const assert = require('assert');
+const path = require('path');
+const { localClock, shiftDayKey, computeDayKey } = require('../fluid-day');
+
+const fixtures = require(path.join(__dirname, 'fixtures', 'fluid-day.json'));
+
+function checkDayKey(fixture) {
+  assert.strictEqual(computeDayKey(new Date(fixture.at), fixture.tz, fixture.dayStartHour), fixture.dayKey);
+}
+
+function checkClock(fixture) {
+  assert.deepStrictEqual(localClock(new Date(fixture.at), fixture.tz), { date: fixture.date, minutes: fixture.minutes });
+}
+
+function checkShift(fixture) {
+  assert.strictEqual(shiftDayKey(fixture.dayKey, fixture.days), fixture.expected);
+}
+
+function main() {
+  const cases = [
+    ...fixtures.dayKeys.map((fixture) => ({ fixture, check: checkDayKey, label: fixture.name })),
+    ...fixtures.clocks.map((fixture) => ({ fixture, check: checkClock, label: `clock ${fixture.at} ${fixture.tz}` })),
+    ...fixtures.shifts.map((fixture) => ({ fixture, check: checkShift, label: `shift ${fixture.dayKey} by ${fixture.days}` })),
+  ];
+  const originalTz = process.env.TZ;
+  let failures = 0;
+  for (const serverTz of fixtures.serverTimezones) {
+    process.env.TZ = serverTz;
+    for (const { fixture, check, label } of cases) {
+      try {
+        check(fixture);
+      } catch (err) {
+        failures += 1;
+        console.log(`✗ ${label} (server in ${serverTz})`);
+        console.log(`  ${err.message.split('\n').join('\n  ')}`);
+      }
+    }
+  }
+  if (originalTz === undefined) delete process.env.TZ;
+  else process.env.TZ = originalTz;
+
+  const total = cases.length * fixtures.serverTimezones.length;
+  console.log(`${total - failures}/${total} fluid day fixtures passed`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+'use strict';
+
+// Runs the caregiver phrasings in fixtures/parser-phrasings.json through the
+// local rule-based parser (as parser.js uses it, sanitizing included) and
+// reports every message whose actions differ from the expected ones. A
+// fixture that lists `unmatched` also checks what was left for the model.
+
+const assert = require('assert');
+const path = require('path');
+const { parseMessageLocally } = require('../parser');
+
+const fixtures = require(path.join(__dirname, 'fixtures', 'parser-phrasings.json'));
+
+function main() {
+  const options = { medications: fixtures.medications, defaultWellnessSlot: 'afternoon' };
+  const failures = [];
+  for (const fixture of fixtures.cases) {
+    const result = parseMessageLocally(fixture.message, options);
+    try {
+      assert.deepStrictEqual(result.actions, fixture.actions);
+      assert.strictEqual(result.date_offset, fixture.date_offset ?? 0, 'date_offset');
+      assert.strictEqual(result.unparseable, fixture.unparseable ?? false, 'unparseable');
+      // What's left over decides whether local-first mode asks the model.
+      if (fixture.unmatched) assert.deepStrictEqual(result.unmatched, fixture.unmatched, 'unmatched');
+    } catch (err) {
+      failures.push({ message: fixture.message, expected: fixture, actual: result, error: err.message });
+    }
+  }
+
+  for (const failure of failures) {
+    console.log(`✗ ${JSON.stringify(failure.message)}`);
+    console.log(`  expected ${JSON.stringify({ actions: failure.expected.actions, date_offset: failure.expected.date_offset ?? 0 })}`);
+    console.log(`  actual   ${JSON.stringify({ actions: failure.actual.actions, date_offset: failure.actual.date_offset, unmatched: failure.actual.unmatched })}`);
+  }
+  console.log(`${fixtures.cases.length - failures.length}/${fixtures.cases.length} local parser fixtures passed`);
+  if (failures.length > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+'use strict';
+
+// Parser regression harness. Starts a stand-in OpenAI server on localhost
+// that replays the completions recorded in fixtures/parser-completions.json,
+// points parser.js at it with OPENAI_BASE_URL, and checks that parseMessage
+// turns each recorded completion into the expected actions — so changes to
+// the sanitizing (clamping, rounding, date_offset, unparseable handling) are
+// caught without calling the live API.
+//
+//   node scripts/check-parser-replay.js            replay the recordings
+//   node scripts/check-parser-replay.js --record   re-record every completion
+//                                                  from the live API (needs
+//                                                  OPENAI_API_KEY), then check
+//
+// Record after editing SYSTEM_PROMPT to see how the model's answers change;
+// replay warns when the prompt no longer matches the one recorded against.
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'parser-completions.json');
+const LIVE_COMPLETIONS_URL = 'https://api.openai.com/v1/chat/completions';
+
+const recording = process.argv.includes('--record');
+const fixtures = JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function completionResponse(content, model) {
+  return {
+    id: `chatcmpl-replay-${crypto.randomBytes(6).toString('hex')}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+  };
+}
+
+/**
+ * The stand-in for POST /v1/chat/completions. Cases are found by the user
+ * message; a case with `status` answers with that API error instead.
+ */
+function startStandIn(promptHashes) {
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+        return sendJson(res, 404, { error: { message: `No stand-in for ${req.method} ${req.url}` } });
+      }
+      const raw = await readBody(req);
+      const request = JSON.parse(raw);
+      const system = request.messages.find((m) => m.role === 'system')?.content || '';
+      const message = request.messages.find((m) => m.role === 'user')?.content;
+      promptHashes.add(sha256(system));
+
+      const fixture = fixtures.cases.find((c) => c.message === message);
+      if (!fixture) {
+        return sendJson(res, 404, { error: { message: `No recorded completion for ${JSON.stringify(message)}` } });
+      }
+      if (fixture.status) {
+        return sendJson(res, fixture.status, { error: { message: `Simulated ${fixture.status} from the stand-in` } });
+      }
+      if (recording) {
+        const live = await fetch(LIVE_COMPLETIONS_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: req.headers.authorization },
+          body: raw,
+        });
+        const body = await live.json();
+        if (!live.ok) return sendJson(res, live.status, body);
+        fixture.completion = body.choices[0]?.message?.content ?? '';
+      }
+      sendJson(res, 200, completionResponse(fixture.completion, request.model));
+    } catch (err) {
+      sendJson(res, 500, { error: { message: err.message } });
+    }
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function main() {
+  if (recording && !process.env.OPENAI_API_KEY) {
+    throw new Error('--record calls the live API: set OPENAI_API_KEY');
+  }
+
+  const promptHashes = new Set();
+  const server = await startStandIn(promptHashes);
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  if (!recording) process.env.OPENAI_API_KEY = 'replay';
+  process.env.PARSER_MODE = 'openai';
+  // Loaded after the environment is set: the client reads it once.
+  const { parseMessage } = require('../parser');
+
+  const options = { medications: fixtures.medications, defaultWellnessSlot: 'afternoon' };
+  const failures = [];
+  try {
+    for (const fixture of fixtures.cases) {
+      const result = await parseMessage(fixture.message, options);
+      const { expected } = fixture;
+      try {
+        assert.deepStrictEqual(result.actions, expected.actions);
+        assert.strictEqual(result.date_offset, expected.date_offset ?? 0, 'date_offset');
+        assert.strictEqual(result.unparseable, expected.unparseable ?? false, 'unparseable');
+        assert.strictEqual(result.parser, expected.parser ?? 'openai', 'parser');
+      } catch (err) {
+        failures.push({ fixture, result, error: err.message });
+      }
+    }
+  } finally {
+    server.close();
+  }
+
+  for (const { fixture, result } of failures) {
+    console.log(`✗ ${JSON.stringify(fixture.message)}${fixture.note ? ` (${fixture.note})` : ''}`);
+    console.log(`  expected ${JSON.stringify(fixture.expected)}`);
+    console.log(`  actual   ${JSON.stringify({ actions: result.actions, date_offset: result.date_offset, unparseable: result.unparseable, parser: result.parser })}`);
+  }
+
+  const [promptHash] = promptHashes;
+  if (recording) {
+    fixtures.prompt_sha256 = promptHash;
+    fs.writeFileSync(FIXTURE_PATH, `${JSON.stringify(fixtures, null, 2)}\n`);
+    console.log(`Recorded ${fixtures.cases.filter((c) => !c.status).length} completions into ${path.relative(process.cwd(), FIXTURE_PATH)}`);
+  } else if (promptHashes.size > 1 || promptHash !== fixtures.prompt_sha256) {
+    console.warn('! SYSTEM_PROMPT has changed since these completions were recorded; run with --record to check it against the live model.');
+  }
+
+  console.log(`${fixtures.cases.length - failures.length}/${fixtures.cases.length} parser replay fixtures passed`);
+  if (failures.length > 0) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+'use strict';
+
+// Checks permissions.js against the matrix in fixtures/permission-matrix.json:
+// the permission each route needs (permissionForRequest) and which roles hold
+// it (can). It also reads every write route server.js registers behind
+// enforceRoutePermissions and fails if one is missing from the matrix, or if
+// a viewer could use one that isn't listed in `viewerAllowedWrites`.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { ROLES, can, permissionForRequest } = require('../permissions');
+
+const fixtures = require(path.join(__dirname, 'fixtures', 'permission-matrix.json'));
+
+const WRITE_ROUTE_RE = /\bapp\.(post|patch|put|delete)\('([^']+)'/g;
+
+// Write routes registered after the permission middleware, as "METHOD /path".
+function serverWriteRoutes() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+  const start = source.indexOf('app.use(enforceRoutePermissions);');
+  assert.ok(start !== -1, 'server.js no longer registers enforceRoutePermissions');
+  return [...source.slice(start).matchAll(WRITE_ROUTE_RE)].map(([, method, route]) => `${method.toUpperCase()} ${route}`);
+}
+
+// A request path for an Express route, with each :param filled in.
+function samplePath(route) {
+  return route.replace(/:([A-Za-z_]+)/g, (_, name) => `sample-${name}`);
+}
+
+function main() {
+  const failures = [];
+  function check(label, fn) {
+    try {
+      fn();
+    } catch (err) {
+      failures.push(`${label}: ${err.message.split('\n')[0]}`);
+    }
+  }
+
+  for (const [permission, roles] of Object.entries(fixtures.permissionRoles)) {
+    for (const role of ROLES) {
+      check(`${role} ${permission}`, () => assert.strictEqual(can(role, permission), roles.includes(role)));
+    }
+  }
+
+  const matrix = new Map();
+  for (const { method, route, permission } of fixtures.routes) {
+    const key = `${method} ${route}`;
+    matrix.set(key, permission);
+    check(key, () => {
+      assert.strictEqual(permissionForRequest(method, samplePath(route)), permission, 'permission');
+      for (const role of ROLES) {
+        assert.strictEqual(can(role, permission), fixtures.permissionRoles[permission].includes(role), role);
+      }
+    });
+  }
+
+  const writeRoutes = serverWriteRoutes();
+  for (const key of writeRoutes) {
+    check(key, () => {
+      assert.ok(matrix.has(key), 'missing from fixtures/permission-matrix.json');
+      const [method, route] = key.split(' ');
+      const viewerAllowed = can('viewer', permissionForRequest(method, samplePath(route)));
+      assert.strictEqual(
+        viewerAllowed,
+        Boolean(fixtures.viewerAllowedWrites[key]),
+        viewerAllowed ? 'a viewer can use this write route' : 'listed in viewerAllowedWrites but a viewer is refused'
+      );
+    });
+  }
+
+  for (const failure of failures) console.log(`✗ ${failure}`);
+  const total = Object.keys(fixtures.permissionRoles).length * ROLES.length + fixtures.routes.length + writeRoutes.length;
+  console.log(`${total - failures.length}/${total} permission checks passed (${writeRoutes.length} write routes)`);
+  if (failures.length > 0) process.exitCode = 1;
+}
+
+main();
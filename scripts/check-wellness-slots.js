@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+'use strict';
+
+// Runs the cases in fixtures/wellness-slots.json through wellness-slots.js:
+// which slot a spoken or typed check time resolves to, which slot a check
+// logged at a given moment defaults to, and how a saved slot list is
+// validated. Each case names one of the fixture's `slotLists`.
+
+const assert = require('assert');
+const path = require('path');
+const { normalizeWellnessSlots, resolveWellnessSlot, currentWellnessSlot } = require('../wellness-slots');
+
+const fixtures = require(path.join(__dirname, 'fixtures', 'wellness-slots.json'));
+
+function slotList(name) {
+  const slots = fixtures.slotLists[name];
+  assert.ok(slots, `unknown slot list "${name}"`);
+  return slots;
+}
+
+function checkResolve(fixture) {
+  assert.strictEqual(resolveWellnessSlot(slotList(fixture.slots), fixture.value), fixture.slot);
+}
+
+function checkCurrent(fixture) {
+  const slots = slotList(fixture.slots);
+  const at = new Date(fixture.at);
+  const slot = fixture.tz ? currentWellnessSlot(slots, at, fixture.tz) : currentWellnessSlot(slots, at);
+  assert.strictEqual(slot, fixture.slot);
+}
+
+function checkNormalize(fixture) {
+  const result = normalizeWellnessSlots(fixture.input);
+  if (fixture.error) assert.deepStrictEqual(result, { error: fixture.error });
+  else assert.deepStrictEqual(result, { slots: fixture.slots });
+}
+
+function main() {
+  const cases = [
+    ...fixtures.resolve.map((fixture) => ({ fixture, check: checkResolve, label: `resolve ${JSON.stringify(fixture.value)} in ${fixture.slots}` })),
+    ...fixtures.current.map((fixture) => ({ fixture, check: checkCurrent, label: `current: ${fixture.name}` })),
+    ...fixtures.normalize.map((fixture) => ({ fixture, check: checkNormalize, label: `normalize: ${fixture.name}` })),
+  ];
+  let failures = 0;
+  for (const { fixture, check, label } of cases) {
+    try {
+      check(fixture);
+    } catch (err) {
+      failures += 1;
+      console.log(`✗ ${label}`);
+      console.log(`  ${err.message.split('\n').join('\n  ')}`);
+    }
+  }
+  console.log(`${cases.length - failures}/${cases.length} wellness slot fixtures passed`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+main();
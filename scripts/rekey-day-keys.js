@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+'use strict';
+
+require('dotenv').config();
+
+function parseArgs(argv) {
+  const options = {
+    familyId: null,
+    patientId: null,
+    fromTimezone: null,
+    fromDayStartHour: null,
+    dryRun: false,
+  };
+
+  const valueFlags = {
+    '--family': 'familyId',
+    '--patient': 'patientId',
+    '--from-timezone': 'fromTimezone',
+    '--from-day-start-hour': 'fromDayStartHour',
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (valueFlags[arg]) {
+      if (!argv[index + 1] || argv[index + 1].startsWith('--')) {
+        throw new Error(`${arg} requires a value`);
+      }
+      options[valueFlags[arg]] = argv[index + 1];
+      index += 1;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+// Tables left alone, with the reason, so the output says what wasn't moved.
+const NOT_REKEYED = {
+  weight_logs: 'Weights are logged against the date the caregiver picked, so they keep it.',
+};
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function exitWithUsage(message) {
+  if (message) console.error(message);
+  console.error('Usage: node scripts/rekey-day-keys.js --family <family-id> [--patient <patient-id>] [--from-timezone <tz>] [--from-day-start-hour <0-23>] [--dry-run]');
+  console.error('Pass the timezone and/or day start hour the entries were filed under before the change.');
+  console.error('Weights (weight_logs) are not re-keyed.');
+  process.exit(1);
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (err) {
+  exitWithUsage(err.message);
+}
+if (!options.familyId || (options.fromTimezone === null && options.fromDayStartHour === null)) {
+  exitWithUsage();
+}
+if (options.fromTimezone !== null && !isValidTimezone(options.fromTimezone)) {
+  console.error(`Unknown timezone: ${options.fromTimezone}`);
+  process.exit(1);
+}
+if (options.fromDayStartHour !== null && !/^(?:[0-9]|1[0-9]|2[0-3])$/.test(options.fromDayStartHour)) {
+  console.error('--from-day-start-hour must be a whole hour from 0 to 23');
+  process.exit(1);
+}
+
+async function main() {
+  const db = require('../db');
+  try {
+    await db.ready;
+    // Archived patients are included: their entries still show in exports.
+    const patients = (await db.getPatientsForFamily(options.familyId, { includeArchived: true }))
+      .filter((patient) => !options.patientId || patient.id === options.patientId);
+    if (patients.length === 0) {
+      throw new Error(options.patientId
+        ? `Patient ${options.patientId} not found in family ${options.familyId}`
+        : `No patients found in family ${options.familyId}`);
+    }
+
+    const results = [];
+    for (const patient of patients) {
+      const scope = {
+        familyId: options.familyId,
+        patientId: patient.id,
+        actor: { type: 'system', name: 'Day re-key', surface: 'script' },
+      };
+      // Whatever wasn't passed is assumed unchanged, i.e. the current setting.
+      const current = await db.getDayClock(scope);
+      const previous = {
+        timezone: options.fromTimezone ?? current.timezone,
+        dayStartHour: options.fromDayStartHour ?? current.dayStartHour,
+      };
+      results.push({ patient: patient.name, ...await db.rekeyDayKeys(scope, previous, { dryRun: options.dryRun }) });
+    }
+    console.log(JSON.stringify({ ok: true, patients: results, notRekeyed: NOT_REKEYED }, null, 2));
+  } finally {
+    await db.pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+'use strict';
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { restoreBackup } = require('../backup-restore');
+
+function parseArgs(argv) {
+  const options = {
+    backupPath: null,
+    familyId: null,
+    confirmDestination: null,
+    dryRun: false,
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '--confirm-destination' || arg === '--family') {
+      if (!argv[index + 1] || argv[index + 1].startsWith('--')) {
+        throw new Error(`${arg} requires a value`);
+      }
+      if (arg === '--family') options.familyId = argv[index + 1];
+      else options.confirmDestination = argv[index + 1];
+      index += 1;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (!arg.startsWith('--') && !options.backupPath) {
+      options.backupPath = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function destinationIdentity(databaseUrl) {
+  if (!databaseUrl) return 'DATABASE_URL or POSTGRES_URL is not set';
+
+  try {
+    const url = new URL(databaseUrl);
+    return `${url.hostname}${url.port ? `:${url.port}` : ''}${url.pathname}`;
+  } catch {
+    return 'unparseable DATABASE_URL';
+  }
+}
+
+function exitWithUsage(message) {
+  if (message) console.error(message);
+  console.error('Usage: node scripts/restore-backup.js <backup.json> [--family <family-id>] [--dry-run] [--confirm-destination <substring>]');
+  process.exit(1);
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (err) {
+  exitWithUsage(err.message);
+}
+if (!options.backupPath) {
+  exitWithUsage();
+}
+if (!fs.existsSync(options.backupPath)) {
+  console.error(`Backup file not found: ${options.backupPath}`);
+  process.exit(1);
+}
+
+const destination = destinationIdentity(process.env.DATABASE_URL || process.env.POSTGRES_URL);
+if (!options.dryRun && (!options.confirmDestination || !destination.includes(options.confirmDestination))) {
+  console.error('Refusing to run destructive restore without destination confirmation.');
+  console.error(`Destination: ${destination}`);
+  console.error('Pass --confirm-destination <substring-of-destination> after verifying this is the intended database.');
+  process.exit(1);
+}
+
+async function main() {
+  const backup = JSON.parse(fs.readFileSync(options.backupPath, 'utf8'));
+
+  if (options.dryRun) {
+    const summary = await restoreBackup(backup, { familyId: options.familyId, dryRun: true });
+    console.log(JSON.stringify({ ok: true, backupPath: options.backupPath, destination, ...summary }, null, 2));
+    return;
+  }
+
+  console.error(`Destructive restore confirmed for destination: ${destination}`);
+
+  const db = require('../db');
+  try {
+    const summary = await restoreBackup(backup, { familyId: options.familyId });
+    console.log(JSON.stringify({ ok: true, backupPath: options.backupPath, destination, ...summary }, null, 2));
+  } finally {
+    await db.pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  for (const detail of err.details || []) console.error(`  - ${detail}`);
+  process.exit(1);
+});
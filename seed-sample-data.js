@@ -85,8 +85,8 @@ const sampleDays = [
     ],
     gags: [],
     wellness: [
-      { check_time: '5pm',  appetite: 6, energy: 5, mood: 7, cyanosis: 3 },
-      { check_time: '10pm', appetite: 5, energy: 4, mood: 6, cyanosis: 4 },
+      { check_time: 'afternoon', appetite: 6, energy: 5, mood: 7, cyanosis: 3 },
+      { check_time: 'evening',   appetite: 5, energy: 4, mood: 6, cyanosis: 4 },
     ],
   },
   // Day 2 — rough day, vomiting, low intake
@@ -110,8 +110,8 @@ const sampleDays = [
       { hour: 19, count: 1 },
     ],
     wellness: [
-      { check_time: '5pm',  appetite: 3, energy: 3, mood: 4, cyanosis: 6 },
-      { check_time: '10pm', appetite: 2, energy: 2, mood: 3, cyanosis: 7 },
+      { check_time: 'afternoon', appetite: 3, energy: 3, mood: 4, cyanosis: 6 },
+      { check_time: 'evening',   appetite: 2, energy: 2, mood: 3, cyanosis: 7 },
     ],
   },
   // Day 3 — recovery, moderate intake
@@ -135,8 +135,8 @@ const sampleDays = [
       { hour: 15, count: 1 },
     ],
     wellness: [
-      { check_time: '5pm',  appetite: 5, energy: 5, mood: 6, cyanosis: 4 },
-      { check_time: '10pm', appetite: 5, energy: 4, mood: 6, cyanosis: 4 },
+      { check_time: 'afternoon', appetite: 5, energy: 5, mood: 6, cyanosis: 4 },
+      { check_time: 'evening',   appetite: 5, energy: 4, mood: 6, cyanosis: 4 },
     ],
   },
   // Day 4 — good day, near limit
@@ -158,8 +158,8 @@ const sampleDays = [
     ],
     gags: [],
     wellness: [
-      { check_time: '5pm',  appetite: 7, energy: 6, mood: 8, cyanosis: 3 },
-      { check_time: '10pm', appetite: 7, energy: 6, mood: 7, cyanosis: 3 },
+      { check_time: 'afternoon', appetite: 7, energy: 6, mood: 8, cyanosis: 3 },
+      { check_time: 'evening',   appetite: 7, energy: 6, mood: 7, cyanosis: 3 },
     ],
   },
   // Day 5 — yesterday, mixed day
@@ -182,8 +182,8 @@ const sampleDays = [
       { hour: 17, count: 1 },
     ],
     wellness: [
-      { check_time: '5pm',  appetite: 5, energy: 5, mood: 6, cyanosis: 5 },
-      { check_time: '10pm', appetite: 6, energy: 5, mood: 7, cyanosis: 4 },
+      { check_time: 'afternoon', appetite: 5, energy: 5, mood: 6, cyanosis: 5 },
+      { check_time: 'evening',   appetite: 6, energy: 5, mood: 7, cyanosis: 4 },
     ],
   },
 ];
@@ -230,7 +230,7 @@ toSeed.forEach((dayKey, idx) => {
   }
 
   for (const w of data.wellness) {
-    const wHour = w.check_time === '5pm' ? 17 : 22;
+    const wHour = w.check_time === 'afternoon' ? 17 : 22;
     db.logWellness({
       timestamp: ts(dayKey, wHour),
       day_key: dayKey,
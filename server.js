@@ -11,6 +11,7 @@ require('dotenv').config();
 
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const multer = require('multer');
 const fs = require('fs');
 const { clerkMiddleware, getAuth, createClerkClient } = require('@clerk/express');
@@ -18,7 +19,14 @@ const { verifyMachineAuthToken } = require('@clerk/backend/internal');
 const db = require('./db');
 const mailer = require('./mailer');
 const realtime = require('./realtime');
+const alerts = require('./alerts');
+const backupRestore = require('./backup-restore');
+const attachmentStore = require('./attachment-store');
+const permissions = require('./permissions');
+const reportExport = require('./report-export');
 const { parseMessage } = require('./parser');
+const fluidCatalog = require('./fluid-catalog');
+const wellnessSlots = require('./wellness-slots');
 const { APP_VERSION, ALEXA_SKILL_VERSION, releaseInfo } = require('./app-version');
 
 const app = express();
@@ -43,7 +51,11 @@ const CLERK_DEFAULT_TENANT_ALLOWED_EMAILS = new Set(
 // secure cookies and correct req.ip / req.protocol values.
 app.set('trust proxy', 1);
 
-app.use(express.json());
+// A restore body is a whole-database export. It is parsed by the restore
+// route itself, after the API key check, so nobody without the key can make
+// the server buffer one; every other route keeps the default limit.
+const parseJson = express.json();
+app.use((req, res, next) => (req.path === '/api/restore' ? next() : parseJson(req, res, next)));
 app.use(express.urlencoded({ extended: false }));
 
 if ((CLERK_AUTH_ENABLED || CLERK_SPIKE_ENABLED) && CLERK_CONFIGURED) {
@@ -140,7 +152,7 @@ app.use('/vendor/phosphor', express.static(path.join(__dirname, 'public', 'vendo
     res.setHeader('Cache-Control', 'no-cache, must-revalidate');
   },
 }));
-for (const publicScript of ['theme.js', 'version-watch.js']) {
+for (const publicScript of ['theme.js', 'version-watch.js', 'sw.js']) {
   app.get(`/${publicScript}`, (req, res) => {
     res.setHeader('Cache-Control', 'no-cache, must-revalidate');
     res.sendFile(path.join(__dirname, 'public', publicScript));
@@ -189,7 +201,31 @@ async function getClerkUserProfile(auth) {
   return { user, email, displayName };
 }
 
-async function resolveClerkScope(auth) {
+// Account preference naming the patient an account last switched to, one per family.
+function activePatientPreferenceKey(familyId) {
+  return `active_patient_id:${familyId}`;
+}
+
+/**
+ * The patient an account works on in a family: the one it last picked in the
+ * dashboard's patient switcher, or the family's first patient when it never
+ * picked one or that patient has since been archived.
+ */
+async function resolveActivePatient(familyId, clerkUserId) {
+  const preferences = await db.getAccountPreferences(`clerk:${clerkUserId}`);
+  const preferred = preferences[activePatientPreferenceKey(familyId)];
+  return (preferred && await db.getPatientForFamily(familyId, preferred))
+    || db.getPrimaryPatientForFamily(familyId);
+}
+
+/**
+ * Resolve the family, patient and role a Clerk user acts with. The family is
+ * the one picked in the dashboard's family switcher for this browser session
+ * (`activeFamilyId`), else `active_family_id` from Clerk session metadata,
+ * else the user's oldest membership; a pick they no longer belong to falls
+ * through to the next.
+ */
+async function resolveClerkScope(auth, { activeFamilyId = null } = {}) {
   const { email, displayName } = await getClerkUserProfile(auth);
   await db.acceptPendingInvitations({ clerkUserId: auth.userId, email, displayName });
 
@@ -197,9 +233,11 @@ async function resolveClerkScope(auth) {
 
   if (!memberships.length && email) {
     // Migration bridge: if an allowlisted caregiver signs into the new Clerk
-    // surface, attach that Clerk identity to the existing default patient.
+    // surface, attach that Clerk identity to the existing default patient —
+    // unless they were a member there and have been removed.
     const defaultTenantAccess = await allowedForDefaultTenant(auth);
-    if (defaultTenantAccess.ok) {
+    const pastMembership = await db.getFamilyMembershipForUser(db.DEFAULT_FAMILY_ID, auth.userId);
+    if (defaultTenantAccess.ok && !pastMembership) {
       await db.upsertFamilyMembership({
         familyId: db.DEFAULT_FAMILY_ID,
         clerkUserId: auth.userId,
@@ -214,10 +252,10 @@ async function resolveClerkScope(auth) {
   if (!memberships.length) return { ok: false, reason: 'onboarding_required', email, displayName };
 
   const requestedFamilyId = auth.sessionClaims?.metadata?.active_family_id || null;
-  const membership = requestedFamilyId
-    ? memberships.find((m) => m.family_id === requestedFamilyId) || memberships[0]
-    : memberships[0];
-  const patient = await db.getPrimaryPatientForFamily(membership.family_id);
+  const membership = memberships.find((m) => activeFamilyId && m.family_id === activeFamilyId)
+    || memberships.find((m) => requestedFamilyId && m.family_id === requestedFamilyId)
+    || memberships[0];
+  const patient = await resolveActivePatient(membership.family_id, auth.userId);
   if (!patient) return { ok: false, reason: 'patient_required', membership, email, displayName };
 
   return {
@@ -225,6 +263,7 @@ async function resolveClerkScope(auth) {
     familyId: membership.family_id,
     patientId: patient.id,
     role: membership.role || 'caregiver',
+    membershipId: membership.id,
     familyName: membership.family_name || null,
     patientName: patient.name || null,
     email,
@@ -233,8 +272,25 @@ async function resolveClerkScope(auth) {
   };
 }
 
-function requestScope(req) {
-  return req.scope || {};
+/**
+ * Who is making this request, for the audit log.
+ */
+function requestActor(req, surface = 'web') {
+  if (req.apiKeyAuth) return { type: 'api_key', id: null, name: 'API key', surface: 'api' };
+  const scope = req.scope || {};
+  if (scope.clerkUserId) {
+    return { type: 'clerk', id: scope.clerkUserId, name: scope.displayName || scope.email || null, surface };
+  }
+  return { type: 'session', id: null, name: 'Shared login', surface };
+}
+
+function requestScope(req, surface) {
+  return { ...(req.scope || {}), actor: requestActor(req, surface) };
+}
+
+// The family role a request acts with; API-key callers act as owner.
+function requestRole(req) {
+  return req.apiKeyAuth ? 'owner' : permissions.roleForScope(req.scope);
 }
 
 function accountPreferenceSubject(req) {
@@ -242,8 +298,14 @@ function accountPreferenceSubject(req) {
   return scope.clerkUserId ? `clerk:${scope.clerkUserId}` : null;
 }
 
+// Changes that can't move an alert rule, so they skip re-evaluation.
+const NON_LOG_CHANGE_ACTIONS = new Set(['catalog', 'medications', 'attachment']);
+
 function publishCareChange(scope, detail = {}) {
   realtime.publishCareChange(scope, detail);
+  if (!NON_LOG_CHANGE_ACTIONS.has(detail.action)) {
+    alerts.evaluateAlerts(scope).catch((err) => console.error('[alerts] Evaluation failed:', err.message));
+  }
 }
 
 function getClerkScriptSrc() {
@@ -692,13 +754,13 @@ async function resolveAlexaAccountContext(body) {
 
   const alexaUserId = getAlexaUserId(body);
   let link = await db.getAlexaAccountLinkBySubject(subject);
+  const memberships = await db.getFamilyMembershipsByClerkUserId(subject);
 
   if (!link) {
     // Reviewer/self-serve path: after a Clerk user completes web onboarding,
     // use that user's first active family membership for Alexa and persist the
     // link for future requests. This keeps certification accounts isolated from
     // the legacy/default patient without requiring a manual DB row first.
-    const memberships = await db.getFamilyMembershipsByClerkUserId(subject);
     const membership = memberships[0] || null;
     if (!membership) return { ok: false, reason: 'unmapped_subject' };
     const patient = await db.getPrimaryPatientForFamily(membership.family_id);
@@ -715,6 +777,7 @@ async function resolveAlexaAccountContext(body) {
     await db.setAlexaAccountLinkUserId(subject, alexaUserId);
     link.alexa_user_id = alexaUserId;
   }
+  const patient = await db.getPatientForFamily(link.family_id, link.patient_id);
 
   return {
     ok: true,
@@ -722,6 +785,10 @@ async function resolveAlexaAccountContext(body) {
     link,
     familyId: link.family_id,
     patientId: link.patient_id,
+    // Archiving a patient leaves the link in place; the skill asks who to switch to.
+    patientArchived: !patient,
+    // Links made by hand before memberships existed keep caregiver access.
+    role: memberships.find((m) => m.family_id === link.family_id)?.role || 'caregiver',
   };
 }
 
@@ -791,8 +858,9 @@ function avgArcPath(cx, cy, r, a1, a2) {
 }
 
 // Builds the AVG items array for a multi-segment donut ring.
-function buildAvgDonutItems(cx, cy, r, sw, intakeByType, limit) {
-  const COLORS = {
+// colors: optional { fluid_type: '#hex' } from the patient's fluid catalog.
+function buildAvgDonutItems(cx, cy, r, sw, intakeByType, limit, colors = null) {
+  const COLORS = colors || {
     water: '#2a8aff', pediasure: '#f08c00', milk: '#90aec8',
     juice: '#e03030', yogurt_drink: '#8a48cc',
   };
@@ -829,8 +897,8 @@ function buildAvgDonutItems(cx, cy, r, sw, intakeByType, limit) {
   return items;
 }
 
-function buildArchItems(cx, cy, r, sw, intakeByType, limit) {
-  const COLORS = {
+function buildArchItems(cx, cy, r, sw, intakeByType, limit, colors = null) {
+  const COLORS = colors || {
     water: '#2a8aff', pediasure: '#f08c00', milk: '#90aec8',
     juice: '#e03030', yogurt_drink: '#8a48cc',
   };
@@ -880,32 +948,62 @@ function computeOutputByType(outputs) {
   return map;
 }
 
+// ── Fluid palette from the patient's catalog ─────────────────────────────────
+// Hand-tuned tile shades for the built-in fluids; custom colours are shaded
+// automatically from their accent.
+const APL_BUILT_IN_SHADES = {
+  water:         { dim: '#0d4a8a', bright: '#2a8aff', accent: '#2a8aff' },
+  pediasure:     { dim: '#7a4800', bright: '#f08c00', accent: '#f08c00' },
+  milk:          { dim: '#2a3a52', bright: '#6888aa', accent: '#90aec8' },
+  juice:         { dim: '#6a0808', bright: '#d93030', accent: '#e03030' },
+  yogurt_drink:  { dim: '#3a1260', bright: '#8a48cc', accent: '#8a48cc' },
+  vitamin_water: { dim: '#0a3a4a', bright: '#00b4c8', accent: '#00c8d8' },
+  urine:         { dim: '#5a5200', bright: '#d4b800', accent: '#d4b800' },
+  poop:          { dim: '#3a1a06', bright: '#8b4513', accent: '#8b4513' },
+  vomit:         { dim: '#0a4020', bright: '#25a060', accent: '#25a060' },
+};
+
+function shadeHex(hex, factor) {
+  const n = parseInt(hex.slice(1), 16);
+  const channel = (shift) => Math.round(((n >> shift) & 0xff) * factor).toString(16).padStart(2, '0');
+  return `#${channel(16)}${channel(8)}${channel(0)}`;
+}
+
+function buildAplFluidPalette(catalog) {
+  const entries = catalog || fluidCatalog.DEFAULT_FLUID_CATALOG;
+  const palette = { labels: {}, colors: {}, emoji: {}, portions: {}, inputFluids: [], outputFluids: [] };
+  for (const entry of entries) {
+    const fallbackAccent = entry.category === 'output' ? '#f08c00' : '#4a9eff';
+    const accent = /^#[0-9a-f]{6}$/i.test(entry.color || '') ? entry.color : fallbackAccent;
+    const builtIn = APL_BUILT_IN_SHADES[entry.key];
+    palette.labels[entry.key] = entry.label;
+    palette.colors[entry.key] = builtIn && builtIn.accent.toLowerCase() === accent.toLowerCase()
+      ? builtIn
+      : { dim: shadeHex(accent, 0.35), bright: accent, accent };
+    palette.emoji[entry.key] = entry.icon || '';
+    palette.portions[entry.key] = Array.isArray(entry.default_portions) ? entry.default_portions : [];
+  }
+  palette.inputFluids = fluidCatalog.activeEntries(entries, 'input').map((entry) => entry.key);
+  palette.outputFluids = fluidCatalog.activeEntries(entries, 'output').map((entry) => entry.key);
+  return palette;
+}
+
 // ── APL directive builder ─────────────────────────────────────────────────────
 // mode: 'display' = status view | 'input'/'output' = logging UI
 // intakeByType / outputByType only needed for display mode.
-function buildAplDirective(intakeMl, limitMl, mode, selectedFluid, outputMl, intakeByType, outputByType, allInputs, viewport, customDigits = '', displayDayOffset = 0) {
+// catalog: the patient's fluid catalog (labels, colours, icons, portions).
+// patient: { name, timezone } for the header and entry times; defaults to the
+// default patient's settings.
+function buildAplDirective(intakeMl, limitMl, mode, selectedFluid, outputMl, intakeByType, outputByType, allInputs, viewport, customDigits = '', displayDayOffset = 0, catalog = null, patient = null) {
   const pct     = Math.min(100, Math.round(((intakeMl || 0) / (limitMl || 1200)) * 100));
   const outMl   = outputMl || 0;
   const inColor = pct >= 90 ? '#e74c3c' : pct >= 75 ? '#f39c12' : '#4a9eff';
   const displayDayLabel = displayDayOffset === -1 ? 'YESTERDAY' : 'TODAY';
 
   // ── Shared fluid palette ──────────────────────────────────────────────────
-  const FLUID_LABELS = {
-    water: 'Water', pediasure: 'PediaSure', milk: 'Milk',
-    juice: 'Juice', yogurt_drink: 'Yogurt Drink', vitamin_water: 'Vitamin Water',
-    urine: 'Urine', poop: 'Poop', vomit: 'Vomit',
-  };
-  const FLUID_COLORS = {
-    water:         { dim: '#0d4a8a', bright: '#2a8aff', accent: '#2a8aff' },
-    pediasure:     { dim: '#7a4800', bright: '#f08c00', accent: '#f08c00' },
-    milk:          { dim: '#2a3a52', bright: '#6888aa', accent: '#90aec8' },
-    juice:         { dim: '#6a0808', bright: '#d93030', accent: '#e03030' },
-    yogurt_drink:  { dim: '#3a1260', bright: '#8a48cc', accent: '#8a48cc' },
-    vitamin_water: { dim: '#0a3a4a', bright: '#00b4c8', accent: '#00c8d8' },
-    urine:         { dim: '#5a5200', bright: '#d4b800', accent: '#d4b800' },
-    poop:          { dim: '#3a1a06', bright: '#8b4513', accent: '#8b4513' },
-    vomit:         { dim: '#0a4020', bright: '#25a060', accent: '#25a060' },
-  };
+  const fluidPalette = buildAplFluidPalette(catalog);
+  const FLUID_LABELS = fluidPalette.labels;
+  const FLUID_COLORS = fluidPalette.colors;
 
   // ── Helper: tappable button ───────────────────────────────────────────────
   function btn(label, args, bg) {
@@ -934,7 +1032,7 @@ function buildAplDirective(intakeMl, limitMl, mode, selectedFluid, outputMl, int
   }
 
   // ── Shared header row (used by both display and logging) ──────────────────
-  const patientName = db.getSetting('child_name') || null;
+  const patientName = patient ? patient.name : db.getSetting('child_name') || null;
   const headerRow = {
     type: 'Container',
     direction: 'row',
@@ -982,7 +1080,7 @@ function buildAplDirective(intakeMl, limitMl, mode, selectedFluid, outputMl, int
   // ═══════════════════════════════════════════════════════════════════════════
   if (mode === 'display') {
     const ibt = intakeByType || {};
-    const tz = getTimezone ? getTimezone() : 'America/New_York';
+    const tz = patient?.timezone || getTimezone();
     const isLarge = (viewport === 'hub_large');
 
     // Full circle donut params
@@ -1050,7 +1148,8 @@ function buildAplDirective(intakeMl, limitMl, mode, selectedFluid, outputMl, int
       : [{ type: 'Text', text: 'No output yet', color: '#243550', fontSize: entryFontSize,
            paddingTop: '14dp', paddingLeft: '14dp' }];
 
-    const donutItems = buildAvgDonutItems(donutCx, donutCy, donutR, donutSw, ibt, limitMl);
+    const donutAccents = Object.fromEntries(Object.entries(FLUID_COLORS).map(([key, c]) => [key, c.accent]));
+    const donutItems = buildAvgDonutItems(donutCx, donutCy, donutR, donutSw, ibt, limitMl, donutAccents);
 
     const legendItems = Object.entries(ibt)
       .filter(([, ml]) => ml > 0)
@@ -1299,7 +1398,7 @@ function buildAplDirective(intakeMl, limitMl, mode, selectedFluid, outputMl, int
   // FULL LOG MODE — inputs left column, outputs right column
   // ═══════════════════════════════════════════════════════════════════════════
   if (mode === 'fulllog') {
-    const tz = getTimezone ? getTimezone() : 'America/New_York';
+    const tz = patient?.timezone || getTimezone();
     const rawInputs  = Array.isArray(allInputs)   ? [...allInputs].sort((a,b)  => b.timestamp - a.timestamp) : [];
     const rawOutputs = Array.isArray(outputByType) ? [...outputByType].sort((a,b) => b.timestamp - a.timestamp) : [];
 
@@ -1432,11 +1531,7 @@ function buildAplDirective(intakeMl, limitMl, mode, selectedFluid, outputMl, int
   // LOGGING MODE — full-screen fluid picker + amount grid
   // ═══════════════════════════════════════════════════════════════════════════
 
-  const FLUID_EMOJI = {
-    water: '🫧', pediasure: '🍼', milk: '🥛', juice: '🧃',
-    yogurt_drink: '🥣', vitamin_water: '💦',
-    urine: '🚽', poop: '💩', vomit: '🤮',
-  };
+  const FLUID_EMOJI = fluidPalette.emoji;
 
   // Big fluid tile for the log grid
   function fluidTile(f, selFluid, tileMode) {
@@ -1509,13 +1604,15 @@ function buildAplDirective(intakeMl, limitMl, mode, selectedFluid, outputMl, int
     };
   }
 
-  const inputFluids  = ['water', 'pediasure', 'milk', 'juice', 'yogurt_drink', 'vitamin_water'];
-  const outputFluids = ['urine', 'poop', 'vomit'];
-  const fluids = mode === 'output' ? outputFluids : inputFluids;
+  const fluids = mode === 'output' ? fluidPalette.outputFluids : fluidPalette.inputFluids;
 
+  // Quick amounts come from the selected fluid's default portions when it has any.
   const inputAmounts  = [10, 20, 30, 45, 60, 90, 120, 150, 180, 200, 250, 300];
   const outputAmounts = [25, 50, 75, 100, 125, 150, 175, 200, 250, 300, 350, 400];
-  const amounts = mode === 'output' ? outputAmounts : inputAmounts;
+  const selectedPortions = fluidPalette.portions[selectedFluid] || [];
+  const amounts = selectedPortions.length
+    ? selectedPortions
+    : (mode === 'output' ? outputAmounts : inputAmounts);
 
   // Split fluids into rows of 3
   const fluidRows = [];
@@ -1839,15 +1936,248 @@ function buildAplDirective(intakeMl, limitMl, mode, selectedFluid, outputMl, int
 /**
  * Convert a day summary into a spoken confirmation string.
  */
-function buildAlexaSpeech(summary) {
-  const limit = getDailyLimit();
+async function buildAlexaSpeech(summary, scope, lead = 'Logged.') {
+  const limit = await getDailyLimitForScope(scope);
   const pct = Math.round((summary.totalIntake / limit) * 100);
   const totalOut = summary.outputs.reduce((sum, o) => sum + (o.amount_ml || 0), 0);
-  let speech = `Logged. Total in: ${summary.totalIntake} of ${limit} milliliters, ${pct} percent.`;
+  let speech = `${lead} Total in: ${summary.totalIntake} of ${limit} milliliters, ${pct} percent.`;
   if (totalOut > 0) speech += ` Total out: ${totalOut} grams.`;
   return speech;
 }
 
+// ---------------------------------------------------------------------------
+// Alexa query intents — read-only answers about the current fluid day
+// ---------------------------------------------------------------------------
+
+const ALEXA_QUERY_INTENTS = new Set([
+  'TotalIntakeIntent',
+  'RemainingIntakeIntent',
+  'OutputTotalsIntent',
+  'LastEntryIntent',
+  'GagCountIntent',
+  'LastWellnessIntent',
+]);
+
+// Intents and touch actions that change the log; viewers hear ALEXA_VIEW_ONLY_SPEECH instead.
+const ALEXA_WRITE_INTENTS = new Set([
+  'LogEntryIntent',
+  'UndoLastEntryIntent',
+  'CorrectLastEntryIntent',
+  'AMAZON.YesIntent',
+]);
+const ALEXA_WRITE_ACTIONS = new Set(['custom_log', 'gag', 'log']);
+// The only intents answered while the linked patient is archived.
+const ALEXA_ARCHIVED_PATIENT_INTENTS = new Set(['SwitchPatientIntent', 'AMAZON.StopIntent', 'AMAZON.CancelIntent']);
+const ALEXA_VIEW_ONLY_SPEECH = 'This account has view-only access, so I can\'t log or change entries. ' +
+  'You can still ask for today\'s total, what is left, or the last entries.';
+
+/**
+ * Match a FLUID_TYPE slot to an entry in the patient's catalog. Built-in
+ * fluids come back from entity resolution with their key as the id; custom
+ * fluids aren't in the slot type, so the spoken value is also compared with
+ * catalog labels, keys and the parser's synonyms.
+ */
+function resolveAlexaFluid(slot, catalog) {
+  if (!slot?.value) return null;
+  const resolvedKey = (slot.resolutions?.resolutionsPerAuthority || [])
+    .find((authority) => authority.status?.code === 'ER_SUCCESS_MATCH')
+    ?.values?.[0]?.value?.id;
+  if (resolvedKey) {
+    const entry = fluidCatalog.findEntry(catalog, resolvedKey);
+    if (entry) return entry;
+  }
+
+  const spoken = slot.value.trim().toLowerCase();
+  const entries = catalog || fluidCatalog.DEFAULT_FLUID_CATALOG;
+  return entries.find((entry) => entry.label.toLowerCase() === spoken || entry.key.replace(/_/g, ' ') === spoken)
+    || entries.find((entry) => (fluidCatalog.BUILT_IN_SYNONYMS[entry.key] || []).some((synonym) => synonym.toLowerCase() === spoken))
+    || null;
+}
+
+function spokenClock(timestamp, tz) {
+  return new Date(timestamp).toLocaleTimeString('en-US', { timeZone: tz, hour: 'numeric', minute: '2-digit', hour12: true });
+}
+
+function spokenElapsed(timestamp, now = Date.now()) {
+  const minutes = Math.max(0, Math.round((now - timestamp) / 60000));
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes !== 1 ? 's' : ''} ago`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  const hourText = `${hours} hour${hours !== 1 ? 's' : ''}`;
+  return rest > 0 && hours < 6 ? `${hourText} and ${rest} minute${rest !== 1 ? 's' : ''} ago` : `${hourText} ago`;
+}
+
+function spokenList(parts) {
+  if (parts.length <= 1) return parts.join('');
+  return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+/**
+ * "120 milliliters of PediaSure" / "80 grams of Urine" for a fluid log.
+ */
+function describeAlexaLog(log, catalog) {
+  const unit = log.entry_type === 'output' ? 'grams' : 'milliliters';
+  const amount = log.amount_ml ? `${Math.round(log.amount_ml)} ${unit} of ` : '';
+  return `${amount}${formatFluidType(log.fluid_type, catalog)}`;
+}
+
+/**
+ * Spoken answer for one of ALEXA_QUERY_INTENTS, read from the scope's
+ * current fluid day (last-entry and wellness questions look back further).
+ */
+async function buildAlexaQuerySpeech(intent, scope, catalog) {
+  const [name, limit, tz, summary] = await Promise.all([
+    getChildNameForScope(scope),
+    getDailyLimitForScope(scope),
+    getTimezoneForScope(scope),
+    db.getDayKeyForScope(scope).then((dayKey) => db.getDaySummary(dayKey, scope)),
+  ]);
+  const fluidSlot = intent.slots?.fluid;
+  const fluid = resolveAlexaFluid(fluidSlot, catalog);
+  if (fluidSlot?.value && !fluid) {
+    return `I don't have a fluid called ${fluidSlot.value}.`;
+  }
+
+  if (intent.name === 'TotalIntakeIntent') {
+    const total = Math.round(summary.totalIntake);
+    if (total === 0) return `${name} hasn't had anything yet today. The limit is ${limit} milliliters.`;
+    const pct = Math.round((summary.totalIntake / limit) * 100);
+    const byType = Object.entries(summary.intakeByType)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, ml]) => `${Math.round(ml)} ${formatFluidType(type, catalog)}`);
+    let speech = `${name} has had ${total} of ${limit} milliliters today, ${pct} percent.`;
+    if (byType.length > 1) speech += ` That's ${spokenList(byType)}.`;
+    return speech;
+  }
+
+  if (intent.name === 'RemainingIntakeIntent') {
+    const remaining = Math.round(limit - summary.totalIntake);
+    if (remaining > 0) return `${name} can have ${remaining} more milliliters today, out of ${limit}.`;
+    if (remaining === 0) return `${name} has reached the ${limit} milliliter limit for today.`;
+    return `${name} is ${-remaining} milliliters over the ${limit} milliliter limit today.`;
+  }
+
+  if (intent.name === 'OutputTotalsIntent') {
+    const byType = new Map();
+    for (const log of summary.outputs) {
+      const totals = byType.get(log.fluid_type) || { grams: 0, count: 0 };
+      totals.grams += log.amount_ml || 0;
+      totals.count += 1;
+      byType.set(log.fluid_type, totals);
+    }
+    const describe = (type, { grams, count }) => `${formatFluidType(type, catalog)} ${grams} grams in ${count} ${count === 1 ? 'entry' : 'entries'}`;
+    if (fluid) {
+      if (fluid.category !== 'output') {
+        const ml = Math.round(summary.intakeByType[fluid.key] || 0);
+        return ml > 0 ? `${name} has had ${ml} milliliters of ${fluid.label} today.` : `${name} hasn't had any ${fluid.label} today.`;
+      }
+      const totals = byType.get(fluid.key);
+      return totals ? `${describe(fluid.key, totals)} today.` : `No ${fluid.label.toLowerCase()} logged yet today.`;
+    }
+    if (byType.size === 0) return 'No output logged yet today.';
+    return `Output today is ${summary.totalOutput} grams: ${spokenList([...byType].map(([type, totals]) => describe(type, totals)))}.`;
+  }
+
+  if (intent.name === 'LastEntryIntent') {
+    const log = fluid ? await db.getLastLogOfType(fluid.key, scope) : await db.getLastLog(scope);
+    if (!log) return fluid ? `There's no ${fluid.label.toLowerCase()} logged yet.` : 'Nothing has been logged yet.';
+    return `The last entry was ${describeAlexaLog(log, catalog)} at ${spokenClock(log.timestamp, tz)}, ${spokenElapsed(log.timestamp)}.`;
+  }
+
+  if (intent.name === 'GagCountIntent') {
+    if (summary.gagCount === 0) return 'No gags logged today.';
+    const last = summary.gags[summary.gags.length - 1];
+    const lastText = last ? `, the last at ${spokenClock(last.timestamp, tz)}` : '';
+    return `${summary.gagCount} gag episode${summary.gagCount !== 1 ? 's' : ''} today${lastText}.`;
+  }
+
+  if (intent.name === 'LastWellnessIntent') {
+    const check = await db.getLastWellness(scope);
+    if (!check) return 'No wellness check has been logged yet.';
+    const scores = ['appetite', 'energy', 'mood', 'cyanosis']
+      .filter((field) => check[field] !== null && check[field] !== undefined)
+      .map((field) => `${field} ${check[field]}`);
+    const slotLabel = wellnessSlots.wellnessSlotLabel(await getWellnessSlotsForScope(scope), check.check_time);
+    const when = check.day_key === await db.getDayKeyForScope(scope)
+      ? `at ${spokenClock(check.timestamp, tz)}`
+      : spokenElapsed(check.timestamp);
+    if (scores.length === 0) return `The last wellness check was the ${slotLabel} check ${when}, with no scores recorded.`;
+    return `The last wellness check was the ${slotLabel} check ${when}: ${spokenList(scores)}, out of 10.`;
+  }
+
+  return "I didn't understand that question.";
+}
+
+/**
+ * The changes a CorrectLastEntryIntent asks for: a new amount, a new fluid,
+ * or both. Switching between an intake and an output fluid moves the entry
+ * across, and a new fluid drops the old one's subtype (e.g. diarrhea).
+ */
+function resolveAlexaCorrection(intent, log, catalog) {
+  const amountText = intent.slots?.amount?.value;
+  const fluidSlot = intent.slots?.fluid;
+  const changes = {};
+
+  if (amountText && amountText !== '?') {
+    const amount = Math.round(Number(amountText));
+    if (!Number.isFinite(amount) || amount <= 0 || amount > 5000) {
+      return { ok: false, error: `${amountText} isn't an amount I can log. What should I change it to?` };
+    }
+    changes.amount_ml = amount;
+  }
+  if (fluidSlot?.value) {
+    const entry = resolveAlexaFluid(fluidSlot, catalog);
+    if (!entry || entry.archived_at) {
+      return { ok: false, error: `I don't have a fluid called ${fluidSlot.value}. What should I change it to?` };
+    }
+    if (entry.key !== log.fluid_type) {
+      changes.fluid_type = entry.key;
+      changes.entry_type = entry.category;
+      changes.subtype = null;
+    }
+  }
+
+  if (changes.amount_ml === undefined && changes.fluid_type === undefined) {
+    if (fluidSlot?.value) return { ok: false, error: `The last entry is already ${formatFluidType(log.fluid_type, catalog)}.` };
+    return { ok: false, error: 'Say the new amount or fluid, for example: change that to 150 milliliters.' };
+  }
+  if (changes.amount_ml === log.amount_ml && changes.fluid_type === undefined) {
+    return { ok: false, error: `The last entry is already ${describeAlexaLog(log, catalog)}.` };
+  }
+  return { ok: true, changes };
+}
+
+/**
+ * Carry out a confirmed undo or correction stored in the session's
+ * pendingCorrection attribute and return the spoken result. The entry is
+ * re-read so a log removed elsewhere since the question isn't resurrected.
+ */
+async function applyAlexaCorrection(pending, scope, catalog) {
+  const log = await db.getLogById(pending.logId, scope);
+  if (!log) return 'That entry was already removed, so I left everything as it is.';
+
+  let lead;
+  if (pending.action === 'undo') {
+    await db.deleteLog(log.id, scope);
+    publishCareChange(scope, { action: 'delete', source: 'alexa-undo', dayKey: log.day_key, id: log.id });
+    lead = `Removed ${describeAlexaLog(log, catalog)}.`;
+  } else {
+    const updated = {
+      ...log,
+      entry_type: pending.changes.entry_type ?? log.entry_type,
+      fluid_type: pending.changes.fluid_type ?? log.fluid_type,
+      amount_ml: pending.changes.amount_ml ?? log.amount_ml,
+      subtype: pending.changes.subtype !== undefined ? pending.changes.subtype : log.subtype,
+      ...scope,
+    };
+    await db.updateLog(updated);
+    publishCareChange(scope, { action: 'update', source: 'alexa-correct', dayKey: log.day_key, id: log.id });
+    lead = `Changed to ${describeAlexaLog(updated, catalog)}.`;
+  }
+  return buildAlexaSpeech(await db.getDaySummary(log.day_key, scope), scope, lead);
+}
+
 app.post('/api/alexa', async (req, res) => {
   try {
     // Verify the request came from our skill (set ALEXA_SKILL_ID in Railway env)
@@ -1872,36 +2202,140 @@ app.post('/api/alexa', async (req, res) => {
       }
     }
     req.alexaAccountContext = accountContext.ok ? accountContext : null;
-    const alexaScope = accountContext.ok ? { familyId: accountContext.familyId, patientId: accountContext.patientId } : {};
+    // Nothing is logged for an archived patient: the caregiver picks another first.
+    if (accountContext.ok && accountContext.patientArchived && request.type !== 'SessionEndedRequest'
+      && !ALEXA_ARCHIVED_PATIENT_INTENTS.has(request.intent?.name)) {
+      const names = spokenList((await db.getPatientsForFamily(accountContext.familyId)).map((p) => p.name));
+      return res.json(alexaResponse(
+        `The patient this Alexa tracks has been archived. Your family has ${names}. Who should I switch to?`,
+        false,
+        `Say switch to, then a name: ${names}.`
+      ));
+    }
+    const alexaScope = accountContext.ok
+      ? {
+        familyId: accountContext.familyId,
+        patientId: accountContext.patientId,
+        role: accountContext.role,
+        actor: { type: 'alexa', id: accountContext.link.id, name: 'Alexa', surface: 'alexa' },
+      }
+      : { actor: { type: 'alexa', id: null, name: 'Alexa', surface: 'alexa' } };
+    const alexaCatalog = await db.getFluidCatalog(alexaScope);
+    // The linked patient's own fluid day, limit and clock, not the default patient's.
+    const alexaTodayKey = await db.getDayKeyForScope(alexaScope);
+    const alexaLimit = await getDailyLimitForScope(alexaScope);
+    const alexaPatient = { name: await getChildNameForScope(alexaScope), timezone: await getTimezoneForScope(alexaScope) };
+    const alexaCanLog = permissions.can(permissions.roleForScope(alexaScope), 'care.log');
 
     // Helper: build fresh display APL with current DB state.
     // displayDayOffset is intentionally limited to 0 (today) or -1 (yesterday)
     // because the Echo Show footer is a simple today/yesterday toggle.
     async function freshDisplayApl(displayDayOffset = 0) {
       const offset = Number(displayDayOffset) === -1 ? -1 : 0;
-      const dayKey = offset === -1 ? shiftDayKey(db.getDayKey(), -1) : db.getDayKey();
+      const dayKey = offset === -1 ? db.shiftDayKey(alexaTodayKey, -1) : alexaTodayKey;
       const s   = await db.getDaySummary(dayKey, alexaScope);
-      const lim = getDailyLimit();
+      const lim = alexaLimit;
       const oMl = s.outputs.reduce((acc, o) => acc + (o.amount_ml || 0), 0);
       // 7th param = raw outputs array (right panel), 8th = raw inputs array (fulllog mode)
-      return buildAplDirective(s.totalIntake, lim, 'display', null, oMl, s.intakeByType, s.outputs, s.inputs, getViewportProfile(req), '', offset);
+      return buildAplDirective(s.totalIntake, lim, 'display', null, oMl, s.intakeByType, s.outputs, s.inputs, getViewportProfile(req), '', offset, alexaCatalog, alexaPatient);
     }
 
     // Helper: build full log APL with current DB state
     async function freshFullLogApl() {
-      const s   = await db.getDaySummary(db.getDayKey(), alexaScope);
-      const lim = getDailyLimit();
+      const s   = await db.getDaySummary(alexaTodayKey, alexaScope);
+      const lim = alexaLimit;
       const oMl = s.outputs.reduce((acc, o) => acc + (o.amount_ml || 0), 0);
-      return buildAplDirective(s.totalIntake, lim, 'fulllog', null, oMl, null, s.outputs, s.inputs);
+      return buildAplDirective(s.totalIntake, lim, 'fulllog', null, oMl, null, s.outputs, s.inputs, null, '', 0, alexaCatalog, alexaPatient);
+    }
+
+    // Helper: persist LogEntryIntent actions, once per Alexa request id, and
+    // build the spoken reply. `requestId` is the request that first asked.
+    async function logAlexaActions(actions, dateOffset, requestId) {
+      const now = Date.now() + (dateOffset * 86400000);
+      const dayKey = await db.getDayKeyForScope(alexaScope, new Date(now));
+      let weightLogged = null;
+      const write = async () => {
+        const medications = await db.getMedications(alexaScope);
+        for (const action of actions) {
+          if (action.type === 'input' || action.type === 'output') {
+            await db.logEntry({
+              timestamp: now,
+              day_key: dayKey,
+              entry_type: action.type,
+              fluid_type: action.fluid_type,
+              amount_ml: action.amount_ml,
+              subtype: action.subtype ?? null,
+              notes: action.notes ?? null,
+              source: 'alexa',
+              ...alexaScope,
+            });
+          } else if (action.type === 'wellness') {
+            await db.logWellness({
+              timestamp: now,
+              day_key: dayKey,
+              check_time: action.check_time,
+              appetite: action.appetite,
+              energy: action.energy,
+              mood: action.mood,
+              cyanosis: action.cyanosis,
+              source: 'alexa',
+              ...alexaScope,
+            });
+          } else if (action.type === 'gag') {
+            await db.logGag(action.count, now, dayKey, alexaScope);
+          } else if (action.type === 'weight') {
+            await db.logWeight(dayKey, action.weight_kg, null, alexaScope);
+            weightLogged = action.weight_kg;
+          } else if (action.type === 'medication') {
+            const medication = medications.find((m) => m.id === action.medication_id);
+            await recordMedicationDose(medication, {
+              status: action.status,
+              timestamp: now,
+              dayKey,
+              doseAmount: action.dose_amount,
+              doseUnit: action.dose_unit,
+              source: 'alexa',
+            }, alexaScope);
+          }
+        }
+      };
+      let logged = true;
+      if (requestId) logged = await runOnceForKey(alexaScope, `alexa-${requestId}`, 'alexa LogEntryIntent', write);
+      else await write();
+      if (logged) publishCareChange(alexaScope, { action: 'create', source: 'alexa', dayKey });
+
+      // If weight was the only/primary action, return a weight-specific response
+      if (weightLogged !== null && actions.every((a) => a.type === 'weight')) {
+        return alexaResponse(`Weight logged. ${weightLogged} kilograms.`);
+      }
+
+      const summary  = await db.getDaySummary(dayKey, alexaScope);
+      const aplDirs  = supportsApl(req) ? [await freshDisplayApl()] : [];
+      // Logged (or already logged by a redelivered request) — return to the
+      // display with the mic closed and any pending state cleared
+      return alexaResponse(await buildAlexaSpeech(summary, alexaScope, logged ? 'Logged.' : 'Already logged.'), null, null, aplDirs, {});
+    }
+
+    // Helper: log the actions, unless one matches a fluid entry made within
+    // the duplicate window — then ask first and keep them in the session
+    // until the caregiver says yes.
+    async function logOrConfirmAlexaActions(actions, dateOffset = 0) {
+      const duplicates = await findDuplicateActions(actions, alexaScope, Date.now() + (dateOffset * 86400000));
+      if (duplicates.length === 0) return logAlexaActions(actions, dateOffset, request.requestId);
+      const { existing } = duplicates[0];
+      const question = `${describeAlexaLog(existing, alexaCatalog)} was already logged at ${spokenClock(existing.timestamp, await getTimezoneForScope(alexaScope))}. Log it again?`;
+      return alexaResponse(`${question} Say yes or no.`, false, question, [], {
+        pendingLog: { actions, dateOffset, requestId: request.requestId },
+      });
     }
 
     // -- LaunchRequest: show fluid status display (mic closed — touch-first)
     if (request.type === 'LaunchRequest') {
-      const summary = await db.getDaySummary(db.getDayKey(), alexaScope);
-      const limit   = getDailyLimit();
+      const summary = await db.getDaySummary(alexaTodayKey, alexaScope);
+      const limit   = alexaLimit;
       const outputMl  = summary.outputs.reduce((s, o) => s + (o.amount_ml || 0), 0);
       const dirs = supportsApl(req)
-        ? [buildAplDirective(summary.totalIntake, limit, 'display', null, outputMl, summary.intakeByType, summary.outputs, summary.inputs, getViewportProfile(req), '', 0)]
+        ? [buildAplDirective(summary.totalIntake, limit, 'display', null, outputMl, summary.intakeByType, summary.outputs, summary.inputs, getViewportProfile(req), '', 0, alexaCatalog, alexaPatient)]
         : [];
       return res.json(alexaResponse(
         'Fluid status.',
@@ -1916,6 +2350,13 @@ app.post('/api/alexa', async (req, res) => {
       const args = request.arguments || [];
       const action = args[0];
 
+      if (ALEXA_WRITE_ACTIONS.has(action) && !alexaCanLog) {
+        return res.json(alexaResponse(ALEXA_VIEW_ONLY_SPEECH, null, null,
+          supportsApl(req) ? [await freshDisplayApl()] : [],
+          { customDigits: '' }
+        ));
+      }
+
       if (action === 'mode') {
         const newMode = args[1] || 'input';
         if (newMode === 'display') {
@@ -1928,11 +2369,11 @@ app.post('/api/alexa', async (req, res) => {
           return res.json(alexaResponse('', null, null,
             supportsApl(req) ? [apl] : []));
         }
-        const summary = await db.getDaySummary(db.getDayKey(), alexaScope);
-        const limit   = getDailyLimit();
+        const summary = await db.getDaySummary(alexaTodayKey, alexaScope);
+        const limit   = alexaLimit;
         const outputMl = summary.outputs.reduce((s, o) => s + (o.amount_ml || 0), 0);
         // Clear customDigits on mode switch
-        const apl = buildAplDirective(summary.totalIntake, limit, newMode, null, outputMl, null, null, null, null, '');
+        const apl = buildAplDirective(summary.totalIntake, limit, newMode, null, outputMl, null, null, null, null, '', 0, alexaCatalog, alexaPatient);
         return res.json(alexaResponse('', null, null,
           supportsApl(req) ? [apl] : [],
           { customDigits: '' }
@@ -1942,11 +2383,11 @@ app.post('/api/alexa', async (req, res) => {
       if (action === 'select') {
         const fluid = args[1];
         const mode  = args[2] || 'input';
-        const summary  = await db.getDaySummary(db.getDayKey(), alexaScope);
-        const limit    = getDailyLimit();
+        const summary  = await db.getDaySummary(alexaTodayKey, alexaScope);
+        const limit    = alexaLimit;
         const outputMl = summary.outputs.reduce((s, o) => s + (o.amount_ml || 0), 0);
         // Clear customDigits on new fluid selection
-        const apl = buildAplDirective(summary.totalIntake, limit, mode, fluid, outputMl, null, null, null, null, '');
+        const apl = buildAplDirective(summary.totalIntake, limit, mode, fluid, outputMl, null, null, null, null, '', 0, alexaCatalog, alexaPatient);
         // Mic stays closed — amount is selected via touch buttons
         return res.json(alexaResponse('', null, null,
           supportsApl(req) ? [apl] : [],
@@ -1963,10 +2404,10 @@ app.post('/api/alexa', async (req, res) => {
         const current     = sessionAttrs.customDigits || '';
         // Max 4 digits (9999 ml is a reasonable upper bound)
         const newDigits   = current.length < 4 ? current + digit : current;
-        const summary  = await db.getDaySummary(db.getDayKey(), alexaScope);
-        const limit    = getDailyLimit();
+        const summary  = await db.getDaySummary(alexaTodayKey, alexaScope);
+        const limit    = alexaLimit;
         const outputMl = summary.outputs.reduce((s, o) => s + (o.amount_ml || 0), 0);
-        const apl = buildAplDirective(summary.totalIntake, limit, mode, fluid, outputMl, null, null, null, null, newDigits);
+        const apl = buildAplDirective(summary.totalIntake, limit, mode, fluid, outputMl, null, null, null, null, newDigits, 0, alexaCatalog, alexaPatient);
         return res.json(alexaResponse('', null, null,
           supportsApl(req) ? [apl] : [],
           { pendingFluid: fluid, pendingMode: mode, customDigits: newDigits }
@@ -1980,10 +2421,10 @@ app.post('/api/alexa', async (req, res) => {
         const sessionAttrs = req.body?.session?.attributes || {};
         const current     = sessionAttrs.customDigits || '';
         const newDigits   = current.slice(0, -1);
-        const summary  = await db.getDaySummary(db.getDayKey(), alexaScope);
-        const limit    = getDailyLimit();
+        const summary  = await db.getDaySummary(alexaTodayKey, alexaScope);
+        const limit    = alexaLimit;
         const outputMl = summary.outputs.reduce((s, o) => s + (o.amount_ml || 0), 0);
-        const apl = buildAplDirective(summary.totalIntake, limit, mode, fluid, outputMl, null, null, null, null, newDigits);
+        const apl = buildAplDirective(summary.totalIntake, limit, mode, fluid, outputMl, null, null, null, null, newDigits, 0, alexaCatalog, alexaPatient);
         return res.json(alexaResponse('', null, null,
           supportsApl(req) ? [apl] : [],
           { pendingFluid: fluid, pendingMode: mode, customDigits: newDigits }
@@ -1999,10 +2440,10 @@ app.post('/api/alexa', async (req, res) => {
         const amount      = parseInt(digits, 10);
 
         if (!fluid || fluid === 'null' || fluid === 'undefined') {
-          const summary  = await db.getDaySummary(db.getDayKey(), alexaScope);
-          const limit    = getDailyLimit();
+          const summary  = await db.getDaySummary(alexaTodayKey, alexaScope);
+          const limit    = alexaLimit;
           const outputMl = summary.outputs.reduce((s, o) => s + (o.amount_ml || 0), 0);
-          const apl = buildAplDirective(summary.totalIntake, limit, mode, null, outputMl, null, null, null, null, '');
+          const apl = buildAplDirective(summary.totalIntake, limit, mode, null, outputMl, null, null, null, null, '', 0, alexaCatalog, alexaPatient);
           return res.json(alexaResponse('Please select a fluid type first.',
             null, null, supportsApl(req) ? [apl] : [],
             { customDigits: '' }
@@ -2010,10 +2451,10 @@ app.post('/api/alexa', async (req, res) => {
         }
 
         if (!amount || amount <= 0 || amount > 9999) {
-          const summary  = await db.getDaySummary(db.getDayKey(), alexaScope);
-          const limit    = getDailyLimit();
+          const summary  = await db.getDaySummary(alexaTodayKey, alexaScope);
+          const limit    = alexaLimit;
           const outputMl = summary.outputs.reduce((s, o) => s + (o.amount_ml || 0), 0);
-          const apl = buildAplDirective(summary.totalIntake, limit, mode, fluid, outputMl, null, null, null, null, digits);
+          const apl = buildAplDirective(summary.totalIntake, limit, mode, fluid, outputMl, null, null, null, null, digits, 0, alexaCatalog, alexaPatient);
           return res.json(alexaResponse('Enter a valid amount using the keypad.',
             null, null, supportsApl(req) ? [apl] : [],
             { pendingFluid: fluid, pendingMode: mode, customDigits: digits }
@@ -2021,16 +2462,16 @@ app.post('/api/alexa', async (req, res) => {
         }
 
         await db.logEntry({
-          timestamp: Date.now(), day_key: db.getDayKey(),
+          timestamp: Date.now(), day_key: alexaTodayKey,
           entry_type: mode === 'output' ? 'output' : 'input',
           fluid_type: fluid, amount_ml: amount, source: 'alexa',
           ...alexaScope,
         });
-        publishCareChange(alexaScope, { action: 'create', source: 'alexa', dayKey: db.getDayKey() });
+        publishCareChange(alexaScope, { action: 'create', source: 'alexa', dayKey: alexaTodayKey });
 
         const apl    = await freshDisplayApl();
-        const s2     = await db.getDaySummary(db.getDayKey(), alexaScope);
-        const speech = buildAlexaSpeech(s2);
+        const s2     = await db.getDaySummary(alexaTodayKey, alexaScope);
+        const speech = await buildAlexaSpeech(s2, alexaScope);
         return res.json(alexaResponse(speech, null, null,
           supportsApl(req) ? [apl] : []));
       }
@@ -2046,7 +2487,7 @@ app.post('/api/alexa', async (req, res) => {
 
       if (action === 'gag') {
         await db.logGag(1, Date.now(), null, alexaScope);
-        publishCareChange(alexaScope, { action: 'create', source: 'alexa-gag', dayKey: db.getDayKey() });
+        publishCareChange(alexaScope, { action: 'create', source: 'alexa-gag', dayKey: alexaTodayKey });
         const apl = await freshDisplayApl();
         return res.json(alexaResponse('Gag logged.', null, null,
           supportsApl(req) ? [apl] : []));
@@ -2058,26 +2499,26 @@ app.post('/api/alexa', async (req, res) => {
         const mode   = args[3] || 'input';
 
         if (!fluid || fluid === 'null' || fluid === 'undefined') {
-          const summary  = await db.getDaySummary(db.getDayKey(), alexaScope);
-          const limit    = getDailyLimit();
+          const summary  = await db.getDaySummary(alexaTodayKey, alexaScope);
+          const limit    = alexaLimit;
           const outputMl = summary.outputs.reduce((s, o) => s + (o.amount_ml || 0), 0);
-          const apl = buildAplDirective(summary.totalIntake, limit, mode, null, outputMl);
+          const apl = buildAplDirective(summary.totalIntake, limit, mode, null, outputMl, null, null, null, null, '', 0, alexaCatalog, alexaPatient);
           return res.json(alexaResponse('Please select a fluid type first.',
             null, null, supportsApl(req) ? [apl] : []));
         }
 
         await db.logEntry({
-          timestamp: Date.now(), day_key: db.getDayKey(),
+          timestamp: Date.now(), day_key: alexaTodayKey,
           entry_type: mode === 'output' ? 'output' : 'input',
           fluid_type: fluid, amount_ml: amount, source: 'alexa',
           ...alexaScope,
         });
-        publishCareChange(alexaScope, { action: 'create', source: 'alexa', dayKey: db.getDayKey() });
+        publishCareChange(alexaScope, { action: 'create', source: 'alexa', dayKey: alexaTodayKey });
 
         // Return to display after logging so totals are visible immediately
         const apl    = await freshDisplayApl();
-        const s2     = await db.getDaySummary(db.getDayKey(), alexaScope);
-        const speech = buildAlexaSpeech(s2);
+        const s2     = await db.getDaySummary(alexaTodayKey, alexaScope);
+        const speech = await buildAlexaSpeech(s2, alexaScope);
         return res.json(alexaResponse(speech, null, null,
           supportsApl(req) ? [apl] : []));
       }
@@ -2136,11 +2577,102 @@ app.post('/api/alexa', async (req, res) => {
       ));
     }
 
+    if (ALEXA_WRITE_INTENTS.has(intentName) && !alexaCanLog) {
+      return res.json(alexaResponse(ALEXA_VIEW_ONLY_SPEECH, true, null, [], {}));
+    }
+
+    // -- Query intents: answer from the linked patient's data, no writes
+    if (ALEXA_QUERY_INTENTS.has(intentName)) {
+      return res.json(alexaResponse(await buildAlexaQuerySpeech(request.intent, alexaScope, alexaCatalog)));
+    }
+
+    // -- Switch which of the family's patients this Alexa account tracks
+    if (intentName === 'SwitchPatientIntent') {
+      if (!accountContext.ok) {
+        return res.json(alexaResponse('Switching patients needs a linked Glide Bedside account. Link it in the Alexa app.'));
+      }
+      const patients = await db.getPatientsForFamily(accountContext.familyId);
+      const names = spokenList(patients.map((p) => p.name));
+      const requested = request.intent?.slots?.patient?.value;
+      if (!requested) {
+        const current = patients.find((p) => p.id === accountContext.patientId);
+        if (patients.length < 2 && current) {
+          return res.json(alexaResponse(`${current.name} is the only patient in your family.`));
+        }
+        return res.json(alexaResponse(
+          `You're tracking ${current ? current.name : 'no one yet'}. Your family has ${names}. Who should I switch to?`,
+          false,
+          `Say switch to, then a name: ${names}.`
+        ));
+      }
+      const patient = findPatientByName(patients, requested);
+      if (!patient) {
+        return res.json(alexaResponse(`I couldn't find ${requested}. Your family has ${names}.`));
+      }
+      const { link } = accountContext;
+      await db.upsertAlexaAccountLink({
+        alexaUserId: link.alexa_user_id,
+        authSubject: link.auth_subject,
+        familyId: link.family_id,
+        patientId: patient.id,
+      });
+      return res.json(alexaResponse(`Okay, now tracking ${patient.name}.`));
+    }
+
+    // -- Undo / correct the last fluid entry. Nothing changes until the
+    // caregiver answers yes; the pending change rides in session attributes.
+    if (intentName === 'UndoLastEntryIntent' || intentName === 'CorrectLastEntryIntent') {
+      const last = await db.getLastLog(alexaScope);
+      if (!last) {
+        return res.json(alexaResponse('There is nothing to change. No entries have been logged yet.'));
+      }
+      const described = `${describeAlexaLog(last, alexaCatalog)} at ${spokenClock(last.timestamp, await getTimezoneForScope(alexaScope))}`;
+      let pending;
+      let question;
+      if (intentName === 'UndoLastEntryIntent') {
+        pending = { action: 'undo', logId: last.id };
+        question = `Remove ${described}?`;
+      } else {
+        const correction = resolveAlexaCorrection(request.intent, last, alexaCatalog);
+        if (!correction.ok) {
+          return res.json(alexaResponse(correction.error, false, 'What should I change the last entry to?'));
+        }
+        pending = { action: 'correct', logId: last.id, changes: correction.changes };
+        question = `Change ${described} to ${describeAlexaLog({ ...last, ...correction.changes }, alexaCatalog)}?`;
+      }
+      return res.json(alexaResponse(`${question} Say yes or no.`, false, question, [], { pendingCorrection: pending }));
+    }
+
+    if (intentName === 'AMAZON.YesIntent' || intentName === 'AMAZON.NoIntent') {
+      const sessionAttrs = req.body?.session?.attributes || {};
+      const pendingLog = sessionAttrs.pendingLog;
+      if (pendingLog) {
+        if (intentName === 'AMAZON.NoIntent') {
+          return res.json(alexaResponse("Okay, I didn't log it.", true, null, [], {}));
+        }
+        return res.json(await logAlexaActions(pendingLog.actions, pendingLog.dateOffset || 0, pendingLog.requestId));
+      }
+      const pending = sessionAttrs.pendingCorrection;
+      if (!pending) {
+        return res.json(alexaResponse("There's nothing waiting for a yes or no. Try saying: undo that."));
+      }
+      if (intentName === 'AMAZON.NoIntent') {
+        return res.json(alexaResponse('Okay, I left it as it was.', true, null, [], {}));
+      }
+      const speech = await applyAlexaCorrection(pending, alexaScope, alexaCatalog);
+      const aplDirs = supportsApl(req) ? [await freshDisplayApl()] : [];
+      // Back to the display with the mic closed, pending change cleared
+      return res.json(alexaResponse(speech, null, null, aplDirs, {}));
+    }
+
     if (intentName === 'AMAZON.HelpIntent') {
       return res.json(alexaResponse(
         'To log fluid intake, say: log 120 milliliters pediasure. ' +
         'To log output, say: log pee 80 milliliters. ' +
         'To log a gag episode, say: log gag. ' +
+        'You can also ask: how much has she had today, how much is left, or when did she last pee. ' +
+        'To fix the last entry, say: undo that, or change that to 150 milliliters. ' +
+        'If your family tracks more than one patient, say: switch to, then their name. ' +
         'What would you like to log?',
         false,
         'What would you like to log?'
@@ -2180,31 +2712,15 @@ app.post('/api/alexa', async (req, res) => {
         if (numMatch) {
           const amount = Math.round(parseFloat(numMatch[1]));
           const entryType = pendingMode === 'output' ? 'output' : 'input';
-          await db.logEntry({
-            timestamp: Date.now(),
-            day_key: db.getDayKey(),
-            entry_type: entryType,
-            fluid_type: pendingFluid,
-            amount_ml: amount,
-            source: 'alexa',
-            ...alexaScope,
-          });
-          publishCareChange(alexaScope, { action: 'create', source: 'alexa', dayKey: db.getDayKey() });
-          const summary = await db.getDaySummary(db.getDayKey(), alexaScope);
-          const outputMl = summary.outputs.reduce((s, o) => s + (o.amount_ml || 0), 0);
-          const dirs = supportsApl(req)
-            ? [buildAplDirective(summary.totalIntake, getDailyLimit(), pendingMode, null, outputMl)]
-            : [];
-          // Clear pending fluid from session attributes; return to display, mic closed
-          const dispApl = supportsApl(req) ? [await freshDisplayApl()] : [];
-          return res.json(alexaResponse(buildAlexaSpeech(summary), null, null, dispApl, {}));
+          // Replaces the session attributes, which clears the pending fluid
+          return res.json(await logOrConfirmAlexaActions([{ type: entryType, fluid_type: pendingFluid, amount_ml: amount }]));
         }
       }
 
       // Parse via existing NLP pipeline
       let parsed;
       try {
-        parsed = await parseMessage(entryText);
+        parsed = await parseMessage(entryText, await getParseOptionsForScope(alexaScope));
       } catch (err) {
         console.error('[alexa] Parser error:', err.message);
         return res.json(alexaResponse('Sorry, I had trouble processing that. Please try again.'));
@@ -2226,7 +2742,7 @@ app.post('/api/alexa', async (req, res) => {
         return false;
       });
       if (missingAmount) {
-        const label = formatFluidType(missingAmount.fluid_type);
+        const label = formatFluidType(missingAmount.fluid_type, alexaCatalog);
         return res.json(alexaResponse(
           `I need a measurement for ${label}. How many milliliters was it?`,
           false,                          // keep mic open for amount follow-up
@@ -2234,53 +2750,7 @@ app.post('/api/alexa', async (req, res) => {
         ));
       }
 
-      // Persist all actions
-      const dateOffset = parsed.date_offset || 0;
-      const now = Date.now() + (dateOffset * 86400000);
-      const dayKey = db.getDayKey(new Date(now));
-      let weightLogged = null;
-      for (const action of parsed.actions) {
-        if (action.type === 'input' || action.type === 'output') {
-          await db.logEntry({
-            timestamp: now,
-            day_key: dayKey,
-            entry_type: action.type,
-            fluid_type: action.fluid_type,
-            amount_ml: action.amount_ml,
-            subtype: action.subtype ?? null,
-            source: 'alexa',
-            ...alexaScope,
-          });
-        } else if (action.type === 'wellness') {
-          await db.logWellness({
-            timestamp: now,
-            day_key: dayKey,
-            check_time: action.check_time,
-            appetite: action.appetite,
-            energy: action.energy,
-            mood: action.mood,
-            cyanosis: action.cyanosis,
-            source: 'alexa',
-            ...alexaScope,
-          });
-        } else if (action.type === 'gag') {
-          await db.logGag(action.count, now, dayKey, alexaScope);
-        } else if (action.type === 'weight') {
-          await db.logWeight(dayKey, action.weight_kg, null, alexaScope);
-          weightLogged = action.weight_kg;
-        }
-      }
-      publishCareChange(alexaScope, { action: 'create', source: 'alexa', dayKey });
-
-      // If weight was the only/primary action, return a weight-specific response
-      if (weightLogged !== null && parsed.actions.every((a) => a.type === 'weight')) {
-        return res.json(alexaResponse(`Weight logged. ${weightLogged} kilograms.`));
-      }
-
-      const summary  = await db.getDaySummary(dayKey, alexaScope);
-      const aplDirs  = supportsApl(req) ? [await freshDisplayApl()] : [];
-      // Logged successfully — return to display, mic closed
-      return res.json(alexaResponse(buildAlexaSpeech(summary), null, null, aplDirs));
+      return res.json(await logOrConfirmAlexaActions(parsed.actions, parsed.date_offset || 0));
     }
 
     // Unknown intent fallback
@@ -2298,48 +2768,80 @@ app.post('/api/alexa', async (req, res) => {
 // Display kiosk — token-authenticated, no login required
 // ---------------------------------------------------------------------------
 
-app.get('/display', (req, res) => {
-  const displayToken = process.env.DISPLAY_TOKEN;
-  if (!displayToken || req.query.token !== displayToken) {
-    return res.status(401).send('Unauthorized');
+/**
+ * Scope for a kiosk token: a family's token from Settings → Bedside Displays,
+ * or the legacy DISPLAY_TOKEN env var, which stays bound to the default patient.
+ */
+async function resolveDisplayScope(token) {
+  if (!token || typeof token !== 'string') return null;
+  const legacyToken = process.env.DISPLAY_TOKEN;
+  if (legacyToken && token === legacyToken) return db.scopeIds({});
+  const displayToken = await db.getDisplayTokenByToken(token);
+  return displayToken ? { familyId: displayToken.family_id, patientId: displayToken.patient_id } : null;
+}
+
+app.get('/display', async (req, res) => {
+  try {
+    if (!await resolveDisplayScope(req.query.token)) {
+      return res.status(401).send('Unauthorized');
+    }
+    res.sendFile(path.join(__dirname, 'public', 'display.html'));
+  } catch (err) {
+    console.error('[GET /display]', err);
+    res.status(500).send('Display unavailable');
   }
-  res.sendFile(path.join(__dirname, 'public', 'display.html'));
 });
 
 app.get('/api/display-data', async (req, res) => {
-  const displayToken = process.env.DISPLAY_TOKEN;
-  if (!displayToken || req.query.token !== displayToken) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+  try {
+    const scope = await resolveDisplayScope(req.query.token);
+    if (!scope) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
 
-  const summary = await db.getDaySummary(db.getDayKey());
-  const limit = getDailyLimit();
+    const summary = await db.getDaySummary(await db.getDayKeyForScope(scope), scope);
+    const limit = await getDailyLimitForScope(scope);
 
-  // Output breakdown by type (ml + count for poop)
-  const outputByType = {};
-  for (const l of summary.outputs) {
-    if (!outputByType[l.fluid_type]) outputByType[l.fluid_type] = { ml: 0, count: 0 };
-    outputByType[l.fluid_type].ml    += (l.amount_ml || 0);
-    outputByType[l.fluid_type].count += 1;
-  }
-  // Format display string per type
-  for (const [type, data] of Object.entries(outputByType)) {
-    data.display = type === 'poop' ? `${data.count}×` : `${data.ml} ml`;
-  }
+    // Output breakdown by type (ml + count for poop)
+    const outputByType = {};
+    for (const l of summary.outputs) {
+      if (!outputByType[l.fluid_type]) outputByType[l.fluid_type] = { ml: 0, count: 0 };
+      outputByType[l.fluid_type].ml    += (l.amount_ml || 0);
+      outputByType[l.fluid_type].count += 1;
+    }
+    // Format display string per type
+    for (const [type, data] of Object.entries(outputByType)) {
+      data.display = type === 'poop' ? `${data.count}×` : `${data.ml} ml`;
+    }
 
-  return res.json({
-    totalIntake:  summary.totalIntake,
-    dailyLimit:   limit,
-    intakeByType: summary.intakeByType,
-    outputByType,
-    patientName:  db.getSetting('child_name') || null,
-  });
+    return res.json({
+      totalIntake:  summary.totalIntake,
+      dailyLimit:   limit,
+      intakeByType: summary.intakeByType,
+      outputByType,
+      patientName:  await db.getSettingForScope('child_name', scope) || null,
+      fluids:       (await db.getFluidCatalog(scope)).map(({ key, label, color }) => ({ key, label, color })),
+    });
+  } catch (err) {
+    console.error('[GET /api/display-data]', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
+// The family picked with POST /api/families/:id/select, if this browser
+// session picked one while signed in as `clerkUserId`.
+function sessionActiveFamilyId(req, clerkUserId) {
+  const active = req.session?.activeFamily;
+  return active && active.clerkUserId === clerkUserId ? active.familyId : null;
+}
+
 // Auth gate — everything below this line requires a valid session or API key
 async function requireAuth(req, res, next) {
   // API key auth (programmatic access — Mr. Stellar)
-  if (API_KEY && req.headers['x-api-key'] === API_KEY) return next();
+  if (API_KEY && req.headers['x-api-key'] === API_KEY) {
+    req.apiKeyAuth = true;
+    return next();
+  }
 
   // Clerk auth (production browser/reviewer access)
   if (CLERK_AUTH_ENABLED) {
@@ -2352,7 +2854,7 @@ async function requireAuth(req, res, next) {
     try {
       const auth = getAuth(req);
       if (auth?.isAuthenticated && auth?.userId) {
-        const scope = await resolveClerkScope(auth);
+        const scope = await resolveClerkScope(auth, { activeFamilyId: sessionActiveFamilyId(req, auth.userId) });
         if (!scope.ok) {
           if (req.path.startsWith('/api/')) {
             return res.status(scope.reason === 'onboarding_required' ? 409 : 403).json({ ok: false, error: scope.reason });
@@ -2382,8 +2884,127 @@ async function requireAuth(req, res, next) {
 }
 app.use(requireAuth);
 
+/**
+ * Check the caller's family role against the permission the route needs
+ * (permissions.js ROUTE_RULES) before any handler — or a stored idempotent
+ * replay — runs.
+ */
+function enforceRoutePermissions(req, res, next) {
+  if (!req.path.startsWith('/api/')) return next();
+  const role = requestRole(req);
+  const permission = permissions.permissionForRequest(req.method, req.path);
+  if (permissions.can(role, permission)) return next();
+  res.status(403).json(permissions.forbiddenResponse(role, permission));
+}
+app.use(enforceRoutePermissions);
+
+// ---------------------------------------------------------------------------
+// Idempotency keys — safe replays of queued offline writes
+// ---------------------------------------------------------------------------
+
+const IDEMPOTENT_METHODS = new Set(['POST', 'PATCH', 'PUT', 'DELETE']);
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+/**
+ * Writes that carry an Idempotency-Key header run once per family and key.
+ * A repeat of a finished request gets the first response back (with
+ * Idempotent-Replayed: true) instead of running again; a repeat while the
+ * first is still running gets 409. Server errors release the key so the
+ * client's retry is attempted for real.
+ */
+async function handleIdempotencyKey(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key || !IDEMPOTENT_METHODS.has(req.method) || !req.path.startsWith('/api/')) return next();
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return res.status(400).json({ ok: false, error: 'Idempotency-Key must be 8-128 letters, digits, dashes or underscores' });
+  }
+
+  const { familyId } = db.scopeIds(requestScope(req));
+  const request = `${req.method} ${req.path}`;
+  try {
+    const claim = await db.claimIdempotencyKey({ familyId, key, request });
+    if (!claim.claimed) {
+      const existing = claim.existing;
+      if (existing && existing.request !== request) {
+        return res.status(422).json({ ok: false, error: 'Idempotency-Key was already used for a different request' });
+      }
+      if (!existing || existing.status_code === null) {
+        return res.status(409).json({ ok: false, error: 'A request with this Idempotency-Key is still being processed' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.status_code).json(existing.response_body);
+    }
+  } catch (err) {
+    console.error('[idempotency] Claim failed:', err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+
+  let settled = false;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    // A handler that wrote nothing and expects the same key back (chat's
+    // duplicate question) sets res.locals.releaseIdempotencyKey.
+    const save = res.statusCode >= 500 || res.locals.releaseIdempotencyKey
+      ? db.releaseIdempotencyKey({ familyId, key })
+      : db.completeIdempotencyKey({ familyId, key, statusCode: res.statusCode, responseBody: body });
+    // Store before answering so a retry racing the response sees the result.
+    save
+      .catch((err) => console.error('[idempotency] Could not store result:', err.message))
+      .finally(() => sendJson(body));
+    return res;
+  };
+  res.on('finish', () => {
+    if (!settled) db.releaseIdempotencyKey({ familyId, key }).catch(() => {});
+  });
+  next();
+}
+
+app.use(handleIdempotencyKey);
+
+/**
+ * A write queued offline names the family and patient the page showed when
+ * it was made (X-Glide-Family-Id / X-Glide-Patient-Id, see offline-queue.js).
+ * If the account has switched since — on this device or another — the replay
+ * gets 412 instead of being logged for whoever is selected now.
+ */
+function rejectStaleReplayScope(req, res, next) {
+  const familyId = req.get('X-Glide-Family-Id');
+  const patientId = req.get('X-Glide-Patient-Id');
+  if (!familyId && !patientId) return next();
+  const current = db.scopeIds(requestScope(req));
+  if ((!familyId || familyId === current.familyId) && (!patientId || patientId === current.patientId)) return next();
+  res.status(412).json({
+    ok: false,
+    code: 'scope_changed',
+    error: 'It was made for a different patient than the one selected now, so it was not logged. Switch back and enter it again if it still applies.',
+  });
+}
+app.use(rejectStaleReplayScope);
+
+/**
+ * Run `write` at most once per key for surfaces that can't send a header but
+ * have a natural id of their own — a Telegram message or an Alexa request —
+ * so a redelivered update doesn't log twice. Resolves to false, without
+ * calling `write`, when the key was already used.
+ */
+async function runOnceForKey(scope, key, request, write) {
+  const { familyId } = db.scopeIds(scope);
+  const claim = await db.claimIdempotencyKey({ familyId, key, request });
+  if (!claim.claimed) return false;
+  try {
+    await write();
+  } catch (err) {
+    await db.releaseIdempotencyKey({ familyId, key }).catch(() => {});
+    throw err;
+  }
+  await db.completeIdempotencyKey({ familyId, key, statusCode: 200, responseBody: null });
+  return true;
+}
+
 app.get('/api/me', async (req, res) => {
-  res.json({ ok: true, scope: req.scope || null });
+  const role = requestRole(req);
+  res.json({ ok: true, scope: req.scope || null, role, permissions: permissions.permissionsForRole(role) });
 });
 
 app.get('/api/account/preferences', async (req, res) => {
@@ -2418,66 +3039,585 @@ app.post('/api/account/preferences', async (req, res) => {
   }
 });
 
-app.get('/api/family/members', async (req, res) => {
+function familyJson(membership) {
+  return {
+    id: membership.family_id,
+    name: membership.family_name || null,
+    role: membership.role || 'caregiver',
+    membershipId: membership.id,
+  };
+}
+
+/**
+ * GET /api/families
+ * The families the signed-in account belongs to and the one this session
+ * is working in. Empty for logins that aren't tied to an account.
+ */
+app.get('/api/families', async (req, res) => {
   try {
     const scope = requestScope(req);
-    if (!scope.familyId) return res.status(400).json({ ok: false, error: 'family_scope_required' });
-    const members = await db.getFamilyAccessList(scope.familyId);
-    res.json({ ok: true, family: { id: scope.familyId, name: scope.familyName || null }, members });
+    const memberships = await db.getFamilyMembershipsByClerkUserId(scope.clerkUserId);
+    res.json({ ok: true, families: memberships.map(familyJson), activeFamilyId: scope.familyId || null });
   } catch (err) {
-    console.error('[GET /api/family/members]', err);
+    console.error('[GET /api/families]', err);
     res.status(500).json({ ok: false, error: err.message });
   }
 });
 
-app.get('/api/events', (req, res) => {
-  realtime.addClient(requestScope(req), req, res);
+/**
+ * POST /api/families/:id/select
+ * Work in another of the account's families for the rest of this browser
+ * session. Other devices and sessions keep the family they had.
+ */
+app.post('/api/families/:id/select', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    if (!scope.clerkUserId || !req.session) {
+      return res.status(400).json({ ok: false, error: 'Switching families needs a signed-in family account' });
+    }
+    const memberships = await db.getFamilyMembershipsByClerkUserId(scope.clerkUserId);
+    const membership = memberships.find((m) => m.family_id === req.params.id);
+    if (!membership) return res.status(404).json({ ok: false, error: 'Family not found' });
+    req.session.activeFamily = { clerkUserId: scope.clerkUserId, familyId: membership.family_id };
+    await new Promise((resolve, reject) => req.session.save((err) => (err ? reject(err) : resolve())));
+    res.json({ ok: true, family: familyJson(membership) });
+  } catch (err) {
+    console.error('[POST /api/families/:id/select]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
 });
 
-app.post('/api/family/invitations', async (req, res) => {
+app.get('/api/family/members', async (req, res) => {
   try {
     const scope = requestScope(req);
-    if (!['owner', 'admin'].includes(scope.role)) {
-      return res.status(403).json({ ok: false, error: 'Only family owners/admins can invite caregivers.' });
-    }
-    const email = String(req.body.email || '').trim().toLowerCase();
-    const role = ['owner', 'admin', 'caregiver', 'viewer'].includes(req.body.role) ? req.body.role : 'caregiver';
-    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
-      return res.status(400).json({ ok: false, error: 'Valid email is required.' });
-    }
-    const invite = await db.createFamilyInvitation({
-      familyId: scope.familyId,
-      email,
-      role,
-      invitedByClerkUserId: scope.clerkUserId,
-    });
-    let emailDelivery = { sent: false, reason: 'mail_not_configured' };
-    try {
-      emailDelivery = await mailer.sendCaregiverInviteEmail({
-        to: email,
-        familyName: scope.familyName,
-        patientName: scope.patientName,
-        inviterName: scope.displayName || scope.email,
-        role,
-      });
-    } catch (emailErr) {
-      console.error('[invite-email] Failed to send caregiver invite:', emailErr.message);
-      emailDelivery = { sent: false, reason: 'mail_send_failed' };
-    }
+    if (!scope.familyId) return res.status(400).json({ ok: false, error: 'family_scope_required' });
+    const members = await db.getFamilyAccessList(scope.familyId);
     res.json({
       ok: true,
-      invitation: { id: invite.id, email: invite.email, role: invite.role, status: invite.status },
-      email: emailDelivery,
+      family: { id: scope.familyId, name: scope.familyName || null },
+      members,
+      currentMembershipId: scope.membershipId || null,
     });
   } catch (err) {
-    console.error('[POST /api/family/invitations]', err);
+    console.error('[GET /api/family/members]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get('/api/events', (req, res) => {
+  realtime.addClient(requestScope(req), req, res);
+});
+
+/**
+ * GET /api/alerts
+ * Recently fired care alerts for the patient, newest first. ?limit= (max 100).
+ */
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const alertRows = await db.getRecentAlerts(limit, requestScope(req));
+    res.json({ ok: true, alerts: alertRows });
+  } catch (err) {
+    console.error('[GET /api/alerts]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/audit
+ * Who created, edited or deleted care entries on a day, newest first.
+ * ?date=YYYY-MM-DD (defaults to today).
+ */
+app.get('/api/audit', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const date = req.query.date || await db.getDayKeyForScope(scope);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ ok: false, error: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+    const entries = await db.getAuditLogByDay(date, scope);
+    res.json({ ok: true, date, entries });
+  } catch (err) {
+    console.error('[GET /api/audit]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+const FAMILY_ROLES = ['owner', 'admin', 'caregiver', 'viewer'];
+
+function ownerRoleForbidden(res, action) {
+  return res.status(403).json({ ok: false, code: 'forbidden', error: `Only a family owner can ${action}.` });
+}
+
+async function sendInvitationEmail(invite, scope) {
+  try {
+    return await mailer.sendCaregiverInviteEmail({
+      to: invite.email,
+      familyName: scope.familyName,
+      patientName: scope.patientName,
+      inviterName: scope.displayName || scope.email,
+      role: invite.role,
+      expiresAt: invite.expires_at,
+    });
+  } catch (emailErr) {
+    console.error('[invite-email] Failed to send caregiver invite:', emailErr.message);
+    return { sent: false, reason: 'mail_send_failed' };
+  }
+}
+
+function invitationJson(invite) {
+  return { id: invite.id, email: invite.email, role: invite.role, status: invite.status, expires_at: invite.expires_at };
+}
+
+app.post('/api/family/invitations', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const role = FAMILY_ROLES.includes(req.body.role) ? req.body.role : 'caregiver';
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+      return res.status(400).json({ ok: false, error: 'Valid email is required.' });
+    }
+    if (!permissions.canManageRole(requestRole(req), role)) return ownerRoleForbidden(res, 'invite another owner');
+    const invite = await db.createFamilyInvitation({
+      familyId: scope.familyId,
+      email,
+      role,
+      invitedByClerkUserId: scope.clerkUserId,
+    });
+    const emailDelivery = await sendInvitationEmail(invite, scope);
+    res.json({ ok: true, invitation: invitationJson(invite), email: emailDelivery });
+  } catch (err) {
+    console.error('[POST /api/family/invitations]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/family/invitations/:id/resend
+ * Email a pending or expired invitation again with a fresh expiry window.
+ */
+app.post('/api/family/invitations/:id/resend', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    if (!scope.familyId) return res.status(400).json({ ok: false, error: 'family_scope_required' });
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json({ ok: false, error: 'Invitation not found' });
+    }
+    const existing = await db.getFamilyInvitation(scope.familyId, req.params.id);
+    if (!existing || existing.status !== 'pending') {
+      return res.status(404).json({ ok: false, error: 'Invitation not found' });
+    }
+    if (!permissions.canManageRole(requestRole(req), existing.role)) return ownerRoleForbidden(res, 'resend an owner invitation');
+    const invite = await db.renewFamilyInvitation(scope.familyId, existing.id);
+    if (!invite) return res.status(404).json({ ok: false, error: 'Invitation not found' });
+    const emailDelivery = await sendInvitationEmail(invite, scope);
+    res.json({ ok: true, invitation: invitationJson(invite), email: emailDelivery });
+  } catch (err) {
+    console.error('[POST /api/family/invitations/:id/resend]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/family/invitations/:id
+ * Revoke a pending invitation so the email can no longer be used to join.
+ */
+app.delete('/api/family/invitations/:id', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    if (!scope.familyId) return res.status(400).json({ ok: false, error: 'family_scope_required' });
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json({ ok: false, error: 'Invitation not found' });
+    }
+    const existing = await db.getFamilyInvitation(scope.familyId, req.params.id);
+    if (!existing || existing.status !== 'pending') {
+      return res.status(404).json({ ok: false, error: 'Invitation not found' });
+    }
+    if (!permissions.canManageRole(requestRole(req), existing.role)) return ownerRoleForbidden(res, 'revoke an owner invitation');
+    const result = await db.revokeFamilyInvitation(scope.familyId, existing.id);
+    if (result.changes === 0) return res.status(404).json({ ok: false, error: 'Invitation not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[DELETE /api/family/invitations/:id]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+const MEMBERSHIP_CHANGE_ERRORS = {
+  not_found: [404, 'Family member not found'],
+  last_owner: [409, 'The family needs at least one owner. Make someone else an owner first.'],
+};
+
+/**
+ * Shared by the role change and removal routes: checks the caller may manage
+ * both the member's current role and (for a change) the new one, then applies
+ * the change under changeFamilyMembership's last-owner guard.
+ */
+async function changeFamilyMember(req, res, change) {
+  const scope = requestScope(req);
+  if (!scope.familyId) return res.status(400).json({ ok: false, error: 'family_scope_required' });
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+    return res.status(404).json({ ok: false, error: MEMBERSHIP_CHANGE_ERRORS.not_found[1] });
+  }
+  const members = await db.getFamilyAccessList(scope.familyId);
+  const member = members.find((m) => m.id === req.params.id && m.status === 'active');
+  if (!member) return res.status(404).json({ ok: false, error: MEMBERSHIP_CHANGE_ERRORS.not_found[1] });
+  const role = requestRole(req);
+  if (!permissions.canManageRole(role, member.role) || (change.role && !permissions.canManageRole(role, change.role))) {
+    return ownerRoleForbidden(res, change.remove ? 'remove an owner' : 'give or take away the owner role');
+  }
+
+  const result = await db.changeFamilyMembership(scope.familyId, member.id, change);
+  if (!result.ok) {
+    const [status, error] = MEMBERSHIP_CHANGE_ERRORS[result.reason];
+    return res.status(status).json({ ok: false, error, code: result.reason });
+  }
+  const { membership } = result;
+  res.json({
+    ok: true,
+    member: { id: membership.id, email: membership.email, role: membership.role, status: membership.status },
+  });
+}
+
+/**
+ * PATCH /api/family/members/:id
+ * Change an active member's role ({ role }).
+ */
+app.patch('/api/family/members/:id', async (req, res) => {
+  try {
+    if (!FAMILY_ROLES.includes(req.body.role)) {
+      return res.status(400).json({ ok: false, error: `role must be one of ${FAMILY_ROLES.join(', ')}` });
+    }
+    await changeFamilyMember(req, res, { role: req.body.role });
+  } catch (err) {
+    console.error('[PATCH /api/family/members/:id]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/family/members/:id
+ * Remove a member from the family. The membership is kept as 'removed' so
+ * past audit entries still name them; their Telegram and Alexa links go.
+ */
+app.delete('/api/family/members/:id', async (req, res) => {
+  try {
+    await changeFamilyMember(req, res, { remove: true });
+  } catch (err) {
+    console.error('[DELETE /api/family/members/:id]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Patients — one family can track several; each account picks the one it sees
+// ---------------------------------------------------------------------------
+
+const PATIENT_CHANGE_ERRORS = {
+  not_found: [404, 'Patient not found'],
+  last_patient: [409, 'A family needs at least one active patient. Add another before archiving this one.'],
+  default_patient: [409, 'This is the default patient that the API key, shared login, display token and legacy Telegram users log to, so it can\'t be archived.'],
+};
+
+function patientJson(patient) {
+  return {
+    id: patient.id,
+    name: patient.name,
+    pronouns: patient.pronouns,
+    archived: Boolean(patient.archived_at),
+    created_at: patient.created_at,
+  };
+}
+
+/**
+ * The patient whose name matches `name` (case-insensitive), falling back to a
+ * first-name match so "switch to Elina" finds "Elina Smith". Used by the
+ * Telegram /patient command and the Alexa SwitchPatientIntent.
+ */
+function findPatientByName(patients, name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted) return null;
+  const firstName = (value) => value.split(/\s+/)[0];
+  return patients.find((p) => p.name.toLowerCase() === wanted)
+    || patients.find((p) => firstName(p.name.toLowerCase()) === firstName(wanted))
+    || null;
+}
+
+function patientFields(body, { partial = false } = {}) {
+  const fields = {};
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Patient name is required' };
+    if (name.length > 50) return { error: 'Patient name must be 50 characters or fewer' };
+    fields.name = name;
+  }
+  if (!partial) {
+    fields.pronouns = String(body.pronouns || '').trim().slice(0, 20) || 'she/her';
+  }
+  if (partial && body.archived !== undefined) {
+    if (typeof body.archived !== 'boolean') return { error: 'archived must be true or false' };
+    fields.archived = body.archived;
+  }
+  return { fields };
+}
+
+/**
+ * GET /api/patients
+ * The family's active patients and the one this request is scoped to.
+ * ?include_archived=1 lists archived patients too (after the active ones).
+ */
+app.get('/api/patients', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    if (!scope.familyId) return res.status(400).json({ ok: false, error: 'family_scope_required' });
+    const includeArchived = req.query.include_archived === '1' || req.query.include_archived === 'true';
+    const patients = await db.getPatientsForFamily(scope.familyId, { includeArchived });
+    res.json({ ok: true, patients: patients.map(patientJson), activePatientId: scope.patientId || null });
+  } catch (err) {
+    console.error('[GET /api/patients]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/patients
+ * Add a patient ({ name, pronouns? }) with default settings and fluid catalog.
+ */
+app.post('/api/patients', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    if (!scope.familyId) return res.status(400).json({ ok: false, error: 'family_scope_required' });
+    const { fields, error } = patientFields(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error });
+    const patient = await db.createPatient({ familyId: scope.familyId, ...fields });
+    res.status(201).json({ ok: true, patient: patientJson(patient) });
+  } catch (err) {
+    console.error('[POST /api/patients]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * PATCH /api/patients/:id
+ * Rename ({ name }), archive ({ archived: true }) or restore ({ archived: false })
+ * a patient. Archived patients keep their history but leave every switcher.
+ */
+app.patch('/api/patients/:id', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    if (!scope.familyId) return res.status(400).json({ ok: false, error: 'family_scope_required' });
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json({ ok: false, error: PATIENT_CHANGE_ERRORS.not_found[1] });
+    }
+    const { fields, error } = patientFields(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ ok: false, error });
+    const result = await db.updatePatient(scope.familyId, req.params.id, { name: fields.name, archived: fields.archived });
+    if (!result.ok) {
+      const [status, message] = PATIENT_CHANGE_ERRORS[result.reason];
+      return res.status(status).json({ ok: false, error: message, code: result.reason });
+    }
+    res.json({ ok: true, patient: patientJson(result.patient) });
+  } catch (err) {
+    console.error('[PATCH /api/patients/:id]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/patients/:id/select
+ * Make an active patient the one this account sees in this family. Saved as
+ * an account preference, so it follows the account to every device.
+ */
+app.post('/api/patients/:id/select', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const subject = accountPreferenceSubject(req);
+    if (!scope.familyId || !subject) {
+      return res.status(400).json({ ok: false, error: 'Switching patients needs a signed-in family account' });
+    }
+    const patient = /^[0-9a-f-]{36}$/i.test(req.params.id)
+      ? await db.getPatientForFamily(scope.familyId, req.params.id)
+      : null;
+    if (!patient) return res.status(404).json({ ok: false, error: PATIENT_CHANGE_ERRORS.not_found[1] });
+    await db.setAccountPreference(subject, activePatientPreferenceKey(scope.familyId), patient.id);
+    res.json({ ok: true, patient: patientJson(patient) });
+  } catch (err) {
+    console.error('[POST /api/patients/:id/select]', err);
     res.status(500).json({ ok: false, error: err.message });
   }
 });
 
 // ---------------------------------------------------------------------------
-// Database backup endpoint (API key only — for automated backups)
-// ---------------------------------------------------------------------------
+// Telegram linking — one-time codes redeemed in the bot with /link CODE
+// ---------------------------------------------------------------------------
+
+/**
+ * POST /api/telegram/link-code
+ * Issues a short-lived code that binds the sender's Telegram account to the
+ * caller's family/patient (and membership, when signed in through Clerk).
+ */
+app.post('/api/telegram/link-code', async (req, res) => {
+  try {
+    const { familyId, patientId } = db.scopeIds(requestScope(req));
+    const linkCode = await db.createTelegramLinkCode({
+      familyId,
+      patientId,
+      membershipId: requestScope(req).membershipId || null,
+    });
+    const botUsername = (process.env.TELEGRAM_BOT_USERNAME || '').replace(/^@/, '') || null;
+    res.json({
+      ok: true,
+      code: linkCode.code,
+      expiresAt: linkCode.expires_at,
+      botUsername,
+      deepLink: botUsername ? `https://t.me/${botUsername}?start=${linkCode.code}` : null,
+    });
+  } catch (err) {
+    console.error('[POST /api/telegram/link-code]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/telegram/links
+ * Telegram accounts currently linked to the caller's family.
+ */
+app.get('/api/telegram/links', async (req, res) => {
+  try {
+    const { familyId } = db.scopeIds(requestScope(req));
+    const links = await db.getTelegramLinksForFamily(familyId);
+    res.json({ ok: true, links });
+  } catch (err) {
+    console.error('[GET /api/telegram/links]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/telegram/links/:id
+ * Unlinks a Telegram account from the caller's family.
+ */
+app.delete('/api/telegram/links/:id', async (req, res) => {
+  try {
+    const { familyId } = db.scopeIds(requestScope(req));
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json({ ok: false, error: 'Telegram link not found' });
+    }
+    const result = await db.deleteTelegramLink(req.params.id, familyId);
+    if (result.changes === 0) {
+      return res.status(404).json({ ok: false, error: 'Telegram link not found' });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[DELETE /api/telegram/links/:id]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Bedside displays — per-family kiosk tokens for /display
+// ---------------------------------------------------------------------------
+
+const MAX_DISPLAY_TOKEN_DAYS = 365;
+
+/**
+ * GET /api/display-tokens
+ * Active kiosk tokens for the caller's family (hashes and secrets omitted).
+ */
+app.get('/api/display-tokens', async (req, res) => {
+  try {
+    const { familyId } = db.scopeIds(requestScope(req));
+    const tokens = await db.getDisplayTokensForFamily(familyId);
+    res.json({ ok: true, tokens });
+  } catch (err) {
+    console.error('[GET /api/display-tokens]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/display-tokens
+ * Creates a kiosk token for the caller's patient. Body: { name, expires_in_days? }.
+ * The token is only returned here; afterwards just its last four characters are shown.
+ */
+app.post('/api/display-tokens', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const { familyId, patientId } = db.scopeIds(scope);
+    const body = req.body || {};
+    const name = String(body.name || '').trim() || 'Bedside display';
+    if (name.length > 60) {
+      return res.status(400).json({ ok: false, error: 'name must be 60 characters or fewer' });
+    }
+    let expiresAt = null;
+    if (body.expires_in_days !== undefined && body.expires_in_days !== null && body.expires_in_days !== '') {
+      const days = Number(body.expires_in_days);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_DISPLAY_TOKEN_DAYS) {
+        return res.status(400).json({ ok: false, error: `expires_in_days must be a whole number from 1 to ${MAX_DISPLAY_TOKEN_DAYS}` });
+      }
+      expiresAt = new Date(Date.now() + days * 86400000);
+    }
+
+    const created = await db.createDisplayToken({ familyId, patientId, name, expiresAt, createdBy: scope.actor.name });
+    const { token, ...displayToken } = created;
+    res.json({ ok: true, displayToken, token, url: `/display?token=${encodeURIComponent(token)}` });
+  } catch (err) {
+    console.error('[POST /api/display-tokens]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/display-tokens/:id
+ * Revokes a kiosk token; a display using it stops updating on its next refresh.
+ */
+app.delete('/api/display-tokens/:id', async (req, res) => {
+  try {
+    const { familyId } = db.scopeIds(requestScope(req));
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json({ ok: false, error: 'Display token not found' });
+    }
+    const result = await db.revokeDisplayToken(req.params.id, familyId);
+    if (result.changes === 0) {
+      return res.status(404).json({ ok: false, error: 'Display token not found' });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[DELETE /api/display-tokens/:id]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Database backup endpoint (API key only — for automated backups)
+// ---------------------------------------------------------------------------
+
+/**
+ * Base64 contents of every attached photo, keyed by storage key (a photo
+ * attached twice is stored once). Files that can't be read are left out and
+ * reported, so one lost object doesn't fail the whole backup.
+ */
+async function exportAttachmentFiles(attachments) {
+  const files = {};
+  const missing = [];
+  for (const attachment of attachments) {
+    if (files[attachment.storage_key]) continue;
+    try {
+      const buffer = await attachmentStore.getAttachmentStore(attachment.storage).get(attachment.storage_key);
+      files[attachment.storage_key] = buffer.toString('base64');
+    } catch (err) {
+      console.error(`[GET /api/backup] Could not read attachment ${attachment.id}:`, err.message);
+      missing.push(attachment.id);
+    }
+  }
+  return { files, missing };
+}
+
+/**
+ * GET /api/backup
+ * Every table as JSON, plus the attached photos in `attachmentFiles`
+ * (?attachments=0 leaves them out for a smaller, rows-only export).
+ */
 app.get('/api/backup', async (req, res) => {
   // Restrict to API key auth only (not browser sessions)
   if (!API_KEY || req.headers['x-api-key'] !== API_KEY) {
@@ -2486,6 +3626,11 @@ app.get('/api/backup', async (req, res) => {
   try {
     const datestamp = new Date().toISOString().slice(0, 10);
     const data = await db.exportAllData();
+    if (req.query.attachments !== '0') {
+      const { files, missing } = await exportAttachmentFiles(data.tables.attachments);
+      data.attachmentFiles = files;
+      if (missing.length > 0) data.missingAttachmentIds = missing;
+    }
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', `attachment; filename=elina-postgres-backup-${datestamp}.json`);
     res.send(JSON.stringify(data, null, 2));
@@ -2495,6 +3640,35 @@ app.get('/api/backup', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/restore
+ * Load a /api/backup export (the JSON body). ?family_id= restores one family
+ * and leaves the rest of the database alone; ?dry_run=1 only validates and counts.
+ */
+app.post('/api/restore', (req, res, next) => {
+  if (!API_KEY || req.headers['x-api-key'] !== API_KEY) {
+    return res.status(403).json({ ok: false, error: 'API key required for restore' });
+  }
+  next();
+}, express.json({ limit: '200mb' }), async (req, res) => {
+  const options = {
+    familyId: req.query.family_id ? String(req.query.family_id) : undefined,
+    dryRun: req.query.dry_run === '1' || req.query.dry_run === 'true',
+  };
+  const plan = backupRestore.validateBackup(req.body, options);
+  if (!plan.ok) {
+    return res.status(400).json({ ok: false, error: plan.error, details: plan.errors || [] });
+  }
+  try {
+    const summary = await backupRestore.restoreBackup(req.body, options);
+    console.log(`[restore] ${summary.dryRun ? 'Dry run for' : 'Restored'} ${summary.familyIds.length} family(ies)${summary.wholeDatabase ? ' (whole database)' : ''}`);
+    res.json({ ok: true, ...summary });
+  } catch (err) {
+    console.error('[POST /api/restore]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 // Static files (served after auth check). Revalidate browser assets so
 // deployed UI changes are picked up promptly without sticky stale JS/CSS.
 app.use(express.static(path.join(__dirname, 'public'), {
@@ -2512,41 +3686,32 @@ app.use(express.static(path.join(__dirname, 'public'), {
 // Date helpers
 // ---------------------------------------------------------------------------
 
-/**
- * Shift a fluid-day key string "YYYY-MM-DD" by N calendar days.
- */
-function shiftDayKey(dayKey, deltaDays) {
-  const [y, m, d] = dayKey.split('-').map(Number);
-  const shifted = new Date(Date.UTC(y, m - 1, d, 12, 0, 0));
-  shifted.setUTCDate(shifted.getUTCDate() + deltaDays);
-  return shifted.toISOString().slice(0, 10);
-}
-
 /**
  * Resolve a day key from either an explicit date or a relative selector.
  * Supports relative=today|yesterday for the dashboard day switcher.
+ * `todayKey` is the patient's current fluid day (db.getDayKeyForScope).
  */
-function resolveRequestedDayKey({ date, relative } = {}) {
+function resolveRequestedDayKey({ date, relative } = {}, todayKey) {
   if (relative) {
     if (relative === 'today') {
-      return { ok: true, date: db.getDayKey() };
+      return { ok: true, date: todayKey };
     }
     if (relative === 'yesterday') {
-      return { ok: true, date: shiftDayKey(db.getDayKey(), -1) };
+      return { ok: true, date: db.shiftDayKey(todayKey, -1) };
     }
     return { ok: false, error: 'Invalid relative date. Use today or yesterday.' };
   }
 
-  return validateLogDate(date);
+  return validateLogDate(date, todayKey);
 }
 
 /**
- * Validates an optional date field from a request body.
+ * Validates an optional date field from a request body against the
+ * patient's current fluid day (`todayKey`).
  * Accepts any past or present date (no future dates).
  * Returns { ok: true, date } or { ok: false, error }.
  */
-function validateLogDate(bodyDate) {
-  const todayKey = db.getDayKey();
+function validateLogDate(bodyDate, todayKey) {
   if (!bodyDate) return { ok: true, date: todayKey };
   if (!/^\d{4}-\d{2}-\d{2}$/.test(bodyDate)) {
     return { ok: false, error: 'Invalid date format. Use YYYY-MM-DD.' };
@@ -2557,6 +3722,39 @@ function validateLogDate(bodyDate) {
   return { ok: true, date: bodyDate };
 }
 
+// Offline entries older than this are more likely a wrong device clock than a
+// real outage.
+const MAX_RECORDED_AT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+function validateRecordedAt(value) {
+  if (value === undefined || value === null || value === '') return { ok: true, timestamp: null };
+  const timestamp = Number(value);
+  if (!Number.isFinite(timestamp) || timestamp > Date.now() + 5 * 60 * 1000 || timestamp < Date.now() - MAX_RECORDED_AT_AGE_MS) {
+    return { ok: false, error: 'recorded_at must be a time in the last 7 days (milliseconds since the epoch).' };
+  }
+  return { ok: true, timestamp: Math.round(timestamp) };
+}
+
+// A quarter of daily detail is about as much as a PDF handout stays readable for.
+const MAX_EXPORT_DAYS = 92;
+
+/**
+ * from/to query params for exports. `to` defaults to today (`todayKey`) and
+ * `from` to six days before it.
+ */
+function validateExportRange(query, todayKey) {
+  const to = query.to || todayKey;
+  const from = query.from || db.shiftDayKey(to, -6);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    return { ok: false, error: 'Invalid date format. Use YYYY-MM-DD.' };
+  }
+  if (from > to) return { ok: false, error: '"from" must be on or before "to".' };
+  if (db.shiftDayKey(from, MAX_EXPORT_DAYS - 1) < to) {
+    return { ok: false, error: `Exports are limited to ${MAX_EXPORT_DAYS} days.` };
+  }
+  return { ok: true, from, to };
+}
+
 function validateLogTime(bodyTime) {
   if (!bodyTime) return { ok: true, time: null };
   if (!/^\d{2}:\d{2}$/.test(bodyTime)) {
@@ -2569,6 +3767,24 @@ function validateLogTime(bodyTime) {
   return { ok: true, time: bodyTime };
 }
 
+/**
+ * Check a fluid entry against the patient's catalog: the fluid_type must be an
+ * active entry whose category matches entry_type.
+ */
+function validateFluidType(catalog, entryType, fluidType) {
+  if (!fluidCatalog.CATEGORIES.includes(entryType)) {
+    return { ok: false, error: 'entry_type must be "input" or "output".' };
+  }
+  const entry = fluidCatalog.activeEntries(catalog).find((e) => e.key === fluidType);
+  if (!entry) {
+    return { ok: false, error: `Unknown fluid type "${fluidType}".` };
+  }
+  if (entry.category !== entryType) {
+    return { ok: false, error: `${entry.label} is an ${entry.category}, not an ${entryType}.` };
+  }
+  return { ok: true, entry };
+}
+
 function zonedDateTimeToTimestamp(dateKey, timeValue, tz) {
   const [year, month, day] = dateKey.split('-').map(Number);
   const [hour, minute] = timeValue.split(':').map(Number);
@@ -2637,19 +3853,40 @@ function getWarnRed() {
 // Helpers
 // ---------------------------------------------------------------------------
 
-function formatFluidType(type) {
-  const map = {
-    water: 'Water',
-    juice: 'Juice',
-    vitamin_water: 'Vitamin Water',
-    milk: 'Milk',
-    pediasure: 'PediaSure',
-    yogurt_drink: 'Yogurt Drink',
-    urine: 'Urine',
-    poop: 'Poop',
-    vomit: 'Vomit',
+/**
+ * Display label for a fluid_type. Pass the patient's catalog (from
+ * getFluidCatalogForScope) so custom fluids get their configured labels;
+ * without one the built-in labels are used.
+ */
+function formatFluidType(type, catalog = null) {
+  return fluidCatalog.labelFor(catalog, type);
+}
+
+async function getFluidCatalogForScope(scope = {}) {
+  return db.getFluidCatalog(scope);
+}
+
+async function getWellnessSlotsForScope(scope = {}) {
+  return wellnessSlots.wellnessSlotsFromSettings(await db.getSettings(scope));
+}
+
+/**
+ * The patient configuration parseMessage needs: fluid catalog, wellness slots,
+ * the slot a check logged right now belongs to, and active medications.
+ */
+async function getParseOptionsForScope(scope = {}) {
+  const [catalog, slots, tz, medications] = await Promise.all([
+    getFluidCatalogForScope(scope),
+    getWellnessSlotsForScope(scope),
+    getTimezoneForScope(scope),
+    db.getMedications(scope),
+  ]);
+  return {
+    fluidCatalog: catalog,
+    wellnessSlots: slots,
+    defaultWellnessSlot: wellnessSlots.currentWellnessSlot(slots, new Date(), tz),
+    medications,
   };
-  return map[type] || type;
 }
 
 function formatPoopSubtype(subtype) {
@@ -2669,24 +3906,177 @@ async function getTimezoneForScope(scope = {}) {
   return await db.getSettingForScope('timezone', scope) || process.env.TZ || 'America/New_York';
 }
 
-function formatTimestamp(tsMs) {
+function formatNetBalance(ml) {
+  return `${ml > 0 ? '+' : ''}${ml}ml`;
+}
+
+/**
+ * Suffix for a day's urine rate when it is under the patient's thresholds.
+ */
+function urineRateFlag(summary) {
+  if (summary.urineStatus === 'low') return ` ❗ LOW (under ${summary.urineThresholds.low})`;
+  if (summary.urineStatus === 'warn') return ` ⚠️ under ${summary.urineThresholds.warn}`;
+  return '';
+}
+
+function formatTimestamp(tsMs, tz = getTimezone()) {
   return new Date(tsMs).toLocaleTimeString('en-US', {
-    timeZone: getTimezone(),
+    timeZone: tz,
     hour: 'numeric',
     minute: '2-digit',
     hour12: true,
   });
 }
 
-function formatTimeInput(tsMs) {
+function formatTimeInput(tsMs, tz = getTimezone()) {
   return new Date(tsMs).toLocaleTimeString('en-GB', {
-    timeZone: getTimezone(),
+    timeZone: tz,
     hour: '2-digit',
     minute: '2-digit',
     hour12: false,
   });
 }
 
+// ---------------------------------------------------------------------------
+// Near-duplicate entries
+// ---------------------------------------------------------------------------
+
+const DUPLICATE_SOURCE_LABELS = {
+  api: 'the dashboard',
+  chat: 'chat',
+  telegram: 'Telegram',
+  alexa: 'Alexa',
+};
+
+async function getDuplicateWindowMinutesForScope(scope = {}) {
+  const minutes = parseFloat(await db.getSettingForScope('duplicate_window_minutes', scope));
+  return minutes > 0 ? minutes : 0;
+}
+
+/**
+ * Fluid inputs and outputs among `actions` (parser-shaped: { type,
+ * fluid_type, amount_ml }) that match an entry already logged within the
+ * patient's duplicate_window_minutes of `timestamp`. Returns
+ * [{ action, existing }]; always empty when the window is 0.
+ */
+async function findDuplicateActions(actions, scope = {}, timestamp = Date.now()) {
+  const windowMinutes = await getDuplicateWindowMinutesForScope(scope);
+  if (!windowMinutes) return [];
+  const duplicates = [];
+  for (const action of actions) {
+    if (action.type !== 'input' && action.type !== 'output') continue;
+    const existing = await db.findRecentDuplicateLog({
+      entryType: action.type,
+      fluidType: action.fluid_type,
+      amountMl: action.amount_ml ?? null,
+      timestamp,
+      windowMinutes,
+    }, scope);
+    if (existing) duplicates.push({ action, existing });
+  }
+  return duplicates;
+}
+
+/**
+ * "120ml PediaSure was already logged at 2:14 PM from Telegram", one per
+ * duplicate.
+ */
+async function describeDuplicates(duplicates, scope = {}) {
+  const [catalog, tz] = await Promise.all([getFluidCatalogForScope(scope), getTimezoneForScope(scope)]);
+  return duplicates.map(({ existing }) => {
+    const amount = existing.amount_ml ? `${existing.amount_ml}ml ` : '';
+    const time = new Date(existing.timestamp).toLocaleTimeString('en-US', { timeZone: tz, hour: 'numeric', minute: '2-digit', hour12: true });
+    const source = DUPLICATE_SOURCE_LABELS[existing.source];
+    return `${amount}${formatFluidType(existing.fluid_type, catalog)} was already logged at ${time}${source ? ` from ${source}` : ''}`;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Entry notes and photo attachments
+// ---------------------------------------------------------------------------
+
+const MAX_NOTES_LENGTH = 500;
+
+function cleanNotes(value) {
+  if (value === undefined || value === null) return null;
+  return String(value).trim().slice(0, MAX_NOTES_LENGTH) || null;
+}
+
+/**
+ * Check an uploaded photo. The type comes from the file's own bytes, since
+ * it decides the Content-Type the photo is served back with.
+ * @returns {{ ok: true, contentType: string } | { ok: false, status: number, error: string }}
+ */
+function validateAttachment(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return { ok: false, status: 400, error: 'No photo provided' };
+  }
+  if (buffer.length > attachmentStore.MAX_ATTACHMENT_BYTES) {
+    return { ok: false, status: 413, error: `Photos can be at most ${attachmentStore.MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB` };
+  }
+  const contentType = attachmentStore.detectImageType(buffer);
+  if (!contentType) {
+    return { ok: false, status: 400, error: 'Only JPEG, PNG, GIF, WebP and HEIC photos can be attached' };
+  }
+  return { ok: true, contentType };
+}
+
+/**
+ * Store a photo that passed validateAttachment and link it to fluid entry `logId`.
+ */
+async function saveEntryAttachment(logId, buffer, { contentType, originalName, source }, scope = {}) {
+  const store = attachmentStore.getAttachmentStore();
+  const key = attachmentStore.attachmentKey(db.scopeIds(scope), buffer, contentType);
+  await store.put(key, buffer, contentType);
+  return db.createAttachment({
+    fluid_log_id: logId,
+    storage: store.kind,
+    storage_key: key,
+    content_type: contentType,
+    size_bytes: buffer.length,
+    original_name: originalName ? String(originalName).slice(0, 200) : null,
+    source,
+    ...scope,
+  });
+}
+
+/**
+ * Remove the stored files of deleted attachment rows, keeping any file that
+ * another attachment still points at.
+ */
+async function removeAttachmentFiles(attachments) {
+  for (const attachment of attachments) {
+    try {
+      if (await db.countAttachmentsWithKey(attachment.storage, attachment.storage_key) > 0) continue;
+      await attachmentStore.getAttachmentStore(attachment.storage).remove(attachment.storage_key);
+    } catch (err) {
+      console.error(`[attachments] Could not remove ${attachment.storage}:${attachment.storage_key}:`, err.message);
+    }
+  }
+}
+
+function describeAttachment(attachment) {
+  return {
+    id: attachment.id,
+    content_type: attachment.content_type,
+    size_bytes: attachment.size_bytes,
+    created_at: attachment.created_at,
+    url: `/api/attachments/${attachment.id}`,
+  };
+}
+
+/**
+ * The fluid log rows with an `attachments` list on each.
+ */
+async function withAttachments(logs, scope = {}) {
+  const byLog = new Map();
+  for (const attachment of await db.getAttachmentsForLogs(logs.map((log) => log.id), scope)) {
+    if (!byLog.has(attachment.fluid_log_id)) byLog.set(attachment.fluid_log_id, []);
+    byLog.get(attachment.fluid_log_id).push(describeAttachment(attachment));
+  }
+  return logs.map((log) => ({ ...log, attachments: byLog.get(log.id) || [] }));
+}
+
 // ---------------------------------------------------------------------------
 // API Routes
 // ---------------------------------------------------------------------------
@@ -2697,45 +4087,67 @@ function formatTimeInput(tsMs) {
  */
 app.get(['/api/today', '/api/day'], async (req, res) => {
   try {
+    const scope = requestScope(req);
+    const todayKey = await db.getDayKeyForScope(scope);
     const dayResult = resolveRequestedDayKey({
       date: req.query.date,
       relative: req.query.relative,
-    });
+    }, todayKey);
     if (!dayResult.ok) {
       return res.status(400).json({ ok: false, error: dayResult.error });
     }
 
-    const scope = requestScope(req);
     const dayKey = dayResult.date;
+    const tz = await getTimezoneForScope(scope);
     const summary = await db.getDaySummary(dayKey, scope);
     const limitMl = await getDailyLimitForScope(scope);
+    const catalog = await getFluidCatalogForScope(scope);
+    const slots = await getWellnessSlotsForScope(scope);
+    const [inputs, outputs] = await Promise.all([
+      withAttachments(summary.inputs, scope),
+      withAttachments(summary.outputs, scope),
+    ]);
     res.json({
       ok: true,
       dayKey,
-      todayDayKey: db.getDayKey(),
+      todayDayKey: todayKey,
       limit_ml: limitMl,
       totalIntake: summary.totalIntake,
       percent: Math.round((summary.totalIntake / limitMl) * 100),
       intakeByType: summary.intakeByType,
-      inputs: summary.inputs.map((l) => ({
+      inputs: inputs.map((l) => ({
         ...l,
-        time: formatTimestamp(l.timestamp),
-        time24: formatTimeInput(l.timestamp),
-        fluid_type_label: formatFluidType(l.fluid_type),
+        time: formatTimestamp(l.timestamp, tz),
+        time24: formatTimeInput(l.timestamp, tz),
+        fluid_type_label: formatFluidType(l.fluid_type, catalog),
       })),
-      outputs: summary.outputs.map((l) => ({
+      outputs: outputs.map((l) => ({
         ...l,
-        time: formatTimestamp(l.timestamp),
-        time24: formatTimeInput(l.timestamp),
-        fluid_type_label: formatFluidType(l.fluid_type),
+        time: formatTimestamp(l.timestamp, tz),
+        time24: formatTimeInput(l.timestamp, tz),
+        fluid_type_label: formatFluidType(l.fluid_type, catalog),
+      })),
+      wellness: summary.wellness.map((w) => ({
+        ...w,
+        check_label: wellnessSlots.wellnessSlotLabel(slots, w.check_time),
       })),
-      wellness: summary.wellness,
+      wellnessSlots: slots,
       gags: summary.gags.map((g) => ({
         ...g,
-        time: formatTimestamp(g.timestamp),
-        time24: formatTimeInput(g.timestamp),
+        time: formatTimestamp(g.timestamp, tz),
+        time24: formatTimeInput(g.timestamp, tz),
       })),
       gagCount: summary.gagCount,
+      totalOutput: summary.totalOutput,
+      netBalance: summary.netBalance,
+      urineOutput: summary.urineOutput,
+      urineRate: summary.urineRate,
+      urineStatus: summary.urineStatus,
+      urineThresholds: summary.urineThresholds,
+      elapsedHours: summary.elapsedHours,
+      balanceWeightKg: summary.weightKg,
+      balanceWeightDate: summary.weightDate,
+      fluids: catalog,
     });
   } catch (err) {
     console.error('[GET /api/today]', err);
@@ -2750,7 +4162,7 @@ app.get(['/api/today', '/api/day'], async (req, res) => {
 app.get('/api/report', async (req, res) => {
   try {
     const scope = requestScope(req);
-    const dayKey = db.getDayKey();
+    const dayKey = await db.getDayKeyForScope(scope);
     const text = await buildReport(dayKey, scope);
     res.json({ ok: true, dayKey, report: text });
   } catch (err) {
@@ -2759,12 +4171,57 @@ app.get('/api/report', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/export/csv?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Spreadsheet export: one row per logged entry plus daily totals.
+ * Defaults to the last 7 fluid days; at most MAX_EXPORT_DAYS.
+ */
+app.get('/api/export/csv', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const range = validateExportRange(req.query, await db.getDayKeyForScope(scope));
+    if (!range.ok) return res.status(400).json({ ok: false, error: range.error });
+    const { days, context } = await collectExportDays(range.from, range.to, scope);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=glide-report-${range.from}_${range.to}.csv`);
+    res.send(reportExport.buildExportCsv(days, context));
+  } catch (err) {
+    console.error('[GET /api/export/csv]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/export/pdf?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Printable clinician report: daily summary, intake by type, weight trend
+ * and a section per day with outputs, wellness, gags and medications.
+ */
+app.get('/api/export/pdf', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const range = validateExportRange(req.query, await db.getDayKeyForScope(scope));
+    if (!range.ok) return res.status(400).json({ ok: false, error: range.error });
+    const { days, context } = await collectExportDays(range.from, range.to, scope);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=glide-report-${range.from}_${range.to}.pdf`);
+    res.send(reportExport.buildExportPdf(days, context));
+  } catch (err) {
+    console.error('[GET /api/export/pdf]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 /**
  * POST /api/log
  * Log a fluid entry, wellness check, or gag event directly via API.
- * Body: { entry_type, fluid_type, amount_ml, notes, source }
- *   OR  { type: 'wellness', check_time, appetite, energy, mood, cyanosis }
+ * Body: { entry_type, fluid_type, amount_ml, subtype?, notes? }
+ *   OR  { type: 'wellness', check_time, appetite, energy, mood, cyanosis }  (check_time: slot key, label or time; defaults to the current slot)
  *   OR  { type: 'gag', count }
+ * Any of them may carry `date` and `time`, or `recorded_at` (epoch ms) — the
+ * dashboard's offline queue sends the latter so replayed entries keep the
+ * moment they were logged.
+ * A fluid entry matching one logged within duplicate_window_minutes (same
+ * type, fluid and amount) gets 409 { duplicate } unless `allow_duplicate` is true.
  */
 app.post('/api/log', async (req, res) => {
   try {
@@ -2775,7 +4232,8 @@ app.post('/api/log', async (req, res) => {
     }
 
     // Validate optional date/time fields
-    const dateResult = validateLogDate(body.date);
+    const todayKey = await db.getDayKeyForScope(scope);
+    const dateResult = validateLogDate(body.date, todayKey);
     if (!dateResult.ok) {
       return res.status(400).json({ ok: false, error: dateResult.error });
     }
@@ -2783,11 +4241,17 @@ app.post('/api/log', async (req, res) => {
     if (!timeResult.ok) {
       return res.status(400).json({ ok: false, error: timeResult.error });
     }
-    const dayKey = dateResult.date;
-    const tz = getTimezone();
+    const recordedResult = validateRecordedAt(body.recorded_at);
+    if (!recordedResult.ok) {
+      return res.status(400).json({ ok: false, error: recordedResult.error });
+    }
+    const dayKey = body.date || !recordedResult.timestamp
+      ? dateResult.date
+      : await db.getDayKeyForScope(scope, new Date(recordedResult.timestamp));
+    const tz = await getTimezoneForScope(scope);
     const overrideTimestamp = timeResult.time
       ? zonedDateTimeToTimestamp(dayKey, timeResult.time, tz)
-      : null;
+      : recordedResult.timestamp;
 
     const results = [];
 
@@ -2800,9 +4264,17 @@ app.post('/api/log', async (req, res) => {
     }
 
     if (body.type === 'wellness') {
+      const slots = await getWellnessSlotsForScope(scope);
+      const checkTime = body.check_time
+        ? wellnessSlots.resolveWellnessSlot(slots, body.check_time)
+        : wellnessSlots.currentWellnessSlot(slots, new Date(), await getTimezoneForScope(scope));
+      if (!checkTime) {
+        return res.status(400).json({ ok: false, error: `Unknown wellness check "${body.check_time}". Use one of: ${slots.map((slot) => slot.key).join(', ')}.` });
+      }
       const w = await db.upsertWellness({
+        timestamp: overrideTimestamp,
         day_key: dayKey,
-        check_time: body.check_time || '5pm',
+        check_time: checkTime,
         appetite: body.appetite ?? null,
         energy: body.energy ?? null,
         mood: body.mood ?? null,
@@ -2817,21 +4289,37 @@ app.post('/api/log', async (req, res) => {
       results.push({ kind: 'gag', count, data: gags });
     } else {
       // Fluid input or output
+      const fluidResult = validateFluidType(await getFluidCatalogForScope(scope), body.entry_type, body.fluid_type);
+      if (!fluidResult.ok) {
+        return res.status(400).json({ ok: false, error: fluidResult.error });
+      }
+      const timestamp = overrideTimestamp || Date.now();
+      if (body.allow_duplicate !== true) {
+        const duplicates = await findDuplicateActions(
+          [{ type: body.entry_type, fluid_type: body.fluid_type, amount_ml: body.amount_ml ?? null }],
+          scope,
+          timestamp
+        );
+        if (duplicates.length > 0) {
+          const [description] = await describeDuplicates(duplicates, scope);
+          return res.status(409).json({ ok: false, error: `Possible duplicate: ${description}.`, duplicate: duplicates[0].existing });
+        }
+      }
       const entry = await db.logEntry({
-        timestamp: overrideTimestamp || Date.now(),
+        timestamp,
         day_key: dayKey,
         entry_type: body.entry_type,
         fluid_type: body.fluid_type,
         amount_ml: body.amount_ml ?? null,
         subtype: body.subtype ?? null,
-        notes: body.notes ?? null,
+        notes: cleanNotes(body.notes),
         source: 'api',
         ...scope,
       });
       results.push({ kind: 'fluid', data: entry });
     }
 
-    const summary = await db.getDaySummary(db.getDayKey(), scope);
+    const summary = await db.getDaySummary(todayKey, scope);
     publishCareChange(scope, { action: 'create', source: 'api-log', dayKey });
     res.json({ ok: true, results, totalIntake: summary.totalIntake });
   } catch (err) {
@@ -2842,7 +4330,8 @@ app.post('/api/log', async (req, res) => {
 
 /**
  * PATCH /api/log/:id
- * Update a specific fluid input/output entry.
+ * Update a specific fluid input/output entry. Sending `notes: null` or an
+ * empty string clears the note.
  */
 app.patch('/api/log/:id', async (req, res) => {
   try {
@@ -2860,15 +4349,25 @@ app.patch('/api/log/:id', async (req, res) => {
     const body = req.body || {};
     const entryType = body.entry_type || existing.entry_type;
     const fluidType = body.fluid_type || existing.fluid_type;
-    const dateResult = validateLogDate(body.date || existing.day_key);
+    const { timezone: tz } = await db.getDayClock(scope);
+    const dateResult = validateLogDate(body.date || existing.day_key, await db.getDayKeyForScope(scope));
     if (!dateResult.ok) {
       return res.status(400).json({ ok: false, error: dateResult.error });
     }
-    const timeResult = validateLogTime(body.time || formatTimeInput(existing.timestamp));
+    const timeResult = validateLogTime(body.time || formatTimeInput(existing.timestamp, tz));
     if (!timeResult.ok) {
       return res.status(400).json({ ok: false, error: timeResult.error });
     }
 
+    // Archived fluids stay editable on old entries; only a changed type is checked.
+    const catalog = await getFluidCatalogForScope(scope);
+    if (entryType !== existing.entry_type || fluidType !== existing.fluid_type) {
+      const fluidResult = validateFluidType(catalog, entryType, fluidType);
+      if (!fluidResult.ok) {
+        return res.status(400).json({ ok: false, error: fluidResult.error });
+      }
+    }
+
     const isPoop = fluidType === 'poop';
     const hasAmount = Object.prototype.hasOwnProperty.call(body, 'amount_ml');
     const amountMl = hasAmount ? body.amount_ml : existing.amount_ml;
@@ -2876,7 +4375,7 @@ app.patch('/api/log/:id', async (req, res) => {
       return res.status(400).json({ ok: false, error: 'amount_ml is required for input and output entries' });
     }
 
-    const timestamp = zonedDateTimeToTimestamp(dateResult.date, timeResult.time, getTimezone());
+    const timestamp = zonedDateTimeToTimestamp(dateResult.date, timeResult.time, tz);
 
     await db.updateLog({
       id,
@@ -2886,7 +4385,7 @@ app.patch('/api/log/:id', async (req, res) => {
       fluid_type: fluidType,
       amount_ml: isPoop ? (amountMl ?? null) : amountMl,
       subtype: body.subtype ?? existing.subtype ?? null,
-      notes: body.notes ?? existing.notes ?? null,
+      notes: Object.prototype.hasOwnProperty.call(body, 'notes') ? cleanNotes(body.notes) : existing.notes ?? null,
       ...scope,
     });
 
@@ -2896,9 +4395,9 @@ app.patch('/api/log/:id', async (req, res) => {
       ok: true,
       entry: {
         ...updated,
-        time: formatTimestamp(updated.timestamp),
-        time24: formatTimeInput(updated.timestamp),
-        fluid_type_label: formatFluidType(updated.fluid_type),
+        time: formatTimestamp(updated.timestamp, tz),
+        time24: formatTimeInput(updated.timestamp, tz),
+        fluid_type_label: formatFluidType(updated.fluid_type, catalog),
       },
     });
   } catch (err) {
@@ -2925,21 +4424,22 @@ app.patch('/api/gag/:id', async (req, res) => {
     }
 
     const body = req.body || {};
-    const dateResult = validateLogDate(body.date || existing.day_key);
+    const { timezone: tz } = await db.getDayClock(scope);
+    const dateResult = validateLogDate(body.date || existing.day_key, await db.getDayKeyForScope(scope));
     if (!dateResult.ok) {
       return res.status(400).json({ ok: false, error: dateResult.error });
     }
-    const timeResult = validateLogTime(body.time || formatTimeInput(existing.timestamp));
+    const timeResult = validateLogTime(body.time || formatTimeInput(existing.timestamp, tz));
     if (!timeResult.ok) {
       return res.status(400).json({ ok: false, error: timeResult.error });
     }
 
-    const timestamp = zonedDateTimeToTimestamp(dateResult.date, timeResult.time, getTimezone());
+    const timestamp = zonedDateTimeToTimestamp(dateResult.date, timeResult.time, tz);
     await db.updateGag({ id, timestamp, day_key: dateResult.date, ...scope });
 
     const updated = await db.getGagById(id, scope);
     publishCareChange(scope, { action: 'update', source: 'api-gag', dayKey: updated?.day_key || dateResult.date, id });
-    res.json({ ok: true, entry: { ...updated, time: formatTimestamp(updated.timestamp), time24: formatTimeInput(updated.timestamp) } });
+    res.json({ ok: true, entry: { ...updated, time: formatTimestamp(updated.timestamp, tz), time24: formatTimeInput(updated.timestamp, tz) } });
   } catch (err) {
     console.error('[PATCH /api/gag/:id]', err);
     res.status(500).json({ ok: false, error: err.message });
@@ -2954,19 +4454,18 @@ app.get('/api/history', async (req, res) => {
   try {
     const scope = requestScope(req);
     const days = Math.min(90, Math.max(1, parseInt(req.query.days, 10) || 7));
-    const todayKey = db.getDayKey();
-    const tz = getTimezone();
+    const todayKey = await db.getDayKeyForScope(scope);
+    const { timezone: tz } = await db.getDayClock(scope);
 
-    // Build list of unique day keys (most recent first)
-    const dayKeys = [];
-    const now = new Date();
+    // Day keys, most recent first
+    const uniqueKeys = [];
     for (let i = 0; i < days; i++) {
-      const shifted = new Date(now);
-      shifted.setDate(shifted.getDate() - i);
-      dayKeys.push(db.getDayKey(shifted));
+      uniqueKeys.push(db.shiftDayKey(todayKey, -i));
     }
-    const uniqueKeys = [...new Set(dayKeys)].slice(0, days);
 
+    const catalog = await getFluidCatalogForScope(scope);
+    const slots = await getWellnessSlotsForScope(scope);
+    const slotOrder = new Map(slots.map((slot, index) => [slot.key, index]));
     const dayData = await Promise.all(uniqueKeys.map(async (dayKey) => {
       const summary = await db.getDaySummary(dayKey, scope);
 
@@ -2983,39 +4482,45 @@ app.get('/api/history', async (req, res) => {
       const limit_ml = await getDailyLimitForScope(scope);
       const percent = Math.round((total_ml / limit_ml) * 100);
 
-      const outputs = summary.outputs.map((o) => ({
+      const outputs = (await withAttachments(summary.outputs, scope)).map((o) => ({
         id: o.id,
         fluid_type: o.fluid_type,
+        fluid_type_label: formatFluidType(o.fluid_type, catalog),
         subtype: o.subtype ?? null,
         amount_ml: o.amount_ml,
-        time: formatTimestamp(o.timestamp),
-        time24: formatTimeInput(o.timestamp),
+        notes: o.notes ?? null,
+        attachments: o.attachments,
+        time: formatTimestamp(o.timestamp, tz),
+        time24: formatTimeInput(o.timestamp, tz),
       }));
-      const inputs = summary.inputs.map((l) => ({
+      const inputs = (await withAttachments(summary.inputs, scope)).map((l) => ({
         id: l.id,
-        time: formatTimestamp(l.timestamp),
-        time24: formatTimeInput(l.timestamp),
+        time: formatTimestamp(l.timestamp, tz),
+        time24: formatTimeInput(l.timestamp, tz),
         fluid_type: l.fluid_type,
-        fluid_type_label: formatFluidType(l.fluid_type),
+        fluid_type_label: formatFluidType(l.fluid_type, catalog),
         amount_ml: l.amount_ml,
+        notes: l.notes ?? null,
+        attachments: l.attachments,
       }));
       const gags = summary.gags.map((g) => ({
         id: g.id,
-        time: formatTimestamp(g.timestamp),
-        time24: formatTimeInput(g.timestamp),
+        time: formatTimestamp(g.timestamp, tz),
+        time24: formatTimeInput(g.timestamp, tz),
       }));
 
-      // Split wellness into afternoon (5pm) and evening (10pm)
-      const afternoonRow = summary.wellness.find((w) => w.check_time === '5pm') || null;
-      const eveningRow = summary.wellness.find((w) => w.check_time === '10pm') || null;
-
-      const pickWellness = (row) => row ? {
-        check_time: row.check_time,
-        appetite: row.appetite,
-        energy: row.energy,
-        mood: row.mood,
-        cyanosis: row.cyanosis,
-      } : null;
+      // One entry per logged slot, in the family's slot order; checks from
+      // slots that were since removed sort last.
+      const wellness = summary.wellness
+        .map((row) => ({
+          check_time: row.check_time,
+          label: wellnessSlots.wellnessSlotLabel(slots, row.check_time),
+          appetite: row.appetite,
+          energy: row.energy,
+          mood: row.mood,
+          cyanosis: row.cyanosis,
+        }))
+        .sort((a, b) => (slotOrder.get(a.check_time) ?? slots.length) - (slotOrder.get(b.check_time) ?? slots.length));
 
       return {
         dayKey,
@@ -3026,14 +4531,11 @@ app.get('/api/history', async (req, res) => {
         outputs,
         gags,
         gagCount: summary.gagCount,
-        wellness: {
-          afternoon: pickWellness(afternoonRow),
-          evening: pickWellness(eveningRow),
-        },
+        wellness,
       };
     }));
 
-    res.json({ ok: true, days: dayData });
+    res.json({ ok: true, days: dayData, wellnessSlots: slots });
   } catch (err) {
     console.error('[GET /api/history]', err);
     res.status(500).json({ ok: false, error: err.message });
@@ -3058,49 +4560,161 @@ app.delete('/api/gag/:id', async (req, res) => {
     publishCareChange(scope, { action: 'delete', source: 'api-gag', id });
     res.json({ ok: true, deleted: id });
   } catch (err) {
-    console.error('[DELETE /api/gag/:id]', err);
+    console.error('[DELETE /api/gag/:id]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/log/:id
+ * Remove a specific log entry by ID.
+ */
+app.delete('/api/log/:id', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const id = parseInt(req.params.id, 10);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ ok: false, error: 'Invalid ID' });
+    }
+    const attachments = await db.getAttachmentsForLogs([id], scope);
+    const result = await db.deleteLog(id, scope);
+    if (result.changes === 0) {
+      return res.status(404).json({ ok: false, error: 'Entry not found' });
+    }
+    // The rows went with the entry (ON DELETE CASCADE); the files are ours to remove.
+    await removeAttachmentFiles(attachments);
+    publishCareChange(scope, { action: 'delete', source: 'api-log', id });
+    res.json({ ok: true, deleted: id });
+  } catch (err) {
+    console.error('[DELETE /api/log/:id]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: attachmentStore.MAX_ATTACHMENT_BYTES, files: 1 },
+});
+
+/**
+ * POST /api/log/:id/attachments
+ * Attach a photo (multipart field `photo`) to a fluid entry.
+ */
+app.post('/api/log/:id/attachments', (req, res, next) => {
+  photoUpload.single('photo')(req, res, (err) => {
+    if (!err) return next();
+    const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge ? 413 : 400).json({
+      ok: false,
+      error: tooLarge ? `Photos can be at most ${attachmentStore.MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB` : err.message,
+    });
+  });
+}, async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const id = parseInt(req.params.id, 10);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ ok: false, error: 'Invalid ID' });
+    }
+    const entry = await db.getLogById(id, scope);
+    if (!entry) {
+      return res.status(404).json({ ok: false, error: 'Entry not found' });
+    }
+    const check = validateAttachment(req.file?.buffer);
+    if (!check.ok) {
+      return res.status(check.status).json({ ok: false, error: check.error });
+    }
+
+    const attachment = await saveEntryAttachment(id, req.file.buffer, {
+      contentType: check.contentType,
+      originalName: req.file.originalname,
+      source: 'api',
+    }, scope);
+    publishCareChange(scope, { action: 'attachment', source: 'api-attachment', dayKey: entry.day_key, id });
+    res.json({ ok: true, attachment: describeAttachment(attachment) });
+  } catch (err) {
+    console.error('[POST /api/log/:id/attachments]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/attachments/:id
+ * The photo itself. Files are named by their content hash, so they never
+ * change under the same id and can be cached.
+ */
+app.get('/api/attachments/:id', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const id = parseInt(req.params.id, 10);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ ok: false, error: 'Invalid ID' });
+    }
+    const attachment = await db.getAttachmentById(id, scope);
+    if (!attachment) {
+      return res.status(404).json({ ok: false, error: 'Attachment not found' });
+    }
+    let file;
+    try {
+      file = await attachmentStore.getAttachmentStore(attachment.storage).get(attachment.storage_key);
+    } catch (err) {
+      console.error(`[GET /api/attachments/:id] ${attachment.storage}:${attachment.storage_key}`, err.message);
+      return res.status(404).json({ ok: false, error: 'The photo file is missing from storage' });
+    }
+    res.set({
+      'Content-Type': attachment.content_type,
+      'Cache-Control': 'private, max-age=604800, immutable',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.send(file);
+  } catch (err) {
+    console.error('[GET /api/attachments/:id]', err);
     res.status(500).json({ ok: false, error: err.message });
   }
 });
 
 /**
- * DELETE /api/log/:id
- * Remove a specific log entry by ID.
+ * DELETE /api/attachments/:id
+ * Remove a photo from its entry.
  */
-app.delete('/api/log/:id', async (req, res) => {
+app.delete('/api/attachments/:id', async (req, res) => {
   try {
     const scope = requestScope(req);
     const id = parseInt(req.params.id, 10);
     if (!id || isNaN(id)) {
       return res.status(400).json({ ok: false, error: 'Invalid ID' });
     }
-    const result = await db.deleteLog(id, scope);
-    if (result.changes === 0) {
-      return res.status(404).json({ ok: false, error: 'Entry not found' });
+    const attachment = await db.deleteAttachment(id, scope);
+    if (!attachment) {
+      return res.status(404).json({ ok: false, error: 'Attachment not found' });
     }
-    publishCareChange(scope, { action: 'delete', source: 'api-log', id });
+    await removeAttachmentFiles([attachment]);
+    publishCareChange(scope, { action: 'attachment', source: 'api-attachment', id: attachment.fluid_log_id });
     res.json({ ok: true, deleted: id });
   } catch (err) {
-    console.error('[DELETE /api/log/:id]', err);
+    console.error('[DELETE /api/attachments/:id]', err);
     res.status(500).json({ ok: false, error: err.message });
   }
 });
 
 /**
- * DELETE /api/wellness?date=YYYY-MM-DD&check_time=5pm|10pm
- * Remove a specific wellness entry for the day/period.
+ * DELETE /api/wellness?date=YYYY-MM-DD&check_time=<slot key>
+ * Remove a specific wellness entry for the day/slot.
  */
 app.delete('/api/wellness', async (req, res) => {
   try {
     const scope = requestScope(req);
-    const dateResult = validateLogDate(req.query.date);
+    const dateResult = validateLogDate(req.query.date, await db.getDayKeyForScope(scope));
     if (!dateResult.ok) {
       return res.status(400).json({ ok: false, error: dateResult.error });
     }
 
-    const checkTime = req.query.check_time;
-    if (!['5pm', '10pm'].includes(checkTime)) {
-      return res.status(400).json({ ok: false, error: 'Invalid check_time. Use 5pm or 10pm.' });
+    // Slot keys of removed slots are still accepted so old checks stay deletable.
+    const slots = await getWellnessSlotsForScope(scope);
+    const checkTime = wellnessSlots.resolveWellnessSlot(slots, req.query.check_time)
+      || (/^[a-z0-9_]{1,40}$/.test(req.query.check_time || '') ? req.query.check_time : null);
+    if (!checkTime) {
+      return res.status(400).json({ ok: false, error: 'Invalid check_time. Use a wellness check slot key.' });
     }
 
     const result = await db.deleteWellness(dateResult.date, checkTime, scope);
@@ -3134,7 +4748,7 @@ app.post('/api/weight', async (req, res) => {
     }
 
     // Validate optional date field
-    const dateResult = validateLogDate(req.body.date);
+    const dateResult = validateLogDate(req.body.date, await db.getDayKeyForScope(scope));
     if (!dateResult.ok) {
       return res.status(400).json({ ok: false, error: dateResult.error });
     }
@@ -3160,7 +4774,7 @@ app.get('/api/weight/today', async (req, res) => {
     const dayResult = resolveRequestedDayKey({
       date: req.query.date,
       relative: req.query.relative,
-    });
+    }, await db.getDayKeyForScope(scope));
     if (!dayResult.ok) {
       return res.status(400).json({ ok: false, error: dayResult.error });
     }
@@ -3185,7 +4799,7 @@ app.get('/api/weight/history', async (req, res) => {
     let entries;
 
     if (req.query.throughDate) {
-      const dateResult = validateLogDate(req.query.throughDate);
+      const dateResult = validateLogDate(req.query.throughDate, await db.getDayKeyForScope(scope));
       if (!dateResult.ok) {
         return res.status(400).json({ ok: false, error: dateResult.error });
       }
@@ -3208,7 +4822,7 @@ app.get('/api/weight/history', async (req, res) => {
 app.delete('/api/weight/:date', async (req, res) => {
   try {
     const scope = requestScope(req);
-    const dateResult = validateLogDate(req.params.date);
+    const dateResult = validateLogDate(req.params.date, await db.getDayKeyForScope(scope));
     if (!dateResult.ok) {
       return res.status(400).json({ ok: false, error: dateResult.error });
     }
@@ -3236,13 +4850,15 @@ app.delete('/api/weight/:date', async (req, res) => {
  */
 async function buildChatConfirmation(actions, summary, scope = {}) {
   const parts = [];
+  const catalog = await getFluidCatalogForScope(scope);
+  const slots = await getWellnessSlotsForScope(scope);
   for (const action of actions) {
     if (action.type === 'input') {
-      const label = formatFluidType(action.fluid_type);
+      const label = formatFluidType(action.fluid_type, catalog);
       const amount = action.amount_ml ? `${action.amount_ml}ml` : '(no amount)';
       parts.push(`${amount} ${label}`);
     } else if (action.type === 'output') {
-      const label = formatFluidType(action.fluid_type);
+      const label = formatFluidType(action.fluid_type, catalog);
       const amount = action.amount_ml ? ` ${action.amount_ml}ml` : '';
       if (action.fluid_type === 'poop' && action.subtype) {
         const subtypeLabel = formatPoopSubtype(action.subtype) || action.subtype;
@@ -3251,9 +4867,11 @@ async function buildChatConfirmation(actions, summary, scope = {}) {
         parts.push(`${label}${amount} (output)`);
       }
     } else if (action.type === 'wellness') {
-      parts.push(`Wellness check (${action.check_time})`);
+      parts.push(`Wellness check (${wellnessSlots.wellnessSlotLabel(slots, action.check_time)})`);
     } else if (action.type === 'gag') {
       parts.push(`Gag ×${action.count}`);
+    } else if (action.type === 'medication') {
+      parts.push(describeMedicationDose(action.medication_name, action));
     }
   }
   const logged = parts.length > 0 ? parts.join(' + ') : 'entry';
@@ -3266,17 +4884,30 @@ async function buildChatConfirmation(actions, summary, scope = {}) {
   return `Logged: ${logged} | Total In: ${summary.totalIntake}/${limit}ml (${pct}%) · Total Out: ${outStr}`;
 }
 
+/**
+ * POST /api/chat
+ * Body: { text, confirm_duplicate?, recorded_at? }
+ * Parses the text and logs what it finds. The chat page sends one
+ * Idempotency-Key per message; `recorded_at` (epoch ms) keeps the time of a
+ * message that waited in the offline queue.
+ */
 app.post('/api/chat', async (req, res) => {
   try {
-    const scope = requestScope(req);
+    const scope = requestScope(req, 'chat');
     const { text } = req.body;
     if (!text || typeof text !== 'string' || !text.trim()) {
       return res.status(400).json({ ok: false, error: 'Missing or empty text' });
     }
+    const recordedResult = validateRecordedAt(req.body.recorded_at);
+    if (!recordedResult.ok) {
+      return res.status(400).json({ ok: false, error: recordedResult.error });
+    }
 
+    const parseOptions = await getParseOptionsForScope(scope);
+    const catalog = parseOptions.fluidCatalog;
     let parsed;
     try {
-      parsed = await parseMessage(text.trim());
+      parsed = await parseMessage(text.trim(), parseOptions);
     } catch (err) {
       console.error('[POST /api/chat] Parser error:', err.message);
       return res.status(500).json({ ok: false, error: 'Parser error: ' + err.message });
@@ -3297,7 +4928,7 @@ app.post('/api/chat', async (req, res) => {
       return false;
     });
     if (missingAmount) {
-      const label = formatFluidType(missingAmount.fluid_type);
+      const label = formatFluidType(missingAmount.fluid_type, catalog);
       return res.json({
         ok: false,
         message: `I need a measurement for ${label}. How many ml was it? (e.g. "${label} 80ml")`,
@@ -3305,9 +4936,27 @@ app.post('/api/chat', async (req, res) => {
       });
     }
 
+    const now = recordedResult.timestamp ?? Date.now();
+    const dayKey = await db.getDayKeyForScope(scope, new Date(now));
+
+    // Ask before logging what looks like an entry someone else just made; the
+    // chat page re-sends the text with confirm_duplicate, and the same
+    // Idempotency-Key, to log it anyway.
+    if (req.body.confirm_duplicate !== true) {
+      const duplicates = await findDuplicateActions(parsed.actions, scope, now);
+      if (duplicates.length > 0) {
+        const descriptions = await describeDuplicates(duplicates, scope);
+        res.locals.releaseIdempotencyKey = true;
+        return res.json({
+          ok: false,
+          needsConfirmation: true,
+          message: `Possible duplicate: ${descriptions.join('; ')}. Log it again anyway?`,
+          entries: [],
+        });
+      }
+    }
+
     // Persist all actions (same as bot)
-    const now = Date.now();
-    const dayKey = db.getDayKey();
     const entries = [];
 
     for (const action of parsed.actions) {
@@ -3319,6 +4968,7 @@ app.post('/api/chat', async (req, res) => {
           fluid_type: action.fluid_type,
           amount_ml: action.amount_ml,
           subtype: action.subtype ?? null,
+          notes: action.notes ?? null,
           source: 'chat',
           ...scope,
         });
@@ -3338,14 +4988,29 @@ app.post('/api/chat', async (req, res) => {
       } else if (action.type === 'gag') {
         await db.logGag(action.count, now, null, scope);
         entries.push({ kind: 'gag', count: action.count });
+      } else if (action.type === 'medication') {
+        const medication = parseOptions.medications.find((m) => m.id === action.medication_id);
+        const dose = await recordMedicationDose(medication, {
+          status: action.status,
+          timestamp: now,
+          dayKey,
+          doseAmount: action.dose_amount,
+          doseUnit: action.dose_unit,
+          source: 'chat',
+        }, scope);
+        // Confirmation reflects what was stored (default dose, late flag).
+        Object.assign(action, { status: dose.status, dose_amount: dose.dose_amount, dose_unit: dose.dose_unit });
+        entries.push({ kind: 'medication', ...action, id: dose.id });
       }
     }
 
     const summary = await db.getDaySummary(dayKey, scope);
-    const message = await buildChatConfirmation(parsed.actions, summary, scope);
+    const confirmation = await buildChatConfirmation(parsed.actions, summary, scope);
+    // The rule-based fallback is less forgiving; flag it so the entry gets checked.
+    const message = parsed.parser === 'local' ? `${confirmation} (read by the offline parser — please check it)` : confirmation;
     publishCareChange(scope, { action: 'create', source: 'api-chat', dayKey });
 
-    res.json({ ok: true, message, entries });
+    res.json({ ok: true, message, entries, parser: parsed.parser });
   } catch (err) {
     console.error('[POST /api/chat]', err);
     res.status(500).json({ ok: false, error: err.message });
@@ -3356,45 +5021,59 @@ app.post('/api/chat', async (req, res) => {
 // /api/transcribe — Whisper audio transcription
 // ---------------------------------------------------------------------------
 
+// Whisper rejects files over 25 MB.
+const MAX_TRANSCRIBE_BYTES = 25 * 1024 * 1024;
+
 const upload = multer({
   storage: multer.memoryStorage(),
-  limits: { fileSize: 25 * 1024 * 1024 }, // 25 MB max
+  limits: { fileSize: MAX_TRANSCRIBE_BYTES },
 });
 
+/**
+ * Transcribe an audio recording with Whisper. Used by /api/transcribe (the
+ * chat page's recordings) and the Telegram bot's voice notes.
+ * @param {Buffer} buffer
+ * @param {string} [mimeType]
+ * @returns {Promise<string>} The trimmed transcript ('' when nothing was heard)
+ */
+async function transcribeAudio(buffer, mimeType = 'audio/webm') {
+  const OpenAI = require('openai');
+  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+  // Determine file extension from mimetype
+  const mime = mimeType || 'audio/webm';
+  let ext = 'webm';
+  if (mime.includes('ogg') || mime.includes('opus')) ext = 'ogg';
+  else if (mime.includes('mp4') || mime.includes('m4a')) ext = 'mp4';
+  else if (mime.includes('wav')) ext = 'wav';
+  else if (mime.includes('mpeg') || mime.includes('mp3')) ext = 'mp3';
+
+  // Write temp file (Whisper API needs a file stream)
+  const tmpPath = `/tmp/elina-audio-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${ext}`;
+  fs.writeFileSync(tmpPath, buffer);
+
+  let transcription;
+  try {
+    transcription = await openai.audio.transcriptions.create({
+      model: 'whisper-1',
+      file: fs.createReadStream(tmpPath),
+      language: 'en',
+    });
+  } finally {
+    // Clean up temp file
+    try { fs.unlinkSync(tmpPath); } catch (_) {}
+  }
+
+  return (transcription.text || '').trim();
+}
+
 app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ ok: false, error: 'No audio file provided' });
     }
 
-    const OpenAI = require('openai');
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-    // Determine file extension from mimetype
-    const mime = req.file.mimetype || 'audio/webm';
-    let ext = 'webm';
-    if (mime.includes('ogg')) ext = 'ogg';
-    else if (mime.includes('mp4')) ext = 'mp4';
-    else if (mime.includes('wav')) ext = 'wav';
-    else if (mime.includes('mpeg') || mime.includes('mp3')) ext = 'mp3';
-
-    // Write temp file (Whisper API needs a file stream)
-    const tmpPath = `/tmp/elina-audio-${Date.now()}.${ext}`;
-    fs.writeFileSync(tmpPath, req.file.buffer);
-
-    let transcription;
-    try {
-      transcription = await openai.audio.transcriptions.create({
-        model: 'whisper-1',
-        file: fs.createReadStream(tmpPath),
-        language: 'en',
-      });
-    } finally {
-      // Clean up temp file
-      try { fs.unlinkSync(tmpPath); } catch (_) {}
-    }
-
-    const text = (transcription.text || '').trim();
+    const text = await transcribeAudio(req.file.buffer, req.file.mimetype);
     if (!text) {
       return res.json({ ok: false, error: 'Transcription returned empty result' });
     }
@@ -3412,12 +5091,12 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
 
 /**
  * GET /api/settings
- * Returns all settings as a flat object.
+ * Returns all settings as a flat object; wellness_slots is returned parsed.
  */
 app.get('/api/settings', async (req, res) => {
   try {
     const settings = await db.getSettings(requestScope(req));
-    res.json({ ok: true, ...settings });
+    res.json({ ok: true, ...settings, wellness_slots: wellnessSlots.wellnessSlotsFromSettings(settings) });
   } catch (err) {
     console.error('[GET /api/settings]', err);
     res.status(500).json({ ok: false, error: err.message });
@@ -3435,19 +5114,516 @@ app.post('/api/settings', async (req, res) => {
     if (!body || typeof body !== 'object') {
       return res.status(400).json({ ok: false, error: 'Invalid request body' });
     }
+    for (const key of ['urine_rate_warn_ml_kg_hr', 'urine_rate_low_ml_kg_hr']) {
+      if (body[key] !== undefined && body[key] !== null && !(parseFloat(body[key]) > 0)) {
+        return res.status(400).json({ ok: false, error: `${key} must be a positive number` });
+      }
+    }
+    for (const key of ['alert_no_urine_hours', 'alert_gag_count', 'alert_cyanosis_score', 'duplicate_window_minutes']) {
+      if (body[key] === undefined || body[key] === null) continue;
+      if (body[key] === '') body[key] = '0';
+      if (!(parseFloat(body[key]) >= 0)) {
+        return res.status(400).json({ ok: false, error: `${key} must be 0 (off) or a positive number` });
+      }
+    }
+    if (body.wellness_slots !== undefined && body.wellness_slots !== null) {
+      const result = wellnessSlots.normalizeWellnessSlots(body.wellness_slots);
+      if (result.error) {
+        return res.status(400).json({ ok: false, error: result.error });
+      }
+      body.wellness_slots = JSON.stringify(result.slots);
+    }
     for (const [key, value] of Object.entries(body)) {
       if (value !== undefined && value !== null) {
         await db.setSetting(key, value, scope);
       }
     }
+    // The patient switcher lists patients by their row's name; keep it in step.
+    const childName = typeof body.child_name === 'string' ? body.child_name.trim() : '';
+    if (childName) {
+      const { familyId, patientId } = db.scopeIds(scope);
+      await db.updatePatient(familyId, patientId, { name: childName });
+    }
     const settings = await db.getSettings(scope);
-    res.json({ ok: true, ...settings });
+    res.json({ ok: true, ...settings, wellness_slots: wellnessSlots.wellnessSlotsFromSettings(settings) });
   } catch (err) {
     console.error('[POST /api/settings]', err);
     res.status(500).json({ ok: false, error: err.message });
   }
 });
 
+// ---------------------------------------------------------------------------
+// Fluid catalog API
+// ---------------------------------------------------------------------------
+
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Validate the editable catalog fields present in a request body. Returns the
+ * cleaned changes, or an error string.
+ */
+function readFluidCatalogChanges(body) {
+  const changes = {};
+  if (body.label !== undefined) {
+    const label = String(body.label || '').trim();
+    if (!label || label.length > 40) return { error: 'label must be 1–40 characters' };
+    changes.label = label;
+  }
+  if (body.icon !== undefined) {
+    const icon = String(body.icon || '').trim();
+    if (icon.length > 16) return { error: 'icon must be a short emoji' };
+    changes.icon = icon || null;
+  }
+  if (body.color !== undefined && body.color !== null && body.color !== '') {
+    if (!HEX_COLOR_RE.test(body.color)) return { error: 'color must be a hex value like #2a8aff' };
+    changes.color = body.color.toLowerCase();
+  }
+  if (body.default_portions !== undefined) {
+    changes.default_portions = fluidCatalog.normalizePortions(body.default_portions);
+  }
+  if (body.sort_order !== undefined) {
+    const sortOrder = parseInt(body.sort_order, 10);
+    if (isNaN(sortOrder)) return { error: 'sort_order must be a number' };
+    changes.sort_order = sortOrder;
+  }
+  if (body.archived !== undefined) {
+    changes.archived = Boolean(body.archived);
+  }
+  return { changes };
+}
+
+/**
+ * GET /api/fluids
+ * The patient's fluid catalog, including archived entries.
+ */
+app.get('/api/fluids', async (req, res) => {
+  try {
+    const fluids = await getFluidCatalogForScope(requestScope(req));
+    res.json({ ok: true, fluids });
+  } catch (err) {
+    console.error('[GET /api/fluids]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/fluids
+ * Add a fluid type. Body: { label, category, icon?, color?, default_portions? }
+ * The key is derived from the label and cannot change afterwards.
+ */
+app.post('/api/fluids', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const body = req.body || {};
+    if (!fluidCatalog.CATEGORIES.includes(body.category)) {
+      return res.status(400).json({ ok: false, error: 'category must be "input" or "output"' });
+    }
+    const { changes, error } = readFluidCatalogChanges({ ...body, label: body.label ?? '' });
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+    const key = fluidCatalog.slugifyKey(changes.label);
+    if (!key) {
+      return res.status(400).json({ ok: false, error: 'label must contain letters or numbers' });
+    }
+
+    const entry = await db.createFluidCatalogEntry({ ...changes, key, category: body.category }, scope);
+    if (!entry) {
+      return res.status(409).json({ ok: false, error: `A fluid called "${changes.label}" already exists` });
+    }
+    publishCareChange(scope, { action: 'catalog', source: 'settings' });
+    res.json({ ok: true, fluid: entry });
+  } catch (err) {
+    console.error('[POST /api/fluids]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * PATCH /api/fluids/:key
+ * Edit or archive a fluid type. Body: { label?, icon?, color?, default_portions?, sort_order?, archived? }
+ * Category is fixed once created so existing logs keep their meaning.
+ */
+app.patch('/api/fluids/:key', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const { changes, error } = readFluidCatalogChanges(req.body || {});
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+    const entry = await db.updateFluidCatalogEntry(req.params.key, changes, scope);
+    if (!entry) {
+      return res.status(404).json({ ok: false, error: 'Fluid type not found' });
+    }
+    publishCareChange(scope, { action: 'catalog', source: 'settings' });
+    res.json({ ok: true, fluid: entry });
+  } catch (err) {
+    console.error('[PATCH /api/fluids/:key]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Medications
+// ---------------------------------------------------------------------------
+
+const MEDICATION_ROUTES = ['oral', 'g-tube', 'ng-tube', 'iv', 'inhaled', 'topical', 'rectal', 'other'];
+// A dose given this long after its scheduled time is recorded as late...
+const MEDICATION_LATE_MINUTES = 60;
+// ...and a scheduled dose with nothing logged this long after is missed.
+const MEDICATION_MISSED_MINUTES = 120;
+// An unlabelled dose is matched to the nearest open scheduled time within this window.
+const MEDICATION_MATCH_WINDOW_MINUTES = 240;
+
+function formatMedicationDose(amount, unit) {
+  if (amount === null || amount === undefined) return '';
+  return unit ? `${amount} ${unit}` : String(amount);
+}
+
+async function getDayStartHourForScope(scope = {}) {
+  const hour = parseInt(await db.getSettingForScope('day_start_hour', scope), 10);
+  return isNaN(hour) ? 7 : hour;
+}
+
+/**
+ * When a scheduled time falls on a fluid day. Times before the day-start hour
+ * belong to the early-morning end of the day, i.e. the next calendar date.
+ */
+function scheduledDoseTimestamp(dayKey, time, tz, dayStartHour) {
+  const [hour] = time.split(':').map(Number);
+  let dateKey = dayKey;
+  if (hour < dayStartHour) {
+    const [y, m, d] = dayKey.split('-').map(Number);
+    dateKey = new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+  }
+  return zonedDateTimeToTimestamp(dateKey, time, tz);
+}
+
+/**
+ * Each active medication's scheduled doses for a fluid day with their status
+ * (given / late / skipped / missed / due / upcoming), plus any doses logged
+ * outside the schedule.
+ */
+async function buildMedicationSchedule(dayKey, scope = {}, now = Date.now()) {
+  const [medications, doses, tz, dayStartHour] = await Promise.all([
+    db.getMedications(scope),
+    db.getMedicationDosesByDay(dayKey, scope),
+    getTimezoneForScope(scope),
+    getDayStartHourForScope(scope),
+  ]);
+
+  const items = [];
+  const matchedDoseIds = new Set();
+  for (const med of medications) {
+    for (const time of med.schedule_times || []) {
+      const dueAt = scheduledDoseTimestamp(dayKey, time, tz, dayStartHour);
+      const dose = doses.find((d) => d.medication_id === med.id && d.scheduled_time === time) || null;
+      if (dose) matchedDoseIds.add(dose.id);
+      let status = dose ? dose.status : 'upcoming';
+      if (!dose && now >= dueAt) {
+        status = now - dueAt > MEDICATION_MISSED_MINUTES * 60000 ? 'missed' : 'due';
+      }
+      items.push({
+        medication_id: med.id,
+        name: med.name,
+        dose_amount: med.dose_amount,
+        dose_unit: med.dose_unit,
+        route: med.route,
+        scheduled_time: time,
+        due_at: dueAt,
+        status,
+        dose,
+      });
+    }
+  }
+  items.sort((a, b) => a.due_at - b.due_at || a.name.localeCompare(b.name));
+
+  const extras = doses.filter((d) => !matchedDoseIds.has(d.id));
+  return {
+    dayKey,
+    items,
+    extras,
+    missedCount: items.filter((item) => item.status === 'missed').length,
+  };
+}
+
+/**
+ * Record a given or skipped dose. Without an explicit scheduled_time the dose
+ * is matched to the nearest still-open scheduled time, and a given dose more
+ * than MEDICATION_LATE_MINUTES after that time is stored as late.
+ */
+async function recordMedicationDose(medication, { status, timestamp, dayKey, scheduledTime, doseAmount, doseUnit, notes, source }, scope = {}) {
+  const tz = await getTimezoneForScope(scope);
+  const dayStartHour = await getDayStartHourForScope(scope);
+  const ts = timestamp || Date.now();
+  const key = dayKey || db.computeDayKey(new Date(ts), tz, dayStartHour);
+
+  let slot = scheduledTime || null;
+  if (!slot) {
+    const taken = new Set((await db.getMedicationDosesByDay(key, scope))
+      .filter((d) => d.medication_id === medication.id && d.scheduled_time)
+      .map((d) => d.scheduled_time));
+    let best = null;
+    for (const time of medication.schedule_times || []) {
+      if (taken.has(time)) continue;
+      const distance = Math.abs(ts - scheduledDoseTimestamp(key, time, tz, dayStartHour));
+      if (distance <= MEDICATION_MATCH_WINDOW_MINUTES * 60000 && (!best || distance < best.distance)) {
+        best = { time, distance };
+      }
+    }
+    slot = best?.time || null;
+  }
+
+  let finalStatus = status === 'skipped' ? 'skipped' : 'given';
+  if (finalStatus === 'given' && slot && ts - scheduledDoseTimestamp(key, slot, tz, dayStartHour) > MEDICATION_LATE_MINUTES * 60000) {
+    finalStatus = 'late';
+  }
+
+  const hasDose = doseAmount !== null && doseAmount !== undefined;
+  return db.logMedicationDose({
+    medication_id: medication.id,
+    timestamp: ts,
+    day_key: key,
+    scheduled_time: slot,
+    status: finalStatus,
+    dose_amount: hasDose ? doseAmount : medication.dose_amount,
+    dose_unit: hasDose ? (doseUnit ?? medication.dose_unit) : medication.dose_unit,
+    notes: notes ?? null,
+    source: source || 'api',
+    ...scope,
+  });
+}
+
+/**
+ * One-line description of a logged dose for confirmations: "Lasix 2 mg given (late)".
+ */
+function describeMedicationDose(name, dose) {
+  const amount = formatMedicationDose(dose.dose_amount, dose.dose_unit);
+  if (dose.status === 'skipped') return `${name} skipped`;
+  return `${name}${amount ? ` ${amount}` : ''} given${dose.status === 'late' ? ' (late)' : ''}`;
+}
+
+/**
+ * Validate the editable medication fields present in a request body. Returns
+ * the cleaned changes, or an error string.
+ */
+function readMedicationChanges(body) {
+  const changes = {};
+  if (body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name || name.length > 60) return { error: 'name must be 1–60 characters' };
+    changes.name = name;
+  }
+  if (body.aliases !== undefined) {
+    const raw = Array.isArray(body.aliases) ? body.aliases : String(body.aliases || '').split(',');
+    changes.aliases = [...new Set(raw.map((a) => String(a).trim()).filter(Boolean))].slice(0, 10);
+  }
+  if (body.dose_amount !== undefined) {
+    if (body.dose_amount === null || body.dose_amount === '') {
+      changes.dose_amount = null;
+    } else {
+      const amount = Number(body.dose_amount);
+      if (!Number.isFinite(amount) || amount <= 0) return { error: 'dose_amount must be a positive number' };
+      changes.dose_amount = amount;
+    }
+  }
+  if (body.dose_unit !== undefined) {
+    changes.dose_unit = String(body.dose_unit || '').trim().slice(0, 20) || null;
+  }
+  if (body.route !== undefined) {
+    const route = String(body.route || '').trim().toLowerCase();
+    if (route && !MEDICATION_ROUTES.includes(route)) return { error: `route must be one of: ${MEDICATION_ROUTES.join(', ')}` };
+    changes.route = route || null;
+  }
+  if (body.schedule_times !== undefined) {
+    const raw = Array.isArray(body.schedule_times) ? body.schedule_times : String(body.schedule_times || '').split(',');
+    const times = [];
+    for (const value of raw.map((t) => String(t).trim()).filter(Boolean)) {
+      const result = validateLogTime(/^\d:\d{2}$/.test(value) ? `0${value}` : value);
+      if (!result.ok || !result.time) return { error: `Invalid schedule time "${value}". Use HH:MM.` };
+      times.push(result.time);
+    }
+    changes.schedule_times = [...new Set(times)].sort();
+  }
+  if (body.notes !== undefined) {
+    changes.notes = String(body.notes || '').trim().slice(0, 500) || null;
+  }
+  if (body.archived !== undefined) {
+    changes.archived = Boolean(body.archived);
+  }
+  return { changes };
+}
+
+/**
+ * GET /api/medications
+ * The patient's medication list. ?include_archived=1 also returns archived ones.
+ */
+app.get('/api/medications', async (req, res) => {
+  try {
+    const medications = await db.getMedications(requestScope(req), { includeArchived: req.query.include_archived === '1' });
+    res.json({ ok: true, medications, routes: MEDICATION_ROUTES });
+  } catch (err) {
+    console.error('[GET /api/medications]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/medications
+ * Add a medication. Body: { name, dose_amount?, dose_unit?, route?, schedule_times?, aliases?, notes? }
+ */
+app.post('/api/medications', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const { changes, error } = readMedicationChanges({ ...(req.body || {}), name: req.body?.name ?? '' });
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+    const medication = await db.createMedication(changes, scope);
+    publishCareChange(scope, { action: 'medications', source: 'settings' });
+    res.json({ ok: true, medication });
+  } catch (err) {
+    console.error('[POST /api/medications]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * PATCH /api/medications/:id
+ * Edit or archive (archived: true) a medication.
+ */
+app.patch('/api/medications/:id', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const id = parseInt(req.params.id, 10);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ ok: false, error: 'Invalid ID' });
+    }
+    const { changes, error } = readMedicationChanges(req.body || {});
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+    const medication = await db.updateMedication(id, changes, scope);
+    if (!medication) {
+      return res.status(404).json({ ok: false, error: 'Medication not found' });
+    }
+    publishCareChange(scope, { action: 'medications', source: 'settings' });
+    res.json({ ok: true, medication });
+  } catch (err) {
+    console.error('[PATCH /api/medications/:id]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/medications/schedule?date=YYYY-MM-DD
+ * Scheduled doses for the day with given/late/skipped/missed status.
+ */
+app.get('/api/medications/schedule', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const dateResult = validateLogDate(req.query.date, await db.getDayKeyForScope(scope));
+    if (!dateResult.ok) {
+      return res.status(400).json({ ok: false, error: dateResult.error });
+    }
+    const tz = await getTimezoneForScope(scope);
+    const schedule = await buildMedicationSchedule(dateResult.date, scope);
+    res.json({
+      ok: true,
+      ...schedule,
+      extras: schedule.extras.map((d) => ({ ...d, time: formatTimestamp(d.timestamp, tz) })),
+      items: schedule.items.map((item) => ({
+        ...item,
+        dose: item.dose ? { ...item.dose, time: formatTimestamp(item.dose.timestamp, tz) } : null,
+      })),
+    });
+  } catch (err) {
+    console.error('[GET /api/medications/schedule]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/medications/:id/doses
+ * Record a dose. Body: { status: 'given'|'skipped', scheduled_time?, date?, time?, dose_amount?, dose_unit?, notes? }
+ */
+app.post('/api/medications/:id/doses', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const id = parseInt(req.params.id, 10);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ ok: false, error: 'Invalid ID' });
+    }
+    const medication = await db.getMedicationById(id, scope);
+    if (!medication) {
+      return res.status(404).json({ ok: false, error: 'Medication not found' });
+    }
+
+    const body = req.body || {};
+    if (!['given', 'skipped'].includes(body.status || 'given')) {
+      return res.status(400).json({ ok: false, error: 'status must be "given" or "skipped"' });
+    }
+    if (body.scheduled_time && !(medication.schedule_times || []).includes(body.scheduled_time)) {
+      return res.status(400).json({ ok: false, error: `${medication.name} is not scheduled at ${body.scheduled_time}` });
+    }
+    const dateResult = validateLogDate(body.date, await db.getDayKeyForScope(scope));
+    if (!dateResult.ok) {
+      return res.status(400).json({ ok: false, error: dateResult.error });
+    }
+    const timeResult = validateLogTime(body.time);
+    if (!timeResult.ok) {
+      return res.status(400).json({ ok: false, error: timeResult.error });
+    }
+    if (body.dose_amount !== undefined && body.dose_amount !== null && !(Number(body.dose_amount) > 0)) {
+      return res.status(400).json({ ok: false, error: 'dose_amount must be a positive number' });
+    }
+
+    const timestamp = timeResult.time
+      ? zonedDateTimeToTimestamp(dateResult.date, timeResult.time, await getTimezoneForScope(scope))
+      : Date.now();
+    const dose = await recordMedicationDose(medication, {
+      status: body.status || 'given',
+      timestamp,
+      dayKey: dateResult.date,
+      scheduledTime: body.scheduled_time || null,
+      doseAmount: body.dose_amount !== undefined && body.dose_amount !== null ? Number(body.dose_amount) : null,
+      doseUnit: body.dose_unit ?? null,
+      notes: body.notes ?? null,
+      source: 'api',
+    }, scope);
+
+    publishCareChange(scope, { action: 'create', source: 'api-medication', dayKey: dose.day_key });
+    res.json({ ok: true, dose, message: describeMedicationDose(medication.name, dose) });
+  } catch (err) {
+    console.error('[POST /api/medications/:id/doses]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/medications/doses/:id
+ * Remove a recorded dose.
+ */
+app.delete('/api/medications/doses/:id', async (req, res) => {
+  try {
+    const scope = requestScope(req);
+    const id = parseInt(req.params.id, 10);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ ok: false, error: 'Invalid ID' });
+    }
+    const dose = await db.getMedicationDoseById(id, scope);
+    if (!dose) {
+      return res.status(404).json({ ok: false, error: 'Dose not found' });
+    }
+    await db.deleteMedicationDose(id, scope);
+    publishCareChange(scope, { action: 'delete', source: 'api-medication', dayKey: dose.day_key, id });
+    res.json({ ok: true, deleted: id });
+  } catch (err) {
+    console.error('[DELETE /api/medications/doses/:id]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 // Settings page
 app.get('/settings', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'settings.html'));
@@ -3483,13 +5659,18 @@ async function buildReport(dayKey, scope = {}) {
   const percent = Math.round((summary.totalIntake / limit) * 100);
 
   const childName = await getChildNameForScope(scope);
+  const catalog = await getFluidCatalogForScope(scope);
+  const fluidLine = (type) => {
+    const icon = fluidCatalog.findEntry(catalog, type)?.icon;
+    return `${icon ? `${icon} ` : ''}${formatFluidType(type, catalog)}`;
+  };
   let report = `📋 ${childName}'s Report — ${dateStr} ${timeStr}\n`;
   report += `━━━━━━━━━━━━━━━━━━━━━━━\n`;
   report += `\n🫧 FLUID INTAKE: ${summary.totalIntake}ml / ${limit}ml (${percent}%)\n`;
 
   if (Object.keys(summary.intakeByType).length > 0) {
     for (const [type, ml] of Object.entries(summary.intakeByType)) {
-      report += `  ${formatFluidType(type)}: ${ml}ml\n`;
+      report += `  ${fluidLine(type)}: ${ml}ml\n`;
     }
   } else {
     report += `  No intake logged\n`;
@@ -3498,20 +5679,49 @@ async function buildReport(dayKey, scope = {}) {
   report += `\n🚽 OUTPUTS:\n`;
   if (summary.outputs.length > 0) {
     for (const o of summary.outputs) {
-      const time = formatTimestamp(o.timestamp);
+      const time = formatTimestamp(o.timestamp, tz);
       const amount = o.amount_ml ? ` ${o.amount_ml}ml` : '';
-      report += `  ${time} — ${formatFluidType(o.fluid_type)}${amount}\n`;
+      report += `  ${time} — ${fluidLine(o.fluid_type)}${amount}\n`;
     }
   } else {
     report += `  No outputs logged\n`;
   }
 
+  report += `\n⚖️ NET BALANCE: ${formatNetBalance(summary.netBalance)} (in ${summary.totalIntake}ml, out ${summary.totalOutput}ml)\n`;
+  if (summary.urineRate !== null) {
+    report += `  Urine: ${summary.urineRate} ml/kg/hr (${summary.urineOutput}ml over ${summary.elapsedHours}h at ${summary.weightKg} kg)${urineRateFlag(summary)}\n`;
+  } else {
+    report += `  Urine rate: log a weight to calculate ml/kg/hr\n`;
+  }
+
   report += `\n🤢 Gag episodes: ${summary.gagCount}\n`;
 
+  const meds = await buildMedicationSchedule(dayKey, scope);
+  if (meds.items.length > 0 || meds.extras.length > 0) {
+    report += `\n💊 MEDICATIONS:\n`;
+    for (const item of meds.items) {
+      const amount = formatMedicationDose(item.dose?.dose_amount ?? item.dose_amount, item.dose?.dose_unit ?? item.dose_unit);
+      let statusText;
+      if (item.status === 'skipped') statusText = 'skipped';
+      else if (item.dose) statusText = `given ${formatTimestamp(item.dose.timestamp, tz)}${item.status === 'late' ? ' (late)' : ''}`;
+      else statusText = { missed: '❗ MISSED', due: 'due now', upcoming: 'not yet due' }[item.status];
+      report += `  ${item.scheduled_time} — ${item.name}${amount ? ` ${amount}` : ''}: ${statusText}\n`;
+    }
+    for (const dose of meds.extras) {
+      const amount = formatMedicationDose(dose.dose_amount, dose.dose_unit);
+      const statusText = dose.status === 'skipped' ? 'skipped' : 'given (unscheduled)';
+      report += `  ${formatTimestamp(dose.timestamp, tz)} — ${dose.medication_name}${amount ? ` ${amount}` : ''}: ${statusText}\n`;
+    }
+    if (meds.missedCount > 0) {
+      report += `  ⚠️ ${meds.missedCount} missed dose${meds.missedCount !== 1 ? 's' : ''}\n`;
+    }
+  }
+
   // Latest wellness check
   if (summary.wellness.length > 0) {
     const latest = summary.wellness[summary.wellness.length - 1];
-    report += `\n🩺 WELLNESS (${latest.check_time} check):\n`;
+    const slotLabel = wellnessSlots.wellnessSlotLabel(await getWellnessSlotsForScope(scope), latest.check_time);
+    report += `\n🩺 WELLNESS (${slotLabel} check):\n`;
     if (latest.appetite !== null) report += `  Appetite: ${latest.appetite}/10\n`;
     if (latest.energy !== null) report += `  Energy: ${latest.energy}/10\n`;
     if (latest.mood !== null) report += `  Mood: ${latest.mood}/10\n`;
@@ -3524,11 +5734,55 @@ async function buildReport(dayKey, scope = {}) {
   return report;
 }
 
+/**
+ * Everything the CSV and PDF exports need for each fluid day from `from` to
+ * `to`, oldest first.
+ */
+async function collectExportDays(from, to, scope = {}) {
+  const days = [];
+  for (let dayKey = from; dayKey <= to; dayKey = db.shiftDayKey(dayKey, 1)) {
+    const summary = await db.getDaySummary(dayKey, scope);
+    const doses = await db.getMedicationDosesByDay(dayKey, scope);
+    const weight = await db.getWeightForDate(dayKey, scope);
+    days.push({ dayKey, summary, doses, weight });
+  }
+  return {
+    days,
+    context: {
+      patientName: await getChildNameForScope(scope),
+      from,
+      to,
+      limit: await getDailyLimitForScope(scope),
+      catalog: await getFluidCatalogForScope(scope),
+      slots: await getWellnessSlotsForScope(scope),
+      tz: await getTimezoneForScope(scope),
+    },
+  };
+}
+
 // Export for use by bot and scheduler
 module.exports.buildReport = buildReport;
 module.exports.formatFluidType = formatFluidType;
+module.exports.getFluidCatalogForScope = getFluidCatalogForScope;
+module.exports.getWellnessSlotsForScope = getWellnessSlotsForScope;
+module.exports.getParseOptionsForScope = getParseOptionsForScope;
+module.exports.buildMedicationSchedule = buildMedicationSchedule;
+module.exports.recordMedicationDose = recordMedicationDose;
+module.exports.describeMedicationDose = describeMedicationDose;
+module.exports.formatMedicationDose = formatMedicationDose;
 module.exports.getDailyLimit = getDailyLimit;
+module.exports.getDailyLimitForScope = getDailyLimitForScope;
+module.exports.getChildNameForScope = getChildNameForScope;
+module.exports.findPatientByName = findPatientByName;
+module.exports.getTimezoneForScope = getTimezoneForScope;
 module.exports.publishCareChange = publishCareChange;
+module.exports.runOnceForKey = runOnceForKey;
+module.exports.findDuplicateActions = findDuplicateActions;
+module.exports.describeDuplicates = describeDuplicates;
+module.exports.validateAttachment = validateAttachment;
+module.exports.saveEntryAttachment = saveEntryAttachment;
+module.exports.transcribeAudio = transcribeAudio;
+module.exports.MAX_TRANSCRIBE_BYTES = MAX_TRANSCRIBE_BYTES;
 
 // ---------------------------------------------------------------------------
 // Start server
@@ -0,0 +1,140 @@
+/**
+ * wellness-slots.js — Named wellness check slots configured per patient
+ *
+ * A family picks any number of named check slots ("Morning 08:00",
+ * "Evening 22:00", …). They are stored as JSON in the `wellness_slots`
+ * setting; patients that never saved a list get one derived from the older
+ * wellness_check_1 / wellness_check_2 times. wellness_checks.check_time holds
+ * the slot key (column name unchanged for schema compatibility).
+ */
+
+'use strict';
+
+const { slugifyKey } = require('./fluid-catalog');
+const { localClock } = require('./fluid-day');
+
+const MAX_WELLNESS_SLOTS = 8;
+
+// Rows written before slots existed, rewritten by initSchema.
+const LEGACY_CHECK_TIMES = { '5pm': 'afternoon', '10pm': 'evening' };
+
+function defaultWellnessSlots(settings = {}) {
+  return [
+    { key: 'afternoon', label: 'Afternoon', time: settings.wellness_check_1 || '17:00' },
+    { key: 'evening', label: 'Evening', time: settings.wellness_check_2 || '22:00' },
+  ];
+}
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const h = parseInt(match[1], 10);
+  const m = parseInt(match[2], 10);
+  if (h > 23 || m > 59) return null;
+  return { text: `${String(h).padStart(2, '0')}:${match[2]}`, minutes: h * 60 + m };
+}
+
+/**
+ * Validate a slot list (array or JSON string). Existing keys are kept so
+ * renaming a slot doesn't orphan its history; new slots get a key from the label.
+ * @returns {{ slots: Array } | { error: string }}
+ */
+function normalizeWellnessSlots(value) {
+  let raw = value;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (_) {
+      return { error: 'wellness_slots must be a JSON array' };
+    }
+  }
+  if (!Array.isArray(raw) || raw.length === 0) return { error: 'Add at least one wellness check' };
+  if (raw.length > MAX_WELLNESS_SLOTS) return { error: `At most ${MAX_WELLNESS_SLOTS} wellness checks are supported` };
+
+  const slots = [];
+  const usedKeys = new Set();
+  for (const item of raw) {
+    const label = String(item?.label || '').trim();
+    if (!label || label.length > 30) return { error: 'Each wellness check needs a name of 1–30 characters' };
+    const time = parseTime(item?.time);
+    if (!time) return { error: `"${label}" needs a time in HH:MM format` };
+
+    let key = /^[a-z0-9_]{1,40}$/.test(item?.key || '') ? item.key : slugifyKey(label) || 'check';
+    const base = key;
+    for (let n = 2; usedKeys.has(key); n++) key = `${base}_${n}`;
+    usedKeys.add(key);
+    slots.push({ key, label, time: time.text, minutes: time.minutes });
+  }
+  slots.sort((a, b) => a.minutes - b.minutes);
+  return { slots: slots.map(({ minutes, ...slot }) => slot) };
+}
+
+/**
+ * The patient's slot list from a flat settings object.
+ */
+function wellnessSlotsFromSettings(settings = {}) {
+  if (settings.wellness_slots) {
+    const result = normalizeWellnessSlots(settings.wellness_slots);
+    if (result.slots) return result.slots;
+    console.warn('[wellness] Ignoring invalid wellness_slots setting:', result.error);
+  }
+  return defaultWellnessSlots(settings);
+}
+
+/**
+ * Map what a caregiver or the parser said ("evening", "Evening", "22:00",
+ * "10pm") onto a slot key. Returns null when nothing matches.
+ */
+function resolveWellnessSlot(slots, value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().toLowerCase();
+  if (!text) return null;
+
+  const byKey = slots.find((slot) => slot.key === text || slot.label.toLowerCase() === text);
+  if (byKey) return byKey.key;
+
+  let time = parseTime(text);
+  const spoken = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/.exec(text);
+  if (!time && spoken) {
+    const hour = (parseInt(spoken[1], 10) % 12) + (spoken[3] === 'pm' ? 12 : 0);
+    time = parseTime(`${hour}:${spoken[2] || '00'}`);
+  }
+  if (time) {
+    const byTime = slots.find((slot) => slot.time === time.text);
+    if (byTime) return byTime.key;
+  }
+
+  const legacy = LEGACY_CHECK_TIMES[text];
+  return legacy && slots.some((slot) => slot.key === legacy) ? legacy : null;
+}
+
+/**
+ * The slot a check logged right now most likely belongs to: the latest slot
+ * that has already started today, wrapping to the last slot before the first.
+ */
+function currentWellnessSlot(slots, date = new Date(), tz = 'America/New_York') {
+  const { minutes } = localClock(date, tz);
+  const started = slots.filter((slot) => parseTime(slot.time).minutes <= minutes);
+  return (started[started.length - 1] || slots[slots.length - 1])?.key || null;
+}
+
+/**
+ * Display label for a stored slot key, including keys of slots that have
+ * since been removed.
+ */
+function wellnessSlotLabel(slots, key) {
+  const slot = slots.find((s) => s.key === key);
+  if (slot) return slot.label;
+  return String(key || '').replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+module.exports = {
+  MAX_WELLNESS_SLOTS,
+  LEGACY_CHECK_TIMES,
+  defaultWellnessSlots,
+  normalizeWellnessSlots,
+  wellnessSlotsFromSettings,
+  resolveWellnessSlot,
+  currentWellnessSlot,
+  wellnessSlotLabel,
+};